@@ -4,11 +4,38 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
 const mongoose = require('mongoose');
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
 
-// Load environment variables
+// Load environment variables before the services read their configuration
 dotenv.config();
 
+const jobQueue = require('./services/jobQueue');
+const mapReduceService = require('./services/mapReduceService');
+const sectionService = require('./services/sectionService');
+const excerptService = require('./services/excerptService');
+const apiReferenceService = require('./services/apiReference');
+const dependencyGraphService = require('./services/dependencyGraphService');
+const openApiService = require('./services/openApiService');
+const pythonProjectService = require('./services/pythonProjectService');
+const manifestService = require('./services/manifests');
+const workspaceService = require('./services/workspaceService');
+const envVarService = require('./services/envVarService');
+const deploymentService = require('./services/deploymentService');
+const verificationService = require('./services/verificationService');
+const providerRegistry = require('./services/providers');
+const localRepoService = require('./services/localRepoService');
+const archiveService = require('./services/archiveService');
+const stalenessService = require('./services/stalenessService');
+const diffService = require('./services/diffService');
+const revisionService = require('./services/revisionService');
+const templateService = require('./services/templateService');
+const llmProviders = require('./services/llm');
+const usageService = require('./services/usageService');
+const cacheService = require('./services/cacheService');
+const exportService = require('./services/exportService');
+
 const app = express();
 const PORT = 5001; // Force port 5001
 
@@ -32,6 +59,10 @@ app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(morgan('combined'));
 
+// Exported documents, downloaded by the export links
+app.use('/uploads', express.static(exportService.uploadDir));
+app.use('/vendor/mermaid', express.static(exportService.mermaidDir));
+
 // MongoDB Connection (optional)
 let Document = null;
 let isMongoConnected = false;
@@ -52,11 +83,27 @@ if (process.env.MONGODB_URI) {
       title: { type: String, required: true },
       description: { type: String },
       githubUrl: { type: String },
-      content: { type: String, required: true },
+      content: { type: String, default: '' },
       format: { type: String, default: 'markdown' },
       metadata: { type: Object },
       aiModel: { type: String },
       status: { type: String, default: 'completed' },
+      error: { type: String },
+      usage: { type: Object },
+      finishReason: { type: String },
+      passes: { type: Array },
+      coverage: { type: Object },
+      sections: { type: Array },
+      modelAttempts: { type: Array },
+      cost: { type: Object },
+      cache: { type: Object },
+      generationOptions: { type: Object },
+      sourceSelection: { type: Object },
+      openApi: { type: Object },
+      verification: { type: Object },
+      staleness: { type: Object },
+      revisions: { type: Array },
+      workspace: { type: Object },
       processingTime: { type: Number },
       exports: [{ 
         format: String, 
@@ -87,295 +134,498 @@ if (process.env.MONGODB_URI) {
 let inMemoryDocuments = [];
 let documentCounter = 1;
 
-// OpenRouter API Service
-class OpenRouterService {
-  constructor() {
-    this.apiKey = process.env.OPENROUTER_API_KEY || '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';
-    this.baseURL = 'https://openrouter.ai/api/v1';
+// Storage helpers - route through MongoDB when connected, in-memory otherwise
+async function createDocument(documentData) {
+  if (isMongoConnected && Document) {
+    const document = new Document(documentData);
+    return document.save();
   }
 
-  async generateDocumentation(repoData, options = {}) {
-    try {
-      const prompt = this.buildDocumentationPrompt(repoData, options);
-      
-      // Use the most reliable models in order of preference
-      const reliableModels = [
-        'openai/gpt-3.5-turbo',
-        'google/gemini-pro',
-        'anthropic/claude-3-haiku',
-        'meta-llama/llama-3.1-8b-instruct'
-      ];
-      
-      let selectedModel = 'openai/gpt-3.5-turbo'; // Default
-      
-      // If a specific model is requested and it's reliable, use it
-      if (options.model && reliableModels.includes(options.model)) {
-        selectedModel = options.model;
+  const document = {
+    _id: `mem_${documentCounter++}`,
+    ...documentData
+  };
+  inMemoryDocuments.push(document);
+  return document;
+}
+
+async function findDocumentById(id) {
+  if (isMongoConnected && Document) {
+    return Document.findById(id);
+  }
+  return inMemoryDocuments.find(doc => doc._id === id) || null;
+}
+
+async function updateDocument(id, updates) {
+  const changes = { ...updates, updatedAt: new Date() };
+
+  if (isMongoConnected && Document) {
+    return Document.findByIdAndUpdate(id, changes, { new: true });
+  }
+
+  const document = inMemoryDocuments.find(doc => doc._id === id);
+  if (!document) {
+    return null;
+  }
+  Object.assign(document, changes);
+  return document;
+}
+
+// Completed documents that record the commit they were generated from
+async function listTrackedDocuments() {
+  if (isMongoConnected && Document) {
+    return Document.find({ status: 'completed', 'metadata.commitHash': { $ne: null } });
+  }
+  return inMemoryDocuments.filter(doc => doc.status === 'completed' && doc.metadata?.commitHash);
+}
+
+// Single-prompt documentation request. options.prompt carries an already rendered template;
+// otherwise the built-in standard template is used.
+function buildDocumentationRequest(repoData, options, llm) {
+  const prompt = options.prompt || templateService.render(templateService.getDefault(), repoData, options);
+  const maxTokens = options.maxTokens || 800;
+
+  return {
+    model: options.model,
+    messages: [
+      {
+        role: 'system',
+        content: prompt.systemPrompt
+      },
+      {
+        role: 'user',
+        content: prompt.userPrompt
       }
-      
-      // Add timeout and retry logic
-      const axiosConfig = {
-        timeout: 30000, // 30 second timeout
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      };
-      
-      const response = await axios.post(`${this.baseURL}/chat/completions`, {
-        model: selectedModel,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert technical writer. Generate comprehensive documentation for software projects. Keep responses under 2000 tokens.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: options.temperature || 0.3,
-        max_tokens: Math.min(options.maxTokens || 800, 800) // Reduced for free tier
-      }, axiosConfig);
-
-      return {
-        content: response.data.choices[0].message.content,
-        usage: response.data.usage,
-        model: response.data.model,
-        finishReason: response.data.choices[0].finish_reason
-      };
+    ],
+    temperature: options.temperature,
+    maxTokens: llm.maxDocumentTokens ? Math.min(maxTokens, llm.maxDocumentTokens) : maxTokens
+  };
+}
+
+// Repository analysis - source-host APIs (GitHub, GitLab, Bitbucket, Gitea), clones, uploads and local folders
+class RepositoryService {
+  async analyzeRepository(repoUrl, options = {}) {
+    if (!repoUrl || !repoUrl.trim()) {
+      throw new Error('Repository URL is required');
+    }
+
+    // Unknown hosts and local repository paths can only be read through a clone
+    const provider = providerRegistry.resolve(repoUrl, options.provider);
+    const analysisMode = options.analysisMode || process.env.ANALYSIS_MODE || 'api';
+    if (analysisMode === 'clone' || !provider) {
+      return this.analyzeClonedRepository(repoUrl, options);
+    }
+
+    const ref = provider.parseUrl(repoUrl);
+    if (!ref) {
+      throw new Error(`Invalid ${provider.displayName} repository URL`);
+    }
+
+    try {
+      const repoInfo = await provider.getRepoInfo(ref);
+
+      // Pin everything below to one commit so the docs describe an exact snapshot
+      const requestedRef = options.ref || options.branch;
+      const resolved = await provider.resolveRef(
+        ref,
+        requestedRef || ref.branch || repoInfo.defaultBranch,
+        { fromUrl: !requestedRef && !!ref.branch }
+      );
+      const branch = resolved.name;
+      const commitHash = resolved.sha;
+      const cacheKey = cacheService.getAnalysisKey({
+        repository: repoInfo.webUrl || provider.getWebUrl(ref),
+        commitHash,
+        source: 'api',
+        options
+      });
+
+      return await this.withAnalysisCache({ cacheKey, commitHash }, options, () =>
+        this.analyzeCommit(provider, ref, repoInfo, { branch, commitHash }, options)
+      );
     } catch (error) {
-      console.error('OpenRouter API error:', error.response?.data || error.message);
-      
-      // Handle specific error types
-      if (error.response?.data?.error?.code === 402) {
-        throw new Error('Free tier limit reached. Try with a smaller repository or wait for credits to refresh.');
-      }
-      
-      if (error.response?.data?.error?.code === 408 || error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout. Please try again in a moment.');
-      }
-      
-      if (error.response?.data?.error?.code === 400) {
-        throw new Error('Invalid request. Please check your input and try again.');
+      console.error(`${provider.displayName} analysis error:`, error.message);
+      if (error.statusCode === 404) {
+        throw error;
+      } else if (error.response?.status === 404) {
+        throw new Error('Repository not found. Please check the URL and ensure the repository is public.');
+      } else if (error.response?.status === 403 || error.response?.status === 429) {
+        throw new Error(`Rate limit exceeded. Please try again later or set ${provider.tokenEnv}.`);
+      } else if (error.response?.status === 401) {
+        throw new Error(`Authentication failed. Please check ${provider.tokenEnv} or try with a public repository.`);
       }
-      
-      throw new Error('Failed to generate documentation with AI. Please try again.');
+      throw new Error('Failed to analyze repository. Please check the URL and try again.');
     }
   }
 
-  buildDocumentationPrompt(repoData, options) {
-    const { metadata, files, readme, packageJson } = repoData;
-    
-    let prompt = `Generate comprehensive documentation for: ${metadata.repoName}\n\n`;
-    prompt += `Project: ${metadata.repoOwner}/${metadata.repoName}\n`;
-    prompt += `Language: ${metadata.language}\n`;
-    prompt += `Framework: ${metadata.framework}\n`;
-    prompt += `Files: ${metadata.fileCount}\n\n`;
+  // Analyses are immutable per repository and commit: serve them from the cache unless options.force is
+  // set, and report whether this one was a hit
+  async withAnalysisCache({ cacheKey, commitHash }, options, analyze) {
+    const cached = await cacheService.get('analysis', cacheKey, { force: options.force });
+    if (cached) {
+      return { ...cached.value, cache: { status: 'hit', key: cacheKey, cachedAt: cached.cachedAt } };
+    }
 
-    // Add key project info
-    if (readme) {
-      prompt += `README:\n${readme.substring(0, 800)}\n\n`;
+    const repoData = await analyze();
+    // The branch may have moved between resolving the commit and reading it
+    if (repoData.metadata?.commitHash === commitHash) {
+      await cacheService.set('analysis', cacheKey, repoData);
     }
+    return { ...repoData, cache: { status: this.getCacheMissStatus(options), key: cacheKey, cachedAt: null } };
+  }
 
-    if (packageJson) {
-      prompt += `Package Info:\n`;
-      prompt += `Name: ${packageJson.name}\n`;
-      prompt += `Description: ${packageJson.description}\n`;
-      if (packageJson.scripts) {
-        prompt += `Scripts: ${Object.keys(packageJson.scripts).join(', ')}\n`;
-      }
-      if (packageJson.dependencies) {
-        prompt += `Dependencies: ${Object.keys(packageJson.dependencies).slice(0, 10).join(', ')}\n`;
-      }
-      prompt += `\n`;
+  getCacheMissStatus(options = {}) {
+    if (!cacheService.enabled) return 'disabled';
+    return options.force ? 'bypassed' : 'miss';
+  }
+
+  // Reads the tree, README, manifest and source excerpts of one commit through the host API
+  async analyzeCommit(provider, ref, repoInfo, { branch, commitHash }, options = {}) {
+    // A package of a monorepo (options.packagePath) is analyzed as if its directory were the repository
+    const scope = this.getPackageScope(options.packagePath);
+    const fullTree = await provider.listTree(ref, commitHash);
+    const tree = scope
+      ? fullTree.filter(file => file.name.startsWith(scope)).map(file => ({ ...file, name: file.name.slice(scope.length) }))
+      : fullTree;
+    if (tree.length === 0) {
+      throw this.createPackageNotFoundError(options.packagePath);
     }
+    const read = (name) => provider.readFile(ref, `${scope}${name}`, commitHash);
 
-    if (files && files.length > 0) {
-      prompt += `Key Files:\n${files.slice(0, 8).map(f => `- ${f.name}`).join('\n')}\n\n`;
+    const readmeFile = tree.find(file => /^readme(\.|$)/i.test(file.name));
+    const readme = readmeFile ? await read(readmeFile.name) || '' : '';
+    if (!readmeFile) {
+      console.log('No README found for this repository');
     }
 
-    prompt += `Generate detailed documentation including:\n`;
-    prompt += `1. Project overview and purpose\n`;
-    prompt += `2. Installation and setup instructions\n`;
-    prompt += `3. Usage guide with examples\n`;
-    prompt += `4. Architecture and key components\n`;
-    prompt += `5. Development and contribution guidelines\n`;
-    prompt += `6. Deployment instructions\n`;
-    prompt += `7. Troubleshooting section\n\n`;
-    prompt += `Make it comprehensive, professional, and project-specific. Include code examples and configuration details. Format in Markdown.`;
+    let packageJson = null;
+    if (tree.some(file => file.name === 'package.json')) {
+      try {
+        packageJson = JSON.parse(await read('package.json'));
+      } catch (error) {
+        console.log('Invalid package.json in this repository');
+      }
+    }
+    const pythonProject = await pythonProjectService.read(tree, read);
+    const language = repoInfo.language || 'Unknown';
+    // Every ecosystem's manifests (go.mod, Cargo.toml, pom.xml, Gemfile, ...) for frameworks and install steps
+    const manifests = await manifestService.read(tree, read, { packageJson, pythonProject, language });
+    const workspace = await workspaceService.detect(tree, read, { packageJson });
+
+    // Root-level files and structure
+    const files = tree
+      .filter(file => !file.name.includes('/'))
+      .map(file => ({
+        name: file.name,
+        size: file.size,
+        language: this.getLanguageFromExtension(file.name.split('.').pop() || 'no-extension'),
+        path: file.name,
+        url: provider.getWebUrl(ref, `${scope}${file.name}`, commitHash)
+      }));
+
+    const framework = this.detectFramework(manifests);
+
+    // Read the most important source files so the model sees code, not just names
+    const { excerpts, selection } = await excerptService.selectExcerpts(
+      tree,
+      (file) => read(file.name),
+      { tokenBudget: options.excerptTokenBudget }
+    );
+
+    // Exported functions, classes and types, parsed from the source
+    const apiReference = await apiReferenceService.extract(
+      tree,
+      read,
+      { packageJson, pythonProject, maxFiles: apiReferenceService.maxApiFiles }
+    );
+    // Environment variables the code reads (the configuration reference) and the scripts of nested packages,
+    // for checking the generated documentation
+    const envVars = await envVarService.extract(tree, read, { maxFiles: envVarService.maxApiFiles });
+    // Dockerfiles, Compose files, CI workflows, Procfile, Helm charts and Kubernetes manifests
+    const deployment = await deploymentService.detect(tree, read);
+    const packageScripts = await verificationService.collectScripts(tree, read);
 
-    return prompt;
+    return {
+      metadata: {
+        repoName: repoInfo.name,
+        repoOwner: repoInfo.owner,
+        branch: branch,
+        commitHash: commitHash,
+        commitUrl: provider.getCommitUrl(ref, commitHash),
+        url: repoInfo.webUrl || provider.getWebUrl(ref),
+        provider: provider.name,
+        host: ref.host,
+        source: 'api',
+        language: language,
+        framework: framework,
+        frameworks: manifests?.frameworks || [],
+        runtimes: manifests?.runtimes || [],
+        package: scope ? this.describeScopedPackage(options.packagePath, packageJson, manifests) : null,
+        workspace: this.describeWorkspace(workspace),
+        fileCount: tree.length,
+        totalLines: repoInfo.size || 0,
+        description: repoInfo.description,
+        topics: repoInfo.topics,
+        stars: repoInfo.stars,
+        forks: repoInfo.forks,
+        lastUpdated: repoInfo.updatedAt,
+        createdAt: repoInfo.createdAt,
+        homepage: repoInfo.homepage,
+        license: repoInfo.license
+      },
+      files: files,
+      // Every path in the tree, for checking the generated documentation
+      paths: tree.map(file => file.name),
+      readme: readme,
+      packageJson: packageJson,
+      pythonProject: pythonProject,
+      manifests: manifests,
+      workspace: workspace,
+      sourceExcerpts: excerpts,
+      apiReference: apiReference,
+      envVars: envVars,
+      deployment: deployment,
+      packageScripts: packageScripts,
+      repoInfo: {
+        name: repoInfo.name,
+        description: repoInfo.description,
+        language: repoInfo.language,
+        stars: repoInfo.stars,
+        forks: repoInfo.forks,
+        issues: repoInfo.openIssues,
+        pullRequests: 0, // Would need additional API call
+        lastCommit: repoInfo.updatedAt,
+        topics: repoInfo.topics
+      },
+      analysis: this.buildAnalysis({ packageJson, pythonProject, manifests, files, readme, language, sourceSelection: selection, apiReference, envVars, deployment })
+    };
   }
 
-  async getAvailableModels() {
+  // Clone-based analysis: works for any git URL or local repository path without api.github.com
+  async analyzeClonedRepository(repoUrl, options = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}/models`, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        }
+      // Clones of known hosts still record the provider so "view on host" links keep working
+      const provider = providerRegistry.resolve(repoUrl, options.provider);
+      const requestedRef = options.ref || options.branch;
+
+      const analyze = () => localRepoService.withClone(repoUrl, { ref: requestedRef }, (checkout) => {
+        const { owner, repo } = localRepoService.parseRepoName(repoUrl);
+        return this.buildLocalRepoData(checkout, {
+          owner,
+          repo,
+          url: repoUrl,
+          source: 'clone',
+          provider: provider?.name,
+          commitUrl: provider && provider.parseUrl(repoUrl)
+            ? provider.getCommitUrl(provider.parseUrl(repoUrl), checkout.commitHash)
+            : null
+        }, options);
       });
-      
-      // Filter to free tier friendly models
-      const freeTierModels = response.data.data.filter(model => 
-        model.id.includes('deepseek') ||
-        model.id.includes('gemini') ||
-        model.id.includes('llama') ||
-        model.id.includes('phi') ||
-        model.id.includes('mistral')
-      ).slice(0, 8); // Limit to 8 models
-      
-      return freeTierModels;
+
+      // ls-remote names the commit without cloning; short hashes and unreachable remotes skip the cache
+      const commitHash = /^[0-9a-f]{40}$/i.test(requestedRef || '')
+        ? requestedRef.toLowerCase()
+        : await localRepoService.resolveRemoteRef(repoUrl, requestedRef || 'HEAD').catch(() => null);
+      if (!commitHash) {
+        return await analyze();
+      }
+
+      const cacheKey = cacheService.getAnalysisKey({ repository: repoUrl, commitHash, source: 'clone', options });
+      return await this.withAnalysisCache({ cacheKey, commitHash }, options, analyze);
     } catch (error) {
-      console.error('Error fetching models:', error);
-      // Return default free models if API fails
-      return [
-        { id: 'openai/gpt-3.5-turbo', name: 'GPT-3.5 Turbo (Free)' },
-        { id: 'google/gemini-pro', name: 'Gemini Pro (Free)' },
-        { id: 'anthropic/claude-3-haiku', name: 'Claude 3 Haiku (Free)' },
-        { id: 'meta-llama/llama-3.1-8b-instruct', name: 'Llama 3.1 (Free)' }
-      ];
+      console.error('Clone analysis error:', error.message);
+      if (error.statusCode) throw error;
+      throw new Error('Failed to clone repository. Please check the URL or path and make sure it is reachable from the server.');
     }
   }
-}
 
-const openRouterService = new OpenRouterService();
+  // Analysis of a plain folder on the server - extracted uploads or local paths that are not git repositories
+  async analyzeDirectory(directoryPath, { name, source = 'upload' } = {}, options = {}) {
+    const checkout = await localRepoService.scanDirectory(directoryPath);
+    if (checkout.files.length === 0) {
+      throw new Error('No files found to analyze');
+    }
 
-// GitHub Service
-class GitHubService {
-  constructor() {
-    this.githubToken = process.env.GITHUB_TOKEN;
-    this.baseURL = 'https://api.github.com';
+    return this.buildLocalRepoData(checkout, {
+      owner: 'local',
+      repo: name || path.basename(directoryPath),
+      url: null,
+      source
+    }, options);
   }
 
-  async analyzeRepository(repoUrl) {
-    try {
-      const urlMatch = repoUrl.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-      if (!urlMatch) {
-        throw new Error('Invalid GitHub URL');
-      }
+  // Builds the same repoData shape as the API mode from a scanned working tree
+  async buildLocalRepoData(fullCheckout, { owner, repo, url, source, provider = null, commitUrl = null }, options = {}) {
+    const checkout = options.packagePath ? localRepoService.scopeCheckout(fullCheckout, this.getPackageScope(options.packagePath)) : fullCheckout;
+    if (checkout.files.length === 0) {
+      throw this.createPackageNotFoundError(options.packagePath);
+    }
 
-      const [_, owner, repo] = urlMatch;
-      
-      // Fetch real repository data from GitHub API
-      const headers = {
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'Doc-Creator-App'
-      };
+    const readmeFile = checkout.files.find(file => /^readme(\.|$)/i.test(file.name));
+    const readme = readmeFile ? await checkout.readFile(readmeFile.name) || '' : '';
 
-      // Only add authorization if token is properly configured
-      if (this.githubToken && this.githubToken !== 'your_github_token_here' && this.githubToken.trim() !== '') {
-        headers['Authorization'] = `token ${this.githubToken}`;
-      }
+    let packageJson = null;
+    try {
+      const packageContent = await checkout.readFile('package.json');
+      if (packageContent) packageJson = JSON.parse(packageContent);
+    } catch (error) {
+      console.log('Invalid package.json in local repository');
+    }
+    const pythonProject = await pythonProjectService.read(checkout.files, (name) => checkout.readFile(name));
 
-      // Get repository information
-      const repoResponse = await axios.get(`${this.baseURL}/repos/${owner}/${repo}`, { headers });
-      const repoData = repoResponse.data;
+    // Root-level files, matching what the API mode lists
+    const files = checkout.files
+      .filter(file => !file.name.includes('/'))
+      .map(file => ({ ...file, language: this.getLanguageFromExtension(file.name.split('.').pop() || 'no-extension') }));
 
-      // Get repository contents
-      const contentsResponse = await axios.get(`${this.baseURL}/repos/${owner}/${repo}/contents`, { headers });
-      const contents = contentsResponse.data;
+    const language = localRepoService.getPrimaryLanguage(checkout.languages);
+    const manifests = await manifestService.read(checkout.files, (name) => checkout.readFile(name), { packageJson, pythonProject, language });
+    const workspace = await workspaceService.detect(checkout.files, (name) => checkout.readFile(name), { packageJson });
+    const framework = this.detectFramework(manifests);
+    const description = packageJson?.description || pythonProject?.description || manifestService.getPrimary(manifests)?.description || '';
 
-      // Get README if it exists
-      let readme = '';
-      try {
-        const readmeResponse = await axios.get(`${this.baseURL}/repos/${owner}/${repo}/readme`, { headers });
-        readme = Buffer.from(readmeResponse.data.content, 'base64').toString('utf-8');
-      } catch (error) {
-        console.log('No README found for this repository');
-      }
+    const { excerpts, selection } = await excerptService.selectExcerpts(
+      checkout.files,
+      (file) => checkout.readFile(file.name),
+      { tokenBudget: options.excerptTokenBudget }
+    );
 
-      // Get package.json if it exists
-      let packageJson = null;
-      try {
-        const packageResponse = await axios.get(`${this.baseURL}/repos/${owner}/${repo}/contents/package.json`, { headers });
-        const packageContent = Buffer.from(packageResponse.data.content, 'base64').toString('utf-8');
-        packageJson = JSON.parse(packageContent);
-      } catch (error) {
-        console.log('No package.json found for this repository');
-      }
+    // Checkouts read from disk, so they parse more files than the host API analysis (maxApiFiles)
+    const apiReference = await apiReferenceService.extract(
+      checkout.files,
+      (name) => checkout.readFile(name),
+      { packageJson, pythonProject, maxFiles: apiReferenceService.maxFiles }
+    );
+    const envVars = await envVarService.extract(checkout.files, (name) => checkout.readFile(name), { maxFiles: envVarService.maxFiles });
+    const deployment = await deploymentService.detect(checkout.files, (name) => checkout.readFile(name));
+    const packageScripts = await verificationService.collectScripts(checkout.files, (name) => checkout.readFile(name));
+    const sourceFiles = await mapReduceService.readSourceFiles(checkout.files, (name) => checkout.readFile(name), options);
 
-      // Analyze files and structure
-      const files = [];
-      const fileTypes = {};
-      
-      for (const item of contents) {
-        if (item.type === 'file') {
-          const ext = item.name.split('.').pop() || 'no-extension';
-          if (!fileTypes[ext]) fileTypes[ext] = [];
-          fileTypes[ext].push(item.name);
-          
-          files.push({
-            name: item.name,
-            size: item.size,
-            language: this.getLanguageFromExtension(ext),
-            path: item.path,
-            url: item.html_url
-          });
-        }
-      }
+    return {
+      metadata: {
+        repoName: repo,
+        repoOwner: owner,
+        branch: checkout.branch,
+        commitHash: checkout.commitHash,
+        commitUrl: commitUrl,
+        url: url,
+        provider: provider,
+        source: source,
+        language: language,
+        framework: framework,
+        frameworks: manifests?.frameworks || [],
+        runtimes: manifests?.runtimes || [],
+        package: options.packagePath ? this.describeScopedPackage(options.packagePath, packageJson, manifests) : null,
+        workspace: this.describeWorkspace(workspace),
+        fileCount: checkout.files.length,
+        totalLines: checkout.totalLines,
+        languages: checkout.languages,
+        description: description,
+        topics: packageJson?.keywords || [],
+        homepage: packageJson?.homepage,
+        license: packageJson?.license
+      },
+      files: files,
+      paths: checkout.files.map(file => file.name),
+      readme: readme,
+      packageJson: packageJson,
+      pythonProject: pythonProject,
+      manifests: manifests,
+      workspace: workspace,
+      sourceExcerpts: excerpts,
+      apiReference: apiReference,
+      envVars: envVars,
+      deployment: deployment,
+      packageScripts: packageScripts,
+      sourceFiles: sourceFiles,
+      repoInfo: {
+        name: repo,
+        description: description,
+        language: language,
+        lastCommit: checkout.commitHash,
+        topics: packageJson?.keywords || []
+      },
+      analysis: this.buildAnalysis({ packageJson, pythonProject, manifests, files, readme, language, sourceSelection: selection, apiReference, envVars, deployment })
+    };
+  }
 
-      // Determine main language and framework
-      const language = repoData.language || 'Unknown';
-      const framework = this.detectFramework(packageJson, files);
-
-      return {
-        metadata: {
-          repoName: repoData.name,
-          repoOwner: repoData.owner.login,
-          branch: repoData.default_branch,
-          url: repoData.html_url,
-          language: language,
-          framework: framework,
-          fileCount: files.length,
-          totalLines: repoData.size || 0,
-          description: repoData.description || '',
-          topics: repoData.topics || [],
-          stars: repoData.stargazers_count,
-          forks: repoData.forks_count,
-          lastUpdated: repoData.updated_at,
-          createdAt: repoData.created_at,
-          homepage: repoData.homepage,
-          license: repoData.license?.name
-        },
-        files: files,
-        readme: readme,
-        packageJson: packageJson,
-        repoInfo: {
-          name: repoData.name,
-          description: repoData.description,
-          language: repoData.language,
-          stars: repoData.stargazers_count,
-          forks: repoData.forks_count,
-          issues: repoData.open_issues_count,
-          pullRequests: 0, // Would need additional API call
-          lastCommit: repoData.updated_at,
-          topics: repoData.topics
-        },
-        analysis: {
-          projectType: this.detectProjectType(packageJson, files, language),
-          architecture: this.detectArchitecture(packageJson, files),
-          mainFeatures: this.extractFeatures(readme, packageJson),
-          keyComponents: this.identifyComponents(files),
-          dependencies: packageJson ? {
-            dependencies: packageJson.dependencies || {},
-            devDependencies: packageJson.devDependencies || {},
-            scripts: packageJson.scripts || {}
-          } : null,
-          fileStructure: this.analyzeFileStructure(files)
-        }
-      };
-    } catch (error) {
-      console.error('GitHub analysis error:', error);
-      if (error.response?.status === 404) {
-        throw new Error('Repository not found. Please check the URL and ensure the repository is public.');
-      } else if (error.response?.status === 403) {
-        throw new Error('Rate limit exceeded. Please try again later or add a GitHub token.');
-      } else if (error.response?.status === 401) {
-        throw new Error('Authentication failed. Please check your GitHub token or try with a public repository.');
-      }
-      throw new Error('Failed to analyze repository. Please check the URL and try again.');
+  // "packages/core" -> "packages/core/"; empty for the whole repository
+  getPackageScope(packagePath) {
+    const normalized = path.posix.normalize(String(packagePath || '').replace(/\\/g, '/')).replace(/^(\.\/)+|^\/+|\/+$/g, '');
+    if (!normalized || normalized === '.') return '';
+    if (normalized.startsWith('..')) {
+      const error = new Error('Package path must be inside the repository');
+      error.statusCode = 400;
+      throw error;
     }
+    return `${normalized}/`;
+  }
+
+  createPackageNotFoundError(packagePath) {
+    const error = new Error(`No files found under ${packagePath} in this repository`);
+    error.statusCode = 404;
+    return error;
+  }
+
+  // Which package of a monorepo a scoped analysis describes
+  describeScopedPackage(packagePath, packageJson, manifests) {
+    const scope = this.getPackageScope(packagePath).replace(/\/$/, '');
+    return {
+      name: packageJson?.name || manifestService.getPrimary(manifests)?.name || path.posix.basename(scope),
+      path: scope
+    };
+  }
+
+  // What document metadata keeps about a monorepo: its tools and package list, without READMEs
+  describeWorkspace(workspace) {
+    if (!workspaceService.hasPackages(workspace)) return null;
+    return {
+      tools: workspace.tools,
+      totalPackages: workspace.totalPackages,
+      packages: workspace.packages.map(({ name, path: packagePath, ecosystem, version, description }) =>
+        ({ name, path: packagePath, ecosystem, version, description }))
+    };
+  }
+
+  buildAnalysis({ packageJson, pythonProject, manifests, files, readme, language, sourceSelection, apiReference, envVars, deployment }) {
+    return {
+      projectType: this.detectProjectType(packageJson, files, language, pythonProject, manifests),
+      architecture: this.detectArchitecture(packageJson, files),
+      mainFeatures: this.extractFeatures(readme, packageJson),
+      keyComponents: this.identifyComponents(files),
+      dependencies: packageJson ? {
+        dependencies: packageJson.dependencies || {},
+        devDependencies: packageJson.devDependencies || {},
+        scripts: packageJson.scripts || {}
+      } : manifestService.getDependencySummary(manifests),
+      fileStructure: this.analyzeFileStructure(files),
+      sourceSelection,
+      apiReference: apiReference ? { ...apiReference.stats, truncated: apiReference.truncated } : null,
+      moduleGraph: apiReference?.graph ? {
+        ...apiReference.graph.stats,
+        directoryEdges: apiReference.graph.directoryEdges,
+        cycles: apiReference.graph.cycles,
+        external: apiReference.graph.external.slice(0, dependencyGraphService.maxExternal)
+      } : null,
+      // Counts only - the variables themselves are repoData.envVars
+      configuration: envVars ? {
+        variables: envVars.variables.length,
+        required: envVars.variables.filter(variable => variable.required === true).length,
+        withDefaults: envVars.variables.filter(variable => variable.default !== null).length,
+        exampleFiles: envVars.exampleFiles,
+        filesScanned: envVars.filesScanned,
+        truncated: envVars.truncated
+      } : null,
+      deployment: deployment ? {
+        files: deployment.files,
+        dockerfiles: deployment.dockerfiles.length,
+        composeServices: deployment.compose.reduce((count, compose) => count + compose.services.length, 0),
+        pipelines: deployment.pipelines.map(pipeline => ({ provider: pipeline.provider, name: pipeline.name, jobs: pipeline.jobs.length })),
+        processes: deployment.processes.length,
+        helmCharts: deployment.helmCharts.length,
+        kubernetesObjects: deployment.kubernetes.length
+      } : null
+    };
   }
 
   getLanguageFromExtension(ext) {
@@ -409,40 +659,35 @@ class GitHubService {
     return languageMap[ext] || 'Unknown';
   }
 
-  detectFramework(packageJson, files) {
-    if (!packageJson) return 'Unknown';
-    
-    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
-    
-    if (dependencies.react) return 'React';
-    if (dependencies.vue) return 'Vue.js';
-    if (dependencies.angular) return 'Angular';
-    if (dependencies.express) return 'Express.js';
-    if (dependencies.next) return 'Next.js';
-    if (dependencies.nuxt) return 'Nuxt.js';
-    if (dependencies.gatsby) return 'Gatsby';
-    if (dependencies.django) return 'Django';
-    if (dependencies.flask) return 'Flask';
-    if (dependencies.fastapi) return 'FastAPI';
-    if (dependencies.spring) return 'Spring Boot';
-    if (dependencies.laravel) return 'Laravel';
-    if (dependencies.symfony) return 'Symfony';
-    
-    return 'Unknown';
+  // The main framework: what the primary ecosystem's manifest declares or depends on
+  detectFramework(manifests) {
+    return manifests?.frameworks[0] || 'Unknown';
   }
 
-  detectProjectType(packageJson, files, language) {
+  detectProjectType(packageJson, files, language, pythonProject, manifests) {
     if (packageJson?.dependencies?.react || files.some(f => f.name.includes('App.js'))) {
       return 'React Application';
     }
     if (packageJson?.dependencies?.express) {
       return 'Node.js Backend';
     }
-    if (language === 'Python' && files.some(f => f.name.includes('requirements.txt'))) {
+    if (pythonProject?.name && pythonProject.manifests.some(name => pythonProjectService.manifests.includes(name))) {
+      return 'Python Package';
+    }
+    if (pythonProject || (language === 'Python' && files.some(f => f.name.includes('requirements.txt')))) {
       return 'Python Application';
     }
-    if (language === 'Java' && files.some(f => f.name.includes('pom.xml'))) {
-      return 'Java Application';
+    const projectTypes = {
+      go: 'Go Application',
+      rust: 'Rust Application',
+      java: 'Java Application',
+      php: 'PHP Application',
+      ruby: 'Ruby Application',
+      dotnet: '.NET Application'
+    };
+    const primary = manifestService.getPrimary(manifests);
+    if (primary && projectTypes[primary.ecosystem]) {
+      return projectTypes[primary.ecosystem];
     }
     return 'Web Application';
   }
@@ -518,7 +763,7 @@ class GitHubService {
   }
 }
 
-const githubService = new GitHubService();
+const repositoryService = new RepositoryService();
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -527,81 +772,408 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
     openrouter: process.env.OPENROUTER_API_KEY ? 'Configured' : 'Not configured',
+    llmProvider: llmProviders.defaultName,
     mongodb: isMongoConnected ? 'Connected' : 'Disconnected',
-    storage: isMongoConnected ? 'MongoDB' : 'In-Memory'
+    storage: isMongoConnected ? 'MongoDB' : 'In-Memory',
+    jobs: jobQueue.getStats()
   });
 });
 
-// Real AI generation endpoint
-app.post('/api/ai/generate', async (req, res) => {
+// Placeholder document shown while a generation is queued or streaming. workspace marks the document of one
+// package of a monorepo ({ role: 'package', indexId, name, path }).
+async function createProcessingDocument({ repoUrl, repoData, options = {}, user, workspace = null }) {
+  const githubName = (repoUrl || '').match(/github\.com\/[^\/]+\/([^\/#?]+)/)?.[1];
+  const repoName = repoData?.metadata?.repoName ||
+    (githubName || (repoUrl ? localRepoService.parseRepoName(repoUrl).repo : 'Repository')).replace(/\.git$/, '');
+
+  return createDocument({
+    title: workspace ? `${workspace.name} Documentation` : `${repoName} Documentation`,
+    description: workspace
+      ? `AI-generated documentation for the ${workspace.name} package of ${repoName}`
+      : `AI-generated documentation for ${repoName}`,
+    workspace,
+    githubUrl: repoData?.metadata?.url || repoUrl,
+    content: '',
+    metadata: repoData?.metadata || {},
+    sourceSelection: repoData?.analysis?.sourceSelection || null,
+    openApi: openApiService.buildSpec(repoData),
+    aiModel: options.model,
+    // force only applies to this request - later section regenerations and updates may use the cache
+    generationOptions: Object.fromEntries(Object.entries(options).filter(([key]) => key !== 'force')),
+    status: 'processing',
+    processingTime: 0,
+    tags: getDocumentTags(repoData),
+    createdBy: user,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+}
+
+// Language, frameworks and ecosystems, and whether the repository is a monorepo
+function getDocumentTags(repoData) {
+  const tags = manifestService.getTags(repoData?.manifests, repoData?.metadata?.language);
+  return workspaceService.hasPackages(repoData?.workspace) ? [...tags, 'Monorepo'] : tags;
+}
+
+async function applyAnalysisToDocument(documentId, repoData, repoUrl) {
+  return updateDocument(documentId, {
+    githubUrl: repoData.metadata?.url || repoUrl,
+    metadata: repoData.metadata || {},
+    sourceSelection: repoData.analysis?.sourceSelection || null,
+    openApi: openApiService.buildSpec(repoData),
+    tags: getDocumentTags(repoData)
+  });
+}
+
+// Requests may name who is generating (X-User-Id header) for per-user usage reports
+function getRequestUser(req) {
+  return req.get('X-User-Id') || req.body?.createdBy || 'anonymous';
+}
+
+// Adds an operation's tokens and spend to a document's running total
+function addCost(total, cost) {
+  if (!cost) return total || null;
+  if (!total) return cost;
+
+  return {
+    promptTokens: total.promptTokens + cost.promptTokens,
+    completionTokens: total.completionTokens + cost.completionTokens,
+    totalTokens: total.totalTokens + cost.totalTokens,
+    cost: Math.round((total.cost + cost.cost) * 1e6) / 1e6,
+    currency: 'USD',
+    unpricedModels: [...new Set([...(total.unpricedModels || []), ...(cost.unpricedModels || [])])]
+  };
+}
+
+// Writes an operation's model calls to the usage ledger and prices it and its passes. Accounting
+// problems are logged but never fail the generation itself.
+async function accountUsage(providerName, { calls = [], passes = [] }, { documentId, repository, user, operation }) {
   try {
-    const { repoData, options = {} } = req.body;
-    
-    const startTime = Date.now();
-    
-    // Generate documentation using OpenRouter API
-    const aiResult = await openRouterService.generateDocumentation(repoData, options);
-    
-    const processingTime = Date.now() - startTime;
-    
-    // Create document object
-    const documentData = {
-      title: `${repoData?.metadata?.repoName || 'Repository'} Documentation`,
-      description: `AI-generated documentation for ${repoData?.metadata?.repoName || 'repository'}`,
-      githubUrl: repoData?.metadata?.url,
+    await usageService.record(providerName, calls, { documentId, repository, user, operation });
+    return await usageService.priceResult(providerName, { calls, passes });
+  } catch (error) {
+    console.error('Error recording usage:', error.message);
+    return { cost: null, passes };
+  }
+}
+
+// "One document per package" (options.workspaceMode === 'packages') for a monorepo: the repository's own
+// document becomes the package index, and every package gets a document of its own, queued to be generated
+// from its directory. Needs a repository URL to analyze the packages from, so uploads only get the index.
+async function createPackageDocuments(indexDocumentId, { repoUrl, repoData, options, user }) {
+  if (options.workspaceMode !== 'packages' || options.packagePath || !repoUrl ||
+    !workspaceService.hasPackages(repoData.workspace)) {
+    return null;
+  }
+
+  const packages = [];
+  const skipped = [];
+  for (const item of repoData.workspace.packages) {
+    try {
+      // Every package is a generation of its own, so a spent budget stops it from being queued. The index
+      // itself was already admitted and still finishes, listing what was left out.
+      await usageService.assertWithinBudget();
+
+      const packageOptions = { ...options, packagePath: item.path };
+      const document = await createProcessingDocument({
+        repoUrl,
+        options: packageOptions,
+        user,
+        workspace: { role: 'package', indexId: indexDocumentId, name: item.name, path: item.path }
+      });
+
+      const documentId = String(document._id);
+      jobQueue.enqueue(documentId, (job) => runGenerationJob(job, documentId, { repoUrl, options: packageOptions, user }));
+      packages.push({ name: item.name, path: item.path, documentId });
+    } catch (error) {
+      console.error(`Skipping package document for ${item.path}:`, error.message);
+      skipped.push({ name: item.name, path: item.path, reason: error.message });
+    }
+  }
+
+  await updateDocument(indexDocumentId, { workspace: { role: 'index', packages, skipped } });
+  return packages;
+}
+
+// Runs the generation for the request, or serves an identical earlier one from the cache
+async function generateDocumentationContent(repoData, requestOptions = {}, { onToken, onProgress, signal } = {}) {
+  // A prompt template supplies the prompt plus default settings and sections
+  const template = await templateService.resolve(requestOptions);
+  const options = templateService.applyTemplate(requestOptions, template, repoData);
+
+  // Retries and model fallback apply to every pass; llm.attempts records which models were tried and
+  // llm.calls what each successful call used, for cost accounting
+  const llm = llmProviders.createClient(options.llmProvider, options);
+
+  // Same analysis, rendered prompt, provider, model and options - the model would only say it again
+  const cacheKey = cacheService.getGenerationKey(repoData, options, llm.name);
+  const cached = await cacheService.get('generation', cacheKey, { force: options.force });
+  if (cached) {
+    if (onToken) onToken(cached.value.content, cached.value.content);
+    return {
+      ...cached.value,
+      modelAttempts: [],
+      calls: [],
+      llmProvider: llm.name,
+      cache: { status: 'hit', key: cacheKey, cachedAt: cached.cachedAt }
+    };
+  }
+
+  const result = await runDocumentationPipeline(repoData, options, llm, { onToken, onProgress, signal });
+  await cacheService.set('generation', cacheKey, result);
+
+  return {
+    ...result,
+    modelAttempts: llm.attempts,
+    calls: llm.calls,
+    llmProvider: llm.name,
+    cache: { status: repositoryService.getCacheMissStatus(options), key: cacheKey, cachedAt: null }
+  };
+}
+
+// Picks the single-prompt or multi-pass pipeline based on the requested strategy
+async function runDocumentationPipeline(repoData, options, llm, { onToken, onProgress, signal }) {
+  if (options.strategy === 'map-reduce') {
+    const result = await mapReduceService.generateDocumentation(repoData, options, {
+      llm,
+      onToken,
+      onProgress,
+      signal
+    });
+    return applyExtractedSections(result, repoData, options, onToken);
+  }
+
+  if (options.strategy === 'sections') {
+    return sectionService.generateDocumentation(repoData, options, {
+      llm,
+      onToken,
+      onProgress,
+      signal
+    });
+  }
+
+  const request = buildDocumentationRequest(repoData, options, llm);
+  const result = onToken
+    ? await llm.streamCompletion(request, { onToken, signal })
+    : await llm.createCompletion(request);
+
+  return applyExtractedSections({
+    ...result,
+    passes: [{ pass: 'single', index: 1, model: result.model, usage: result.usage }],
+    coverage: { strategy: 'single' }
+  }, repoData, options, onToken);
+}
+
+// Merges what analysis extracted (package index, configuration reference, import graph, deployment, API
+// reference) into single-prompt and map-reduce output - the sections strategy renders these as sections of their own
+function applyExtractedSections(result, repoData, options, onToken) {
+  return [applyWorkspaceIndex, applyConfiguration, applyDependencyGraph, applyDeployment, applyApiReference]
+    .reduce((current, apply) => apply(current, repoData, options, onToken), result);
+}
+
+// Puts a monorepo's package index into single-prompt and map-reduce output after the overview (the sections
+// strategy renders it as its own section)
+function applyWorkspaceIndex(result, repoData, options, onToken) {
+  const markdown = workspaceService.renderMarkdown(repoData.workspace, { diagrams: options.diagrams !== false });
+  if (!markdown) return result;
+
+  const { content, appended } = workspaceService.mergeIntoContent(result.content || '', markdown);
+  if (onToken && appended) onToken(appended, content);
+  return { ...result, content };
+}
+
+// Puts the configuration table built from the environment variables the code reads into single-prompt and
+// map-reduce output, in place of the model's own configuration section
+function applyConfiguration(result, repoData, options, onToken) {
+  const markdown = envVarService.renderMarkdown(repoData.envVars);
+  if (!markdown) return result;
+
+  const { content, appended } = envVarService.mergeIntoContent(result.content || '', markdown);
+  if (onToken && appended) onToken(appended, content);
+  return { ...result, content };
+}
+
+// Puts the deployment section built from the Dockerfiles, Compose files, CI workflows and manifests into
+// single-prompt and map-reduce output, in place of the model's own deployment section
+function applyDeployment(result, repoData, options, onToken) {
+  const markdown = deploymentService.renderMarkdown(repoData.deployment, { diagrams: options.diagrams !== false });
+  if (!markdown) return result;
+
+  const { content, appended } = deploymentService.mergeIntoContent(result.content || '', markdown);
+  if (onToken && appended) onToken(appended, content);
+  return { ...result, content };
+}
+
+// Puts the API reference rendered from source into single-prompt and map-reduce output, in place of
+// whatever the model wrote about the API (the sections strategy renders it as its own section)
+function applyApiReference(result, repoData, options, onToken) {
+  if (options.apiReference === false) return result;
+
+  const markdown = apiReferenceService.renderMarkdown(repoData.apiReference);
+  if (!markdown) return result;
+
+  const { content, appended } = apiReferenceService.mergeIntoContent(result.content || '', markdown);
+  if (onToken && appended) onToken(appended, content);
+  return { ...result, content };
+}
+
+// Adds the import graph diagrams to the architecture section of single-prompt and map-reduce output (the
+// sections strategy adds them to its architecture section)
+function applyDependencyGraph(result, repoData, options, onToken) {
+  if (options.diagrams === false) return result;
+
+  const markdown = dependencyGraphService.renderMarkdown(repoData.apiReference?.graph);
+  if (!markdown) return result;
+
+  const { content, appended } = dependencyGraphService.mergeIntoContent(result.content || '', markdown);
+  if (onToken && appended) onToken(appended, content);
+  return { ...result, content };
+}
+
+// Checks the scripts, paths, environment variables and routes the content mentions against the analysis
+// (options.verify === false turns this off)
+function verifyContent(content, repoData, options = {}) {
+  return options.verify === false ? null : verificationService.verify(content, repoData);
+}
+
+// Analyzes a document's repository at commitHash with the options it was generated with (a cache hit unless
+// the commit is new)
+function analyzeDocumentCommit(document, commitHash) {
+  return repositoryService.analyzeRepository(document.githubUrl, {
+    ...document.generationOptions,
+    provider: document.generationOptions?.provider || document.metadata?.provider,
+    ref: commitHash || document.generationOptions?.ref
+  });
+}
+
+// Checks a document's content against its repository at commitHash - for content that changed without a
+// fresh analysis at hand
+async function verifyDocument(document, content, commitHash) {
+  return verificationService.verify(content, await analyzeDocumentCommit(document, commitHash));
+}
+
+// Background generation worker - analyzes (if needed) and generates, then settles the document
+async function runGenerationJob(job, documentId, { repoUrl, repoData, options, user }) {
+  const startTime = Date.now();
+  const usageContext = () => ({ documentId, repository: repoData?.metadata?.url || repoUrl, user, operation: 'generation' });
+
+  try {
+    if (!repoData) {
+      job.stage = 'analyzing';
+      repoData = await repositoryService.analyzeRepository(repoUrl, options);
+
+      await applyAnalysisToDocument(documentId, repoData, repoUrl);
+    }
+    await createPackageDocuments(documentId, { repoUrl, repoData, options, user });
+
+    job.stage = 'generating';
+    const aiResult = await generateDocumentationContent(repoData, options, {
+      onProgress: (stage, detail) => {
+        job.stage = stage;
+        job.progress = detail || null;
+      }
+    });
+    const { cost, passes } = await accountUsage(aiResult.llmProvider, aiResult, usageContext());
+
+    await updateDocument(documentId, {
       content: aiResult.content,
-      metadata: repoData?.metadata || {},
       aiModel: aiResult.model,
+      usage: aiResult.usage,
+      finishReason: aiResult.finishReason,
+      passes,
+      coverage: aiResult.coverage || null,
+      sections: aiResult.sections || [],
+      modelAttempts: aiResult.modelAttempts || [],
+      cost,
+      cache: { analysis: repoData.cache || null, generation: aiResult.cache || null },
+      verification: verifyContent(aiResult.content, repoData, options),
       status: 'completed',
-      processingTime,
-      tags: [repoData?.metadata?.language, repoData?.metadata?.framework].filter(Boolean),
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    
-    let savedDocument;
-    
-    if (isMongoConnected && Document) {
-      // Save to MongoDB
-      const document = new Document(documentData);
-      savedDocument = await document.save();
-    } else {
-      // Save to in-memory storage
-      savedDocument = {
-        _id: `mem_${documentCounter++}`,
-        ...documentData
-      };
-      inMemoryDocuments.push(savedDocument);
+      error: null,
+      processingTime: Date.now() - startTime
+    });
+  } catch (error) {
+    const { cost } = await accountUsage(error.llmProvider || options.llmProvider, error, usageContext());
+
+    await updateDocument(documentId, {
+      status: 'failed',
+      error: error.message,
+      modelAttempts: error.attempts || [],
+      cost,
+      processingTime: Date.now() - startTime
+    });
+    throw error;
+  }
+}
+
+// Queue AI generation - returns immediately with the processing document
+app.post('/api/ai/generate', async (req, res) => {
+  try {
+    const { repoUrl, repoData, options = {} } = req.body;
+
+    if (!repoData && !repoUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either repoUrl or repoData is required'
+      });
     }
-    
-    res.json({
+
+    // Fail fast on an unknown LLM provider or a spent budget instead of inside the job
+    llmProviders.resolve(options.llmProvider);
+    await usageService.assertWithinBudget();
+
+    const user = getRequestUser(req);
+    const document = await createProcessingDocument({ repoUrl, repoData, options, user });
+
+    const documentId = String(document._id);
+    const job = jobQueue.enqueue(documentId, (job) =>
+      runGenerationJob(job, documentId, { repoUrl, repoData, options, user })
+    );
+
+    res.status(202).json({
       success: true,
       data: {
-        document: savedDocument,
-        aiResult
+        document,
+        jobId: job.id,
+        queuePosition: jobQueue.getQueuePosition(job.id)
       }
     });
   } catch (error) {
     console.error('AI generation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Real GitHub analysis endpoint
-app.post('/api/github/analyze', async (req, res) => {
+// Generation job status
+app.get('/api/ai/status/:documentId', async (req, res) => {
   try {
-    const { repoUrl } = req.body;
-    const repoData = await githubService.analyzeRepository(repoUrl);
-    
+    const { documentId } = req.params;
+    const document = await findDocumentById(documentId);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const job = jobQueue.getJob(documentId);
+
     res.json({
       success: true,
-      data: repoData
+      data: {
+        documentId,
+        status: document.status,
+        stage: job && ['queued', 'running'].includes(job.status) ? job.stage : document.status,
+        queuePosition: jobQueue.getQueuePosition(documentId),
+        progress: job?.progress || null,
+        error: document.error || null,
+        processingTime: document.processingTime || 0,
+        startedAt: job?.startedAt || null,
+        updatedAt: document.updatedAt
+      }
     });
   } catch (error) {
-    console.error('GitHub analysis error:', error);
+    console.error('Error fetching generation status:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -609,30 +1181,355 @@ app.post('/api/github/analyze', async (req, res) => {
   }
 });
 
-// Real AI models endpoint
-app.get('/api/ai/models', async (req, res) => {
-  try {
-    const models = await openRouterService.getAvailableModels();
-    
-    // Filter to popular models
-    const popularModels = models.filter(model => 
-      model.id.includes('claude') || 
-      model.id.includes('gpt') || 
-      model.id.includes('gemini')
-    ).slice(0, 10);
-    
-    res.json({
-      success: true,
-      data: popularModels
+// Stream AI generation over Server-Sent Events, persisting partial content as it arrives
+app.post('/api/ai/generate/stream', async (req, res) => {
+  const { repoUrl, options = {} } = req.body;
+  let { repoData } = req.body;
+
+  if (!repoData && !repoUrl) {
+    return res.status(400).json({
+      success: false,
+      error: 'Either repoUrl or repoData is required'
     });
+  }
+
+  try {
+    llmProviders.resolve(options.llmProvider);
+    await usageService.assertWithinBudget();
   } catch (error) {
-    console.error('Error fetching models:', error);
-    res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
-});
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // Abort the upstream request if the browser goes away or the user cancels
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  const startTime = Date.now();
+  const persistIntervalMs = 2000;
+  let documentId = null;
+  let lastPersistedAt = 0;
+  let pendingPersist = null;
+  let streamedContent = '';
+  const user = getRequestUser(req);
+  const usageContext = () => ({ documentId, repository: repoData?.metadata?.url || repoUrl, user, operation: 'generation' });
+
+  try {
+    const document = await createProcessingDocument({ repoUrl, repoData, options, user });
+    documentId = String(document._id);
+    sendEvent('document', { document });
+
+    if (!repoData) {
+      sendEvent('stage', { stage: 'analyzing' });
+      repoData = await repositoryService.analyzeRepository(repoUrl, options);
+
+      await applyAnalysisToDocument(documentId, repoData, repoUrl);
+    }
+
+    const packages = await createPackageDocuments(documentId, { repoUrl, repoData, options, user });
+    if (packages) sendEvent('packages', { packages });
+
+    sendEvent('stage', { stage: 'generating' });
+
+    const aiResult = await generateDocumentationContent(repoData, options, {
+      signal: abortController.signal,
+      onProgress: (stage, detail) => sendEvent('stage', { stage, ...detail }),
+      onToken: (delta) => {
+        streamedContent += delta;
+        const content = streamedContent;
+        sendEvent('token', { delta });
+
+        // Throttle partial saves so a long stream doesn't hammer the database
+        if (Date.now() - lastPersistedAt >= persistIntervalMs && !pendingPersist) {
+          lastPersistedAt = Date.now();
+          pendingPersist = updateDocument(documentId, { content })
+            .catch(error => console.error('Error persisting partial content:', error.message))
+            .finally(() => { pendingPersist = null; });
+        }
+      }
+    });
+
+    await pendingPersist;
+    const { cost, passes } = await accountUsage(aiResult.llmProvider, aiResult, usageContext());
+
+    const finalDocument = await updateDocument(documentId, {
+      content: aiResult.content,
+      aiModel: aiResult.model,
+      usage: aiResult.usage,
+      finishReason: aiResult.finishReason,
+      passes,
+      coverage: aiResult.coverage || null,
+      sections: aiResult.sections || [],
+      modelAttempts: aiResult.modelAttempts || [],
+      cost,
+      cache: { analysis: repoData.cache || null, generation: aiResult.cache || null },
+      verification: verifyContent(aiResult.content, repoData, options),
+      status: 'completed',
+      error: null,
+      processingTime: Date.now() - startTime
+    });
+
+    sendEvent('done', {
+      document: finalDocument,
+      passes,
+      usage: aiResult.usage,
+      cost,
+      cache: aiResult.cache,
+      finishReason: aiResult.finishReason
+    });
+  } catch (error) {
+    console.error('AI streaming error:', error.message);
+    await pendingPersist;
+
+    if (documentId) {
+      const { cost } = await accountUsage(error.llmProvider || options.llmProvider, error, usageContext());
+      const updates = {
+        status: 'failed',
+        error: error.message,
+        modelAttempts: error.attempts || [],
+        cost,
+        processingTime: Date.now() - startTime
+      };
+      if (error.cancelled) {
+        updates.content = error.partialContent;
+        updates.finishReason = 'cancelled';
+      }
+      await updateDocument(documentId, updates).catch(updateError =>
+        console.error('Error settling streamed document:', updateError.message)
+      );
+    }
+
+    sendEvent('error', { error: error.message, documentId });
+  } finally {
+    res.end();
+  }
+});
+
+// Real GitHub analysis endpoint
+app.post('/api/github/analyze', async (req, res) => {
+  try {
+    const { repoUrl, ref, excerptTokenBudget, analysisMode, branch, provider, force } = req.body;
+    const repoData = await repositoryService.analyzeRepository(repoUrl, {
+      ref,
+      branch,
+      excerptTokenBudget,
+      analysisMode,
+      provider,
+      force
+    });
+    
+    res.json({
+      success: true,
+      data: repoData
+    });
+  } catch (error) {
+    console.error('Repository analysis error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+const archiveUpload = multer({
+  dest: path.join(process.env.TEMP_DIR || './temp', 'uploads'),
+  limits: { fileSize: archiveService.maxUploadBytes, files: 1 }
+});
+
+// Analyze an uploaded .zip/.tar.gz project, or a folder on the server when ALLOW_LOCAL_PATHS is enabled
+app.post('/api/upload/analyze', (req, res, next) => {
+  archiveUpload.single('archive')(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge
+          ? `Archive exceeds the ${Math.round(archiveService.maxUploadBytes / (1024 * 1024))}MB upload limit`
+          : error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  let extractedDir = null;
+
+  try {
+    const { localPath, excerptTokenBudget } = req.body;
+    let repoData;
+
+    if (req.file) {
+      extractedDir = await archiveService.extract(req.file.path, req.file.originalname);
+      const projectRoot = await archiveService.findProjectRoot(extractedDir);
+
+      repoData = await repositoryService.analyzeDirectory(projectRoot, {
+        name: archiveService.getProjectName(req.file.originalname),
+        source: 'upload'
+      }, { excerptTokenBudget });
+    } else if (localPath) {
+      if (process.env.ALLOW_LOCAL_PATHS !== 'true') {
+        return res.status(403).json({
+          success: false,
+          error: 'Analyzing local folders is disabled. Set ALLOW_LOCAL_PATHS=true on the server to enable it.'
+        });
+      }
+
+      const directoryPath = path.resolve(localPath);
+      if (!fs.existsSync(directoryPath) || !fs.statSync(directoryPath).isDirectory()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Local path does not exist or is not a folder'
+        });
+      }
+
+      repoData = await repositoryService.analyzeDirectory(directoryPath, {
+        name: path.basename(directoryPath),
+        source: 'local'
+      }, { excerptTokenBudget });
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload an archive or provide a localPath'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: repoData
+    });
+  } catch (error) {
+    console.error('Upload analysis error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    if (req.file) await archiveService.cleanup(req.file.path);
+    await archiveService.cleanup(extractedDir);
+  }
+});
+
+// Real AI models endpoint
+app.get('/api/ai/models', async (req, res) => {
+  try {
+    const llm = llmProviders.resolve(req.query.provider);
+    const models = (await llm.listModels()).slice(0, 10);
+
+    res.json({
+      success: true,
+      data: models
+    });
+  } catch (error) {
+    console.error('Error fetching models:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// LLM providers generation can target (OpenRouter, an OpenAI-compatible server, the offline mock)
+app.get('/api/ai/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: llmProviders.list()
+  });
+});
+
+// Token usage and spend, grouped by day, model, repository, user or document
+app.get('/api/usage', async (req, res) => {
+  try {
+    const { groupBy = 'day', from, to } = req.query;
+    const parseDate = (value, name) => {
+      if (!value) return undefined;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        const error = new Error(`${name} must be a date, e.g. 2024-01-31`);
+        error.statusCode = 400;
+        throw error;
+      }
+      return date;
+    };
+
+    res.json({
+      success: true,
+      data: await usageService.aggregate({ groupBy, from: parseDate(from, 'from'), to: parseDate(to, 'to') })
+    });
+  } catch (error) {
+    console.error('Error aggregating usage:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Spend against the monthly budget (USAGE_MONTHLY_BUDGET_USD)
+app.get('/api/usage/budget', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await usageService.getBudgetStatus()
+    });
+  } catch (error) {
+    console.error('Error fetching budget:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Cache size, hit counts and limits
+app.get('/api/cache', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await cacheService.getStatus()
+    });
+  } catch (error) {
+    console.error('Error fetching cache status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Empty the cache, or only analyses or generations (?kind=)
+app.delete('/api/cache', async (req, res) => {
+  try {
+    const removed = await cacheService.clear(req.query.kind);
+    res.json({
+      success: true,
+      data: { removed }
+    });
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
 // Real export endpoint
 app.post('/api/export/:documentId', async (req, res) => {
@@ -654,10 +1551,7 @@ app.post('/api/export/:documentId', async (req, res) => {
     
     const filename = `doc-${documentId}-${Date.now()}`;
     const exportData = {
-      format: format,
-      url: `/uploads/${filename}.${format}`,
-      filePath: `./uploads/${filename}.${format}`,
-      size: document.content.length,
+      ...(await exportService.exportDocument(document.content || '', filename, format)),
       createdAt: new Date()
     };
     
@@ -680,7 +1574,7 @@ app.post('/api/export/:documentId', async (req, res) => {
     });
   } catch (error) {
     console.error('Export error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -690,7 +1584,9 @@ app.post('/api/export/:documentId', async (req, res) => {
 // Get all documents
 app.get('/api/docs', async (req, res) => {
   try {
-    const { page = 1, limit = 12, search, status } = req.query;
+    // grouped=true leaves out the documents of monorepo packages (they are listed with their index document);
+    // indexId lists the package documents of one index document
+    const { page = 1, limit = 12, search, status, stale, grouped, indexId } = req.query;
     const skip = (page - 1) * limit;
     
     let documents = [];
@@ -708,6 +1604,15 @@ app.get('/api/docs', async (req, res) => {
       if (status) {
         query.status = status;
       }
+      if (stale === 'true') {
+        query['staleness.isStale'] = true;
+      }
+      if (grouped === 'true') {
+        query['workspace.role'] = { $ne: 'package' };
+      }
+      if (indexId) {
+        query['workspace.indexId'] = indexId;
+      }
       
       documents = await Document.find(query)
         .sort({ createdAt: -1 })
@@ -717,8 +1622,17 @@ app.get('/api/docs', async (req, res) => {
       total = await Document.countDocuments(query);
     } else {
       // Use in-memory storage
-      documents = inMemoryDocuments
+      const matching = inMemoryDocuments
         .filter(doc => {
+          if (stale === 'true' && !doc.staleness?.isStale) {
+            return false;
+          }
+          if (grouped === 'true' && doc.workspace?.role === 'package') {
+            return false;
+          }
+          if (indexId && doc.workspace?.indexId !== indexId) {
+            return false;
+          }
           if (search) {
             return doc.title.toLowerCase().includes(search.toLowerCase()) ||
                    doc.description.toLowerCase().includes(search.toLowerCase());
@@ -728,10 +1642,10 @@ app.get('/api/docs', async (req, res) => {
           }
           return true;
         })
-        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-        .slice(skip, skip + parseInt(limit));
-      
-      total = inMemoryDocuments.length;
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      documents = matching.slice(skip, skip + parseInt(limit));
+      total = matching.length;
     }
     
     res.json({
@@ -784,6 +1698,590 @@ app.get('/api/docs/:id', async (req, res) => {
   }
 });
 
+// OpenAPI document of the HTTP routes found in the source, as a download (?format=json|yaml)
+app.get('/api/docs/:id/openapi', async (req, res) => {
+  try {
+    const document = await findDocumentById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    if (!document.openApi) {
+      return res.status(404).json({ success: false, error: 'No HTTP routes were found in this repository' });
+    }
+
+    const format = req.query.format || 'json';
+    const { body, contentType } = openApiService.serialize(document.openApi, format);
+    const name = (document.metadata?.repoName || 'api').replace(/[^\w.-]+/g, '-');
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${name}-openapi.${format}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('OpenAPI export error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Check the document's scripts, paths, environment variables and routes against its commit again
+app.post('/api/docs/:id/verify', async (req, res) => {
+  try {
+    const document = await findDocumentById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    if (!document.githubUrl || !document.content) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only documents generated from a repository can be verified'
+      });
+    }
+
+    const verification = await verifyDocument(document, document.content, document.metadata?.commitHash);
+    await updateDocument(document._id, { verification });
+
+    res.json({
+      success: true,
+      data: verification
+    });
+  } catch (error) {
+    console.error('Verification error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Regenerate a single documentation section, keeping the others untouched
+app.post('/api/docs/:id/sections/:key/regenerate', async (req, res) => {
+  try {
+    const { id, key } = req.params;
+    const { model, temperature, instructions } = req.body;
+
+    const document = await findDocumentById(id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const sections = document.sections || [];
+    const existing = sections.find(section => section.key === key);
+    if (!existing) {
+      return res.status(404).json({ error: 'Section not found' });
+    }
+
+    if (!document.githubUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Document has no repository to regenerate from'
+      });
+    }
+
+    await usageService.assertWithinBudget();
+
+    const repoData = await repositoryService.analyzeRepository(document.githubUrl, {
+      ...document.generationOptions,
+      provider: document.generationOptions?.provider || document.metadata?.provider,
+      // Keep every section describing the commit the document was generated from
+      ref: document.metadata?.commitHash || document.generationOptions?.ref
+    });
+    const llm = llmProviders.createClient(document.generationOptions?.llmProvider, document.generationOptions || {});
+    const usageContext = { documentId: id, repository: document.githubUrl, user: getRequestUser(req), operation: 'section' };
+    let generated;
+    try {
+      generated = await sectionService.generateSection(repoData, {
+        ...existing,
+        model: model || existing.model,
+        temperature: temperature ?? existing.temperature,
+        instructions: instructions || existing.instructions
+      }, document.generationOptions || {}, { llm });
+    } catch (error) {
+      const { cost } = await accountUsage(llm.name, error, usageContext);
+      if (cost) await updateDocument(id, { cost: addCost(document.cost, cost) });
+      throw error;
+    }
+
+    const { cost } = await accountUsage(llm.name, { calls: llm.calls }, usageContext);
+    const section = { ...generated, cost: cost?.cost ?? null };
+
+    const updatedSections = sections.map(item => item.key === key ? section : item);
+    const content = sectionService.assembleContent(sectionService.getDocumentName(document.metadata), updatedSections);
+    const updatedDocument = await updateDocument(id, {
+      sections: updatedSections,
+      content,
+      verification: verifyContent(content, repoData, document.generationOptions || {}),
+      cost: addCost(document.cost, cost)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        document: updatedDocument,
+        section
+      }
+    });
+  } catch (error) {
+    console.error('Section regeneration error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Remove a single documentation section
+app.delete('/api/docs/:id/sections/:key', async (req, res) => {
+  try {
+    const { id, key } = req.params;
+
+    const document = await findDocumentById(id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const sections = document.sections || [];
+    if (!sections.some(section => section.key === key)) {
+      return res.status(404).json({ error: 'Section not found' });
+    }
+
+    const remainingSections = sections
+      .filter(section => section.key !== key)
+      .map((section, index) => ({ ...section, order: index }));
+
+    const content = sectionService.assembleContent(sectionService.getDocumentName(document.metadata), remainingSections);
+    const updatedDocument = await updateDocument(id, {
+      sections: remainingSections,
+      content,
+      verification: verificationService.relocate(document.verification, content)
+    });
+
+    res.json({
+      success: true,
+      data: updatedDocument
+    });
+  } catch (error) {
+    console.error('Section deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revision list without the stored content
+function summarizeRevision({ content, ...revision }) {
+  return revision;
+}
+
+// Update a document to a newer commit, revising only the sections the diff affects
+app.post('/api/docs/:id/update', async (req, res) => {
+  try {
+    const { ref, model, temperature, llmProvider, sections: force = [] } = req.body;
+
+    const document = await findDocumentById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (document.status !== 'completed' || !stalenessService.isTrackable(document)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only completed documents generated from a repository commit can be updated'
+      });
+    }
+
+    const targetRef = ref || stalenessService.getTrackedRef(document);
+    const changes = await diffService.computeChanges(document, targetRef);
+
+    if (changes.headCommit !== changes.baseCommit || force.length > 0) {
+      await usageService.assertWithinBudget();
+    }
+
+    if (changes.headCommit === changes.baseCommit && force.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          document,
+          revision: null,
+          message: `Documentation already describes the latest commit on ${targetRef}`
+        }
+      });
+    }
+
+    // Sections rendered from source (API reference, packages, configuration, deployment) are rebuilt from this
+    const repoData = await analyzeDocumentCommit(document, changes.headCommit);
+
+    const llm = llmProviders.createClient(llmProvider || document.generationOptions?.llmProvider, document.generationOptions || {});
+    const usageContext = { documentId: document._id, repository: document.githubUrl, user: getRequestUser(req), operation: 'update' };
+    let result;
+    try {
+      result = await revisionService.reviseDocument(document, changes, { model, temperature, force, repoData }, { llm });
+    } catch (error) {
+      const { cost } = await accountUsage(llm.name, error, usageContext);
+      if (cost) await updateDocument(document._id, { cost: addCost(document.cost, cost) });
+      throw error;
+    }
+    const { cost, passes } = await accountUsage(llm.name, { calls: llm.calls, passes: result.passes }, usageContext);
+
+    // The first update records the original generation as revision 1
+    const revisions = document.revisions?.length > 0 ? [...document.revisions] : [{
+      number: 1,
+      commitHash: document.metadata.commitHash,
+      commitUrl: document.metadata.commitUrl || null,
+      ref: stalenessService.getTrackedRef(document),
+      summary: 'Initial generation',
+      model: document.aiModel,
+      content: document.content,
+      createdAt: document.createdAt
+    }];
+
+    const revision = {
+      number: revisions[revisions.length - 1].number + 1,
+      commitHash: changes.headCommit,
+      commitUrl: changes.headCommitUrl,
+      ref: targetRef,
+      baseCommit: changes.baseCommit,
+      summary: result.summary,
+      changes: revisionService.buildChangeRecord(changes),
+      sections: result.sectionChanges,
+      model: result.passes[0]?.model || null,
+      usage: result.usage,
+      passes,
+      cost,
+      content: result.content,
+      createdAt: new Date()
+    };
+    revisions.push(revision);
+
+    // Revised sections may mention new scripts, files or routes
+    const verification = verifyContent(result.content, repoData, document.generationOptions || {});
+
+    const updatedDocument = await updateDocument(document._id, {
+      content: result.content,
+      sections: result.sections,
+      revisions,
+      verification,
+      // The spec follows the routes of the new commit, as the API reference section does
+      openApi: openApiService.buildSpec(repoData),
+      cost: addCost(document.cost, cost),
+      metadata: {
+        ...document.metadata,
+        commitHash: changes.headCommit,
+        commitUrl: changes.headCommitUrl,
+        branch: localRepoService.isCommitHash(targetRef) ? document.metadata.branch : targetRef
+      },
+      // Moving to another branch or tag changes what the staleness checker tracks
+      generationOptions: ref ? { ...document.generationOptions, ref } : document.generationOptions,
+      staleness: {
+        status: 'current',
+        isStale: false,
+        trackedRef: targetRef,
+        latestCommit: changes.headCommit,
+        latestCommitUrl: changes.headCommitUrl,
+        commitsBehind: 0,
+        filesChanged: 0,
+        changedFiles: [],
+        checkedAt: new Date(),
+        error: null
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        document: updatedDocument,
+        revision: summarizeRevision(revision)
+      }
+    });
+  } catch (error) {
+    console.error('Document update error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revision history of a document
+app.get('/api/docs/:id/revisions', async (req, res) => {
+  try {
+    const document = await findDocumentById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      success: true,
+      data: (document.revisions || []).map(summarizeRevision).reverse()
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// A single revision including the content it produced
+app.get('/api/docs/:id/revisions/:number', async (req, res) => {
+  try {
+    const document = await findDocumentById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const revision = (document.revisions || []).find(item => item.number === parseInt(req.params.number));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Available section definitions for section-by-section generation
+app.get('/api/ai/sections', (req, res) => {
+  res.json({
+    success: true,
+    data: sectionService.getDefaultSections()
+  });
+});
+
+// Source-host providers available for repository URLs
+app.get('/api/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: providerRegistry.list()
+  });
+});
+
+// Documents whose repository has moved on since generation - meant for alerting
+app.get('/api/staleness', async (req, res) => {
+  try {
+    const documents = await listTrackedDocuments();
+    const checked = documents.filter(doc => doc.staleness?.checkedAt);
+
+    res.json({
+      success: true,
+      data: {
+        ...stalenessService.getStatus(),
+        tracked: documents.length,
+        checked: checked.length,
+        errors: checked.filter(doc => doc.staleness.status === 'error').length,
+        stale: checked
+          .filter(doc => doc.staleness.isStale)
+          .map(doc => ({
+            id: doc._id,
+            title: doc.title,
+            githubUrl: doc.githubUrl,
+            commitHash: doc.metadata.commitHash,
+            staleness: doc.staleness
+          }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching staleness:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Runs a full pass in the background
+app.post('/api/staleness/check', (req, res) => {
+  if (stalenessService.running) {
+    return res.status(409).json({
+      success: false,
+      error: 'A staleness check is already running'
+    });
+  }
+
+  stalenessService.checkAll();
+  res.status(202).json({
+    success: true,
+    data: stalenessService.getStatus()
+  });
+});
+
+// Checks a single document right away
+app.post('/api/docs/:id/staleness/check', async (req, res) => {
+  try {
+    const document = await findDocumentById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (!stalenessService.isTrackable(document)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Document has no repository commit to compare against'
+      });
+    }
+
+    const staleness = await stalenessService.checkDocument(document);
+    await updateDocument(document._id, { staleness });
+
+    res.json({
+      success: true,
+      data: staleness
+    });
+  } catch (error) {
+    console.error('Error checking staleness:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Prompt template library - built-in templates plus team presets
+app.get('/api/templates', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await templateService.list()
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Placeholders every template can use
+app.get('/api/templates/variables', (req, res) => {
+  res.json({
+    success: true,
+    data: templateService.builtInVariables
+  });
+});
+
+app.get('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await templateService.get(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/templates', async (req, res) => {
+  try {
+    res.status(201).json({
+      success: true,
+      data: await templateService.create(req.body)
+    });
+  } catch (error) {
+    console.error('Error creating template:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/templates/:id', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await templateService.update(req.params.id, req.body)
+    });
+  } catch (error) {
+    console.error('Error updating template:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/templates/:id', async (req, res) => {
+  try {
+    await templateService.remove(req.params.id);
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting template:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Render a template against real repository data without calling the model
+app.post('/api/templates/preview', async (req, res) => {
+  try {
+    const { templateId, template: inlineTemplate, repoUrl, variables = {}, options = {} } = req.body;
+    let { repoData } = req.body;
+
+    if (!repoData && !repoUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either repoUrl or repoData is required'
+      });
+    }
+
+    const template = await templateService.resolve({ templateId, template: inlineTemplate }) || templateService.getDefault();
+    if (!repoData) {
+      repoData = await repositoryService.analyzeRepository(repoUrl, options);
+    }
+
+    const rendered = templateService.render(template, repoData, {
+      ...(template.settings || {}),
+      ...options,
+      sections: options.sections?.length > 0 ? options.sections : template.sections,
+      templateVariables: variables
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...rendered,
+        repository: {
+          repoName: repoData.metadata?.repoName,
+          repoOwner: repoData.metadata?.repoOwner,
+          commitHash: repoData.metadata?.commitHash || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing template:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -798,11 +2296,24 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🤖 OpenRouter API: ${process.env.OPENROUTER_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
-  console.log(`🗄️ MongoDB URI: ${process.env.MONGODB_URI ? '✅ Configured' : '❌ Not configured'}`);
-  console.log(`📊 Storage: ${isMongoConnected ? '✅ MongoDB' : '⚠️ In-Memory'}`);
-  console.log(`🔗 CORS enabled for: localhost:3000, localhost:3001`);
-});
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🤖 OpenRouter API: ${process.env.OPENROUTER_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
+    console.log(`🧠 LLM provider: ${llmProviders.defaultName}`);
+    console.log(`🗃️ Cache: ${cacheService.enabled ? (isMongoConnected ? 'MongoDB' : cacheService.cacheDir) : 'disabled'}`);
+    console.log(`💰 Monthly AI budget: ${usageService.monthlyBudget ? `$${usageService.monthlyBudget}` : 'none'}`);
+    console.log(`🗄️ MongoDB URI: ${process.env.MONGODB_URI ? '✅ Configured' : '❌ Not configured'}`);
+    console.log(`📊 Storage: ${isMongoConnected ? '✅ MongoDB' : '⚠️ In-Memory'}`);
+    console.log(`🔗 CORS enabled for: localhost:3000, localhost:3001`);
+
+    stalenessService.start({
+      listDocuments: listTrackedDocuments,
+      saveStaleness: (id, staleness) => updateDocument(id, { staleness })
+    });
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Cached analysis or generation result, addressed by a hash of everything that produced it
+const cacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['analysis', 'generation'],
+    required: true
+  },
+  // Stored as a JSON string - results can hold keys MongoDB rejects (package.json "$schema", dotted paths)
+  value: {
+    type: String,
+    required: true
+  },
+  size: Number,
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB deletes entries once expiresAt has passed
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
@@ -12,12 +12,11 @@ const documentSchema = new mongoose.Schema({
   },
   githubUrl: {
     type: String,
-    required: true,
     trim: true
   },
   content: {
     type: String,
-    required: true
+    default: ''
   },
   format: {
     type: String,
@@ -29,10 +28,26 @@ const documentSchema = new mongoose.Schema({
     repoOwner: String,
     branch: String,
     commitHash: String,
+    commitUrl: String,
     language: String,
     framework: String,
+    frameworks: [String],
     fileCount: Number,
-    totalLines: Number
+    totalLines: Number,
+    url: String,
+    provider: {
+      type: String,
+      enum: ['github', 'gitlab', 'bitbucket', 'gitea']
+    },
+    host: String,
+    source: {
+      type: String,
+      enum: ['api', 'clone', 'upload', 'local']
+    },
+    languages: {
+      type: Map,
+      of: Number
+    }
   },
   aiModel: {
     type: String,
@@ -43,6 +58,214 @@ const documentSchema = new mongoose.Schema({
     enum: ['processing', 'completed', 'failed'],
     default: 'processing'
   },
+  error: {
+    type: String
+  },
+  usage: {
+    prompt_tokens: Number,
+    completion_tokens: Number,
+    total_tokens: Number
+  },
+  finishReason: {
+    type: String
+  },
+  passes: [{
+    pass: {
+      type: String,
+      enum: ['single', 'map', 'reduce', 'synthesize', 'section']
+    },
+    index: Number,
+    level: Number,
+    section: String,
+    files: [String],
+    model: String,
+    usage: {
+      prompt_tokens: Number,
+      completion_tokens: Number,
+      total_tokens: Number
+    },
+    // USD, null when the model has no known price
+    cost: Number
+  }],
+  sections: [{
+    key: {
+      type: String,
+      required: true
+    },
+    title: String,
+    instructions: String,
+    order: Number,
+    custom: Boolean,
+    content: String,
+    // 'model', or 'source' for sections rendered from the extracted API
+    source: String,
+    model: String,
+    temperature: Number,
+    usage: {
+      prompt_tokens: Number,
+      completion_tokens: Number,
+      total_tokens: Number
+    },
+    cost: Number,
+    finishReason: String,
+    generatedAt: Date
+  }],
+  // Every model call of the generation, including retries and fallbacks
+  modelAttempts: [{
+    model: String,
+    attempt: Number,
+    outcome: {
+      type: String,
+      enum: ['success', 'failed', 'skipped']
+    },
+    status: mongoose.Schema.Types.Mixed,
+    error: String,
+    durationMs: Number,
+    at: Date
+  }],
+  // Whether the analysis and the generation were served from the cache ('hit', 'miss', 'bypassed', 'disabled')
+  cache: {
+    analysis: {
+      status: String,
+      key: String,
+      cachedAt: Date
+    },
+    generation: {
+      status: String,
+      key: String,
+      cachedAt: Date
+    }
+  },
+  // Tokens and spend across the generation and every later update
+  cost: {
+    promptTokens: Number,
+    completionTokens: Number,
+    totalTokens: Number,
+    cost: Number,
+    currency: String,
+    unpricedModels: [String]
+  },
+  generationOptions: {
+    type: Object
+  },
+  coverage: {
+    strategy: String,
+    tokenBudget: Number,
+    totalFiles: Number,
+    summarizedFiles: Number,
+    skippedFiles: Number
+  },
+  sourceSelection: {
+    tokenBudget: Number,
+    tokensUsed: Number,
+    candidates: Number,
+    totalFiles: Number,
+    selected: [{
+      path: String,
+      reason: String,
+      tokens: Number,
+      truncated: Boolean
+    }]
+  },
+  // OpenAPI 3 document of the HTTP routes found in the source - free-form, paths contain "{" and "/"
+  openApi: mongoose.Schema.Types.Mixed,
+  // Claims in the content (scripts, paths, environment variables, routes) checked against the analysis
+  verification: {
+    checkedAt: Date,
+    commitHash: String,
+    checked: Number,
+    flagged: Number,
+    checks: {
+      type: Object
+    },
+    skipped: [String],
+    issues: [{
+      kind: {
+        type: String,
+        enum: ['script', 'path', 'envVar', 'route']
+      },
+      claim: String,
+      line: Number,
+      text: String,
+      message: String
+    }],
+    truncated: Boolean
+  },
+  // Filled in by the staleness checker: how far the tracked ref has moved since generation
+  staleness: {
+    status: {
+      type: String,
+      enum: ['current', 'stale', 'error']
+    },
+    isStale: {
+      type: Boolean,
+      default: false
+    },
+    trackedRef: String,
+    latestCommit: String,
+    latestCommitUrl: String,
+    commitsBehind: Number,
+    filesChanged: Number,
+    changedFiles: [String],
+    checkedAt: Date,
+    error: String
+  },
+  // Incremental updates - each entry is a full snapshot plus what changed since the previous one
+  revisions: [{
+    number: Number,
+    commitHash: String,
+    commitUrl: String,
+    ref: String,
+    baseCommit: String,
+    summary: String,
+    changes: {
+      type: Object
+    },
+    sections: [{
+      key: String,
+      title: String,
+      action: {
+        type: String,
+        enum: ['kept', 'unchanged', 'revised']
+      },
+      reasons: [String],
+      summary: String
+    }],
+    model: String,
+    usage: {
+      type: Object
+    },
+    passes: {
+      type: Array
+    },
+    cost: {
+      type: Object
+    },
+    content: String,
+    createdAt: Date
+  }],
+  // Monorepos generated as one document per package: the index document lists the package documents, and each
+  // package document points back at it
+  workspace: {
+    role: {
+      type: String,
+      enum: ['index', 'package']
+    },
+    indexId: String,
+    name: String,
+    path: String,
+    packages: [{
+      name: String,
+      path: String,
+      documentId: String
+    }],
+    // Packages of the index that got no document (the monthly budget ran out while queueing them)
+    skipped: [{
+      name: String,
+      path: String,
+      reason: String
+    }]
+  },
   processingTime: {
     type: Number, // in milliseconds
     default: 0
@@ -80,7 +303,9 @@ const documentSchema = new mongoose.Schema({
 documentSchema.index({ githubUrl: 1 });
 documentSchema.index({ status: 1 });
 documentSchema.index({ createdAt: -1 });
+documentSchema.index({ 'staleness.isStale': 1 });
 documentSchema.index({ 'metadata.repoName': 1, 'metadata.repoOwner': 1 });
+documentSchema.index({ 'workspace.indexId': 1 });
 
 // Virtual for formatted creation date
 documentSchema.virtual('formattedCreatedAt').get(function() {
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const templateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  systemPrompt: {
+    type: String,
+    default: ''
+  },
+  userPrompt: {
+    type: String,
+    required: true
+  },
+  // Section keys or { key, title, instructions } for section-by-section generation
+  sections: {
+    type: Array,
+    default: []
+  },
+  // Custom placeholders beyond the built-in repository variables
+  variables: [{
+    name: String,
+    label: String,
+    defaultValue: String,
+    description: String
+  }],
+  settings: {
+    model: String,
+    temperature: Number,
+    maxTokens: Number,
+    strategy: {
+      type: String,
+      enum: ['single', 'map-reduce', 'sections']
+    },
+    style: String
+  },
+  createdBy: {
+    type: String,
+    default: 'anonymous'
+  }
+}, {
+  timestamps: true
+});
+
+templateSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Template', templateSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One row per model per billable operation (generation, update, section regeneration)
+const usageRecordSchema = new mongoose.Schema({
+  documentId: {
+    type: String,
+    index: true
+  },
+  repository: String,
+  user: {
+    type: String,
+    default: 'anonymous'
+  },
+  operation: {
+    type: String,
+    enum: ['generation', 'update', 'section'],
+    default: 'generation'
+  },
+  provider: String,
+  model: String,
+  calls: Number,
+  promptTokens: Number,
+  completionTokens: Number,
+  totalTokens: Number,
+  // USD; null when no price is known for the model
+  cost: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+usageRecordSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
@@ -0,0 +1,358 @@
+const path = require('path');
+const javascriptExtractor = require('./javascriptExtractor');
+const pythonExtractor = require('./pythonExtractor');
+const routeExtractor = require('./routeExtractor');
+const dependencyGraphService = require('../dependencyGraphService');
+const chunkingService = require('../chunkingService');
+const excerptService = require('../excerptService');
+const markdownService = require('../markdownService');
+
+// Builds an API model of a repository from its source: which modules export what, with signatures and doc
+// comments, which HTTP routes the code registers, and how the modules import each other. Each extractor handles
+// one language family and implements:
+//   name, supports(filePath), parse(filePath, source) -> { language, moduleSystem, exports, reexports, http, imports }
+// and optionally isPublicModule(filePath) for languages that mark private modules by name. Private modules are
+// parsed for the import graph but left out of the reference.
+class ApiReferenceService {
+  constructor() {
+    this.extractors = [javascriptExtractor, pythonExtractor];
+    this.maxFiles = parseInt(process.env.API_REFERENCE_MAX_FILES) || 150;
+    // Host API analysis reads every file over HTTP, so it parses fewer
+    this.maxApiFiles = parseInt(process.env.API_REFERENCE_MAX_API_FILES) || 40;
+    this.maxFileBytes = 200 * 1024;
+    this.fetchConcurrency = 5;
+    this.maxRenderedExports = 150;
+    this.sectionTitle = 'API Reference';
+
+    this.excludedDirectories = ['node_modules', 'dist', 'build', 'out', 'coverage', 'vendor', 'test', 'tests',
+      '__tests__', '__mocks__', 'examples', 'example', 'fixtures', 'docs', '.git', 'venv', '.venv', '__pycache__',
+      'site-packages', '.tox'];
+    this.excludedFiles = [/\.(test|spec|stories)\.[^.]+$/i, /\.min\.js$/i, /\.config\.[^.]+$/i, /(^|\/)\.[^/]+$/,
+      /(^|\/)(test_[^/]*|[^/]*_test|conftest|setup|noxfile|manage)\.py$/i];
+  }
+
+  getExtractor(filePath) {
+    return this.extractors.find(extractor => extractor.supports(filePath)) || null;
+  }
+
+  isCandidate(file) {
+    const segments = file.name.split('/');
+    if (segments.slice(0, -1).some(segment => this.excludedDirectories.includes(segment))) return false;
+    if (this.excludedFiles.some(pattern => pattern.test(file.name))) return false;
+    if (file.size && file.size > this.maxFileBytes) return false;
+    return Boolean(this.getExtractor(file.name));
+  }
+
+  isPublic(fileName) {
+    const extractor = this.getExtractor(fileName);
+    return !extractor.isPublicModule || extractor.isPublicModule(fileName);
+  }
+
+  // Files a package declares as its public surface (main, module, types, bin, exports), a Python project's
+  // console scripts and top-level packages, plus index files
+  getEntryPoints(packageJson, pythonProject) {
+    const declared = [];
+    const collect = (value) => {
+      if (typeof value === 'string') declared.push(value);
+      else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+    };
+
+    if (packageJson) {
+      collect(packageJson.main);
+      collect(packageJson.module);
+      collect(packageJson.types || packageJson.typings);
+      collect(packageJson.bin);
+      collect(packageJson.exports);
+    }
+    if (pythonProject) declared.push(...pythonProject.entryPoints);
+
+    return declared
+      .map(entry => path.posix.normalize(entry.replace(/^\.\//, '')))
+      .filter(entry => !entry.startsWith('..'));
+  }
+
+  isEntryPoint(fileName, entryPoints) {
+    const withoutExtension = fileName.replace(/\.[^./]+$/, '');
+    return entryPoints.some(entry => entry === fileName || entry.replace(/\.[^./]+$/, '') === withoutExtension) ||
+      /^(src\/|lib\/)?index\.[^/]+$/.test(fileName);
+  }
+
+  // Entry points first, then public modules, then shallow files before deep ones, so a file cap keeps the
+  // public surface
+  rankCandidates(files, entryPoints) {
+    return files
+      .filter(file => this.isCandidate(file))
+      .map(file => ({ ...file, entryPoint: this.isEntryPoint(file.name, entryPoints), public: this.isPublic(file.name) }))
+      .sort((a, b) =>
+        Number(b.entryPoint) - Number(a.entryPoint) ||
+        Number(b.public) - Number(a.public) ||
+        a.name.split('/').length - b.name.split('/').length ||
+        a.name.localeCompare(b.name)
+      );
+  }
+
+  // Parses the repository's modules. readFile(name) resolves to the file's text or null.
+  // Returns null when the repository has no source any extractor understands.
+  async extract(files, readFile, { packageJson = null, pythonProject = null, maxFiles = this.maxFiles } = {}) {
+    const entryPoints = this.getEntryPoints(packageJson, pythonProject);
+    const candidates = this.rankCandidates(files, entryPoints);
+    if (candidates.length === 0) return null;
+
+    const selected = candidates.slice(0, maxFiles);
+    let parseErrors = 0;
+
+    const modules = await excerptService.mapWithConcurrency(selected, this.fetchConcurrency, async (file) => {
+      try {
+        const source = await readFile(file.name);
+        if (!source || Buffer.byteLength(source) > this.maxFileBytes) return null;
+
+        const extractor = this.getExtractor(file.name);
+        return { path: file.name, entryPoint: file.entryPoint, public: file.public, ...extractor.parse(file.name, source) };
+      } catch (error) {
+        console.log(`Could not extract the API of ${file.name}: ${error.message}`);
+        parseErrors++;
+        return null;
+      }
+    });
+
+    const found = modules.filter(Boolean);
+    // Routers are mounted across modules, so routes get their full paths only once every module is parsed
+    const routes = routeExtractor.resolve(found);
+    const graph = dependencyGraphService.build(found.map(({ path: modulePath, language, imports }) =>
+      ({ path: modulePath, language, imports })));
+    const apiModules = found
+      .filter(module => module.public && (module.exports.length > 0 || module.reexports.length > 0))
+      .map(({ http, imports, public: isPublic, ...module }) => module);
+
+    return {
+      modules: apiModules,
+      routes,
+      graph,
+      stats: {
+        candidates: candidates.length,
+        filesParsed: selected.length,
+        modules: apiModules.length,
+        exports: apiModules.reduce((sum, module) => sum + module.exports.length, 0),
+        routes: routes.length,
+        parseErrors
+      },
+      truncated: candidates.length > selected.length
+    };
+  }
+
+  hasExports(apiReference) {
+    return Boolean(apiReference && apiReference.modules.some(module => module.exports.length > 0));
+  }
+
+  hasRoutes(apiReference) {
+    return Boolean(apiReference && (apiReference.routes || []).length > 0);
+  }
+
+  // Anything worth an API Reference section: exported code or HTTP endpoints
+  hasContent(apiReference) {
+    return this.hasExports(apiReference) || this.hasRoutes(apiReference);
+  }
+
+  // Deterministic Markdown section: one heading per module, one entry per export
+  renderMarkdown(apiReference, { title = this.sectionTitle } = {}) {
+    const body = this.renderBody(apiReference);
+    return body ? `## ${title}\n\n${body}` : '';
+  }
+
+  // The section without its "##" heading, for the sections strategy which adds its own
+  renderBody(apiReference) {
+    if (!this.hasContent(apiReference)) return '';
+
+    let markdown = this.hasRoutes(apiReference)
+      ? '_Generated from the source code: HTTP endpoints, and exported functions, classes and types with their signatures and doc comments._\n\n'
+      : '_Generated from the source code: exported functions, classes and types with their signatures and doc comments._\n\n';
+    markdown += this.renderEndpoints(apiReference.routes);
+
+    let rendered = 0;
+    let skipped = 0;
+
+    for (const module of apiReference.modules) {
+      if (module.exports.length === 0) continue;
+      if (rendered >= this.maxRenderedExports) {
+        skipped += module.exports.length;
+        continue;
+      }
+
+      markdown += `### \`${module.path}\`\n\n`;
+      if (module.entryPoint) markdown += '_Package entry point._\n\n';
+      if (module.description) markdown += `${markdownService.text(module.description)}\n\n`;
+
+      for (const entry of module.exports) {
+        if (rendered >= this.maxRenderedExports) {
+          skipped++;
+          continue;
+        }
+        markdown += this.renderEntry(entry, 4, module.language === 'python' ? 'python' : 'ts');
+        rendered++;
+      }
+
+      const reexported = module.reexports.map(reexport => `\`${reexport.source}\``);
+      if (reexported.length > 0) {
+        markdown += `Also re-exports from ${reexported.join(', ')}.\n\n`;
+      }
+    }
+
+    if (skipped > 0) {
+      markdown += `_…and ${skipped} more exports not listed here._\n\n`;
+    }
+    if (apiReference.truncated) {
+      markdown += `_Only the first ${apiReference.stats.filesParsed} of ${apiReference.stats.candidates} source files were scanned._\n\n`;
+    }
+
+    return markdown.trimEnd();
+  }
+
+  // One row per route: method, path, what the handler reads and which statuses it sends
+  renderEndpoints(routes = []) {
+    if (routes.length === 0) return '';
+
+    const rows = routes.map(route => {
+      const inputs = [
+        route.pathParams.length > 0 && `path: ${route.pathParams.map(name => `\`${name}\``).join(', ')}`,
+        route.query.length > 0 && `query: ${route.query.map(name => `\`${name}\``).join(', ')}`,
+        route.body.length > 0 ? `body: ${route.body.map(name => `\`${name}\``).join(', ')}` : route.readsBody && 'body',
+        route.headers.length > 0 && `headers: ${route.headers.map(name => `\`${name}\``).join(', ')}`
+      ].filter(Boolean).join('; ');
+
+      return `| ${route.method.toUpperCase()} | ${markdownService.code(route.path)} | ${markdownService.cell(route.summary || '')} | ${inputs} | ` +
+        `${route.statuses.join(', ')} | \`${route.file}:${route.line}\` |`;
+    });
+
+    return `### HTTP Endpoints\n\n| Method | Path | Description | Parameters | Statuses | Source |\n|---|---|---|---|---|---|\n${rows.join('\n')}\n\n`;
+  }
+
+  renderEntry(entry, level = 4, fence = 'ts') {
+    const label = entry.isDefault ? `${entry.name} (default export)` : entry.name;
+    let markdown = `${'#'.repeat(level)} \`${label}\`\n\n`;
+    markdown += `\`\`\`${fence}\n${entry.signature || entry.name}\n\`\`\`\n\n`;
+
+    if (entry.deprecated) {
+      markdown += `> **Deprecated.**${typeof entry.deprecated === 'string' ? ` ${markdownService.text(entry.deprecated)}` : ''}\n\n`;
+    }
+    if (entry.description) markdown += `${markdownService.text(entry.description)}\n\n`;
+
+    markdown += this.renderParams(entry.params);
+
+    if (entry.returns && (entry.returns.type || entry.returns.description)) {
+      const type = entry.returns.type ? `\`${entry.returns.type}\`` : '';
+      markdown += `**Returns:** ${[type, entry.returns.description && markdownService.text(entry.returns.description)].filter(Boolean).join(' - ')}\n\n`;
+    }
+
+    for (const thrown of entry.throws || []) {
+      markdown += `**Throws:** ${[thrown.type && `\`${thrown.type}\``, thrown.description && markdownService.text(thrown.description)].filter(Boolean).join(' - ')}\n\n`;
+    }
+
+    for (const example of entry.examples || []) {
+      markdown += /^```/.test(example) ? `${example}\n\n` : `\`\`\`js\n${example}\n\`\`\`\n\n`;
+    }
+
+    const members = entry.members || [];
+    if (members.length > 0) {
+      markdown += entry.kind === 'enum'
+        ? `Members: ${members.map(member => `\`${member.signature}\``).join(', ')}\n\n`
+        : `${members.map(member => this.renderMember(member)).join('\n')}\n\n`;
+    }
+
+    return markdown;
+  }
+
+  renderMember(member) {
+    let line = `- \`${member.signature}\``;
+    if (member.deprecated) line += ' _(deprecated)_';
+    if (member.description) line += ` - ${markdownService.text(member.description.replace(/\s+/g, ' '))}`;
+
+    for (const param of member.params || []) {
+      if (param.description) line += `\n  - \`${param.name}\`: ${markdownService.text(param.description)}`;
+      for (const property of (param.properties || []).filter(item => item.description)) {
+        line += `\n  - \`${param.name}.${property.name}\`: ${markdownService.text(property.description)}`;
+      }
+    }
+    return line;
+  }
+
+  // A table only when it says more than the signature already does
+  renderParams(params = []) {
+    const documented = params.some(param =>
+      param.type || param.description || param.defaultValue !== null || (param.properties || []).length > 0
+    );
+    if (!documented) return '';
+
+    const rows = [];
+    for (const param of params) {
+      rows.push(this.renderParamRow(param, param.rest ? `...${param.name}` : param.name));
+      for (const property of param.properties || []) {
+        rows.push(this.renderParamRow(property, `${param.name}.${property.name}`));
+      }
+    }
+
+    return `| Parameter | Type | Default | Description |\n|---|---|---|---|\n${rows.join('\n')}\n\n`;
+  }
+
+  renderParamRow(param, name) {
+    const type = param.type ? markdownService.code(param.type) : '';
+    const defaultValue = param.defaultValue !== null && param.defaultValue !== undefined
+      ? markdownService.code(param.defaultValue)
+      : (param.optional ? '_optional_' : '');
+    return `| ${markdownService.code(name)} | ${type} | ${defaultValue} | ${markdownService.cell(param.description || '')} |`;
+  }
+
+  // Compact signature list for prompts, so examples call real functions with real parameters
+  formatSignatures(apiReference, maxTokens = 1500) {
+    if (!this.hasContent(apiReference)) return '';
+
+    const lines = [];
+    if (this.hasRoutes(apiReference)) {
+      lines.push('HTTP endpoints:');
+      for (const route of apiReference.routes) {
+        const inputs = [
+          route.query.length > 0 && `query: ${route.query.join(', ')}`,
+          route.body.length > 0 && `body: ${route.body.join(', ')}`
+        ].filter(Boolean).join('; ');
+        lines.push(`  ${route.method.toUpperCase()} ${route.path}${inputs ? ` (${inputs})` : ''}${route.summary ? ` // ${route.summary.slice(0, 100)}` : ''}`);
+      }
+    }
+
+    for (const module of apiReference.modules) {
+      if (module.exports.length === 0) continue;
+      lines.push(`${module.path}${module.entryPoint ? ' (entry point)' : ''}:`);
+
+      for (const entry of module.exports) {
+        const summary = entry.description ? ` // ${entry.description.split('\n')[0].slice(0, 100)}` : '';
+        lines.push(`  ${entry.isDefault ? 'default ' : ''}${entry.signature || entry.name}${summary}`);
+        for (const member of (entry.members || []).slice(0, 15)) {
+          lines.push(`    ${member.signature}`);
+        }
+      }
+    }
+
+    return chunkingService.truncateToTokens(lines.join('\n'), maxTokens);
+  }
+
+  // Puts the rendered section into generated Markdown: replaces the model's own API section if it wrote
+  // one, appends otherwise
+  mergeIntoContent(content, markdown) {
+    if (!markdown) return { content, appended: '' };
+
+    const headings = [...content.matchAll(/^##\s+(.+)$/gm)];
+    const existing = headings.findIndex(heading => /\bapi\b/i.test(heading[1]));
+
+    if (existing === -1) {
+      const appended = `${content.trimEnd() ? '\n\n' : ''}${markdown}\n`;
+      return { content: `${content.trimEnd()}${appended}`, appended };
+    }
+
+    const start = headings[existing].index;
+    const end = headings[existing + 1] ? headings[existing + 1].index : content.length;
+    return {
+      content: `${content.slice(0, start)}${markdown}\n\n${content.slice(end).trimStart()}`.trimEnd() + '\n',
+      appended: ''
+    };
+  }
+}
+
+module.exports = new ApiReferenceService();
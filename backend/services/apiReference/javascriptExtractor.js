@@ -0,0 +1,712 @@
+const { parse } = require('@babel/parser');
+const routeExtractor = require('./routeExtractor');
+
+// Parses JavaScript and TypeScript modules and collects what they export: functions, classes with their
+// public members, constants, interfaces, types and enums, with parameters, types and JSDoc/TSDoc comments
+class JavaScriptExtractor {
+  constructor() {
+    this.name = 'javascript';
+    this.extensions = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+    this.maxTypeLength = 120;
+  }
+
+  supports(filePath) {
+    return this.extensions.some(extension => filePath.toLowerCase().endsWith(extension));
+  }
+
+  getLanguage(filePath) {
+    return /\.[mc]?tsx?$/i.test(filePath) ? 'typescript' : 'javascript';
+  }
+
+  getParserPlugins(filePath) {
+    const plugins = ['decorators-legacy', 'classProperties', 'classPrivateProperties', 'classPrivateMethods',
+      'exportDefaultFrom', 'dynamicImport', 'topLevelAwait'];
+
+    if (this.getLanguage(filePath) === 'typescript') {
+      plugins.push(['typescript', { dts: /\.d\.[mc]?ts$/i.test(filePath) }]);
+      if (/\.tsx$/i.test(filePath)) plugins.push('jsx');
+    } else {
+      plugins.push('jsx');
+    }
+    return plugins;
+  }
+
+  // Module API: { language, moduleSystem, exports: [...], reexports: [{ source, names }], http, imports } where
+  // http holds the module's HTTP routes (see routeExtractor) and imports every module it loads.
+  // Throws on files too broken to recover from.
+  parse(filePath, source) {
+    const ast = parse(source, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      allowAwaitOutsideFunction: true,
+      plugins: this.getParserPlugins(filePath)
+    });
+
+    const context = { source, declarations: this.collectDeclarations(ast.program.body) };
+    const exports = new Map();
+    const reexports = [];
+    let moduleSystem = ast.program.sourceType === 'module' ? 'esm' : null;
+
+    // export default of something already exported by name marks that entry instead of repeating it
+    const add = (entry) => {
+      if (!entry) return;
+      if (exports.has(entry.name)) {
+        if (entry.isDefault) exports.get(entry.name).isDefault = true;
+        return;
+      }
+      exports.set(entry.name, entry);
+    };
+
+    for (const statement of ast.program.body) {
+      switch (statement.type) {
+        case 'ExportNamedDeclaration':
+          moduleSystem = 'esm';
+          this.collectNamedExport(statement, context, add, reexports);
+          break;
+        case 'ExportDefaultDeclaration':
+          moduleSystem = 'esm';
+          add(this.describeDefaultExport(statement, context));
+          break;
+        case 'ExportAllDeclaration':
+          moduleSystem = 'esm';
+          reexports.push({
+            source: statement.source.value,
+            names: statement.exported ? [statement.exported.name] : ['*']
+          });
+          break;
+        case 'ExpressionStatement':
+          if (this.collectCommonJsExport(statement, context, add)) moduleSystem = moduleSystem || 'commonjs';
+          break;
+        default:
+          break;
+      }
+    }
+
+    return {
+      language: this.getLanguage(filePath),
+      moduleSystem: moduleSystem || 'script',
+      exports: [...exports.values()].sort((a, b) => a.line - b.line),
+      reexports,
+      http: routeExtractor.extract(ast, source),
+      imports: this.collectImports(ast.program)
+    };
+  }
+
+  // import/export ... from, require() and import() with literal specifiers; type-only imports are skipped
+  // because they vanish at runtime
+  collectImports(program) {
+    const sources = new Set();
+    routeExtractor.walk(program, (node) => {
+      if (['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration'].includes(node.type)) {
+        if (node.source && node.importKind !== 'type' && node.exportKind !== 'type') sources.add(node.source.value);
+      } else if (node.type === 'CallExpression' && node.arguments.length > 0 && node.arguments[0].type === 'StringLiteral') {
+        const isRequire = node.callee.type === 'Identifier' && node.callee.name === 'require';
+        if (isRequire || node.callee.type === 'Import') sources.add(node.arguments[0].value);
+      } else if (node.type === 'ImportExpression' && node.source.type === 'StringLiteral') {
+        sources.add(node.source.value);
+      }
+    });
+    return [...sources].map(source => ({ source }));
+  }
+
+  // Top-level declarations by name, each with the node its doc comment is attached to
+  collectDeclarations(body) {
+    const declarations = new Map();
+
+    const register = (declaration, docNode) => {
+      if (!declaration) return;
+      if (declaration.type === 'VariableDeclaration') {
+        for (const declarator of declaration.declarations) {
+          if (declarator.id.type === 'Identifier') {
+            declarations.set(declarator.id.name, {
+              node: declarator,
+              kind: declaration.kind,
+              docNode: declaration.declarations.length === 1 ? docNode : declarator
+            });
+          }
+        }
+      } else if (declaration.id && declaration.id.type === 'Identifier') {
+        declarations.set(declaration.id.name, { node: declaration, docNode });
+      }
+    };
+
+    for (const statement of body) {
+      if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+        register(statement.declaration, statement);
+      } else {
+        register(statement, statement);
+      }
+    }
+    return declarations;
+  }
+
+  collectNamedExport(statement, context, add, reexports) {
+    if (statement.declaration) {
+      const declaration = statement.declaration;
+      if (declaration.type === 'VariableDeclaration') {
+        for (const declarator of declaration.declarations) {
+          if (declarator.id.type !== 'Identifier') continue;
+          add(this.describeDeclaration(declarator.id.name, declarator, context, {
+            docNode: declaration.declarations.length === 1 ? statement : declarator,
+            variableKind: declaration.kind
+          }));
+        }
+      } else if (declaration.id) {
+        add(this.describeDeclaration(declaration.id.name, declaration, context, { docNode: statement }));
+      }
+      return;
+    }
+
+    if (statement.source) {
+      reexports.push({
+        source: statement.source.value,
+        names: statement.specifiers.map(specifier => this.getName(specifier.exported))
+      });
+      return;
+    }
+
+    for (const specifier of statement.specifiers) {
+      const localName = this.getName(specifier.local);
+      const exportedName = this.getName(specifier.exported);
+      const declared = context.declarations.get(localName);
+
+      if (declared) {
+        const entry = this.describeDeclaration(exportedName, declared.node, context, {
+          docNode: declared.docNode,
+          variableKind: declared.kind
+        });
+        add(entry && { ...entry, isDefault: exportedName === 'default' });
+      } else {
+        add({ name: exportedName, kind: 'unknown', isDefault: exportedName === 'default', line: specifier.loc.start.line });
+      }
+    }
+  }
+
+  describeDefaultExport(statement, context) {
+    const declaration = statement.declaration;
+
+    if (declaration.type === 'Identifier') {
+      const declared = context.declarations.get(declaration.name);
+      if (declared) {
+        const entry = this.describeDeclaration(declaration.name, declared.node, context, {
+          docNode: declared.docNode,
+          variableKind: declared.kind
+        });
+        return entry && { ...entry, isDefault: true };
+      }
+    }
+
+    const name = declaration.id?.name || 'default';
+    const entry = this.describeDeclaration(name, declaration, context, { docNode: statement });
+    return entry && { ...entry, isDefault: true };
+  }
+
+  // module.exports = ..., module.exports.name = ... and exports.name = ...
+  collectCommonJsExport(statement, context, add) {
+    const expression = statement.expression;
+    if (expression.type !== 'AssignmentExpression' || expression.operator !== '=') return false;
+
+    const target = this.getMemberPath(expression.left);
+    if (!target) return false;
+
+    if (target === 'module.exports') {
+      const value = expression.right;
+
+      if (value.type === 'ObjectExpression') {
+        for (const property of value.properties) {
+          if (property.type === 'SpreadElement' || property.computed) continue;
+          const name = this.getName(property.key);
+          const valueNode = property.type === 'ObjectMethod' ? property : property.value;
+          add(this.describeExportedValue(name, valueNode, context, property));
+        }
+        return true;
+      }
+
+      // Singletons (module.exports = new Service()) are named the way callers usually import them
+      const name = value.type === 'Identifier'
+        ? value.name
+        : value.id?.name || (value.type === 'NewExpression' ? this.getInstanceName(value) : 'default');
+      const entry = this.describeExportedValue(name, value, context, statement);
+      add(entry && { ...entry, isDefault: true });
+      return true;
+    }
+
+    const match = target.match(/^(?:module\.exports|exports)\.([\w$]+)$/);
+    if (match) {
+      add(this.describeExportedValue(match[1], expression.right, context, statement));
+      return true;
+    }
+    return false;
+  }
+
+  // A CommonJS value: a local binding, a function or class expression, or an instance of a local class
+  describeExportedValue(name, value, context, docNode) {
+    if (value.type === 'Identifier') {
+      const declared = context.declarations.get(value.name);
+      if (declared) {
+        return this.describeDeclaration(name, declared.node, context, {
+          docNode: this.getDocComment(docNode) ? docNode : declared.docNode,
+          variableKind: declared.kind
+        });
+      }
+      return { name, kind: 'unknown', line: value.loc.start.line };
+    }
+
+    if (value.type === 'NewExpression' && value.callee.type === 'Identifier') {
+      const declared = context.declarations.get(value.callee.name);
+      if (declared && declared.node.type === 'ClassDeclaration') {
+        const described = this.describeClass(value.callee.name, declared.node, context);
+        const doc = this.parseDocComment(this.getDocComment(docNode)) || described.doc;
+        return {
+          ...this.baseEntry(name, 'instance', value, doc),
+          signature: `${name}: ${value.callee.name} (instance)`,
+          members: described.members,
+          extends: described.extends
+        };
+      }
+    }
+
+    return this.describeDeclaration(name, value, context, { docNode });
+  }
+
+  describeDeclaration(name, node, context, { docNode, variableKind } = {}) {
+    const doc = this.parseDocComment(this.getDocComment(docNode || node));
+
+    switch (node.type) {
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+      case 'ObjectMethod':
+      case 'TSDeclareFunction':
+        return this.describeFunction(name, node, context, doc);
+      case 'ClassDeclaration':
+      case 'ClassExpression': {
+        const described = this.describeClass(name, node, context);
+        return {
+          ...this.baseEntry(name, 'class', node, doc || described.doc),
+          signature: `class ${name}${this.getTypeParameters(node, context)}${described.extends ? ` extends ${described.extends}` : ''}`,
+          extends: described.extends,
+          params: described.constructorParams,
+          members: described.members
+        };
+      }
+      case 'VariableDeclarator': {
+        const init = node.init;
+        if (init && ['ArrowFunctionExpression', 'FunctionExpression'].includes(init.type)) {
+          return this.describeFunction(name, init, context, doc);
+        }
+        if (init && init.type === 'ClassExpression') {
+          return this.describeDeclaration(name, init, context, { docNode: docNode || node });
+        }
+        if (init && init.type === 'ObjectExpression') {
+          return this.describeObject(name, init, context, doc);
+        }
+        const type = this.getTypeText(node.id.typeAnnotation, context) || doc?.type || this.inferLiteralType(init);
+        return {
+          ...this.baseEntry(name, variableKind === 'const' ? 'constant' : 'variable', node, doc),
+          signature: `${variableKind || 'const'} ${name}${type ? `: ${type}` : ''}`,
+          type
+        };
+      }
+      case 'ObjectExpression':
+        return this.describeObject(name, node, context, doc);
+      case 'TSInterfaceDeclaration':
+        return {
+          ...this.baseEntry(name, 'interface', node, doc),
+          signature: `interface ${name}${this.getTypeParameters(node, context)}`,
+          members: node.body.body.map(member => this.describeTypeMember(member, context)).filter(Boolean)
+        };
+      case 'TSTypeAliasDeclaration':
+        return {
+          ...this.baseEntry(name, 'type', node, doc),
+          signature: `type ${name}${this.getTypeParameters(node, context)} = ${this.sliceType(node.typeAnnotation, context)}`
+        };
+      case 'TSEnumDeclaration':
+        return {
+          ...this.baseEntry(name, 'enum', node, doc),
+          signature: `enum ${name}`,
+          members: (node.body?.members || node.members || []).map(member => ({
+            name: this.getName(member.id),
+            kind: 'member',
+            signature: member.initializer ? `${this.getName(member.id)} = ${this.slice(member.initializer, context)}` : this.getName(member.id)
+          }))
+        };
+      default:
+        return {
+          ...this.baseEntry(name, 'value', node, doc),
+          signature: name
+        };
+    }
+  }
+
+  baseEntry(name, kind, node, doc) {
+    return {
+      name,
+      kind,
+      isDefault: false,
+      description: doc?.description || '',
+      deprecated: doc?.deprecated ?? null,
+      examples: doc?.examples || [],
+      line: node.loc?.start.line || 0
+    };
+  }
+
+  describeFunction(name, node, context, doc) {
+    const params = this.describeParams(node.params, context, doc);
+    const returnType = this.getTypeText(node.returnType, context) || doc?.returns?.type || null;
+    const isAsync = Boolean(node.async);
+    const isGenerator = Boolean(node.generator);
+
+    return {
+      ...this.baseEntry(name, 'function', node, doc),
+      signature: `${isAsync ? 'async ' : ''}${name}${isGenerator ? '*' : ''}${this.getTypeParameters(node, context)}(${this.formatParams(params)})${returnType ? `: ${returnType}` : ''}`,
+      async: isAsync,
+      params,
+      returns: returnType || doc?.returns?.description
+        ? { type: returnType, description: doc?.returns?.description || '' }
+        : null,
+      throws: doc?.throws || []
+    };
+  }
+
+  describeObject(name, node, context, doc) {
+    const members = node.properties
+      .filter(property => property.type !== 'SpreadElement' && !property.computed)
+      .map(property => {
+        const memberName = this.getName(property.key);
+        const value = property.type === 'ObjectMethod' ? property : property.value;
+        const memberDoc = this.parseDocComment(this.getDocComment(property));
+        if (['ObjectMethod', 'ArrowFunctionExpression', 'FunctionExpression'].includes(value.type)) {
+          return { ...this.describeFunction(memberName, value, context, memberDoc), kind: 'method' };
+        }
+        return {
+          ...this.baseEntry(memberName, 'property', property, memberDoc),
+          signature: memberName
+        };
+      });
+
+    return {
+      ...this.baseEntry(name, 'object', node, doc),
+      signature: name,
+      members
+    };
+  }
+
+  describeClass(name, node, context) {
+    const members = [];
+    let constructorParams = [];
+
+    for (const member of node.body.body) {
+      if (member.computed || member.type === 'StaticBlock' || member.type === 'TSIndexSignature') continue;
+      if (member.type === 'ClassPrivateMethod' || member.type === 'ClassPrivateProperty') continue;
+      if (member.accessibility === 'private' || member.accessibility === 'protected') continue;
+
+      const memberName = this.getName(member.key);
+      if (!memberName || memberName.startsWith('_')) continue;
+
+      const doc = this.parseDocComment(this.getDocComment(member));
+
+      if (member.type === 'ClassMethod' || member.type === 'TSDeclareMethod') {
+        if (member.kind === 'constructor') {
+          constructorParams = this.describeParams(member.params, context, doc);
+          continue;
+        }
+
+        const described = this.describeFunction(memberName, member, context, doc);
+        const prefix = `${member.static ? 'static ' : ''}${member.kind === 'get' || member.kind === 'set' ? `${member.kind} ` : ''}`;
+        members.push({
+          ...described,
+          kind: member.kind === 'get' || member.kind === 'set' ? 'accessor' : 'method',
+          static: Boolean(member.static),
+          signature: `${prefix}${described.signature}`
+        });
+      } else if (member.type === 'ClassProperty' || member.type === 'ClassAccessorProperty') {
+        const value = member.value;
+        if (value && ['ArrowFunctionExpression', 'FunctionExpression'].includes(value.type)) {
+          members.push({ ...this.describeFunction(memberName, value, context, doc), kind: 'method', static: Boolean(member.static) });
+          continue;
+        }
+        const type = this.getTypeText(member.typeAnnotation, context) || doc?.type || null;
+        members.push({
+          ...this.baseEntry(memberName, 'property', member, doc),
+          static: Boolean(member.static),
+          signature: `${member.static ? 'static ' : ''}${member.readonly ? 'readonly ' : ''}${memberName}${member.optional ? '?' : ''}${type ? `: ${type}` : ''}`,
+          type
+        });
+      }
+    }
+
+    return {
+      doc: this.parseDocComment(this.getDocComment(node)),
+      extends: node.superClass ? this.slice(node.superClass, context) : null,
+      constructorParams,
+      members
+    };
+  }
+
+  describeTypeMember(member, context) {
+    const name = member.key ? this.getName(member.key) : null;
+    const doc = this.parseDocComment(this.getDocComment(member));
+
+    if (member.type === 'TSPropertySignature' && name) {
+      const type = this.getTypeText(member.typeAnnotation, context);
+      return {
+        ...this.baseEntry(name, 'property', member, doc),
+        signature: `${member.readonly ? 'readonly ' : ''}${name}${member.optional ? '?' : ''}${type ? `: ${type}` : ''}`,
+        type
+      };
+    }
+
+    if (member.type === 'TSMethodSignature' && name) {
+      const params = this.describeParams(member.parameters || member.params || [], context, doc);
+      const returnType = this.getTypeText(member.typeAnnotation || member.returnType, context);
+      return {
+        ...this.baseEntry(name, 'method', member, doc),
+        signature: `${name}${member.optional ? '?' : ''}(${this.formatParams(params)})${returnType ? `: ${returnType}` : ''}`,
+        params,
+        returns: returnType ? { type: returnType, description: doc?.returns?.description || '' } : null
+      };
+    }
+
+    return null;
+  }
+
+  // Parameters from the AST, with types and descriptions filled in from @param tags
+  describeParams(params, context, doc) {
+    const tags = doc?.params || [];
+
+    return params.map((param, index) => {
+      let node = param.type === 'TSParameterProperty' ? param.parameter : param;
+      let defaultValue = null;
+      let rest = false;
+
+      if (node.type === 'AssignmentPattern') {
+        defaultValue = this.slice(node.right, context);
+        node = node.left;
+      }
+      if (node.type === 'RestElement') {
+        rest = true;
+        node = node.argument;
+      }
+
+      // Destructured parameters have no name of their own; JSDoc names them by position
+      const positionalTag = tags.filter(tag => !tag.name.includes('.'))[index];
+      const name = node.type === 'Identifier'
+        ? node.name
+        : positionalTag?.name || (node.type === 'ObjectPattern' ? 'options' : `arg${index}`);
+      const tag = tags.find(candidate => candidate.name === name);
+
+      const type = this.getTypeText(node.typeAnnotation || param.typeAnnotation, context) || tag?.type || null;
+      const properties = tags
+        .filter(candidate => candidate.name.startsWith(`${name}.`))
+        .map(candidate => ({ ...candidate, name: candidate.name.slice(name.length + 1) }));
+
+      return {
+        name,
+        type,
+        description: tag?.description || '',
+        optional: Boolean(node.optional || defaultValue !== null || tag?.optional),
+        defaultValue: defaultValue ?? tag?.defaultValue ?? null,
+        rest,
+        ...(properties.length > 0 ? { properties } : {})
+      };
+    });
+  }
+
+  formatParams(params = []) {
+    return params.map(param => {
+      const optional = param.optional && param.defaultValue === null ? '?' : '';
+      const type = param.type ? `: ${param.type}` : '';
+      const defaultValue = param.defaultValue !== null ? ` = ${param.defaultValue}` : '';
+      return `${param.rest ? '...' : ''}${param.name}${optional}${type}${defaultValue}`;
+    }).join(', ');
+  }
+
+  getTypeParameters(node, context) {
+    return node.typeParameters ? this.sliceType(node.typeParameters, context) : '';
+  }
+
+  getTypeText(annotation, context) {
+    if (!annotation) return null;
+    const type = annotation.type === 'TSTypeAnnotation' || annotation.type === 'TypeAnnotation'
+      ? annotation.typeAnnotation
+      : annotation;
+    return this.sliceType(type, context);
+  }
+
+  sliceType(node, context) {
+    const text = this.slice(node, context);
+    return text.length > this.maxTypeLength ? `${text.slice(0, this.maxTypeLength - 3)}...` : text;
+  }
+
+  // Source text of a node with whitespace collapsed
+  slice(node, context) {
+    if (!node || node.start === undefined) return '';
+    return context.source.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+  }
+
+  inferLiteralType(node) {
+    if (!node) return null;
+    switch (node.type) {
+      case 'StringLiteral':
+      case 'TemplateLiteral':
+        return 'string';
+      case 'NumericLiteral':
+        return 'number';
+      case 'BooleanLiteral':
+        return 'boolean';
+      case 'ArrayExpression':
+        return 'Array';
+      case 'RegExpLiteral':
+        return 'RegExp';
+      default:
+        return null;
+    }
+  }
+
+  getName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier' || node.type === 'PrivateName') return node.name || node.id?.name;
+    if (node.type === 'StringLiteral' || node.type === 'NumericLiteral') return String(node.value);
+    return null;
+  }
+
+  getInstanceName(node) {
+    const className = node.callee.type === 'Identifier' ? node.callee.name : null;
+    return className ? className.charAt(0).toLowerCase() + className.slice(1) : 'default';
+  }
+
+  getMemberPath(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && !node.computed) {
+      const object = this.getMemberPath(node.object);
+      return object ? `${object}.${node.property.name}` : null;
+    }
+    return null;
+  }
+
+  // The closest /** */ block directly above a node
+  getDocComment(node) {
+    const comments = node?.leadingComments || [];
+    const comment = comments[comments.length - 1];
+    return comment && comment.type === 'CommentBlock' && comment.value.startsWith('*') ? comment.value : null;
+  }
+
+  // JSDoc/TSDoc block -> { description, params, returns, type, deprecated, examples, throws }
+  parseDocComment(text) {
+    if (!text) return null;
+
+    const lines = text
+      .replace(/^\*/, '')
+      .split('\n')
+      .map(line => line.replace(/^\s*\*? ?/, ''));
+
+    const doc = { description: '', params: [], returns: null, type: null, deprecated: null, examples: [], throws: [] };
+    const blocks = [];
+    let current = { tag: null, text: [] };
+
+    for (const line of lines) {
+      const match = line.match(/^@(\w+)\s?(.*)$/);
+      if (match) {
+        blocks.push(current);
+        current = { tag: match[1], text: [match[2]] };
+      } else {
+        current.text.push(line);
+      }
+    }
+    blocks.push(current);
+
+    for (const block of blocks) {
+      // Examples keep their layout; everything else reads as prose
+      const raw = block.text.join('\n').replace(/\s+$/, '');
+      const prose = raw.replace(/\s+/g, ' ').trim();
+
+      switch (block.tag) {
+        case null:
+          doc.description = raw.trim();
+          break;
+        case 'param':
+        case 'arg':
+        case 'argument':
+        case 'property':
+        case 'prop': {
+          const param = this.parseParamTag(prose);
+          if (param) doc.params.push(param);
+          break;
+        }
+        case 'returns':
+        case 'return': {
+          const { type, rest } = this.splitTypeExpression(prose);
+          doc.returns = { type, description: rest.replace(/^-\s*/, '') };
+          break;
+        }
+        case 'type':
+          doc.type = this.splitTypeExpression(prose).type;
+          break;
+        case 'deprecated':
+          doc.deprecated = prose || true;
+          break;
+        case 'example':
+          doc.examples.push(raw.trim());
+          break;
+        case 'throws':
+        case 'exception': {
+          const { type, rest } = this.splitTypeExpression(prose);
+          doc.throws.push({ type, description: rest.replace(/^-\s*/, '') });
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    return doc;
+  }
+
+  // "{Type} [name=default] - description"
+  parseParamTag(text) {
+    const { type, rest } = this.splitTypeExpression(text);
+    const match = rest.match(/^(\[[^\]]+\]|[\w$.[\]]+)\s*(?:-\s*)?(.*)$/);
+    if (!match) return null;
+
+    let name = match[1];
+    let optional = false;
+    let defaultValue = null;
+
+    if (name.startsWith('[')) {
+      optional = true;
+      const [bareName, ...value] = name.slice(1, -1).split('=');
+      name = bareName.trim();
+      defaultValue = value.length > 0 ? value.join('=').trim() : null;
+    }
+
+    if (type && type.endsWith('=')) optional = true;
+
+    return {
+      name: name.replace(/\[\]/g, ''),
+      type: type ? type.replace(/=$/, '') : null,
+      description: match[2],
+      optional,
+      defaultValue
+    };
+  }
+
+  // Splits a leading {type} (braces may nest) off a tag
+  splitTypeExpression(text) {
+    if (!text.startsWith('{')) return { type: null, rest: text };
+
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '{') depth++;
+      if (text[i] === '}') depth--;
+      if (depth === 0) {
+        return { type: text.slice(1, i).trim(), rest: text.slice(i + 1).trim() };
+      }
+    }
+    return { type: null, rest: text };
+  }
+}
+
+module.exports = new JavaScriptExtractor();
@@ -0,0 +1,927 @@
+// Parses Python modules without a Python runtime: a small scanner turns the source into logical lines
+// (bracketed and backslash continuations joined, comments dropped) and indentation gives the blocks.
+// Collects public functions, classes, constants and type aliases with their signatures and docstrings
+// in Google, NumPy or reST style.
+class PythonExtractor {
+  constructor() {
+    this.name = 'python';
+    this.extensions = ['.py'];
+    this.maxValueLength = 80;
+    this.enumBases = ['Enum', 'IntEnum', 'StrEnum', 'Flag', 'IntFlag'];
+
+    // Classes whose annotated attributes are the constructor's parameters
+    this.fieldDecorators = /^(dataclasses\.)?dataclass\b|^(attr|attrs)\.(s|define|frozen|mutable)\b|^(define|frozen)\b/;
+    this.fieldBases = /\b(BaseModel|BaseSettings|NamedTuple|TypedDict|Struct)$/;
+
+    this.typeAliasValue = /^(typing\.)?(Union|Optional|Literal|Callable|Annotated|Dict|List|Tuple|Type|Mapping|Sequence)\[|^(typing\.)?(TypeVar|NewType|ParamSpec)\(/;
+
+    // Google-style section titles -> what they hold
+    this.googleSections = {
+      args: 'params', arguments: 'params', parameters: 'params', params: 'params',
+      'keyword args': 'params', 'keyword arguments': 'params', 'other parameters': 'params', kwargs: 'params',
+      returns: 'returns', return: 'returns', yields: 'returns', yield: 'returns',
+      raises: 'raises', exceptions: 'raises', except: 'raises',
+      example: 'examples', examples: 'examples', usage: 'examples',
+      attributes: 'attributes',
+      deprecated: 'deprecated',
+      note: 'note', notes: 'note', warning: 'note', warnings: 'note', 'see also': 'note', todo: 'note'
+    };
+    this.numpySections = {
+      parameters: 'params', 'other parameters': 'params', returns: 'returns', yields: 'returns',
+      raises: 'raises', examples: 'examples', attributes: 'attributes',
+      notes: 'note', warnings: 'note', 'see also': 'note'
+    };
+  }
+
+  supports(filePath) {
+    return this.extensions.some(extension => filePath.toLowerCase().endsWith(extension));
+  }
+
+  // _private.py, _internal/ and __main__.py are not part of a package's API
+  isPublicModule(filePath) {
+    return !filePath
+      .replace(/\.py$/i, '')
+      .split('/')
+      .some(segment => segment.startsWith('_') && segment !== '__init__');
+  }
+
+  // Module API in the shape the JavaScript extractor returns, plus the module docstring
+  parse(filePath, source) {
+    const lines = this.scanLines(source);
+    const scope = { definitions: new Map(), variables: new Map(), imports: new Map(), starImports: [], all: null };
+    if (lines.length > 0) this.collectModule(lines, 0, lines.length, scope);
+
+    const moduleDoc = lines.length > 0 ? this.parseDocstring(this.getDocstring(lines[0].text)) : null;
+    const isPackage = /(^|\/)__init__\.py$/i.test(filePath);
+
+    // __all__ decides when present; otherwise every public definition counts
+    const exports = scope.all
+      ? scope.all.map(name => scope.definitions.get(name) || scope.variables.get(name)).filter(Boolean)
+      : [...scope.definitions.values()].filter(entry => !entry.name.startsWith('_'));
+
+    const reexports = [];
+    const addReexport = (source, name) => {
+      let group = reexports.find(candidate => candidate.source === source);
+      if (!group) reexports.push(group = { source, names: [] });
+      group.names.push(name);
+    };
+
+    for (const [name, importSource] of scope.imports) {
+      const listed = scope.all ? scope.all.includes(name) : isPackage && importSource.startsWith('.');
+      if (listed && !scope.definitions.has(name) && !name.startsWith('_')) addReexport(importSource, name);
+    }
+    for (const importSource of scope.starImports) {
+      if (importSource.startsWith('.')) addReexport(importSource, '*');
+    }
+
+    return {
+      language: 'python',
+      moduleSystem: isPackage ? 'package' : 'module',
+      description: moduleDoc ? moduleDoc.description.split(/\n\s*\n/)[0].trim() : '',
+      exports,
+      reexports,
+      http: null,
+      imports: this.collectImports(lines)
+    };
+  }
+
+  // Every import statement, including the ones inside functions: "import a.b" -> { source: 'a.b' },
+  // "from .x import y" -> { source: '.x', names: ['y'] } (y may be a submodule)
+  collectImports(lines) {
+    const imports = [];
+    for (const { text } of lines) {
+      const from = text.match(/^from\s+([\w.]+)\s+import\s+(.+)$/);
+      if (from) {
+        const names = this.splitTopLevel(from[2].replace(/^\(|\)$/g, ''), ',')
+          .map(item => item.split(/\s+as\s+/)[0].trim())
+          .filter(name => /^\w+$/.test(name));
+        imports.push({ source: from[1], names });
+        continue;
+      }
+
+      const plain = text.match(/^import\s+(.+)$/);
+      if (plain) {
+        for (const item of this.splitTopLevel(plain[1], ',')) {
+          const source = item.split(/\s+as\s+/)[0].trim();
+          if (/^[\w.]+$/.test(source)) imports.push({ source });
+        }
+      }
+    }
+    return imports;
+  }
+
+  // Source -> [{ indent, text, line }], one entry per logical line
+  scanLines(source) {
+    const lines = [];
+    let text = '';
+    let indent = 0;
+    let startLine = 1;
+    let lineNumber = 1;
+    let depth = 0;
+    let atLineStart = true;
+
+    const push = () => {
+      if (text.trim()) lines.push({ indent, text: text.trim(), line: startLine });
+      text = '';
+    };
+
+    let i = 0;
+    while (i < source.length) {
+      if (atLineStart) {
+        let width = 0;
+        while (source[i] === ' ' || source[i] === '\t') {
+          width = source[i] === '\t' ? width + 8 - (width % 8) : width + 1;
+          i++;
+        }
+        indent = width;
+        startLine = lineNumber;
+        atLineStart = false;
+        continue;
+      }
+
+      const char = source[i];
+      if (char === '#') {
+        while (i < source.length && source[i] !== '\n') i++;
+      } else if (char === '"' || char === '\'') {
+        const end = this.findStringEnd(source, i);
+        const literal = source.slice(i, end);
+        lineNumber += (literal.match(/\n/g) || []).length;
+        text += literal;
+        i = end;
+      } else if (char === '\\' && (source[i + 1] === '\n' || source[i + 1] === '\r')) {
+        text += ' ';
+        i = source.indexOf('\n', i) + 1 || source.length;
+        lineNumber++;
+      } else if (char === '\n') {
+        lineNumber++;
+        i++;
+        if (depth > 0) {
+          text += ' ';
+        } else {
+          push();
+          atLineStart = true;
+        }
+      } else {
+        if ('([{'.includes(char)) depth++;
+        if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+        if (char !== '\r') text += char;
+        i++;
+      }
+    }
+    push();
+    return lines;
+  }
+
+  findStringEnd(text, start) {
+    const quote = text[start];
+    const triple = text.startsWith(quote.repeat(3), start);
+    let i = start + (triple ? 3 : 1);
+
+    while (i < text.length) {
+      if (text[i] === '\\') {
+        i += 2;
+      } else if (triple && text.startsWith(quote.repeat(3), i)) {
+        return i + 3;
+      } else if (!triple && text[i] === quote) {
+        return i + 1;
+      } else if (!triple && text[i] === '\n') {
+        return i;
+      } else {
+        i++;
+      }
+    }
+    return text.length;
+  }
+
+  // Index of the bracket closing the one at openIndex, skipping strings
+  findClosing(text, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"' || char === '\'') {
+        i = this.findStringEnd(text, i) - 1;
+      } else if ('([{'.includes(char)) {
+        depth++;
+      } else if (')]}'.includes(char)) {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return text.length - 1;
+  }
+
+  // First occurrence of char outside brackets and strings, or -1
+  findTopLevel(text, char) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+      const current = text[i];
+      if (current === '"' || current === '\'') {
+        i = this.findStringEnd(text, i) - 1;
+      } else if ('([{'.includes(current)) {
+        depth++;
+      } else if (')]}'.includes(current)) {
+        depth--;
+      } else if (current === char && depth === 0) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  splitTopLevel(text, separator) {
+    const parts = [];
+    let rest = text;
+    let index = this.findTopLevel(rest, separator);
+    while (index !== -1) {
+      parts.push(rest.slice(0, index));
+      rest = rest.slice(index + 1);
+      index = this.findTopLevel(rest, separator);
+    }
+    parts.push(rest);
+    return parts.map(part => part.trim()).filter(Boolean);
+  }
+
+  getBlockEnd(lines, index, end) {
+    let i = index + 1;
+    while (i < end && lines[i].indent > lines[index].indent) i++;
+    return i;
+  }
+
+  // Top-level statements, including definitions inside if/try blocks (optional imports, version checks)
+  collectModule(lines, start, end, scope) {
+    const indent = lines[start].indent;
+    let decorators = [];
+
+    for (let index = start; index < end; index++) {
+      const line = lines[index];
+      if (line.indent !== indent) continue;
+
+      const text = line.text;
+      const blockEnd = this.getBlockEnd(lines, index, end);
+
+      if (text.startsWith('@')) {
+        decorators.push(text.slice(1).trim());
+        continue;
+      }
+
+      if (/^(async\s+)?def\s/.test(text)) {
+        const entry = this.describeFunctionAt(lines, index, blockEnd, decorators);
+        if (entry && !scope.definitions.has(entry.name)) scope.definitions.set(entry.name, entry);
+      } else if (/^class\s/.test(text)) {
+        const entry = this.describeClassAt(lines, index, blockEnd, decorators);
+        if (entry && !scope.definitions.has(entry.name)) scope.definitions.set(entry.name, entry);
+      } else if (/^(if|elif|else|try|except|finally|with)\b.*:$/.test(text)) {
+        if (!/__name__\s*==/.test(text) && blockEnd > index + 1) this.collectModule(lines, index + 1, blockEnd, scope);
+      } else if (/^from\s/.test(text)) {
+        this.collectImport(text, scope);
+      } else if (/^__all__\s*(\+?=|:)/.test(text) || /^__all__\.(extend|append)\(/.test(text)) {
+        const names = [...text.matchAll(/(['"])([A-Za-z_]\w*)\1/g)].map(match => match[2]);
+        scope.all = /^__all__\s*[:=]/.test(text) ? names : [...(scope.all || []), ...names];
+      } else {
+        const nextText = index + 1 < end ? lines[index + 1].text : '';
+        const entry = this.describeAssignment(text, line, this.parseDocstring(this.getDocstring(nextText)));
+        if (entry) {
+          const target = entry.implicit ? scope.variables : scope.definitions;
+          delete entry.implicit;
+          if (!target.has(entry.name)) target.set(entry.name, entry);
+        }
+      }
+      decorators = [];
+    }
+  }
+
+  // from .module import a, b as c / from .module import *
+  collectImport(text, scope) {
+    const match = text.match(/^from\s+([\w.]+)\s+import\s+(.+)$/);
+    if (!match) return;
+
+    const names = match[2].replace(/^\(|\)$/g, '');
+    if (names.trim() === '*') {
+      scope.starImports.push(match[1]);
+      return;
+    }
+
+    for (const item of this.splitTopLevel(names, ',')) {
+      const [, imported, alias] = item.match(/^(\w+)(?:\s+as\s+(\w+))?$/) || [];
+      if (imported) scope.imports.set(alias || imported, match[1]);
+    }
+  }
+
+  // The literal when a statement is nothing but a string
+  getDocstring(text) {
+    const match = (text || '').match(/^[rRuU]?("""|'''|"|')/);
+    if (!match) return null;
+
+    const start = match[0].length - match[1].length;
+    return this.findStringEnd(text, start) === text.length ? text : null;
+  }
+
+  stringValue(literal) {
+    const raw = /^[rR]/.test(literal);
+    const body = literal.replace(/^[rRuU]/, '');
+    const quote = body.startsWith('"""') || body.startsWith('\'\'\'') ? body.slice(0, 3) : body[0];
+    const value = body.slice(quote.length, body.endsWith(quote) ? -quote.length : undefined);
+    return raw ? value : value.replace(/\\(["'\\])/g, '$1');
+  }
+
+  parseFunctionHeader(text) {
+    const match = text.match(/^(async\s+)?def\s+([A-Za-z_]\w*)\s*/);
+    if (!match) return null;
+
+    let rest = text.slice(match[0].length);
+    let typeParams = '';
+    if (rest.startsWith('[')) {
+      const close = this.findClosing(rest, 0);
+      typeParams = rest.slice(0, close + 1);
+      rest = rest.slice(close + 1).trimStart();
+    }
+    if (!rest.startsWith('(')) return null;
+
+    const close = this.findClosing(rest, 0);
+    const paramText = rest.slice(1, close);
+    rest = rest.slice(close + 1).trim();
+
+    const colon = this.findTopLevel(rest, ':');
+    const returnType = (colon === -1 ? rest : rest.slice(0, colon)).replace(/^->/, '').trim();
+
+    return {
+      name: match[2],
+      isAsync: Boolean(match[1]),
+      typeParams,
+      paramText,
+      returnType: returnType ? this.clean(returnType) : null,
+      inlineBody: colon === -1 ? '' : rest.slice(colon + 1).trim()
+    };
+  }
+
+  parseClassHeader(text) {
+    const match = text.match(/^class\s+([A-Za-z_]\w*)\s*/);
+    if (!match) return null;
+
+    let rest = text.slice(match[0].length);
+    let typeParams = '';
+    if (rest.startsWith('[')) {
+      const close = this.findClosing(rest, 0);
+      typeParams = rest.slice(0, close + 1);
+      rest = rest.slice(close + 1).trimStart();
+    }
+
+    let bases = [];
+    if (rest.startsWith('(')) {
+      const close = this.findClosing(rest, 0);
+      bases = this.splitTopLevel(rest.slice(1, close), ',').map(base => this.clean(base)).filter(base => base !== 'object');
+      rest = rest.slice(close + 1).trim();
+    }
+
+    return { name: match[1], typeParams, bases, inlineBody: rest.replace(/^:/, '').trim() };
+  }
+
+  // Docstring of a def/class: the first statement of its body
+  getBodyDocstring(lines, index, blockEnd, inlineBody) {
+    return this.parseDocstring(this.getDocstring(index + 1 < blockEnd ? lines[index + 1].text : inlineBody));
+  }
+
+  // Overload stubs are skipped; the implementation that follows them is the one documented
+  describeFunctionAt(lines, index, blockEnd, decorators) {
+    const header = this.parseFunctionHeader(lines[index].text);
+    if (!header || decorators.some(decorator => /^(typing\.)?overload$/.test(decorator))) return null;
+
+    return this.describeFunction(header, lines[index], this.getBodyDocstring(lines, index, blockEnd, header.inlineBody), decorators);
+  }
+
+  describeFunction(header, line, doc, decorators, { isMethod = false } = {}) {
+    const { params, parts } = this.describeParams(header.paramText, doc, {
+      skipFirst: isMethod && !decorators.includes('staticmethod')
+    });
+    const returnType = header.returnType || doc?.returns?.type || null;
+
+    return {
+      ...this.baseEntry(header.name, 'function', line, doc, decorators),
+      signature: `${header.isAsync ? 'async ' : ''}def ${header.name}${header.typeParams}(${parts.join(', ')})${returnType ? ` -> ${returnType}` : ''}`,
+      async: header.isAsync,
+      params,
+      returns: returnType || doc?.returns?.description
+        ? { type: returnType, description: doc?.returns?.description || '' }
+        : null,
+      throws: doc?.throws || []
+    };
+  }
+
+  // Parameters with annotations and defaults, described from the docstring. parts keeps the / and * markers
+  // for the signature.
+  describeParams(paramText, doc, { skipFirst = false } = {}) {
+    const tags = doc?.params || [];
+    const params = [];
+    const parts = [];
+
+    this.splitTopLevel(paramText, ',').forEach((item, position) => {
+      if (item === '/' || item === '*') {
+        parts.push(item);
+        return;
+      }
+
+      const equals = this.findTopLevel(item, '=');
+      const declaration = equals === -1 ? item : item.slice(0, equals);
+      const defaultValue = equals === -1 ? null : this.shorten(this.clean(item.slice(equals + 1)));
+      const colon = this.findTopLevel(declaration, ':');
+      const name = (colon === -1 ? declaration : declaration.slice(0, colon)).trim();
+      if (skipFirst && position === 0) return;
+
+      const bareName = name.replace(/^\*+/, '');
+      const tag = tags.find(candidate => candidate.name.replace(/^\*+/, '') === bareName);
+      const type = colon === -1 ? tag?.type || null : this.clean(declaration.slice(colon + 1));
+
+      params.push({
+        name,
+        type,
+        description: tag?.description || '',
+        optional: defaultValue !== null || Boolean(tag?.optional),
+        defaultValue: defaultValue ?? tag?.defaultValue ?? null,
+        rest: false
+      });
+
+      const annotation = colon === -1 ? '' : `: ${type}`;
+      parts.push(`${name}${annotation}${defaultValue !== null ? (annotation ? ` = ${defaultValue}` : `=${defaultValue}`) : ''}`);
+    });
+
+    return { params, parts };
+  }
+
+  describeClassAt(lines, index, blockEnd, decorators) {
+    const header = this.parseClassHeader(lines[index].text);
+    if (!header) return null;
+
+    const doc = this.getBodyDocstring(lines, index, blockEnd, header.inlineBody);
+    const isEnum = header.bases.some(base => this.enumBases.includes(base.split('.').pop()));
+    const hasFields = decorators.some(decorator => this.fieldDecorators.test(decorator)) ||
+      header.bases.some(base => this.fieldBases.test(base));
+
+    const members = [];
+    const fields = [];
+    let constructor = null;
+
+    if (index + 1 < blockEnd) {
+      const indent = lines[index + 1].indent;
+      let memberDecorators = [];
+
+      for (let i = index + 1; i < blockEnd; i++) {
+        const line = lines[i];
+        if (line.indent !== indent) continue;
+
+        const text = line.text;
+        if (text.startsWith('@')) {
+          memberDecorators.push(text.slice(1).trim());
+          continue;
+        }
+
+        const memberEnd = this.getBlockEnd(lines, i, blockEnd);
+        if (/^(async\s+)?def\s/.test(text)) {
+          const member = this.describeMethod(lines, i, memberEnd, memberDecorators, doc);
+          if (member?.kind === 'constructor') constructor = member;
+          else if (member) members.push(member);
+        } else if (!/^class\s/.test(text)) {
+          const assignment = this.parseAssignment(text);
+          if (assignment && !assignment.name.startsWith('_')) {
+            const attributeDoc = i + 1 < blockEnd ? this.parseDocstring(this.getDocstring(lines[i + 1].text)) : null;
+            const member = this.describeAttribute(assignment, line, attributeDoc, { isEnum });
+            members.push(member);
+            if (hasFields && !/^(typing\.)?ClassVar\b/.test(assignment.type || '')) fields.push(member);
+          }
+        }
+        memberDecorators = [];
+      }
+    }
+
+    // Attributes documented in the class docstring
+    for (const attribute of doc?.attributes || []) {
+      const member = members.find(candidate => candidate.name === attribute.name);
+      if (member && !member.description) member.description = attribute.description;
+    }
+
+    // Dataclass-style classes take their fields as constructor arguments
+    if (!constructor && fields.length > 0) {
+      const parts = fields.map(field => `${field.name}${field.type ? `: ${field.type}` : ''}${field.defaultValue !== null ? ` = ${field.defaultValue}` : ''}`);
+      constructor = {
+        params: fields.map(field => {
+          const tag = (doc?.params || []).find(candidate => candidate.name === field.name);
+          return {
+            name: field.name,
+            type: field.type,
+            description: field.description || tag?.description || '',
+            optional: field.defaultValue !== null,
+            defaultValue: field.defaultValue,
+            rest: false
+          };
+        }),
+        parts
+      };
+    }
+
+    if (constructor && !isEnum) {
+      members.unshift({
+        name: header.name,
+        kind: 'constructor',
+        signature: `${header.name}(${constructor.parts.join(', ')})`,
+        description: ''
+      });
+    }
+
+    return {
+      ...this.baseEntry(header.name, isEnum ? 'enum' : 'class', lines[index], doc, decorators),
+      signature: `class ${header.name}${header.typeParams}${header.bases.length > 0 ? `(${header.bases.join(', ')})` : ''}`,
+      extends: header.bases[0] || null,
+      params: constructor ? constructor.params : [],
+      members
+    };
+  }
+
+  // Public methods and properties; __init__ comes back as the constructor. Google style often documents the
+  // constructor's arguments in the class docstring.
+  describeMethod(lines, index, blockEnd, decorators, classDoc) {
+    const header = this.parseFunctionHeader(lines[index].text);
+    if (!header) return null;
+
+    const names = decorators.map(decorator => decorator.split('(')[0]);
+    if (names.some(name => /^(typing\.)?overload$|\.(setter|deleter)$/.test(name))) return null;
+
+    if (header.name === '__init__') {
+      const ownDoc = this.getBodyDocstring(lines, index, blockEnd, header.inlineBody);
+      const doc = ownDoc?.params.length > 0 || !classDoc ? ownDoc : { ...classDoc, description: ownDoc?.description || '' };
+      return { kind: 'constructor', ...this.describeParams(header.paramText, doc, { skipFirst: true }) };
+    }
+    if (header.name.startsWith('_')) return null;
+
+    const doc = this.getBodyDocstring(lines, index, blockEnd, header.inlineBody);
+    if (names.some(name => /(^|\.)(property|cached_property)$/.test(name))) {
+      const type = header.returnType || doc?.returns?.type || null;
+      return {
+        ...this.baseEntry(header.name, 'property', lines[index], doc, decorators),
+        static: false,
+        signature: `${header.name}${type ? `: ${type}` : ''}`,
+        type
+      };
+    }
+
+    const described = this.describeFunction(header, lines[index], doc, decorators, { isMethod: true });
+    const prefix = names.includes('staticmethod') ? '@staticmethod ' : names.includes('classmethod') ? '@classmethod ' : '';
+    return {
+      ...described,
+      kind: 'method',
+      static: Boolean(prefix),
+      signature: `${prefix}${described.signature}`
+    };
+  }
+
+  describeAttribute(assignment, line, doc, { isEnum = false } = {}) {
+    if (isEnum) {
+      return {
+        name: assignment.name,
+        kind: 'member',
+        signature: assignment.value ? `${assignment.name} = ${this.shorten(assignment.value)}` : assignment.name
+      };
+    }
+
+    const type = assignment.type || this.inferLiteralType(assignment.value);
+    const defaultValue = assignment.value ? this.shorten(assignment.value) : null;
+    return {
+      ...this.baseEntry(assignment.name, 'property', line, doc, []),
+      static: false,
+      signature: `${assignment.name}${type ? `: ${type}` : ''}${defaultValue !== null ? ` = ${defaultValue}` : ''}`,
+      type,
+      defaultValue
+    };
+  }
+
+  // NAME = value, name: Type = value, or a type alias
+  parseAssignment(text) {
+    const alias = text.match(/^type\s+([A-Za-z_]\w*)(\[[^\]]*\])?\s*=\s*(.+)$/);
+    if (alias) return { name: alias[1], typeParams: alias[2] || '', type: 'TypeAlias', value: alias[3].trim(), statement: true };
+
+    const match = text.match(/^([A-Za-z_]\w*)\s*(:|=(?!=))/);
+    if (!match) return null;
+
+    const rest = text.slice(match[1].length).trim();
+    if (!rest.startsWith(':')) {
+      const value = this.clean(rest.slice(1));
+      // a = b = 1 and tuple unpacking are not declarations worth listing
+      return this.findTopLevel(value, '=') === -1 ? { name: match[1], type: null, value } : null;
+    }
+
+    const equals = this.findTopLevel(rest, '=');
+    return {
+      name: match[1],
+      type: this.clean(equals === -1 ? rest.slice(1) : rest.slice(1, equals)),
+      value: equals === -1 ? null : this.clean(rest.slice(equals + 1))
+    };
+  }
+
+  // Module-level assignments: constants and type aliases are API; other variables only when __all__ lists them
+  describeAssignment(text, line, doc) {
+    const assignment = this.parseAssignment(text);
+    if (!assignment) return null;
+
+    const { name, type, value } = assignment;
+    const isAlias = assignment.statement || /(^|\.)TypeAlias$/.test(type || '') ||
+      (/^[A-Z][a-z]\w*$|^[A-Z]$/.test(name) && this.typeAliasValue.test(value || ''));
+
+    if (isAlias) {
+      return {
+        ...this.baseEntry(name, 'type', line, doc, []),
+        signature: assignment.statement ? `type ${name}${assignment.typeParams} = ${this.shorten(value)}` : `${name} = ${this.shorten(value)}`
+      };
+    }
+
+    const inferred = type || this.inferLiteralType(value);
+    const shown = value && value.length <= this.maxValueLength ? ` = ${value}` : '';
+    return {
+      ...this.baseEntry(name, 'constant', line, doc, []),
+      signature: `${name}${inferred ? `: ${inferred}` : ''}${shown}`,
+      type: inferred,
+      implicit: !/^[A-Z][A-Z0-9_]*$/.test(name) && !/(^|\.)Final\b/.test(type || '')
+    };
+  }
+
+  baseEntry(name, kind, line, doc, decorators) {
+    const deprecatedDecorator = decorators.find(decorator => /^(\w+\.)*deprecated\b/.test(decorator));
+    const decoratorMessage = deprecatedDecorator?.match(/\(\s*[rRuU]?(['"])(.*?)\1/)?.[2];
+
+    return {
+      name,
+      kind,
+      isDefault: false,
+      description: doc?.description || '',
+      deprecated: doc?.deprecated ?? (deprecatedDecorator ? decoratorMessage || true : null),
+      examples: doc?.examples || [],
+      line: line.line
+    };
+  }
+
+  inferLiteralType(value) {
+    if (!value) return null;
+    if (/^-?\d[\d_]*$/.test(value)) return 'int';
+    if (/^-?(\d[\d_]*)?\.\d+([eE][-+]?\d+)?$|^-?\d+[eE][-+]?\d+$/.test(value)) return 'float';
+    if (/^(True|False)$/.test(value)) return 'bool';
+    if (/^[rRuUfF]?['"]/.test(value)) return 'str';
+    if (/^[bB][rR]?['"]/.test(value)) return 'bytes';
+    if (value.startsWith('[')) return 'list';
+    if (value.startsWith('(')) return 'tuple';
+    if (value.startsWith('{')) return /^\{\s*(\}|[^,]*:)/.test(value) ? 'dict' : 'set';
+    return null;
+  }
+
+  clean(text) {
+    return text.replace(/\s+/g, ' ').replace(/([([{]) /g, '$1').replace(/ ([)\]}])/g, '$1').replace(/,([)\]}])/g, '$1').trim();
+  }
+
+  shorten(value) {
+    return value.length > this.maxValueLength ? `${value.slice(0, this.maxValueLength - 1)}…` : value;
+  }
+
+  // inspect.cleandoc: strip the common indentation of every line after the first
+  cleandoc(text) {
+    const lines = text.replace(/\t/g, '        ').split('\n');
+    const margin = Math.min(...lines.slice(1).filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+    const cleaned = [lines[0].trim(), ...lines.slice(1).map(line => (Number.isFinite(margin) ? line.slice(margin) : line).trimEnd())];
+    return cleaned.join('\n').replace(/^\n+|\n+$/g, '');
+  }
+
+  dedent(lines) {
+    const margin = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+    return Number.isFinite(margin) ? lines.map(line => line.slice(margin)) : lines;
+  }
+
+  // Docstring literal -> { description, params, returns, deprecated, examples, throws, attributes }
+  parseDocstring(literal) {
+    if (!literal) return null;
+
+    const text = this.cleandoc(this.stringValue(literal));
+    if (!text) return null;
+
+    const doc = { description: '', params: [], returns: null, deprecated: null, examples: [], throws: [], attributes: [] };
+    const body = text.replace(/^\.\. deprecated::[ \t]*(.*)\n?((?:[ \t]+.*\n?|[ \t]*\n(?=[ \t]+\S))*)/m, (match, version, note) => {
+      const message = note.replace(/\s+/g, ' ').trim();
+      doc.deprecated = [version && `Since ${version.trim()}.`, message].filter(Boolean).join(' ') || true;
+      return '';
+    });
+
+    if (/^:(param|parameter|arg|argument|key|keyword|type|returns?|rtype|raises?|except|exception)\b/m.test(body)) {
+      this.parseRestDocstring(body, doc);
+    } else if (/^[A-Z][A-Za-z ]+\n-{3,}[ \t]*$/m.test(body)) {
+      this.parseSectionedDocstring(body, doc, 'numpy');
+    } else {
+      this.parseSectionedDocstring(body, doc, 'google');
+    }
+
+    const markdown = (value) => (value || '')
+      .replace(/:(?:py:)?\w+:`~?([^`]+)`/g, '`$1`')
+      .replace(/``([^`]+)``/g, '`$1`')
+      .trim();
+
+    doc.description = markdown(doc.description);
+    if (typeof doc.deprecated === 'string') doc.deprecated = markdown(doc.deprecated);
+    for (const item of [...doc.params, ...doc.throws, ...doc.attributes, ...(doc.returns ? [doc.returns] : [])]) {
+      item.description = markdown(item.description);
+    }
+    return doc;
+  }
+
+  // "Args:" -> { kind, title, skip } for Google style
+  getGoogleHeader(lines, index) {
+    const match = lines[index].match(/^([A-Z][A-Za-z ]*):\s*$/);
+    const kind = match && this.googleSections[match[1].toLowerCase()];
+    return kind ? { kind, title: match[1], skip: 1 } : null;
+  }
+
+  // "Parameters\n----------" for NumPy style
+  getNumpyHeader(lines, index) {
+    if (!/^-{3,}\s*$/.test(lines[index + 1] || '')) return null;
+    const title = lines[index].trim();
+    return { kind: this.numpySections[title.toLowerCase()] || 'note', title, skip: 2 };
+  }
+
+  // Google and NumPy docstrings: prose, then titled sections of indented entries
+  parseSectionedDocstring(text, doc, style) {
+    const lines = text.split('\n');
+    const getHeader = style === 'numpy' ? this.getNumpyHeader.bind(this) : this.getGoogleHeader.bind(this);
+    const sections = [{ kind: 'description', lines: [] }];
+
+    for (let i = 0; i < lines.length; i++) {
+      const header = getHeader(lines, i);
+      if (header) {
+        sections.push({ kind: header.kind, title: header.title, lines: [] });
+        i += header.skip - 1;
+      } else {
+        sections[sections.length - 1].lines.push(lines[i]);
+      }
+    }
+
+    const descriptions = [];
+
+    for (const section of sections) {
+      const content = this.dedent(section.lines);
+      const prose = content.join('\n').trim();
+
+      switch (section.kind) {
+        case 'description':
+          descriptions.push(prose);
+          break;
+        case 'params':
+        case 'attributes': {
+          const target = section.kind === 'params' ? doc.params : doc.attributes;
+          for (const item of this.splitItems(content)) target.push(...this.parseParamItem(item, style));
+          break;
+        }
+        case 'returns': {
+          const items = this.splitItems(content);
+          const first = items[0];
+          if (!first) break;
+          const { type, description } = this.parseReturnItem(first, style);
+          doc.returns = {
+            type,
+            description: [description, ...items.slice(1).map(item => item.join(' ').trim())].filter(Boolean).join(' ')
+          };
+          break;
+        }
+        case 'raises':
+          for (const item of this.splitItems(content)) {
+            const [type, ...rest] = item[0].split(':');
+            doc.throws.push({
+              type: type.trim() || null,
+              description: [rest.join(':'), ...item.slice(1)].join(' ').replace(/\s+/g, ' ').trim()
+            });
+          }
+          break;
+        case 'examples':
+          if (prose) doc.examples.push(`\`\`\`python\n${prose}\n\`\`\``);
+          break;
+        case 'deprecated':
+          doc.deprecated = prose.replace(/\s+/g, ' ') || true;
+          break;
+        default:
+          if (prose) descriptions.push(`**${section.title}:** ${prose}`);
+          break;
+      }
+    }
+
+    doc.description = descriptions.filter(Boolean).join('\n\n');
+  }
+
+  // Entries start at the section's indentation; deeper lines continue them
+  splitItems(lines) {
+    const items = [];
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      if (/^\S/.test(line) || items.length === 0) items.push([line.trim()]);
+      else items[items.length - 1].push(line.trim());
+    }
+    return items;
+  }
+
+  // "name (type, optional): description" or "name : type, optional" + description lines
+  parseParamItem(item, style) {
+    const [first, ...continuation] = item;
+    let names;
+    let type = null;
+    let description;
+
+    const google = style === 'google' && first.match(/^(\*{0,2}[\w.]+)\s*(?:\(([^)]*)\))?\s*:\s*(.*)$/);
+    if (google) {
+      names = [google[1]];
+      type = google[2] || null;
+      description = [google[3], ...continuation].join(' ');
+    } else {
+      const numpy = first.match(/^([^:]+?)\s*(?::\s*(.*))?$/);
+      names = numpy[1].split(',').map(name => name.trim()).filter(Boolean);
+      type = numpy[2] || null;
+      description = continuation.join(' ');
+    }
+
+    let optional = false;
+    let defaultValue = null;
+    if (type) {
+      const defaultMatch = type.match(/,?\s*default(?:s)?(?:\s+is|\s*[:=])?\s+(.+)$/i);
+      if (defaultMatch) {
+        defaultValue = defaultMatch[1].trim();
+        type = type.slice(0, defaultMatch.index);
+      }
+      if (/,?\s*optional\b/i.test(type)) {
+        optional = true;
+        type = type.replace(/,?\s*optional\b/i, '');
+      }
+      type = type.trim() || null;
+    }
+
+    return names.map(name => ({
+      name,
+      type,
+      description: description.replace(/\s+/g, ' ').trim(),
+      optional: optional || defaultValue !== null,
+      defaultValue
+    }));
+  }
+
+  parseReturnItem(item, style) {
+    const [first, ...continuation] = item;
+    if (style === 'numpy') {
+      const named = first.match(/^(\w+)\s*:\s*(.+)$/);
+      return { type: named ? named[2].trim() : first.trim(), description: continuation.join(' ').replace(/\s+/g, ' ').trim() };
+    }
+
+    // Google: "bool: True when ..." names the type only when the part before the colon looks like one
+    const typed = first.match(/^([\w.]+(?:\[[^\]]*\])?(?:\s*\|\s*[\w.]+(?:\[[^\]]*\])?)*):\s*(.*)$/);
+    return typed
+      ? { type: typed[1], description: [typed[2], ...continuation].join(' ').replace(/\s+/g, ' ').trim() }
+      : { type: null, description: item.join(' ').replace(/\s+/g, ' ').trim() };
+  }
+
+  // reST / Sphinx fields: ":param str name: ...", ":type name: ...", ":returns: ...", ":rtype: ...", ":raises X: ..."
+  parseRestDocstring(text, doc) {
+    const description = [];
+    const fields = [];
+
+    for (const line of text.split('\n')) {
+      const field = line.match(/^:([^:]+):\s*(.*)$/);
+      if (field) {
+        fields.push({ key: field[1].trim().split(/\s+/), text: [field[2]] });
+      } else if (fields.length > 0 && (/^\s/.test(line) || !line.trim())) {
+        fields[fields.length - 1].text.push(line.trim());
+      } else if (fields.length === 0) {
+        description.push(line);
+      }
+    }
+
+    const types = {};
+    for (const { key, text: lines } of fields) {
+      const [tag, ...rest] = key;
+      const value = lines.join(' ').replace(/\s+/g, ' ').trim();
+
+      if (['param', 'parameter', 'arg', 'argument', 'key', 'keyword'].includes(tag) && rest.length > 0) {
+        doc.params.push({
+          name: rest[rest.length - 1],
+          type: rest.length > 1 ? rest.slice(0, -1).join(' ') : null,
+          description: value,
+          optional: false,
+          defaultValue: null
+        });
+      } else if (tag === 'type' && rest.length > 0) {
+        types[rest[0]] = value;
+      } else if (tag === 'returns' || tag === 'return') {
+        doc.returns = { type: doc.returns?.type || null, description: value };
+      } else if (tag === 'rtype') {
+        doc.returns = { type: value, description: doc.returns?.description || '' };
+      } else if (['raises', 'raise', 'except', 'exception'].includes(tag)) {
+        doc.throws.push({ type: rest.join(' ') || null, description: value });
+      }
+    }
+
+    for (const param of doc.params) {
+      const type = param.type || types[param.name] || null;
+      param.optional = /,?\s*optional\b/i.test(type || '');
+      param.type = type ? type.replace(/,?\s*optional\b/i, '').trim() || null : null;
+    }
+
+    doc.description = description.join('\n').trim();
+  }
+}
+
+module.exports = new PythonExtractor();
@@ -0,0 +1,686 @@
+const path = require('path');
+
+// Finds HTTP route registrations in Express, Koa (koa-router / @koa/router) and Fastify code: the routes of
+// each app or router, where routers are mounted, and what each handler reads from the request and answers.
+// Works per module on a parsed AST; resolve() then joins mounted routers across modules into full paths.
+class RouteExtractor {
+  constructor() {
+    this.methods = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all'];
+    this.frameworkPackages = {
+      express: 'express',
+      koa: 'koa',
+      'koa-router': 'koa-router',
+      '@koa/router': 'koa-router',
+      fastify: 'fastify'
+    };
+    // Receivers that are clearly an app or router even when their creation is out of sight (passed in as a
+    // parameter, a Fastify plugin instance, ...)
+    this.receiverPattern = /^(app|api|server|router|routes|fastify|instance)$|Router$/;
+    this.requestParts = ['body', 'query', 'params', 'headers'];
+    // Routes and mounts on receivers not created in the module belong to whatever the module is mounted on
+    this.moduleScope = '(module)';
+  }
+
+  // { framework, routers, routes, mounts, exportedRouter } for one module, or null when it has no routes
+  extract(ast, source) {
+    const context = {
+      source,
+      bindings: new Map(), // local name -> { package } or { module } for relative imports
+      routers: new Map(), // local name -> { kind: 'app' | 'router', framework, prefix }
+      functions: new Map(), // local name -> function node, for handlers passed by name
+      routes: [],
+      mounts: [],
+      exportedRouter: null
+    };
+
+    this.collectBindings(ast.program, context);
+    this.walk(ast.program, (node, ancestors) => this.visit(node, ancestors, context));
+
+    if (context.routes.length === 0 && context.mounts.length === 0) return null;
+
+    const frameworks = [...new Set([...context.routers.values()].map(router => router.framework))];
+    return {
+      framework: frameworks[0] || this.getImportedFramework(context),
+      routers: Object.fromEntries(context.routers),
+      routes: context.routes,
+      mounts: context.mounts,
+      exportedRouter: context.exportedRouter
+    };
+  }
+
+  // Depth-first walk over every AST node, with the chain of ancestors
+  walk(node, enter, ancestors = []) {
+    if (!node || typeof node.type !== 'string') return;
+    enter(node, ancestors);
+
+    const nextAncestors = [...ancestors, node];
+    for (const key of Object.keys(node)) {
+      if (['loc', 'leadingComments', 'trailingComments', 'innerComments', 'extra'].includes(key)) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(child => this.walk(child, enter, nextAncestors));
+      } else if (value && typeof value.type === 'string') {
+        this.walk(value, enter, nextAncestors);
+      }
+    }
+  }
+
+  // Imports and requires, router creations and named functions
+  collectBindings(program, context) {
+    this.walk(program, (node) => {
+      if (node.type === 'ImportDeclaration') {
+        for (const specifier of node.specifiers) {
+          this.bind(context, specifier.local.name, node.source.value,
+            specifier.type === 'ImportSpecifier' ? this.getName(specifier.imported) : null);
+        }
+      }
+
+      if (node.type === 'VariableDeclarator' && node.init) {
+        const source = this.getRequireSource(node.init);
+        if (source && node.id.type === 'Identifier') {
+          this.bind(context, node.id.name, source, null);
+        } else if (source && node.id.type === 'ObjectPattern') {
+          for (const property of node.id.properties) {
+            if (property.type === 'ObjectProperty' && property.value.type === 'Identifier') {
+              this.bind(context, property.value.name, source, this.getName(property.key));
+            }
+          }
+        }
+
+        if (node.id.type === 'Identifier') {
+          const router = this.getRouterCreation(node.init, context);
+          if (router) context.routers.set(node.id.name, router);
+          if (['ArrowFunctionExpression', 'FunctionExpression'].includes(node.init.type)) {
+            context.functions.set(node.id.name, node.init);
+          }
+        }
+      }
+
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        context.functions.set(node.id.name, node);
+      }
+    });
+  }
+
+  bind(context, localName, source, importedName) {
+    if (source.startsWith('.')) {
+      context.bindings.set(localName, { module: source });
+    } else if (this.frameworkPackages[source]) {
+      context.bindings.set(localName, { package: this.frameworkPackages[source], imported: importedName });
+    }
+  }
+
+  getRequireSource(node) {
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+      node.arguments[0]?.type === 'StringLiteral') {
+      return node.arguments[0].value;
+    }
+    return null;
+  }
+
+  getImportedFramework(context) {
+    const packages = [...context.bindings.values()].map(binding => binding.package).filter(Boolean);
+    if (packages.includes('fastify')) return 'fastify';
+    if (packages.includes('koa') || packages.includes('koa-router')) return 'koa';
+    return packages.includes('express') ? 'express' : null;
+  }
+
+  // express(), express.Router(), Router(), new Koa(), new Router({ prefix }), fastify(), require('fastify')()
+  getRouterCreation(init, context) {
+    const node = init.type === 'AwaitExpression' ? init.argument : init;
+    if (node.type !== 'CallExpression' && node.type !== 'NewExpression') return null;
+
+    const callee = node.callee;
+    const requiredPackage = this.frameworkPackages[this.getRequireSource(callee) || ''];
+    const binding = callee.type === 'Identifier' ? context.bindings.get(callee.name) : null;
+    const objectBinding = callee.type === 'MemberExpression' && callee.object.type === 'Identifier'
+      ? context.bindings.get(callee.object.name)
+      : null;
+
+    if (requiredPackage === 'fastify' || binding?.package === 'fastify') {
+      return { kind: 'app', framework: 'fastify', prefix: '' };
+    }
+    if (requiredPackage === 'express' || (binding?.package === 'express' && !binding.imported)) {
+      return { kind: 'app', framework: 'express', prefix: '' };
+    }
+    if ((binding?.package === 'express' && binding.imported === 'Router') ||
+      (objectBinding?.package === 'express' && this.getName(callee.property) === 'Router')) {
+      return { kind: 'router', framework: 'express', prefix: '' };
+    }
+    if (binding?.package === 'koa') {
+      return { kind: 'app', framework: 'koa', prefix: '' };
+    }
+    if (binding?.package === 'koa-router' || requiredPackage === 'koa-router') {
+      const prefixOption = node.arguments[0]?.type === 'ObjectExpression'
+        ? this.getProperty(node.arguments[0], 'prefix')
+        : null;
+      return { kind: 'router', framework: 'koa', prefix: this.getStaticString(prefixOption) || '' };
+    }
+    return null;
+  }
+
+  visit(node, ancestors, context) {
+    // module.exports = router / export default router
+    if (node.type === 'AssignmentExpression' && this.getMemberPath(node.left) === 'module.exports' &&
+      node.right.type === 'Identifier' && context.routers.has(node.right.name)) {
+      context.exportedRouter = node.right.name;
+    }
+    if (node.type === 'ExportDefaultDeclaration' && node.declaration.type === 'Identifier' &&
+      context.routers.has(node.declaration.name)) {
+      context.exportedRouter = node.declaration.name;
+    }
+
+    if (node.type !== 'CallExpression') return;
+    if (node.callee.type !== 'MemberExpression') {
+      this.collectModuleCall(node, context);
+      return;
+    }
+
+    const method = this.getName(node.callee.property);
+    if (this.methods.includes(method)) {
+      this.collectRoute(node, method, ancestors, context);
+    } else if (method === 'route' && node.arguments[0]?.type === 'ObjectExpression') {
+      this.collectFastifyRoute(node, ancestors, context);
+    } else if (method === 'use' || method === 'register') {
+      this.collectMount(node, method, context);
+    } else if (method === 'prefix') {
+      // koa-router: router.prefix('/v1')
+      const owner = this.getOwner(node.callee.object, context);
+      const prefix = this.getStaticString(node.arguments[0]);
+      if (owner && prefix !== null && context.routers.has(owner)) context.routers.get(owner).prefix = prefix;
+    }
+  }
+
+  // app.get('/path', ...handlers), router.route('/path').get(...), router.get('name', '/path', ...)
+  collectRoute(node, method, ancestors, context) {
+    let base = node.callee.object;
+    while (base.type === 'CallExpression' && base.callee.type === 'MemberExpression' &&
+      this.methods.includes(this.getName(base.callee.property))) {
+      base = base.callee.object;
+    }
+
+    let routePath;
+    let handlers;
+    let owner;
+
+    if (base.type === 'CallExpression' && base.callee.type === 'MemberExpression' &&
+      this.getName(base.callee.property) === 'route') {
+      routePath = this.getStaticString(base.arguments[0]);
+      handlers = node.arguments;
+      owner = this.getOwner(base.callee.object, context);
+    } else {
+      const [first, second] = node.arguments;
+      const firstPath = this.getStaticString(first);
+      const secondPath = this.getStaticString(second);
+      if (firstPath !== null && !firstPath.startsWith('/') && firstPath !== '*' && secondPath?.startsWith('/')) {
+        routePath = secondPath;
+        handlers = node.arguments.slice(2);
+      } else {
+        routePath = firstPath;
+        handlers = node.arguments.slice(1);
+      }
+      owner = this.getOwner(base, context);
+    }
+
+    // Map#get, axios.get('/url'), req.get('Header') and friends have no route path or no app receiver
+    if (!owner || routePath === null || !(routePath.startsWith('/') || routePath === '*')) return;
+    if (handlers.length === 0) return;
+
+    const options = handlers.find(handler => handler.type === 'ObjectExpression');
+    context.routes.push({
+      owner,
+      method,
+      path: routePath,
+      line: node.loc.start.line,
+      summary: this.getStatementComment(ancestors),
+      ...this.describeHandlers(handlers, context),
+      schema: options ? this.toJson(this.getProperty(options, 'schema')) : null
+    });
+  }
+
+  // fastify.route({ method, url, schema, handler })
+  collectFastifyRoute(node, ancestors, context) {
+    const owner = this.getOwner(node.callee.object, context);
+    const options = node.arguments[0];
+    const routePath = this.getStaticString(this.getProperty(options, 'url') || this.getProperty(options, 'path'));
+    const methodNode = this.getProperty(options, 'method');
+    const methods = methodNode?.type === 'ArrayExpression'
+      ? methodNode.elements.map(element => this.getStaticString(element))
+      : [this.getStaticString(methodNode)];
+
+    if (!owner || !routePath) return;
+
+    const handlers = ['preHandler', 'handler'].map(key => this.getProperty(options, key)).filter(Boolean);
+    const described = this.describeHandlers(handlers, context);
+    for (const method of methods.filter(Boolean).map(name => name.toLowerCase())) {
+      if (!this.methods.includes(method)) continue;
+      context.routes.push({
+        owner,
+        method,
+        path: routePath,
+        line: node.loc.start.line,
+        summary: this.getStatementComment(ancestors),
+        ...described,
+        schema: this.toJson(this.getProperty(options, 'schema'))
+      });
+    }
+  }
+
+  // app.use('/prefix', router), app.use(router.routes()), fastify.register(plugin, { prefix })
+  collectMount(node, method, context) {
+    const owner = this.getOwner(node.callee.object, context);
+    if (!owner) return;
+
+    let prefix = '';
+    let targets = node.arguments;
+
+    if (method === 'register') {
+      const options = node.arguments[1];
+      prefix = options?.type === 'ObjectExpression' ? this.getStaticString(this.getProperty(options, 'prefix')) || '' : '';
+      targets = node.arguments.slice(0, 1);
+    } else {
+      const first = this.getStaticString(node.arguments[0]);
+      if (first !== null) {
+        prefix = first;
+        targets = node.arguments.slice(1);
+      }
+    }
+
+    for (const target of targets) {
+      const resolved = this.getMountTarget(target, context);
+      if (resolved) context.mounts.push({ owner, prefix, target: resolved, line: node.loc.start.line });
+    }
+  }
+
+  // require('./routes')(app) and routes(app) - route modules that register themselves on what they get
+  collectModuleCall(node, context) {
+    const binding = node.callee.type === 'Identifier' ? context.bindings.get(node.callee.name) : null;
+    const source = binding?.module || this.getRequireSource(node.callee);
+    const owner = node.arguments[0] ? this.getOwner(node.arguments[0], context) : null;
+
+    if (source && source.startsWith('.') && owner) {
+      context.mounts.push({ owner, prefix: '', target: { module: source }, line: node.loc.start.line });
+    }
+  }
+
+  getMountTarget(node, context) {
+    if (!node) return null;
+
+    if (node.type === 'Identifier') {
+      if (context.routers.has(node.name)) return { local: node.name };
+      const binding = context.bindings.get(node.name);
+      return binding?.module ? { module: binding.module } : null;
+    }
+
+    const source = this.getRequireSource(node);
+    if (source && source.startsWith('.')) return { module: source };
+
+    // Koa: router.routes() / router.middleware()
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+      ['routes', 'middleware'].includes(this.getName(node.callee.property))) {
+      return this.getMountTarget(node.callee.object, context);
+    }
+
+    // Fastify: register(import('./routes'))
+    if (node.type === 'CallExpression' && node.callee.type === 'Import' && node.arguments[0]?.type === 'StringLiteral') {
+      return { module: node.arguments[0].value };
+    }
+
+    return null;
+  }
+
+  // The app or router a call is made on: a router created in this module, or the module scope for
+  // receivers that only look like one
+  getOwner(node, context) {
+    if (node.type === 'Identifier') {
+      if (context.routers.has(node.name)) return node.name;
+      return this.receiverPattern.test(node.name) ? this.moduleScope : null;
+    }
+    if (node.type === 'MemberExpression' && !node.computed) {
+      return this.receiverPattern.test(this.getName(node.property)) ? this.moduleScope : null;
+    }
+    return null;
+  }
+
+  // What the handler functions read from the request and which statuses they answer with
+  describeHandlers(handlers, context) {
+    const usage = { query: new Set(), body: new Set(), headers: new Set(), readsBody: false, statuses: new Set(), json: false };
+    const names = [];
+
+    for (const handler of handlers) {
+      const fn = this.resolveHandler(handler, context);
+      if (handler.type === 'Identifier' || handler.type === 'MemberExpression') {
+        names.push(this.slice(handler, context));
+      }
+      if (fn) this.analyzeHandler(fn, usage);
+    }
+
+    return {
+      handler: names[names.length - 1] || null,
+      query: [...usage.query],
+      body: [...usage.body],
+      headers: [...usage.headers],
+      readsBody: usage.readsBody || usage.body.size > 0,
+      statuses: [...usage.statuses].sort(),
+      json: usage.json
+    };
+  }
+
+  // Inline functions, functions declared in the module, and wrapped handlers like asyncHandler(fn)
+  resolveHandler(node, context) {
+    if (['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type)) return node;
+    if (node.type === 'Identifier') return context.functions.get(node.name) || null;
+    if (node.type === 'CallExpression') {
+      const inner = [...node.arguments].reverse().find(arg => ['ArrowFunctionExpression', 'FunctionExpression', 'Identifier'].includes(arg.type));
+      return inner ? this.resolveHandler(inner, context) : null;
+    }
+    return null;
+  }
+
+  analyzeHandler(fn, usage) {
+    const [requestParam, responseParam] = fn.params;
+    const request = requestParam?.type === 'Identifier' ? requestParam.name : null;
+    const response = responseParam?.type === 'Identifier' ? responseParam.name : null;
+
+    // Local names that stand for a part of the request: const { body } = req, const query = ctx.query
+    const aliases = new Map();
+    if (requestParam?.type === 'ObjectPattern') {
+      this.collectPatternAliases(requestParam, aliases);
+    }
+
+    const requestPart = (node) => {
+      const parts = this.getMemberParts(node);
+      if (!parts) return null;
+      if (aliases.has(parts[0])) return { part: aliases.get(parts[0]), field: parts[1] || null };
+      if (parts[0] !== request) return null;
+
+      const rest = parts[1] === 'request' ? parts.slice(2) : parts.slice(1);
+      return this.requestParts.includes(rest[0]) ? { part: rest[0], field: rest[1] || null } : null;
+    };
+
+    const record = ({ part, field }) => {
+      if (part === 'body') usage.readsBody = true;
+      if (field && part !== 'params') usage[part].add(part === 'headers' ? field.toLowerCase() : field);
+    };
+
+    this.walk(fn.body, (node) => {
+      if (node.type === 'VariableDeclarator' && node.init) {
+        const source = requestPart(node.init);
+        if (source && !source.field && node.id.type === 'ObjectPattern') {
+          for (const property of node.id.properties) {
+            const key = property.type === 'ObjectProperty' ? this.getName(property.key) : null;
+            if (key) record({ part: source.part, field: key });
+          }
+          if (source.part === 'body') usage.readsBody = true;
+        } else if (source && !source.field && node.id.type === 'Identifier') {
+          aliases.set(node.id.name, source.part);
+          if (source.part === 'body') usage.readsBody = true;
+        } else if (node.id.type === 'ObjectPattern' && this.getMemberParts(node.init)?.[0] === request) {
+          this.collectPatternAliases(node.id, aliases, record);
+        }
+      }
+
+      if (node.type === 'MemberExpression') {
+        const source = requestPart(node);
+        if (source?.field) record(source);
+      }
+
+      if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+        // Chained calls count for the object they start from: res.status(201).json(...)
+        const receiver = this.getChainRoot(node.callee);
+        const call = this.getName(node.callee.property);
+        const parts = this.getMemberParts(node.callee) || [receiver, call];
+
+        // req.get('X-Header'), ctx.get(...), req.header(...)
+        if (receiver === request && parts.length === 2 && ['get', 'header'].includes(call)) {
+          const name = this.getStaticString(node.arguments[0]);
+          if (name) usage.headers.add(name.toLowerCase());
+        }
+        // res.status(404), res.sendStatus(204), reply.code(201), ctx.throw(400)
+        if ((receiver === response && ['status', 'sendStatus', 'code'].includes(call)) ||
+          (receiver === request && call === 'throw')) {
+          this.collectStatuses(node.arguments[0], usage.statuses);
+        }
+        // res.json(...), reply.send({ ... })
+        if (receiver === response && (['json', 'jsonp'].includes(call) ||
+          (call === 'send' && ['ObjectExpression', 'ArrayExpression'].includes(node.arguments[0]?.type)))) {
+          usage.json = true;
+        }
+      }
+
+      // ctx.status = 201, ctx.body = {...}
+      if (node.type === 'AssignmentExpression') {
+        const parts = this.getMemberParts(node.left);
+        if (parts && parts[0] === request && parts.length === 2) {
+          if (parts[1] === 'status') this.collectStatuses(node.right, usage.statuses);
+          if (parts[1] === 'body') usage.json = true;
+        }
+      }
+    });
+  }
+
+  // { body, query: { page } } = req - parts become aliases, nested fields are recorded
+  collectPatternAliases(pattern, aliases, record) {
+    for (const property of pattern.properties) {
+      if (property.type !== 'ObjectProperty') continue;
+      const key = this.getName(property.key);
+      if (!this.requestParts.includes(key)) continue;
+
+      if (property.value.type === 'Identifier') {
+        aliases.set(property.value.name, key);
+      } else if (property.value.type === 'ObjectPattern' && record) {
+        for (const nested of property.value.properties) {
+          const field = nested.type === 'ObjectProperty' ? this.getName(nested.key) : null;
+          if (field) record({ part: key, field });
+        }
+      }
+    }
+  }
+
+  // HTTP status literals anywhere in an expression: res.status(error.statusCode || 500) -> 500
+  collectStatuses(node, statuses) {
+    this.walk(node, (child) => {
+      if (child.type === 'NumericLiteral' && Number.isInteger(child.value) && child.value >= 100 && child.value < 600) {
+        statuses.add(child.value);
+      }
+    });
+  }
+
+  // Comment right above the statement a route is registered in
+  getStatementComment(ancestors) {
+    const statement = [...ancestors].reverse().find(node => node.type === 'ExpressionStatement');
+    const comments = statement?.leadingComments || [];
+    const comment = comments[comments.length - 1];
+    if (!comment) return '';
+
+    return comment.value
+      .split('\n')
+      .map(line => line.replace(/^\s*\*?\s?/, '').trim())
+      .filter(line => line && !line.startsWith('@'))
+      .join(' ')
+      .replace(/^\*+\s*/, '');
+  }
+
+  // Static object literals (Fastify schemas) as plain JSON, null when anything is computed
+  toJson(node) {
+    if (!node) return null;
+    switch (node.type) {
+      case 'StringLiteral':
+      case 'NumericLiteral':
+      case 'BooleanLiteral':
+        return node.value;
+      case 'NullLiteral':
+        return null;
+      case 'ArrayExpression': {
+        const items = node.elements.map(element => this.toJson(element));
+        return items.some(item => item === undefined) ? undefined : items;
+      }
+      case 'ObjectExpression': {
+        const result = {};
+        for (const property of node.properties) {
+          if (property.type !== 'ObjectProperty' || property.computed) return undefined;
+          const value = this.toJson(property.value);
+          if (value === undefined) return undefined;
+          result[this.getName(property.key)] = value;
+        }
+        return result;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  getProperty(objectNode, name) {
+    const property = objectNode?.properties?.find(item =>
+      (item.type === 'ObjectProperty' || item.type === 'ObjectMethod') && !item.computed && this.getName(item.key) === name
+    );
+    if (!property) return null;
+    return property.type === 'ObjectMethod' ? property : property.value;
+  }
+
+  getStaticString(node) {
+    if (!node) return null;
+    if (node.type === 'StringLiteral') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+  }
+
+  getName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'StringLiteral') return node.value;
+    return null;
+  }
+
+  // req.body.name -> ['req', 'body', 'name']; req.headers['x-user'] works too
+  getMemberParts(node) {
+    if (node.type === 'Identifier') return [node.name];
+    if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+      const object = this.getMemberParts(node.object);
+      const property = node.computed ? this.getStaticString(node.property) : this.getName(node.property);
+      return object && property ? [...object, property] : null;
+    }
+    return null;
+  }
+
+  getChainRoot(node) {
+    let current = node;
+    while (current.type === 'MemberExpression' || current.type === 'CallExpression') {
+      current = current.type === 'CallExpression' ? current.callee : current.object;
+    }
+    return current.type === 'Identifier' ? current.name : null;
+  }
+
+  getMemberPath(node) {
+    const parts = this.getMemberParts(node);
+    return parts ? parts.join('.') : null;
+  }
+
+  slice(node, context) {
+    return context.source.slice(node.start, node.end);
+  }
+
+  // Full routes across modules: follows mounts from every app or unmounted router down to the routes,
+  // joining prefixes on the way
+  resolve(modules) {
+    const byPath = new Map(modules.map(module => [module.path, module]));
+    const nodeKey = (modulePath, owner) => `${modulePath}#${owner}`;
+    const edges = new Map();
+    const mounted = new Set();
+    const routesByNode = new Map();
+
+    for (const module of modules) {
+      const http = module.http;
+      if (!http) continue;
+
+      for (const route of http.routes) {
+        const key = nodeKey(module.path, route.owner);
+        if (!routesByNode.has(key)) routesByNode.set(key, []);
+        routesByNode.get(key).push({ ...route, file: module.path });
+      }
+
+      for (const mount of http.mounts) {
+        const target = mount.target.local
+          ? { module, owner: mount.target.local }
+          : this.resolveModuleTarget(module.path, mount.target.module, byPath);
+        if (!target) continue;
+
+        const from = nodeKey(module.path, mount.owner);
+        const to = nodeKey(target.module.path, target.owner);
+        if (!edges.has(from)) edges.set(from, []);
+        edges.get(from).push({ prefix: mount.prefix, to });
+        mounted.add(to);
+      }
+    }
+
+    const prefixOf = (key) => {
+      const [modulePath, owner] = key.split('#');
+      return byPath.get(modulePath)?.http?.routers?.[owner]?.prefix || '';
+    };
+
+    const routes = [];
+    // Route modules without an import of their own (plugins, routes(app) files) take the framework they are mounted in
+    const visit = (key, prefix, seen, framework) => {
+      if (seen.has(key)) return;
+      const base = this.joinPaths(prefix, prefixOf(key));
+      const moduleFramework = byPath.get(key.split('#')[0])?.http?.framework || framework || null;
+
+      for (const route of routesByNode.get(key) || []) {
+        const resolved = {
+          ...route,
+          framework: moduleFramework,
+          rawPath: this.joinPaths(base, route.path),
+          path: this.toOpenApiPath(this.joinPaths(base, route.path))
+        };
+        delete resolved.owner;
+        resolved.pathParams = [...resolved.path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+        routes.push(resolved);
+      }
+      for (const edge of edges.get(key) || []) {
+        visit(edge.to, this.joinPaths(base, edge.prefix), new Set([...seen, key]), moduleFramework);
+      }
+    };
+
+    const roots = [...new Set([...routesByNode.keys(), ...edges.keys()])].filter(key => !mounted.has(key));
+    for (const root of roots) visit(root, '', new Set(), null);
+
+    const seen = new Set();
+    return routes
+      .filter(route => route.rawPath !== '/*')
+      .filter(route => {
+        const key = `${route.method} ${route.path} ${route.file}:${route.line}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.path.localeCompare(b.path) || this.methods.indexOf(a.method) - this.methods.indexOf(b.method));
+  }
+
+  // './routes/users' from src/app.js -> the parsed module src/routes/users.js (or .../index.js)
+  resolveModuleTarget(fromPath, source, byPath) {
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), source));
+    const extensions = ['', '.js', '.ts', '.mjs', '.cjs', '.jsx', '.tsx'];
+    const candidates = [
+      ...extensions.map(extension => `${base}${extension}`),
+      ...extensions.slice(1).map(extension => `${base}/index${extension}`)
+    ];
+
+    const module = candidates.map(candidate => byPath.get(candidate)).find(Boolean);
+    if (!module?.http) return null;
+    return { module, owner: module.http.exportedRouter || this.moduleScope };
+  }
+
+  // Express-style paths to OpenAPI templates: /users/:id(\\d+) -> /users/{id}, /files/* -> /files/{wildcard}
+  toOpenApiPath(routePath) {
+    return routePath
+      .replace(/:(\w+)(\((?:[^()]|\([^()]*\))*\))?\??/g, '{$1}')
+      .replace(/\*(\w+)?/g, (match, name) => `{${name || 'wildcard'}}`);
+  }
+
+  joinPaths(prefix, routePath) {
+    const joined = `/${[prefix, routePath].join('/')}`.replace(/\/+/g, '/');
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+  }
+}
+
+module.exports = new RouteExtractor();
@@ -0,0 +1,165 @@
+const fs = require('fs-extra');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const tar = require('tar');
+
+class ArchiveService {
+  constructor() {
+    this.tempDir = process.env.TEMP_DIR || './temp';
+    this.maxUploadBytes = parseInt(process.env.UPLOAD_MAX_BYTES) || 50 * 1024 * 1024;
+    this.maxExtractedBytes = parseInt(process.env.UPLOAD_MAX_EXTRACTED_BYTES) || 200 * 1024 * 1024;
+    this.maxEntries = parseInt(process.env.UPLOAD_MAX_ENTRIES) || 20000;
+  }
+
+  getArchiveType(fileName = '') {
+    const lowerName = fileName.toLowerCase();
+
+    if (lowerName.endsWith('.zip')) return 'zip';
+    if (lowerName.endsWith('.tar.gz') || lowerName.endsWith('.tgz')) return 'tar.gz';
+    if (lowerName.endsWith('.tar')) return 'tar';
+    return null;
+  }
+
+  // Project name from the archive file name (my-project-main.tar.gz -> my-project-main)
+  getProjectName(fileName = '') {
+    return path.basename(fileName).replace(/\.(zip|tar\.gz|tgz|tar)$/i, '') || 'project';
+  }
+
+  // Extracts into a fresh TEMP_DIR folder and returns it; callers remove it with cleanup()
+  async extract(archivePath, originalName) {
+    const type = this.getArchiveType(originalName);
+    if (!type) {
+      throw this.createError('Unsupported archive type. Upload a .zip, .tar.gz, .tgz or .tar file.', 400);
+    }
+
+    const targetDir = path.resolve(this.tempDir, `upload-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+    await fs.ensureDir(targetDir);
+
+    try {
+      if (type === 'zip') {
+        await this.extractZip(archivePath, targetDir);
+      } else {
+        await this.extractTar(archivePath, targetDir);
+      }
+      return targetDir;
+    } catch (error) {
+      await this.cleanup(targetDir);
+      throw error;
+    }
+  }
+
+  async extractZip(archivePath, targetDir) {
+    let zip;
+    try {
+      zip = new AdmZip(archivePath);
+    } catch (error) {
+      throw this.createError('The uploaded file is not a valid zip archive.', 400);
+    }
+
+    const entries = zip.getEntries();
+    if (entries.length > this.maxEntries) {
+      throw this.createError(`Archive has more than ${this.maxEntries} entries.`, 413);
+    }
+
+    // Check the declared sizes up front so a zip bomb never touches the disk
+    const declaredBytes = entries.reduce((total, entry) => total + (entry.header.size || 0), 0);
+    if (declaredBytes > this.maxExtractedBytes) {
+      throw this.createError('Archive is too large once extracted.', 413);
+    }
+
+    let writtenBytes = 0;
+    for (const entry of entries) {
+      if (entry.isDirectory) continue;
+
+      const destination = this.resolveEntryPath(targetDir, entry.entryName);
+      const data = entry.getData();
+
+      writtenBytes += data.length;
+      if (writtenBytes > this.maxExtractedBytes) {
+        throw this.createError('Archive is too large once extracted.', 413);
+      }
+
+      await fs.outputFile(destination, data);
+    }
+  }
+
+  async extractTar(archivePath, targetDir) {
+    let entryCount = 0;
+    let writtenBytes = 0;
+    let rejection = null;
+
+    try {
+      await tar.x({
+        file: archivePath,
+        cwd: targetDir,
+        strict: true,
+        // Regular files and directories only - links could point outside the target folder
+        filter: (entryPath, entry) => {
+          if (rejection) return false;
+          if (entry.type !== 'File' && entry.type !== 'Directory') return false;
+
+          // Throwing here would escape the parser stream - remember the error and stop extracting instead
+          try {
+            this.resolveEntryPath(targetDir, entryPath);
+          } catch (error) {
+            rejection = error;
+            return false;
+          }
+
+          entryCount++;
+          writtenBytes += entry.size || 0;
+          if (entryCount > this.maxEntries) {
+            rejection = this.createError(`Archive has more than ${this.maxEntries} entries.`, 413);
+          } else if (writtenBytes > this.maxExtractedBytes) {
+            rejection = this.createError('Archive is too large once extracted.', 413);
+          }
+          return !rejection;
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw this.createError('The uploaded file is not a valid tar archive.', 400);
+    }
+
+    if (rejection) throw rejection;
+  }
+
+  // Zip-slip protection: every entry must land inside the target folder
+  resolveEntryPath(targetDir, entryName) {
+    const destination = path.resolve(targetDir, entryName);
+
+    if (path.isAbsolute(entryName) || !destination.startsWith(targetDir + path.sep)) {
+      throw this.createError(`Archive entry "${entryName}" points outside the extraction folder.`, 400);
+    }
+    return destination;
+  }
+
+  // GitHub/GitLab downloads wrap everything in one top-level folder - analyze inside it
+  async findProjectRoot(extractedDir) {
+    const entries = (await fs.readdir(extractedDir, { withFileTypes: true }))
+      .filter(entry => entry.name !== '__MACOSX');
+
+    if (entries.length === 1 && entries[0].isDirectory()) {
+      return path.join(extractedDir, entries[0].name);
+    }
+    return extractedDir;
+  }
+
+  async cleanup(targetPath) {
+    try {
+      if (targetPath && fs.existsSync(targetPath)) {
+        await fs.remove(targetPath);
+      }
+    } catch (error) {
+      console.error('Error cleaning up extracted archive:', error);
+    }
+  }
+
+  createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new ArchiveService();
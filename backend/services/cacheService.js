@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const mongoose = require('mongoose');
+const CacheEntry = require('../models/CacheEntry');
+const mapReduceService = require('./mapReduceService');
+
+// Content-addressed cache for repository analyses (repository + commit) and generations (analysis +
+// prompt + model + options). Entries live in MongoDB when connected, otherwise as JSON files in CACHE_DIR,
+// and expire after CACHE_TTL_HOURS; the least recently used ones are evicted beyond CACHE_MAX_MB.
+class CacheService {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.cacheDir = process.env.CACHE_DIR || './cache';
+    this.ttlMs = (parseFloat(process.env.CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+    this.maxBytes = (parseFloat(process.env.CACHE_MAX_MB) || 200) * 1024 * 1024;
+    this.maxEntryBytes = (parseFloat(process.env.CACHE_MAX_ENTRY_MB) || 10) * 1024 * 1024;
+    this.kinds = ['analysis', 'generation'];
+
+    // Bumped whenever analysis or prompt building changes shape, so old entries stop matching
+    this.version = 11;
+
+    // Request options that only steer analysis - already covered by the analysis hash of a generation
+    this.analysisOnlyOptions = ['force', 'ref', 'branch', 'provider', 'analysisMode', 'excerptTokenBudget', 'packagePath'];
+
+    this.stats = { hits: 0, misses: 0, bypassed: 0, writes: 0, evictions: 0 };
+  }
+
+  isMongoConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  // JSON with sorted keys, so equal values always hash the same
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => (item === undefined ? 'null' : this.stableStringify(item))).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return `{${Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(this.stableStringify(value)).digest('hex');
+  }
+
+  getAnalysisKey({ repository, commitHash, source, options = {} }) {
+    return this.hash({
+      kind: 'analysis',
+      version: this.version,
+      repository: repository.replace(/\.git$/, '').replace(/\/+$/, '').toLowerCase(),
+      commitHash,
+      source,
+      excerptTokenBudget: options.excerptTokenBudget || null,
+      packagePath: options.packagePath || null,
+      // Only analyses of a checkout keep the files map-reduce summarizes
+      sourceFiles: source === 'api' ? null : mapReduceService.getSourceFilesKey(options)
+    });
+  }
+
+  // Hash of the analyzed snapshot, leaving out how it was obtained (cache status)
+  getAnalysisHash(repoData) {
+    return this.hash({ ...repoData, cache: undefined });
+  }
+
+  getGenerationKey(repoData, options = {}, llmProvider) {
+    const generationOptions = Object.fromEntries(Object.entries(options)
+      .filter(([key]) => !this.analysisOnlyOptions.includes(key)));
+
+    return this.hash({
+      kind: 'generation',
+      version: this.version,
+      analysis: this.getAnalysisHash(repoData),
+      llmProvider,
+      options: generationOptions
+    });
+  }
+
+  getFilePath(kind, key) {
+    return path.join(this.cacheDir, `${kind}-${key}.json`);
+  }
+
+  // Cached value with when it was stored, or null. Reading counts as a use for eviction; force skips the lookup.
+  async get(kind, key, { force = false } = {}) {
+    if (!this.enabled) return null;
+    if (force) {
+      this.stats.bypassed++;
+      return null;
+    }
+
+    try {
+      const entry = this.isMongoConnected()
+        ? await CacheEntry.findOneAndUpdate(
+          { key, kind, expiresAt: { $gt: new Date() } },
+          { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+          { new: true }
+        ).lean()
+        : await this.readFileEntry(kind, key);
+
+      if (!entry) {
+        this.stats.misses++;
+        return null;
+      }
+
+      this.stats.hits++;
+      return { value: JSON.parse(entry.value), cachedAt: entry.createdAt };
+    } catch (error) {
+      // A broken cache only costs a regeneration
+      console.error('Error reading cache:', error.message);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  async readFileEntry(kind, key) {
+    const filePath = this.getFilePath(kind, key);
+    if (!(await fs.pathExists(filePath))) return null;
+
+    const entry = await fs.readJson(filePath);
+    if (new Date(entry.expiresAt) <= new Date()) {
+      await fs.remove(filePath);
+      return null;
+    }
+
+    // The access time marks the last use; the modification time stays the creation time
+    const { mtime } = await fs.stat(filePath);
+    await fs.utimes(filePath, new Date(), mtime);
+    return entry;
+  }
+
+  async set(kind, key, value) {
+    if (!this.enabled) return false;
+
+    const serialized = JSON.stringify(value);
+    const size = Buffer.byteLength(serialized);
+    if (size > this.maxEntryBytes) {
+      console.log(`Not caching ${kind} ${key.slice(0, 12)}: ${size} bytes is over CACHE_MAX_ENTRY_MB`);
+      return false;
+    }
+
+    const entry = {
+      key,
+      kind,
+      value: serialized,
+      size,
+      hits: 0,
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + this.ttlMs)
+    };
+
+    try {
+      if (this.isMongoConnected()) {
+        await CacheEntry.findOneAndUpdate({ key }, entry, { upsert: true });
+      } else {
+        await fs.ensureDir(this.cacheDir);
+        await fs.writeJson(this.getFilePath(kind, key), entry);
+      }
+      this.stats.writes++;
+      await this.enforceSizeLimit();
+      return true;
+    } catch (error) {
+      console.error('Error writing cache:', error.message);
+      return false;
+    }
+  }
+
+  // Drops expired entries, then the least recently used ones until the cache fits in CACHE_MAX_MB
+  async enforceSizeLimit() {
+    const entries = await this.listEntries();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= this.maxBytes) return;
+
+    const byLastUse = entries.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    for (const entry of byLastUse) {
+      if (total <= this.maxBytes) break;
+      await this.removeEntry(entry);
+      total -= entry.size;
+      this.stats.evictions++;
+    }
+  }
+
+  // Entry summaries without values: { key, kind, size, hits, lastUsedAt, createdAt, expiresAt }
+  async listEntries() {
+    if (this.isMongoConnected()) {
+      const entries = await CacheEntry.find({}, { value: 0 }).lean();
+      return entries.map(entry => ({
+        key: entry.key,
+        kind: entry.kind,
+        size: entry.size || 0,
+        hits: entry.hits || 0,
+        lastUsedAt: new Date(entry.lastHitAt || entry.createdAt),
+        createdAt: entry.createdAt,
+        expiresAt: entry.expiresAt
+      }));
+    }
+
+    if (!(await fs.pathExists(this.cacheDir))) return [];
+
+    // File times only - reading every entry to size the cache would cost more than the cache saves
+    const entries = [];
+    for (const name of await fs.readdir(this.cacheDir)) {
+      const match = name.match(/^(analysis|generation)-([a-f0-9]{64})\.json$/);
+      if (!match) continue;
+
+      const stat = await fs.stat(path.join(this.cacheDir, name));
+      const summary = {
+        key: match[2],
+        kind: match[1],
+        size: stat.size,
+        hits: null,
+        lastUsedAt: stat.atime > stat.mtime ? stat.atime : stat.mtime,
+        createdAt: stat.mtime,
+        expiresAt: new Date(stat.mtime.getTime() + this.ttlMs)
+      };
+
+      if (summary.expiresAt <= new Date()) {
+        await this.removeEntry(summary);
+      } else {
+        entries.push(summary);
+      }
+    }
+    return entries;
+  }
+
+  async removeEntry({ kind, key }) {
+    if (this.isMongoConnected()) {
+      await CacheEntry.deleteOne({ key });
+    } else {
+      await fs.remove(this.getFilePath(kind, key));
+    }
+  }
+
+  // Removes every entry, or every entry of one kind
+  async clear(kind) {
+    if (kind && !this.kinds.includes(kind)) {
+      const error = new Error(`kind must be one of: ${this.kinds.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const entries = (await this.listEntries()).filter(entry => !kind || entry.kind === kind);
+    for (const entry of entries) {
+      await this.removeEntry(entry);
+    }
+    return entries.length;
+  }
+
+  async getStatus() {
+    const entries = this.enabled ? await this.listEntries() : [];
+    const summarize = (kind) => {
+      const matching = entries.filter(entry => entry.kind === kind);
+      return { entries: matching.length, bytes: matching.reduce((sum, entry) => sum + entry.size, 0) };
+    };
+
+    return {
+      enabled: this.enabled,
+      storage: this.isMongoConnected() ? 'mongodb' : 'disk',
+      ttlHours: this.ttlMs / (60 * 60 * 1000),
+      maxBytes: this.maxBytes,
+      maxEntryBytes: this.maxEntryBytes,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      analysis: summarize('analysis'),
+      generation: summarize('generation'),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,143 @@
+const path = require('path');
+
+class ChunkingService {
+  constructor() {
+    // Rough heuristic - good enough for budgeting without shipping a tokenizer
+    this.charsPerToken = 4;
+
+    this.ignoredDirectories = [
+      'node_modules', 'vendor', 'dist', 'build', 'out', 'coverage', 'target',
+      '.git', '.next', '.nuxt', '__pycache__', '.venv', 'venv', '.idea', '.vscode'
+    ];
+
+    this.binaryExtensions = [
+      '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.svg', '.webp',
+      '.pdf', '.zip', '.gz', '.tar', '.tgz', '.rar', '.7z', '.jar', '.war',
+      '.exe', '.dll', '.so', '.dylib', '.bin', '.class', '.pyc', '.o',
+      '.woff', '.woff2', '.ttf', '.eot', '.otf', '.mp3', '.mp4', '.mov', '.avi',
+      '.lock', '.map', '.min.js', '.min.css'
+    ];
+
+    this.lockFiles = [
+      'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'composer.lock',
+      'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'Pipfile.lock', 'go.sum'
+    ];
+
+    this.manifestFiles = [
+      'package.json', 'requirements.txt', 'pyproject.toml', 'setup.py', 'setup.cfg',
+      'Pipfile', 'go.mod', 'Cargo.toml', 'pom.xml', 'build.gradle', 'composer.json',
+      'Gemfile', 'Dockerfile', 'docker-compose.yml', 'Makefile'
+    ];
+
+    this.entryPointNames = ['index', 'main', 'app', 'server', 'cli', '__main__', 'manage', 'lib'];
+  }
+
+  estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / this.charsPerToken);
+  }
+
+  truncateToTokens(text, maxTokens) {
+    if (!text) return '';
+
+    const maxChars = maxTokens * this.charsPerToken;
+    if (text.length <= maxChars) return text;
+
+    // The marker counts against the limit too; sized for the longest count it could show
+    const keep = Math.max(0, maxChars - `\n... [truncated ${text.length} characters]`.length);
+    return `${text.substring(0, keep)}\n... [truncated ${text.length - keep} characters]`;
+  }
+
+  // Whether a file is worth sending to the model at all
+  isDocumentable(filePath, size = 0) {
+    const segments = filePath.split('/');
+    const fileName = segments[segments.length - 1];
+    const lowerName = fileName.toLowerCase();
+
+    if (segments.some(segment => this.ignoredDirectories.includes(segment))) return false;
+    if (this.lockFiles.includes(fileName)) return false;
+    if (this.binaryExtensions.some(ext => lowerName.endsWith(ext))) return false;
+    if (size > 512 * 1024) return false; // Generated or data files, not code
+
+    return true;
+  }
+
+  // Why a file matters for documentation - also shown to users next to selected excerpts
+  getFileCategory(filePath) {
+    const segments = filePath.split('/');
+    const fileName = segments[segments.length - 1];
+    const baseName = path.basename(fileName, path.extname(fileName)).toLowerCase();
+
+    if (/^readme/i.test(fileName)) return 'readme';
+    if (this.manifestFiles.includes(fileName)) return 'manifest';
+    if (/(^|\/)(test|tests|__tests__|spec|e2e)\//i.test(filePath) || /\.(test|spec)\./i.test(fileName)) return 'test';
+    if (this.entryPointNames.includes(baseName)) return 'entry point';
+    if (/(^|\/)(routes?|controllers?|api|handlers?|endpoints?)\//i.test(filePath) || /(routes?|controller)\.[a-z]+$/i.test(fileName)) return 'route';
+    if (/(^|\/)(config|configs|settings)\//i.test(filePath) || /(\.config\.[a-z]+|^settings\.py|^config\.[a-z]+|\.env\.example|^env\.example)$/i.test(fileName)) return 'config';
+    if (/(^|\/)(src|lib|app|pkg|cmd|services|models)\//i.test(filePath)) return 'source';
+    if (/(^|\/)(docs?|examples?)\//i.test(filePath)) return 'docs';
+    if (/^\./.test(fileName)) return 'dotfile';
+
+    return 'other';
+  }
+
+  // Lower score = more important for understanding the project
+  getFilePriority(filePath) {
+    const categoryPriority = {
+      'readme': 0,
+      'manifest': 5,
+      'entry point': 10,
+      'route': 20,
+      'config': 25,
+      'source': 30,
+      'other': 50,
+      'docs': 60,
+      'dotfile': 70,
+      'test': 80
+    };
+    const depth = filePath.split('/').length - 1;
+
+    // Prefer shallow files - they tend to describe the project rather than implement details
+    return categoryPriority[this.getFileCategory(filePath)] + Math.min(depth, 10);
+  }
+
+  rankFiles(files) {
+    return files
+      .filter(file => this.isDocumentable(file.name, file.size))
+      .sort((a, b) => this.getFilePriority(a.name) - this.getFilePriority(b.name) || a.name.localeCompare(b.name));
+  }
+
+  formatFileEntry(filePath, content) {
+    return `### File: ${filePath}\n\`\`\`\n${content}\n\`\`\`\n`;
+  }
+
+  // Greedily packs file entries ({ path, content }) into chunks that fit the token budget
+  buildChunks(entries, maxChunkTokens) {
+    const chunks = [];
+    let current = { files: [], text: '', tokens: 0 };
+
+    for (const entry of entries) {
+      // Leave room for the fence and header around oversized files
+      const content = this.truncateToTokens(entry.content, maxChunkTokens - 50);
+      const text = this.formatFileEntry(entry.path, content);
+      const tokens = this.estimateTokens(text);
+
+      if (current.tokens + tokens > maxChunkTokens && current.files.length > 0) {
+        chunks.push(current);
+        current = { files: [], text: '', tokens: 0 };
+      }
+
+      current.files.push(entry.path);
+      current.text += text;
+      current.tokens += tokens;
+    }
+
+    if (current.files.length > 0) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+}
+
+module.exports = new ChunkingService();
@@ -0,0 +1,452 @@
+const path = require('path');
+const { builtinModules } = require('module');
+const chunkingService = require('./chunkingService');
+
+// Import graph of a repository's modules, built from the imports the API extractors report for each parsed
+// file (JS/TS import, require and import(); Python import and from-import). Resolves relative and
+// package-absolute imports to files, groups modules by directory, finds import cycles and renders the
+// result as Mermaid flowcharts.
+class DependencyGraphService {
+  constructor() {
+    this.jsExtensions = ['.js', '.ts', '.mjs', '.cjs', '.jsx', '.tsx', '.mts', '.cts'];
+    // Compiled-output specifiers ("./util.js") that point at TypeScript sources
+    this.typeScriptSources = { '.js': ['.ts', '.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'], '.jsx': ['.tsx'] };
+    this.pythonSourceRoots = ['', 'src/'];
+    // Standard library modules that show up in most Python code; not worth listing as dependencies
+    this.pythonStdlib = new Set(['__future__', 'abc', 'argparse', 'array', 'ast', 'asyncio', 'base64', 'bisect',
+      'builtins', 'calendar', 'collections', 'concurrent', 'configparser', 'contextlib', 'contextvars', 'copy',
+      'csv', 'ctypes', 'dataclasses', 'datetime', 'decimal', 'difflib', 'email', 'enum', 'errno', 'fnmatch',
+      'fractions', 'functools', 'gc', 'getpass', 'glob', 'gzip', 'hashlib', 'heapq', 'hmac', 'html', 'http',
+      'importlib', 'inspect', 'io', 'ipaddress', 'itertools', 'json', 'logging', 'math', 'mimetypes',
+      'multiprocessing', 'numbers', 'operator', 'os', 'pathlib', 'pickle', 'platform', 'pprint', 'queue',
+      'random', 're', 'secrets', 'select', 'shlex', 'shutil', 'signal', 'socket', 'sqlite3', 'ssl', 'stat',
+      'statistics', 'string', 'struct', 'subprocess', 'sys', 'tempfile', 'textwrap', 'threading', 'time',
+      'timeit', 'tomllib', 'traceback', 'types', 'typing', 'typing_extensions', 'unicodedata', 'unittest',
+      'urllib', 'uuid', 'warnings', 'weakref', 'xml', 'zipfile', 'zlib', 'zoneinfo']);
+
+    this.maxGroups = 20;
+    this.maxGroupDepth = 4;
+    // Above this many modules only the directory diagram is drawn; a file-level chart becomes unreadable
+    this.maxDiagramModules = 40;
+    this.maxCycles = 20;
+    this.maxExternal = 15;
+    this.sectionTitle = 'Module Dependencies';
+  }
+
+  // modules: [{ path, language, imports: [{ source, names? }] }]. Returns null without modules.
+  build(modules) {
+    if (!modules || modules.length === 0) return null;
+
+    const paths = new Set(modules.map(module => module.path));
+    const pythonRoots = this.getPythonRoots(modules);
+    const localPackages = new Set(modules
+      .filter(module => module.language === 'python')
+      .map(module => this.getPythonModuleName(module.path, pythonRoots).split('.')[0]));
+
+    const external = new Map(); // package -> importing module paths
+    const nodes = modules.map(module => {
+      const imports = new Set();
+      const packages = new Set();
+
+      for (const entry of module.imports || []) {
+        const targets = module.language === 'python'
+          ? this.resolvePythonImport(module.path, entry, paths, pythonRoots)
+          : this.resolveJavaScriptImport(module.path, entry.source, paths);
+
+        if (targets.length > 0) {
+          targets.filter(target => target !== module.path).forEach(target => imports.add(target));
+          continue;
+        }
+
+        const packageName = module.language === 'python'
+          ? this.getPythonPackage(entry.source, localPackages)
+          : this.getJavaScriptPackage(entry.source);
+        if (packageName) packages.add(packageName);
+      }
+
+      for (const packageName of packages) {
+        if (!external.has(packageName)) external.set(packageName, new Set());
+        external.get(packageName).add(module.path);
+      }
+      return { path: module.path, imports: [...imports].sort(), external: [...packages].sort() };
+    });
+
+    const groupDepth = this.getGroupDepth(nodes.map(node => node.path));
+    for (const node of nodes) node.directory = this.getDirectory(node.path, groupDepth);
+
+    const byPath = new Map(nodes.map(node => [node.path, node]));
+    const directoryEdges = new Map();
+    for (const node of nodes) {
+      for (const target of node.imports) {
+        const to = byPath.get(target).directory;
+        if (to === node.directory) continue;
+        const key = `${node.directory}\n${to}`;
+        directoryEdges.set(key, (directoryEdges.get(key) || 0) + 1);
+      }
+    }
+
+    const cycles = this.findCycles(nodes);
+    return {
+      modules: nodes,
+      directories: [...new Set(nodes.map(node => node.directory))].sort(),
+      directoryEdges: [...directoryEdges.entries()]
+        .map(([key, count]) => {
+          const [from, to] = key.split('\n');
+          return { from, to, count };
+        })
+        .sort((a, b) => b.count - a.count || a.from.localeCompare(b.from) || a.to.localeCompare(b.to)),
+      cycles: cycles.slice(0, this.maxCycles),
+      external: [...external.entries()]
+        .map(([name, importers]) => ({ name, modules: importers.size }))
+        .sort((a, b) => b.modules - a.modules || a.name.localeCompare(b.name)),
+      groupDepth,
+      stats: {
+        modules: nodes.length,
+        imports: nodes.reduce((sum, node) => sum + node.imports.length, 0),
+        cycles: cycles.length
+      }
+    };
+  }
+
+  hasEdges(graph) {
+    return Boolean(graph && (graph.stats.imports > 0 || graph.external.length > 0));
+  }
+
+  resolveJavaScriptImport(fromPath, source, paths) {
+    if (!source.startsWith('.') && !source.startsWith('/')) return [];
+
+    const base = path.posix.normalize(source.startsWith('/')
+      ? source.slice(1)
+      : path.posix.join(path.posix.dirname(fromPath), source));
+    const extension = path.posix.extname(base);
+    const candidates = [
+      base,
+      ...(this.typeScriptSources[extension] || []).map(replacement => `${base.slice(0, -extension.length)}${replacement}`),
+      ...this.jsExtensions.map(candidate => `${base}${candidate}`),
+      ...this.jsExtensions.map(candidate => `${base}/index${candidate}`)
+    ];
+
+    const target = candidates.find(candidate => paths.has(candidate));
+    return target ? [target] : [];
+  }
+
+  // "lodash/fp" -> lodash, "@scope/pkg/sub" -> @scope/pkg; Node built-ins are not dependencies
+  getJavaScriptPackage(source) {
+    if (source.startsWith('.') || source.startsWith('/') || source.startsWith('node:')) return null;
+
+    const segments = source.split('/');
+    const name = source.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+    if (!name || builtinModules.includes(name) || /[^\w@./-]/.test(name)) return null;
+    return name;
+  }
+
+  // Directories that hold top-level packages: the repository root, src/, and any directory with an
+  // __init__.py child but none of its own (backend/app/__init__.py -> backend/)
+  getPythonRoots(modules) {
+    const packageDirs = new Set(modules
+      .filter(module => module.path.endsWith('/__init__.py'))
+      .map(module => path.posix.dirname(module.path)));
+
+    const roots = new Set(this.pythonSourceRoots);
+    for (const dir of packageDirs) {
+      const parent = path.posix.dirname(dir);
+      if (!packageDirs.has(parent)) roots.add(parent === '.' ? '' : `${parent}/`);
+    }
+    return [...roots];
+  }
+
+  getPythonModuleName(filePath, roots) {
+    const root = roots
+      .filter(candidate => filePath.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0] || '';
+    return filePath.slice(root.length).replace(/(\/__init__)?\.py$/, '').split('/').join('.');
+  }
+
+  // "from . import x" may name submodules rather than attributes, so those are tried first
+  resolvePythonImport(fromPath, { source, names = [] }, paths, roots) {
+    const relative = source.match(/^(\.+)(.*)$/);
+    let bases;
+
+    if (relative) {
+      const directory = path.posix.dirname(fromPath).split('/').filter(segment => segment !== '.');
+      const parent = directory.slice(0, directory.length - (relative[1].length - 1));
+      if (relative[1].length - 1 > directory.length) return [];
+      const modulePath = [...parent, ...relative[2].split('.').filter(Boolean)].join('/');
+      bases = [modulePath];
+    } else {
+      const modulePath = source.split('.').join('/');
+      bases = roots.map(root => `${root}${modulePath}`);
+    }
+
+    for (const base of bases) {
+      const findModule = (candidate) => [`${candidate}.py`, `${candidate}/__init__.py`]
+        .map(file => file.replace(/^\//, ''))
+        .find(file => paths.has(file));
+
+      const module = findModule(base);
+      const submodules = names.map(name => findModule(`${base}/${name}`)).filter(Boolean);
+      if (!module && submodules.length === 0) continue;
+
+      // Names that are not submodules are attributes of the module itself
+      return module && submodules.length < Math.max(names.length, 1) ? [...submodules, module] : submodules;
+    }
+    return [];
+  }
+
+  getPythonPackage(source, localPackages) {
+    if (source.startsWith('.')) return null;
+    const name = source.split('.')[0];
+    if (!name || this.pythonStdlib.has(name) || localPackages.has(name)) return null;
+    return name;
+  }
+
+  // Deepest directory level that still gives at most maxGroups groups
+  getGroupDepth(paths) {
+    let best = 1;
+    let previousCount = 0;
+
+    for (let depth = 1; depth <= this.maxGroupDepth; depth++) {
+      const count = new Set(paths.map(filePath => this.getDirectory(filePath, depth))).size;
+      if (count > this.maxGroups) break;
+      if (count > previousCount) best = depth;
+      previousCount = count;
+    }
+    return best;
+  }
+
+  getDirectory(filePath, depth) {
+    const segments = filePath.split('/').slice(0, -1);
+    return segments.length === 0 ? '.' : segments.slice(0, depth).join('/');
+  }
+
+  // One shortest cycle per strongly connected component of two or more modules (Tarjan)
+  findCycles(nodes) {
+    const byPath = new Map(nodes.map(node => [node.path, node]));
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    const connect = (start) => {
+      // Iterative, so deep import chains cannot overflow the call stack
+      const work = [{ node: start, next: 0 }];
+      index.set(start, counter);
+      lowLink.set(start, counter++);
+      stack.push(start);
+      onStack.add(start);
+
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const targets = byPath.get(frame.node).imports;
+
+        if (frame.next < targets.length) {
+          const target = targets[frame.next++];
+          if (!index.has(target)) {
+            index.set(target, counter);
+            lowLink.set(target, counter++);
+            stack.push(target);
+            onStack.add(target);
+            work.push({ node: target, next: 0 });
+          } else if (onStack.has(target)) {
+            lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(target)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].node;
+          lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+        }
+
+        if (lowLink.get(frame.node) === index.get(frame.node)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== frame.node);
+          components.push(component);
+        }
+      }
+    };
+
+    for (const node of nodes) {
+      if (!index.has(node.path)) connect(node.path);
+    }
+
+    const cycles = components
+      .filter(component => component.length > 1)
+      .map(component => this.shortestCycle(component.sort()[0], new Set(component), byPath));
+    return cycles.sort((a, b) => a.length - b.length || a[0].localeCompare(b[0]));
+  }
+
+  // Breadth-first search inside the component back to the start module
+  shortestCycle(start, members, byPath) {
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const target of byPath.get(current).imports) {
+        if (!members.has(target)) continue;
+        if (target === start) {
+          const cycle = [start];
+          for (let step = current; step !== start; step = previous.get(step)) cycle.splice(1, 0, step);
+          return [...cycle, start];
+        }
+        if (!previous.has(target)) {
+          previous.set(target, current);
+          queue.push(target);
+        }
+      }
+    }
+    return [start, start];
+  }
+
+  label(text) {
+    return `"${String(text).replace(/"/g, '#quot;')}"`;
+  }
+
+  // Directory-level flowchart; edge labels count the imports between two directories
+  renderDirectoryDiagram(graph) {
+    const ids = new Map(graph.directories.map((directory, position) => [directory, `d${position}`]));
+    const cyclic = new Set(graph.cycles.flat().map(modulePath =>
+      graph.modules.find(module => module.path === modulePath).directory));
+    const crossDirectoryCycle = graph.cycles.some(cycle =>
+      new Set(cycle.map(modulePath => graph.modules.find(module => module.path === modulePath).directory)).size > 1);
+
+    const lines = ['flowchart LR'];
+    for (const [directory, id] of ids) {
+      lines.push(`  ${id}[${this.label(directory === '.' ? '(root)' : `${directory}/`)}]`);
+    }
+    for (const edge of graph.directoryEdges) {
+      lines.push(`  ${ids.get(edge.from)} -->|${edge.count}| ${ids.get(edge.to)}`);
+    }
+    if (crossDirectoryCycle) {
+      lines.push('  classDef cycle fill:#fdecea,stroke:#c0392b,color:#7b241c');
+      lines.push(`  class ${[...cyclic].map(directory => ids.get(directory)).join(',')} cycle`);
+    }
+    return lines.join('\n');
+  }
+
+  // File-level flowchart with one subgraph per directory; modules on an import cycle are highlighted
+  renderModuleDiagram(graph) {
+    const connected = graph.modules.filter(module =>
+      module.imports.length > 0 || graph.modules.some(other => other.imports.includes(module.path)));
+    const ids = new Map(connected.map((module, position) => [module.path, `m${position}`]));
+    const cyclic = new Set(graph.cycles.flat());
+
+    const lines = ['flowchart LR'];
+    for (const [groupIndex, directory] of graph.directories.entries()) {
+      const members = connected.filter(module => module.directory === directory);
+      if (members.length === 0) continue;
+
+      lines.push(`  subgraph g${groupIndex}[${this.label(directory === '.' ? '(root)' : `${directory}/`)}]`);
+      for (const module of members) {
+        const name = directory === '.' ? module.path : module.path.slice(directory.length + 1);
+        lines.push(`    ${ids.get(module.path)}[${this.label(name)}]`);
+      }
+      lines.push('  end');
+    }
+    for (const module of connected) {
+      for (const target of module.imports) {
+        lines.push(`  ${ids.get(module.path)} --> ${ids.get(target)}`);
+      }
+    }
+    if (cyclic.size > 0) {
+      lines.push('  classDef cycle fill:#fdecea,stroke:#c0392b,color:#7b241c');
+      lines.push(`  class ${[...cyclic].filter(modulePath => ids.has(modulePath)).map(modulePath => ids.get(modulePath)).join(',')} cycle`);
+    }
+    return lines.join('\n');
+  }
+
+  // Deterministic Markdown block: diagrams in mermaid fences, the import cycles and the most used packages
+  renderMarkdown(graph, { title = this.sectionTitle } = {}) {
+    if (!this.hasEdges(graph)) return '';
+
+    let markdown = `### ${title}\n\n_Generated from the import statements in the source code._\n\n`;
+    const showModules = graph.stats.imports > 0 && graph.modules.length <= this.maxDiagramModules;
+    const showDirectories = graph.directoryEdges.length > 0 && (graph.directories.length > 1 && !showModules ||
+      graph.directories.length > 3);
+
+    if (showDirectories) {
+      markdown += `How the directories depend on each other (arrows point at the imported code, labels count imports):\n\n` +
+        `\`\`\`mermaid\n${this.renderDirectoryDiagram(graph)}\n\`\`\`\n\n`;
+    }
+    if (showModules) {
+      markdown += `${showDirectories ? 'Module by module:' : 'How the modules import each other:'}\n\n` +
+        `\`\`\`mermaid\n${this.renderModuleDiagram(graph)}\n\`\`\`\n\n`;
+    }
+
+    if (graph.cycles.length > 0) {
+      markdown += '**Circular imports:**\n\n';
+      markdown += graph.cycles.map(cycle => `- ${cycle.map(modulePath => `\`${modulePath}\``).join(' → ')}`).join('\n');
+      if (graph.stats.cycles > graph.cycles.length) {
+        markdown += `\n- _…and ${graph.stats.cycles - graph.cycles.length} more_`;
+      }
+      markdown += '\n\n';
+    }
+
+    if (graph.external.length > 0) {
+      const packages = graph.external.slice(0, this.maxExternal)
+        .map(item => `\`${item.name}\` (${item.modules} ${item.modules === 1 ? 'module' : 'modules'})`);
+      markdown += `**Most imported packages:** ${packages.join(', ')}\n\n`;
+    }
+
+    return markdown.trimEnd();
+  }
+
+  // Compact dependency summary for prompts, so architecture sections describe the real structure
+  formatSummary(graph, maxTokens = 600) {
+    if (!this.hasEdges(graph)) return '';
+
+    const lines = [`Module dependencies (${graph.stats.modules} modules, ${graph.stats.imports} internal imports):`];
+    for (const edge of graph.directoryEdges.slice(0, 30)) {
+      lines.push(`  ${edge.from}/ -> ${edge.to}/ (${edge.count} ${edge.count === 1 ? 'import' : 'imports'})`);
+    }
+
+    const importedBy = new Map();
+    for (const module of graph.modules) {
+      for (const target of module.imports) importedBy.set(target, (importedBy.get(target) || 0) + 1);
+    }
+    const hubs = [...importedBy.entries()].sort((a, b) => b[1] - a[1]).slice(0, 8);
+    if (hubs.length > 0) {
+      lines.push(`Most imported modules: ${hubs.map(([modulePath, count]) => `${modulePath} (${count})`).join(', ')}`);
+    }
+    if (graph.cycles.length > 0) {
+      lines.push(`Circular imports: ${graph.cycles.slice(0, 5).map(cycle => cycle.join(' -> ')).join('; ')}`);
+    }
+    if (graph.external.length > 0) {
+      lines.push(`Most imported packages: ${graph.external.slice(0, this.maxExternal).map(item => item.name).join(', ')}`);
+    }
+
+    return chunkingService.truncateToTokens(lines.join('\n'), maxTokens);
+  }
+
+  // Puts the rendered block at the end of the document's architecture section, or appends one
+  mergeIntoContent(content, markdown) {
+    if (!markdown) return { content, appended: '' };
+
+    const headings = [...content.matchAll(/^##\s+(.+)$/gm)];
+    const existing = headings.findIndex(heading => /\b(architecture|structure)\b/i.test(heading[1]));
+
+    if (existing === -1) {
+      const appended = `${content.trimEnd() ? '\n\n' : ''}## Architecture\n\n${markdown}\n`;
+      return { content: `${content.trimEnd()}${appended}`, appended };
+    }
+
+    const end = headings[existing + 1] ? headings[existing + 1].index : content.length;
+    const before = content.slice(0, end).trimEnd();
+    const after = content.slice(end).trimStart();
+    return {
+      content: `${before}\n\n${markdown}\n${after ? `\n${after}` : ''}`.trimEnd() + '\n',
+      appended: ''
+    };
+  }
+}
+
+module.exports = new DependencyGraphService();
@@ -0,0 +1,574 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const chunkingService = require('./chunkingService');
+const excerptService = require('./excerptService');
+const markdownService = require('./markdownService');
+
+// How a repository is built, shipped and run, read from the files that say so: Dockerfiles (stages, base
+// images, ports, commands), Docker Compose services, GitHub Actions and GitLab CI pipelines, Procfiles, Helm
+// charts and Kubernetes manifests. The facts are rendered as a "Deployment" section with a services diagram
+// instead of letting the model guess at a hosting platform.
+class DeploymentService {
+  constructor() {
+    this.maxFiles = 40;
+    this.maxFileBytes = 200 * 1024;
+    this.fetchConcurrency = 5;
+    this.maxCommands = 4;
+    this.maxCommandLength = 120;
+    this.sectionTitle = 'Deployment';
+    this.kubernetesDirectories = ['k8s', 'kubernetes', 'kube', 'manifests', 'deploy', 'deployment', 'deployments', 'kustomize', 'overlays', 'base', 'infra', 'helm'];
+    this.workloadKinds = ['Deployment', 'StatefulSet', 'DaemonSet', 'Job', 'CronJob', 'Pod'];
+    // GitLab CI top-level keys that are settings, not jobs
+    this.gitlabReservedKeys = ['stages', 'variables', 'default', 'include', 'image', 'services', 'cache', 'before_script',
+      'after_script', 'workflow'];
+  }
+
+  // Which kind of deployment file a path is, or null
+  getFileKind(filePath) {
+    const segments = filePath.split('/');
+    if (segments.slice(0, -1).some(segment => chunkingService.ignoredDirectories.includes(segment))) return null;
+    const fileName = segments[segments.length - 1];
+
+    if (/^(Dockerfile|Containerfile)(\.[\w.-]+)?$/i.test(fileName) || /\.(dockerfile|containerfile)$/i.test(fileName)) return 'dockerfile';
+    if (/^(docker-)?compose(\.[\w-]+)?\.ya?ml$/i.test(fileName)) return 'compose';
+    if (/^\.github\/workflows\/[^/]+\.ya?ml$/.test(filePath)) return 'githubActions';
+    if (fileName === '.gitlab-ci.yml') return 'gitlabCi';
+    if (fileName === 'Procfile') return 'procfile';
+    if (fileName === 'Chart.yaml') return 'helmChart';
+    if (fileName === 'values.yaml' && segments.length > 1) return 'helmValues';
+    // Helm templates are not YAML until rendered
+    if (/\.ya?ml$/i.test(fileName) && !segments.includes('templates') &&
+      segments.slice(0, -1).some(segment => this.kubernetesDirectories.includes(segment.toLowerCase()))) return 'kubernetes';
+    return null;
+  }
+
+  isDeploymentFile(filePath) {
+    return Boolean(this.getFileKind(filePath));
+  }
+
+  // files: [{ name, size }] of the whole tree; readFile(name) resolves to the text or null. Returns null when
+  // the repository has no deployment files.
+  async detect(files, readFile) {
+    const candidates = files
+      .filter(file => (!file.size || file.size <= this.maxFileBytes) && this.getFileKind(file.name))
+      .sort((a, b) => a.name.split('/').length - b.name.split('/').length || a.name.localeCompare(b.name));
+    if (candidates.length === 0) return null;
+
+    const selected = candidates.slice(0, this.maxFiles);
+    const deployment = { dockerfiles: [], compose: [], pipelines: [], processes: [], helmCharts: [], kubernetes: [], files: [], truncated: candidates.length > selected.length };
+    const helmValues = new Map();
+
+    const results = await excerptService.mapWithConcurrency(selected, this.fetchConcurrency, async (file) => {
+      try {
+        const content = await readFile(file.name);
+        return content ? { file: file.name, kind: this.getFileKind(file.name), content } : null;
+      } catch (error) {
+        return null;
+      }
+    });
+
+    for (const result of results.filter(Boolean)) {
+      const { file, kind, content } = result;
+      try {
+        if (kind === 'dockerfile') deployment.dockerfiles.push(this.parseDockerfile(file, content));
+        else if (kind === 'compose') deployment.compose.push(this.parseCompose(file, content));
+        else if (kind === 'githubActions') deployment.pipelines.push(this.parseGithubWorkflow(file, content));
+        else if (kind === 'gitlabCi') deployment.pipelines.push(this.parseGitlabCi(file, content));
+        else if (kind === 'procfile') deployment.processes.push(...this.parseProcfile(file, content));
+        else if (kind === 'helmChart') deployment.helmCharts.push(this.parseHelmChart(file, content));
+        else if (kind === 'helmValues') {
+          // Only counts once a chart next to it is found
+          helmValues.set(path.posix.dirname(file), yaml.load(content) || {});
+          continue;
+        } else if (kind === 'kubernetes') deployment.kubernetes.push(...this.parseKubernetes(file, content));
+        else continue;
+        deployment.files.push(file);
+      } catch (error) {
+        console.log(`Could not parse ${file}: ${error.message}`);
+      }
+    }
+
+    // values.yaml next to a Chart.yaml supplies the image and service the chart deploys
+    for (const chart of deployment.helmCharts) {
+      const values = helmValues.get(chart.path);
+      if (!values) continue;
+      if (values.image?.repository) chart.image = `${values.image.repository}${values.image.tag ? `:${values.image.tag}` : ''}`;
+      if (values.service?.port) chart.servicePort = String(values.service.port);
+      if (values.service?.type) chart.serviceType = values.service.type;
+      if (values.replicaCount !== undefined) chart.replicas = values.replicaCount;
+      deployment.files.push(`${chart.path}/values.yaml`);
+    }
+
+    return deployment.files.length > 0 ? deployment : null;
+  }
+
+  // Instructions with their continuation lines joined; comments and parser directives dropped
+  readDockerInstructions(content) {
+    const instructions = [];
+    let current = '';
+    for (const line of content.split('\n')) {
+      const trimmed = line.trim();
+      if (!current && (!trimmed || trimmed.startsWith('#'))) continue;
+      if (current && trimmed.startsWith('#')) continue;
+      current += `${current ? ' ' : ''}${trimmed.replace(/\\$/, '').trim()}`;
+      if (!trimmed.endsWith('\\')) {
+        const match = current.match(/^(\w+)\s+(.*)$/);
+        if (match) instructions.push({ instruction: match[1].toUpperCase(), value: match[2].trim() });
+        current = '';
+      }
+    }
+    return instructions;
+  }
+
+  parseDockerfile(file, content) {
+    const stages = [];
+    const args = [];
+    for (const { instruction, value } of this.readDockerInstructions(content)) {
+      if (instruction === 'FROM') {
+        const from = value.replace(/--platform=\S+\s+/, '').match(/^(\S+)(?:\s+as\s+(\S+))?/i);
+        if (!from) continue;
+        const previous = stages.find(stage => stage.name && stage.name === from[1]);
+        stages.push({
+          name: from[2] || null,
+          baseImage: previous ? null : from[1],
+          fromStage: previous ? from[1] : null,
+          ports: [],
+          entrypoint: null,
+          command: null,
+          workdir: null,
+          env: []
+        });
+        continue;
+      }
+      const stage = stages[stages.length - 1];
+      if (instruction === 'ARG') args.push(value.split('=')[0]);
+      if (!stage) continue;
+
+      if (instruction === 'EXPOSE') stage.ports.push(...value.split(/\s+/).filter(Boolean));
+      else if (instruction === 'WORKDIR') stage.workdir = value;
+      else if (instruction === 'ENV') stage.env.push(...this.parseDockerEnv(value));
+      else if (instruction === 'CMD' || instruction === 'ENTRYPOINT') {
+        const command = this.formatExecForm(value);
+        stage.command = instruction === 'CMD' && stage.entrypoint ? `${stage.entrypoint} ${command}` : command;
+        if (instruction === 'ENTRYPOINT') stage.entrypoint = command;
+      }
+    }
+
+    const final = stages[stages.length - 1] || { ports: [], env: [] };
+    return {
+      file,
+      stages: stages.map(({ name, baseImage, fromStage }) => ({ name, baseImage, fromStage })),
+      baseImages: [...new Set(stages.map(stage => stage.baseImage).filter(Boolean))],
+      ports: [...new Set(final.ports)],
+      command: final.command || null,
+      workdir: final.workdir || null,
+      env: [...new Set(final.env)],
+      args: [...new Set(args)]
+    };
+  }
+
+  // ENV KEY=value OTHER=value, or the legacy ENV KEY value
+  parseDockerEnv(value) {
+    if (!value.includes('=')) return [value.split(/\s+/)[0]];
+    return [...value.matchAll(/([A-Za-z_][A-Za-z0-9_]*)=/g)].map(match => match[1]);
+  }
+
+  // ["node", "index.js"] -> node index.js
+  formatExecForm(value) {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed.join(' ');
+    } catch (error) {
+      // shell form
+    }
+    return value;
+  }
+
+  parseCompose(file, content) {
+    const compose = yaml.load(content) || {};
+    const list = (value) => Array.isArray(value) ? value : value && typeof value === 'object' ? Object.keys(value) : [];
+
+    const services = Object.entries(compose.services || {}).map(([name, service]) => {
+      service = service || {};
+      let build = typeof service.build === 'string' ? service.build : null;
+      if (service.build && typeof service.build === 'object') {
+        build = `${service.build.context || '.'}${service.build.dockerfile ? ` (${service.build.dockerfile})` : ''}`;
+      }
+      return {
+        name,
+        image: service.image || null,
+        build,
+        ports: (service.ports || []).map(port => typeof port === 'object'
+          ? `${port.published ? `${port.published}:` : ''}${port.target}`
+          : String(port)),
+        volumes: (service.volumes || []).map(volume => typeof volume === 'object'
+          ? `${volume.source ? `${volume.source}:` : ''}${volume.target}`
+          : String(volume)),
+        dependsOn: list(service.depends_on),
+        environment: Array.isArray(service.environment)
+          ? service.environment.map(entry => String(entry).split('=')[0])
+          : Object.keys(service.environment || {}),
+        envFiles: [].concat(service.env_file || []).map(entry => typeof entry === 'object' ? entry.path : entry),
+        command: Array.isArray(service.command) ? service.command.join(' ') : service.command || null
+      };
+    });
+
+    return { file, services, volumes: list(compose.volumes) };
+  }
+
+  // "push (main, release/*)", "schedule (0 3 * * *)", "workflow_dispatch"
+  describeGithubTriggers(on) {
+    if (typeof on === 'string') return [on];
+    if (Array.isArray(on)) return on.map(String);
+    return Object.entries(on || {}).map(([event, config]) => {
+      if (event === 'schedule' && Array.isArray(config)) return `schedule (${config.map(entry => entry.cron).join(', ')})`;
+      const filters = [].concat(config?.branches || [], config?.tags ? config.tags.map(tag => `tag ${tag}`) : []);
+      return filters.length > 0 ? `${event} (${filters.join(', ')})` : event;
+    });
+  }
+
+  parseGithubWorkflow(file, content) {
+    const workflow = yaml.load(content) || {};
+    // js-yaml reads the bare key "on" as true
+    const on = workflow.on ?? workflow[true];
+
+    const jobs = Object.entries(workflow.jobs || {}).map(([id, job]) => {
+      job = job || {};
+      const steps = job.steps || [];
+      const environment = typeof job.environment === 'object' ? job.environment?.name : job.environment;
+      return {
+        name: job.name || id,
+        runsOn: [].concat(job['runs-on'] || (job.uses ? `reusable ${job.uses}` : [])).join(', '),
+        needs: [].concat(job.needs || []),
+        environment: environment || null,
+        actions: [...new Set(steps.filter(step => step.uses).map(step => step.uses))],
+        commands: this.limitCommands(steps.filter(step => step.run).flatMap(step => String(step.run).split('\n')))
+      };
+    });
+
+    return { file, provider: 'GitHub Actions', name: workflow.name || path.posix.basename(file, path.posix.extname(file)), triggers: this.describeGithubTriggers(on), jobs };
+  }
+
+  parseGitlabCi(file, content) {
+    const pipeline = yaml.load(content) || {};
+    const scripts = (value) => [].concat(value || []).flatMap(entry => String(entry).split('\n'));
+
+    const jobs = Object.entries(pipeline)
+      .filter(([name, job]) => !name.startsWith('.') && !this.gitlabReservedKeys.includes(name) && job && typeof job === 'object' && !Array.isArray(job))
+      .map(([name, job]) => ({
+        name,
+        stage: job.stage || 'test',
+        runsOn: typeof job.image === 'object' ? job.image?.name : job.image || (typeof pipeline.image === 'object' ? pipeline.image?.name : pipeline.image) || null,
+        needs: [].concat(job.needs || []).map(need => typeof need === 'object' ? need.job : need),
+        environment: typeof job.environment === 'object' ? job.environment?.name : job.environment || null,
+        when: [...[].concat(job.only || []).map(String), ...[].concat(job.rules || []).map(rule => rule?.if).filter(Boolean)],
+        actions: [],
+        commands: this.limitCommands(scripts(job.script))
+      }));
+
+    const triggers = [...new Set([
+      ...[].concat(pipeline.workflow?.rules || []).map(rule => rule?.if).filter(Boolean),
+      ...jobs.flatMap(job => job.when)
+    ])];
+    return { file, provider: 'GitLab CI', name: 'GitLab CI', stages: [].concat(pipeline.stages || []), triggers, jobs };
+  }
+
+  limitCommands(lines) {
+    return lines
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .slice(0, this.maxCommands)
+      .map(line => line.length > this.maxCommandLength ? `${line.slice(0, this.maxCommandLength)}...` : line);
+  }
+
+  parseProcfile(file, content) {
+    return content.split('\n')
+      .map(line => line.match(/^([A-Za-z0-9_-]+)\s*:\s*(.+)$/))
+      .filter(Boolean)
+      .map(match => ({ file, name: match[1], command: match[2].trim() }));
+  }
+
+  parseHelmChart(file, content) {
+    const chart = yaml.load(content) || {};
+    return {
+      file,
+      path: path.posix.dirname(file),
+      name: chart.name || path.posix.basename(path.posix.dirname(file)),
+      version: chart.version ? String(chart.version) : null,
+      appVersion: chart.appVersion ? String(chart.appVersion) : null,
+      description: chart.description || null,
+      dependencies: (chart.dependencies || []).map(dependency => dependency.name).filter(Boolean)
+    };
+  }
+
+  // Every document of a multi-document YAML file that is a Kubernetes object
+  parseKubernetes(file, content) {
+    const objects = [];
+    for (const document of yaml.loadAll(content)) {
+      if (!document || typeof document !== 'object' || !document.apiVersion || !document.kind || document.kind === 'Kustomization') continue;
+      const spec = document.spec || {};
+      const podSpec = document.kind === 'CronJob' ? spec.jobTemplate?.spec?.template?.spec : document.kind === 'Pod' ? spec : spec.template?.spec;
+      const containers = podSpec?.containers || [];
+
+      objects.push({
+        file,
+        kind: document.kind,
+        name: document.metadata?.name || null,
+        namespace: document.metadata?.namespace || null,
+        replicas: spec.replicas ?? null,
+        images: containers.map(container => container.image).filter(Boolean),
+        ports: document.kind === 'Service'
+          ? (spec.ports || []).map(port => `${port.port}${port.targetPort && port.targetPort !== port.port ? `:${port.targetPort}` : ''}`)
+          : containers.flatMap(container => (container.ports || []).map(port => String(port.containerPort))),
+        serviceType: document.kind === 'Service' ? spec.type || 'ClusterIP' : null,
+        labels: spec.template?.metadata?.labels || document.metadata?.labels || {},
+        selector: document.kind === 'Service' ? spec.selector || {} : null,
+        hosts: document.kind === 'Ingress' ? (spec.rules || []).map(rule => rule.host).filter(Boolean) : [],
+        backends: document.kind === 'Ingress'
+          ? [...new Set((spec.rules || []).flatMap(rule => (rule.http?.paths || [])
+            .map(entry => entry.backend?.service?.name || entry.backend?.serviceName)).filter(Boolean))]
+          : []
+      });
+    }
+    return objects;
+  }
+
+  hasContent(deployment) {
+    return Boolean(deployment && deployment.files.length > 0);
+  }
+
+  // Full "## Deployment" section for single-prompt and map-reduce output
+  renderMarkdown(deployment, options = {}) {
+    const body = this.renderBody(deployment, options);
+    return body ? `## ${this.sectionTitle}\n\n${body}` : '';
+  }
+
+  // The section without its "##" heading, for the sections strategy which adds its own
+  renderBody(deployment, { diagrams = true } = {}) {
+    if (!this.hasContent(deployment)) return '';
+    const escape = (text) => markdownService.cell(text);
+    const code = (text) => markdownService.code(text);
+    const codeList = (items) => items.length > 0 ? items.map(code).join(', ') : '-';
+
+    let markdown = `_Derived from ${deployment.files.slice(0, 6).map(code).join(', ')}` +
+      `${deployment.files.length > 6 ? ` and ${deployment.files.length - 6} more files` : ''}._\n\n`;
+
+    if (deployment.dockerfiles.length > 0) {
+      markdown += '### Container Images\n\n| Dockerfile | Stages | Base images | Exposed ports | Command |\n|------------|--------|-------------|---------------|---------|\n';
+      for (const dockerfile of deployment.dockerfiles) {
+        const stages = dockerfile.stages.length > 1
+          ? dockerfile.stages.map(stage => stage.name || '(final)').join(' → ')
+          : '1';
+        markdown += `| ${code(dockerfile.file)} | ${escape(stages)} | ${codeList(dockerfile.baseImages)} | ${dockerfile.ports.map(escape).join(', ') || '-'} | ${dockerfile.command ? code(dockerfile.command) : '-'} |\n`;
+      }
+      markdown += '\n```bash\n';
+      for (const dockerfile of deployment.dockerfiles) {
+        const directory = path.posix.dirname(dockerfile.file);
+        const tag = this.getImageTag(dockerfile.file);
+        const dockerfileFlag = path.posix.basename(dockerfile.file) === 'Dockerfile' ? '' : ` -f ${dockerfile.file}`;
+        const context = dockerfileFlag ? '.' : directory;
+        markdown += `docker build -t ${tag}${dockerfileFlag} ${context}\n`;
+        const ports = dockerfile.ports.map(port => port.split('/')[0]).map(port => ` -p ${port}:${port}`).join('');
+        markdown += `docker run --rm${ports} ${tag}\n`;
+      }
+      markdown += '```\n\n';
+    }
+
+    if (deployment.compose.length > 0) {
+      markdown += '### Services\n\n';
+      for (const compose of deployment.compose) {
+        markdown += `${deployment.compose.length > 1 ? `${code(compose.file)}:\n\n` : ''}| Service | Image / build | Ports | Volumes | Depends on |\n|---------|---------------|-------|---------|------------|\n`;
+        for (const service of compose.services) {
+          const source = service.image ? code(service.image) : service.build ? `build ${code(service.build)}` : '-';
+          markdown += `| ${code(service.name)} | ${source} | ${codeList(service.ports)} | ${codeList(service.volumes)} | ${service.dependsOn.map(escape).join(', ') || '-'} |\n`;
+        }
+        const fileFlag = /^(docker-)?compose\.ya?ml$/.test(compose.file) ? '' : ` -f ${compose.file}`;
+        markdown += `\n\`\`\`bash\ndocker compose${fileFlag} up -d --build\ndocker compose${fileFlag} logs -f\ndocker compose${fileFlag} down\n\`\`\`\n\n`;
+      }
+    }
+
+    if (deployment.processes.length > 0) {
+      markdown += '### Processes\n\nThe `Procfile` declares the process types a Procfile-based platform runs:\n\n| Process | Command |\n|---------|---------|\n';
+      for (const entry of deployment.processes) markdown += `| ${code(entry.name)} | ${code(entry.command)} |\n`;
+      markdown += '\n';
+    }
+
+    if (deployment.kubernetes.length > 0) {
+      markdown += '### Kubernetes\n\n| Kind | Name | Images | Ports | Replicas | File |\n|------|------|--------|-------|----------|------|\n';
+      for (const object of deployment.kubernetes) {
+        const ports = object.serviceType ? `${object.ports.join(', ')} (${object.serviceType})` : object.ports.join(', ');
+        const images = object.kind === 'Ingress' ? object.hosts.map(escape).join(', ') || '-' : codeList(object.images);
+        markdown += `| ${escape(object.kind)} | ${code(object.name || '-')} | ${images} | ${escape(ports) || '-'} | ${escape(object.replicas ?? '-')} | ${code(object.file)} |\n`;
+      }
+      const directories = [...new Set(deployment.kubernetes.map(object => path.posix.dirname(object.file)))];
+      const kustomized = deployment.files.some(file => /kustomization\.ya?ml$/.test(file));
+      markdown += `\n\`\`\`bash\n${directories.map(directory => `kubectl apply ${kustomized ? '-k' : '-f'} ${directory}`).join('\n')}\n\`\`\`\n\n`;
+    }
+
+    if (deployment.helmCharts.length > 0) {
+      markdown += '### Helm Charts\n\n| Chart | Version | App version | Image | Service | Dependencies |\n|-------|---------|-------------|-------|---------|--------------|\n';
+      for (const chart of deployment.helmCharts) {
+        const service = chart.servicePort ? `${chart.servicePort}${chart.serviceType ? ` (${chart.serviceType})` : ''}` : '-';
+        markdown += `| ${code(chart.name)} | ${escape(chart.version || '-')} | ${escape(chart.appVersion || '-')} | ${chart.image ? code(chart.image) : '-'} | ${escape(service)} | ${chart.dependencies.map(escape).join(', ') || '-'} |\n`;
+      }
+      markdown += `\n\`\`\`bash\n${deployment.helmCharts.map(chart => `helm install ${chart.name} ./${chart.path}`).join('\n')}\n\`\`\`\n\n`;
+    }
+
+    if (deployment.pipelines.length > 0) {
+      markdown += '### CI/CD\n\n';
+      for (const pipeline of deployment.pipelines) {
+        const provider = pipeline.name === pipeline.provider ? '' : `${pipeline.provider}, `;
+        markdown += `**${escape(pipeline.name)}** (${escape(provider)}${code(pipeline.file)})` +
+          `${pipeline.triggers.length > 0 ? ` - runs on ${pipeline.triggers.map(trigger => code(trigger)).join(', ')}` : ''}\n\n`;
+        markdown += '| Job | Runs on | Needs | Steps |\n|-----|---------|-------|-------|\n';
+        for (const job of pipeline.jobs) {
+          const steps = [...job.commands.map(code), ...job.actions.map(action => `uses ${code(action)}`)];
+          const name = `${escape(job.name)}${job.stage ? ` _(${escape(job.stage)})_` : ''}${job.environment ? ` → ${escape(job.environment)}` : ''}`;
+          markdown += `| ${name} | ${escape(job.runsOn || '-')} | ${job.needs.map(escape).join(', ') || '-'} | ${steps.join(', ') || '-'} |\n`;
+        }
+        markdown += '\n';
+      }
+    }
+
+    const diagram = diagrams ? this.renderServicesDiagram(deployment) : '';
+    if (diagram) {
+      markdown += `### Service Diagram\n\nArrows point at what a service depends on or routes to:\n\n\`\`\`mermaid\n${diagram}\n\`\`\`\n`;
+    }
+
+    if (deployment.truncated) {
+      markdown += `\n_Only the first ${this.maxFiles} deployment files were read._\n`;
+    }
+    return markdown.trimEnd();
+  }
+
+  getImageTag(dockerfile) {
+    const directory = path.posix.dirname(dockerfile);
+    const suffix = path.posix.basename(dockerfile).replace(/^(Dockerfile|Containerfile)\.?/i, '').replace(/\.(dockerfile|containerfile)$/i, '');
+    const name = [directory === '.' ? 'app' : directory.split('/').pop(), suffix].filter(Boolean).join('-');
+    return name.toLowerCase().replace(/[^a-z0-9._-]/g, '-');
+  }
+
+  // Compose services with their dependencies and named volumes, and Kubernetes ingresses, services and the
+  // workloads their selectors match. Empty when there is nothing to connect.
+  renderServicesDiagram(deployment) {
+    const lines = ['flowchart LR'];
+    const label = (text) => String(text).replace(/"/g, "'");
+    let edges = 0;
+
+    deployment.compose.forEach((compose, composeIndex) => {
+      if (compose.services.length === 0) return;
+      const id = (name) => `c${composeIndex}_${name.replace(/[^A-Za-z0-9_]/g, '_')}`;
+      const namedVolumes = new Set(compose.volumes);
+      lines.push(`  subgraph compose${composeIndex}["${label(compose.file)}"]`);
+      for (const service of compose.services) {
+        const ports = service.ports.length > 0 ? `<br/>${service.ports.slice(0, 3).join(', ')}` : '';
+        lines.push(`    ${id(service.name)}["${label(service.name)}${label(ports)}"]`);
+      }
+      compose.volumes.forEach(volume => lines.push(`    ${id(`volume_${volume}`)}[("${label(volume)}")]`));
+      lines.push('  end');
+      for (const service of compose.services) {
+        for (const dependency of service.dependsOn) {
+          lines.push(`  ${id(service.name)} --> ${id(dependency)}`);
+          edges++;
+        }
+        for (const volume of service.volumes) {
+          const source = volume.split(':')[0];
+          if (namedVolumes.has(source)) {
+            lines.push(`  ${id(service.name)} -.-> ${id(`volume_${source}`)}`);
+            edges++;
+          }
+        }
+      }
+    });
+
+    const objects = deployment.kubernetes.filter(object => ['Ingress', 'Service', ...this.workloadKinds].includes(object.kind) && object.name);
+    if (objects.length > 0) {
+      const id = (object) => `k_${object.kind}_${object.name}`.replace(/[^A-Za-z0-9_]/g, '_');
+      lines.push('  subgraph kubernetes["Kubernetes"]');
+      for (const object of objects) {
+        const shape = object.kind === 'Ingress' ? ['{{"', '"}}'] : object.kind === 'Service' ? ['(["', '"])'] : ['["', '"]'];
+        lines.push(`    ${id(object)}${shape[0]}${label(`${object.kind}: ${object.name}`)}${shape[1]}`);
+      }
+      lines.push('  end');
+
+      const services = objects.filter(object => object.kind === 'Service');
+      for (const ingress of objects.filter(object => object.kind === 'Ingress')) {
+        for (const backend of ingress.backends) {
+          const service = services.find(candidate => candidate.name === backend);
+          if (service) {
+            lines.push(`  ${id(ingress)} --> ${id(service)}`);
+            edges++;
+          }
+        }
+      }
+      for (const service of services) {
+        const selector = Object.entries(service.selector || {});
+        if (selector.length === 0) continue;
+        for (const workload of objects.filter(object => this.workloadKinds.includes(object.kind))) {
+          if (selector.every(([key, value]) => workload.labels[key] === value)) {
+            lines.push(`  ${id(service)} --> ${id(workload)}`);
+            edges++;
+          }
+        }
+      }
+    }
+
+    return edges > 0 ? lines.join('\n') : '';
+  }
+
+  // Compact facts for prompts so other sections mention the real way the project is run
+  formatSummary(deployment, maxTokens = 500) {
+    if (!this.hasContent(deployment)) return '';
+
+    const lines = ['Deployment files (parsed - describe deployment only with these):'];
+    for (const dockerfile of deployment.dockerfiles) {
+      lines.push(`- ${dockerfile.file}: ${dockerfile.baseImages.join(', ') || 'no base image'}` +
+        `${dockerfile.stages.length > 1 ? `, ${dockerfile.stages.length} stages` : ''}` +
+        `${dockerfile.ports.length > 0 ? `, exposes ${dockerfile.ports.join(', ')}` : ''}` +
+        `${dockerfile.command ? `, runs "${dockerfile.command}"` : ''}`);
+    }
+    for (const compose of deployment.compose) {
+      lines.push(`- ${compose.file}: services ${compose.services.map(service =>
+        `${service.name}${service.ports.length > 0 ? ` (${service.ports.join(', ')})` : ''}`).join(', ')}`);
+    }
+    for (const entry of deployment.processes) lines.push(`- Procfile ${entry.name}: ${entry.command}`);
+    for (const chart of deployment.helmCharts) lines.push(`- Helm chart ${chart.name} (${chart.path})`);
+    if (deployment.kubernetes.length > 0) {
+      lines.push(`- Kubernetes: ${deployment.kubernetes.map(object => `${object.kind} ${object.name}`).join(', ')}`);
+    }
+    for (const pipeline of deployment.pipelines) {
+      lines.push(`- ${pipeline.provider} "${pipeline.name}" on ${pipeline.triggers.join(', ') || 'any change'}: jobs ${pipeline.jobs.map(job => job.name).join(', ')}`);
+    }
+    return chunkingService.truncateToTokens(lines.join('\n'), maxTokens);
+  }
+
+  // Replaces a deployment section the model wrote, otherwise goes before Contributing/Troubleshooting/License,
+  // otherwise at the end
+  mergeIntoContent(content, markdown) {
+    if (!markdown) return { content, appended: '' };
+
+    const headings = [...content.matchAll(/^##\s+(.+)$/gm)];
+    const existing = headings.findIndex(heading => /\b(deploy(ment|ing)?|docker|production|ci\/cd)\b/i.test(heading[1]));
+    if (existing !== -1) {
+      const start = headings[existing].index;
+      const end = headings[existing + 1] ? headings[existing + 1].index : content.length;
+      return {
+        content: `${content.slice(0, start)}${markdown}\n\n${content.slice(end).trimStart()}`.trimEnd() + '\n',
+        appended: ''
+      };
+    }
+
+    const before = headings.find(heading => /\b(contribut\w*|troubleshoot\w*|faq|license)\b/i.test(heading[1]));
+    if (before) {
+      return {
+        content: `${content.slice(0, before.index)}${markdown}\n\n${content.slice(before.index)}`.trimEnd() + '\n',
+        appended: ''
+      };
+    }
+
+    const appended = `${content.trimEnd() ? '\n\n' : ''}${markdown}\n`;
+    return { content: `${content.trimEnd()}${appended}`, appended };
+  }
+}
+
+module.exports = new DeploymentService();
@@ -0,0 +1,63 @@
+const axios = require('axios');
+
+// Renders Mermaid diagrams to SVG or PNG for exports, through a Kroki-compatible server at MERMAID_RENDERER_URL.
+// Off unless configured: the server receives the diagram source, which names the modules, directories and
+// packages of the repository. Rendering is best effort: callers get null and fall back to the diagram source
+// when the renderer is off or unreachable.
+class DiagramService {
+  constructor() {
+    const rendererUrl = (process.env.MERMAID_RENDERER_URL || '').trim();
+    this.rendererUrl = !rendererUrl || ['off', 'false', 'none'].includes(rendererUrl.toLowerCase()) ? null : rendererUrl.replace(/\/+$/, '');
+    this.timeoutMs = parseInt(process.env.MERMAID_RENDERER_TIMEOUT_MS) || 15000;
+    this.formats = ['svg', 'png'];
+    this.blockPattern = /^```mermaid[^\S\n]*\n([\s\S]*?)^```[^\S\n]*$/gm;
+    this.maxCacheEntries = 100;
+    this.cache = new Map();
+  }
+
+  isEnabled() {
+    return Boolean(this.rendererUrl);
+  }
+
+  // Sources of the ```mermaid blocks in a Markdown document, in order
+  findDiagrams(markdown = '') {
+    return [...markdown.matchAll(this.blockPattern)].map(match => match[1].trim());
+  }
+
+  // Replaces every ```mermaid block with replace(source)
+  replaceDiagrams(markdown, replace) {
+    return markdown.replace(this.blockPattern, (match, source) => replace(source.trim()));
+  }
+
+  // The rendered image as a Buffer, or null
+  async render(source, format = 'svg') {
+    if (!this.isEnabled() || !this.formats.includes(format)) return null;
+
+    const key = `${format}\n${source}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    try {
+      const response = await axios.post(`${this.rendererUrl}/mermaid/${format}`, source, {
+        headers: { 'Content-Type': 'text/plain' },
+        responseType: 'arraybuffer',
+        timeout: this.timeoutMs
+      });
+      const image = Buffer.from(response.data);
+
+      if (this.cache.size >= this.maxCacheEntries) this.cache.delete(this.cache.keys().next().value);
+      this.cache.set(key, image);
+      return image;
+    } catch (error) {
+      console.log(`Could not render a Mermaid diagram (${format}): ${error.message}`);
+      return null;
+    }
+  }
+
+  // Pixel size of a PNG, from its IHDR chunk
+  getPngSize(image) {
+    if (!image || image.length < 24 || image.toString('ascii', 1, 4) !== 'PNG') return null;
+    return { width: image.readUInt32BE(16), height: image.readUInt32BE(20) };
+  }
+}
+
+module.exports = new DiagramService();
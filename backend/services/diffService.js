@@ -0,0 +1,138 @@
+const providerRegistry = require('./providers');
+const localRepoService = require('./localRepoService');
+const chunkingService = require('./chunkingService');
+const excerptService = require('./excerptService');
+
+// What changed in a repository between the commit a document describes and a newer ref
+class DiffService {
+  constructor() {
+    this.excerptTokenBudget = parseInt(process.env.UPDATE_EXCERPT_TOKENS) || 4000;
+    this.maxRouteFiles = 25;
+    this.routeExtensions = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+    this.routePattern = /\b(?:app|router|server|fastify|api)\.(get|post|put|patch|delete|all)\(\s*['"`]([^'"`]+)['"`]/gi;
+  }
+
+  // Runs task(source) against the document's repository - the host API for API-analyzed
+  // documents, a mirror clone otherwise. source: resolve, compare, readFile, getCommitUrl.
+  async withSource(document, ref, task) {
+    const { githubUrl, metadata = {} } = document;
+    const provider = ['clone', 'local'].includes(metadata.source)
+      ? null
+      : providerRegistry.resolve(githubUrl, metadata.provider);
+
+    if (!provider) {
+      return localRepoService.withMirror(githubUrl, ref, (mirror) => task({ ...mirror, getCommitUrl: () => null }));
+    }
+
+    const repoRef = provider.parseUrl(githubUrl);
+    return task({
+      resolve: async (name) => (await provider.resolveRef(repoRef, name)).sha,
+      compare: (base, head) => provider.compareCommits(repoRef, base, head),
+      readFile: (sha, filePath) => provider.readFile(repoRef, filePath, sha),
+      getCommitUrl: (sha) => provider.getCommitUrl(repoRef, sha)
+    });
+  }
+
+  async computeChanges(document, ref) {
+    const baseCommit = document.metadata.commitHash;
+
+    return this.withSource(document, ref, async (source) => {
+      const headCommit = await source.resolve(ref);
+      const { commits, files } = headCommit === baseCommit
+        ? { commits: 0, files: [] }
+        : await source.compare(baseCommit, headCommit);
+
+      // Changed files are read at both commits for the manifest and route diffs - read each once
+      const cache = new Map();
+      const read = (sha, filePath) => {
+        const key = `${sha}:${filePath}`;
+        if (!cache.has(key)) cache.set(key, source.readFile(sha, filePath).catch(() => null));
+        return cache.get(key);
+      };
+
+      const manifest = await this.diffManifest(files, (sha) => read(sha, 'package.json'), baseCommit, headCommit);
+      const routes = await this.diffRoutes(files, read, baseCommit, headCommit);
+
+      const current = files.filter(file => file.status !== 'removed').map(file => ({ name: file.path }));
+      const { excerpts } = await excerptService.selectExcerpts(current, (file) => read(headCommit, file.name), {
+        tokenBudget: this.excerptTokenBudget
+      });
+
+      return {
+        ref,
+        baseCommit,
+        headCommit,
+        headCommitUrl: source.getCommitUrl(headCommit),
+        commits,
+        files,
+        dependencies: manifest.dependencies,
+        scripts: manifest.scripts,
+        routes,
+        excerpts
+      };
+    });
+  }
+
+  // Dependency and script changes from the root package.json
+  async diffManifest(files, readManifest, baseCommit, headCommit) {
+    const empty = { added: [], removed: [], changed: [] };
+    const change = files.find(file => file.path === 'package.json');
+    if (!change) return { dependencies: empty, scripts: empty };
+
+    const parse = async (sha) => {
+      try {
+        return JSON.parse(await readManifest(sha)) || {};
+      } catch (error) {
+        return {};
+      }
+    };
+    const before = change.status === 'added' ? {} : await parse(baseCommit);
+    const after = change.status === 'removed' ? {} : await parse(headCommit);
+
+    return {
+      dependencies: this.diffMaps(
+        { ...before.dependencies, ...before.devDependencies },
+        { ...after.dependencies, ...after.devDependencies }
+      ),
+      scripts: this.diffMaps(before.scripts || {}, after.scripts || {})
+    };
+  }
+
+  diffMaps(before, after) {
+    return {
+      added: Object.keys(after).filter(name => !(name in before)).map(name => ({ name, value: after[name] })),
+      removed: Object.keys(before).filter(name => !(name in after)).map(name => ({ name, value: before[name] })),
+      changed: Object.keys(after)
+        .filter(name => name in before && before[name] !== after[name])
+        .map(name => ({ name, from: before[name], to: after[name] }))
+    };
+  }
+
+  // Route declarations (app.get('/path'), router.post(...)) added or removed across the changed files.
+  // Sets span all files so a route moved between files counts as neither.
+  async diffRoutes(files, read, baseCommit, headCommit) {
+    const candidates = files
+      .filter(file => this.routeExtensions.some(ext => file.path.endsWith(ext)))
+      .filter(file => chunkingService.isDocumentable(file.path))
+      .slice(0, this.maxRouteFiles);
+
+    const before = new Set();
+    const after = new Set();
+    for (const file of candidates) {
+      if (file.status !== 'added') this.extractRoutes(await read(baseCommit, file.path)).forEach(route => before.add(route));
+      if (file.status !== 'removed') this.extractRoutes(await read(headCommit, file.path)).forEach(route => after.add(route));
+    }
+
+    return {
+      added: [...after].filter(route => !before.has(route)),
+      removed: [...before].filter(route => !after.has(route))
+    };
+  }
+
+  extractRoutes(content) {
+    if (!content) return [];
+    return [...content.matchAll(this.routePattern)].map(([, method, routePath]) => `${method.toUpperCase()} ${routePath}`);
+  }
+}
+
+module.exports = new DiffService();
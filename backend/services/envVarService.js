@@ -0,0 +1,517 @@
+const path = require('path');
+const chunkingService = require('./chunkingService');
+const excerptService = require('./excerptService');
+const markdownService = require('./markdownService');
+
+// A literal default value in source: a quoted string, number, boolean or null-like keyword
+const LITERAL = '(\'(?:[^\'\\\\\\n]|\\\\.)*\'|"(?:[^"\\\\\\n]|\\\\.)*"|`[^`$\\n]*`|-?\\d+(?:\\.\\d+)?\\b|true\\b|false\\b|True\\b|False\\b|None\\b|null\\b|nil\\b|undefined\\b)';
+// A default only counts when the expression ends after it: "|| 50" but not "|| 50 * 1024"
+const LITERAL_END = '(?=\\s*(?:[),;\\]}]|\\n|$))';
+
+// The configuration a repository reads from its environment: accessor calls in the source (process.env.X,
+// os.environ['X'], os.Getenv("X"), ...) with the defaults they fall back to, config schemas (envalid, zod,
+// Joi, pydantic BaseSettings, convict) and the keys and comments of committed example env files
+// (.env.example, env.example, ...). Matching is textual, so names built at runtime are missed.
+class EnvVarService {
+  constructor() {
+    this.maxFiles = parseInt(process.env.ENV_SCAN_MAX_FILES) || 400;
+    // Host API analysis reads every file over HTTP, so it scans fewer
+    this.maxApiFiles = parseInt(process.env.ENV_SCAN_MAX_API_FILES) || 40;
+    this.maxFileBytes = 200 * 1024;
+    this.fetchConcurrency = 5;
+    this.maxVariables = 200;
+    this.maxUsages = 5;
+    this.maxRenderedUsages = 3;
+    this.sectionTitle = 'Configuration';
+    // Values of these are never copied into the analysis or the document, even when hard-coded
+    this.secretPattern = /(^|_)(SECRET|TOKEN|PASSWORD|PASSWD|PASS|KEY|APIKEY|CREDENTIALS?|DSN)(_|$)/i;
+    // ...except limits about them (MAX_TOKENS, TOKEN_TTL)
+    this.limitPattern = /(^|_)(MAX|MIN|BUDGET|LIMIT|COUNT|TTL|TIMEOUT|LENGTH|SIZE|EXPIRY|EXPIRES)(_|$)/i;
+
+    const name = '([A-Za-z_][A-Za-z0-9_]*)';
+    // Each accessor: pattern (group 1 is the name), fallback matched right after it for the default value,
+    // and required - true when a missing variable fails (os.environ['X']), or a pattern for the text after it.
+    // comments lists the comment markers of the language, whose text is not scanned.
+    const jsFallback = new RegExp(`^\\s*['"\`]?\\s*\\]?\\s*(?:,\\s*\\d+\\s*)?\\)?\\s*(?:\\|\\||\\?\\?)\\s*${LITERAL}${LITERAL_END}`);
+    const argumentFallback = new RegExp(`^['"]\\s*,\\s*(?:default\\s*=\\s*)?${LITERAL}${LITERAL_END}`);
+    this.accessors = [
+      { extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte'], comments: ['//', '/*'], patterns: [
+        { pattern: new RegExp(`\\bprocess\\.env\\.${name}`, 'g'), fallback: jsFallback },
+        { pattern: new RegExp(`\\bprocess\\.env\\[\\s*['"\`]${name}['"\`]\\s*\\]`, 'g'), fallback: jsFallback },
+        { pattern: new RegExp(`\\bimport\\.meta\\.env\\.${name}`, 'g'), fallback: jsFallback },
+        { pattern: new RegExp(`\\bDeno\\.env\\.get\\(\\s*['"]${name}['"]\\s*\\)`, 'g'), fallback: jsFallback },
+        { pattern: new RegExp(`\\bBun\\.env\\.${name}`, 'g'), fallback: jsFallback }
+      ] },
+      { extensions: ['.py'], comments: ['#'], patterns: [
+        { pattern: new RegExp(`\\bos\\.environ\\[\\s*['"]${name}['"]\\s*\\]`, 'g'), required: true },
+        { pattern: new RegExp(`\\bos\\.(?:environ\\.get|getenv|environ\\.setdefault)\\(\\s*['"]${name}`, 'g'), fallback: argumentFallback },
+        // environs and django-environ raise when a variable without a default is missing
+        { pattern: new RegExp(`\\benv(?:\\.(?:str|int|bool|float|list|json|url|db))?\\(\\s*['"]${name}`, 'g'), fallback: argumentFallback, required: true }
+      ] },
+      { extensions: ['.go'], comments: ['//', '/*'], patterns: [{ pattern: new RegExp(`\\bos\\.(?:Getenv|LookupEnv)\\(\\s*"${name}"`, 'g') }] },
+      { extensions: ['.rs'], comments: ['//', '/*'], patterns: [
+        { pattern: new RegExp(`\\benv::var(?:_os)?\\(\\s*"${name}`, 'g'),
+          fallback: new RegExp(`^"\\s*\\)\\s*\\.unwrap_or(?:_else)?\\(\\s*(?:\\|_?\\|\\s*)?${LITERAL}`),
+          required: /^"\s*\)\s*(?:\.expect\(|\.unwrap\(\)|\?)/ },
+        { pattern: new RegExp(`\\benv!\\(\\s*"${name}"`, 'g'), required: true }
+      ] },
+      { extensions: ['.rb', '.rake'], comments: ['#'], patterns: [
+        { pattern: new RegExp(`\\bENV\\[\\s*['"]${name}`, 'g'), fallback: new RegExp(`^['"]\\s*\\]\\s*\\|\\|\\s*${LITERAL}${LITERAL_END}`) },
+        { pattern: new RegExp(`\\bENV\\.fetch\\(\\s*['"]${name}`, 'g'), fallback: argumentFallback, required: /^['"]\s*\)(?!\s*\{)/ }
+      ] },
+      { extensions: ['.java', '.kt', '.scala', '.groovy'], comments: ['//', '/*'], patterns: [
+        { pattern: new RegExp(`\\bSystem\\.getenv\\(\\s*"${name}"\\s*\\)`, 'g'), fallback: new RegExp(`^\\s*\\?:\\s*${LITERAL}${LITERAL_END}`) },
+        { pattern: new RegExp(`\\bSystem\\.getenv\\(\\)\\.getOrDefault\\(\\s*"${name}`, 'g'), fallback: argumentFallback }
+      ] },
+      { extensions: ['.php'], comments: ['//', '/*', '#'], patterns: [
+        { pattern: new RegExp(`\\benv\\(\\s*['"]${name}`, 'g'), fallback: argumentFallback },
+        { pattern: new RegExp(`\\bgetenv\\(\\s*['"]${name}`, 'g'), fallback: new RegExp(`^['"]\\s*\\)\\s*\\?:\\s*${LITERAL}${LITERAL_END}`) },
+        { pattern: new RegExp(`\\$_(?:ENV|SERVER)\\[\\s*['"]${name}['"]\\s*\\]`, 'g'), fallback: new RegExp(`^\\s*\\?\\?\\s*${LITERAL}${LITERAL_END}`) }
+      ] },
+      { extensions: ['.cs', '.fs'], comments: ['//', '/*'], patterns: [
+        { pattern: new RegExp(`\\bEnvironment\\.GetEnvironmentVariable\\(\\s*"${name}"\\s*\\)`, 'g'), fallback: new RegExp(`^\\s*\\?\\?\\s*${LITERAL}${LITERAL_END}`) }
+      ] },
+      // ${NAME:-default} and ${NAME:?error}
+      { extensions: ['.sh', '.bash'], comments: ['#'], patterns: [
+        { pattern: new RegExp(`\\$\\{${name}(?::?-([^}]*)|:?\\?[^}]*)?\\}`, 'g'), shell: true }
+      ] }
+    ];
+    this.schemaExtensions = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.py'];
+    this.exampleFilePattern = /(^|\/)(\.env\.(example|sample|template|dist|defaults)|env\.(example|sample|template)|example\.env|sample\.env)$/i;
+    this.excludedDirectories = ['node_modules', 'dist', 'build', 'out', 'coverage', 'vendor', 'target', '.git',
+      'venv', '.venv', '__pycache__', 'site-packages', '.next', '.nuxt'];
+  }
+
+  getAccessor(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    return this.accessors.find(accessor => accessor.extensions.includes(extension)) || null;
+  }
+
+  isExampleFile(fileName) {
+    return this.exampleFilePattern.test(fileName);
+  }
+
+  isCandidate(file) {
+    if (file.name.split('/').slice(0, -1).some(segment => this.excludedDirectories.includes(segment))) return false;
+    if (file.size && file.size > this.maxFileBytes) return false;
+    return this.isExampleFile(file.name) || Boolean(this.getAccessor(file.name));
+  }
+
+  // files: [{ name, size }] of the whole tree; readFile(name) resolves to the text or null. Returns
+  // { variables, exampleFiles, filesScanned, truncated } or null when nothing was scanned, where each variable is
+  // { name, required (true, false or null when the code does not say), default, description, example,
+  // usages: [{ file, line }], sources: ['code' | 'schema' | 'example'] }. Example env files are always read;
+  // source files in chunkingService's priority order.
+  async extract(files, readFile, { maxFiles = this.maxFiles } = {}) {
+    const candidates = files.filter(file => this.isCandidate(file));
+    if (candidates.length === 0) return null;
+
+    const examples = candidates.filter(file => this.isExampleFile(file.name));
+    const sources = chunkingService.rankFiles(candidates.filter(file => !this.isExampleFile(file.name)));
+    const selected = [...examples, ...sources.slice(0, maxFiles)];
+
+    const found = new Map();
+    const record = (variableName, source, { file, line, defaultValue, required, description, example } = {}) => {
+      if (!found.has(variableName)) {
+        found.set(variableName, { name: variableName, defaults: [], required: [], descriptions: [], example: null, usages: [], sources: [] });
+      }
+      const variable = found.get(variableName);
+      if (!variable.sources.includes(source)) variable.sources.push(source);
+      if (defaultValue !== undefined) variable.defaults.push({ value: defaultValue, source });
+      if (required !== undefined && required !== null) variable.required.push(required);
+      if (description) variable.descriptions.push({ text: description, source });
+      if (example && variable.example === null) variable.example = example;
+      if (source !== 'example' && file && variable.usages.length < this.maxUsages &&
+        !variable.usages.some(usage => usage.file === file && usage.line === line)) {
+        variable.usages.push({ file, line });
+      }
+    };
+
+    await excerptService.mapWithConcurrency(selected, this.fetchConcurrency, async (file) => {
+      try {
+        const content = await readFile(file.name);
+        if (!content || Buffer.byteLength(content) > this.maxFileBytes) return;
+
+        if (this.isExampleFile(file.name)) {
+          for (const entry of this.parseExampleFile(content)) {
+            record(entry.name, 'example', {
+              description: entry.description,
+              example: entry.value,
+              required: entry.commented || /\boptional\b/i.test(entry.description || '') ? false : undefined
+            });
+          }
+          return;
+        }
+
+        // Commented-out code and examples in comments (// process.env.X) are not configuration
+        const code = this.maskComments(content, this.getAccessor(file.name)?.comments || []);
+        for (const usage of this.findUsages(file.name, code)) {
+          record(usage.name, 'code', { file: file.name, ...usage });
+        }
+        if (this.schemaExtensions.includes(path.extname(file.name).toLowerCase())) {
+          for (const entry of this.parseSchemas(code)) record(entry.name, 'schema', { file: file.name, ...entry });
+        }
+      } catch (error) {
+        console.log(`Could not scan ${file.name} for environment variables: ${error.message}`);
+      }
+    });
+
+    const variables = [...found.values()]
+      .map(variable => this.summarize(variable))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .slice(0, this.maxVariables);
+
+    return {
+      variables,
+      exampleFiles: examples.map(file => file.name),
+      filesScanned: selected.length,
+      truncated: sources.length > maxFiles
+    };
+  }
+
+  // Schema defaults win over code fallbacks; a variable with a default is never required
+  summarize(variable) {
+    const defaultEntry = variable.defaults.find(entry => entry.source === 'schema' && entry.value !== null) ||
+      variable.defaults.find(entry => entry.value !== null);
+    const hasNullDefault = variable.defaults.some(entry => entry.value === null);
+
+    let required = null;
+    if (defaultEntry || hasNullDefault || variable.required.includes(false)) required = false;
+    if (!defaultEntry && variable.required.includes(true)) required = true;
+
+    const description = variable.descriptions.find(entry => entry.source === 'schema') || variable.descriptions[0];
+    const secret = this.secretPattern.test(variable.name) && !this.limitPattern.test(variable.name);
+    return {
+      name: variable.name,
+      required,
+      default: defaultEntry && !secret ? defaultEntry.value : null,
+      description: description ? description.text : null,
+      example: secret ? null : variable.example,
+      // A hard-coded default exists but is not shown
+      defaultRedacted: Boolean(defaultEntry && secret),
+      usages: variable.usages,
+      sources: variable.sources
+    };
+  }
+
+  // Blanks out comments, keeping every other character (and so match offsets and line numbers) in place.
+  // Quotes are tracked so "http://..." and '#fff' stay; '#' only starts a comment at the start of a word.
+  maskComments(content, markers) {
+    if (markers.length === 0) return content;
+
+    let masked = '';
+    let quote = null;
+    let index = 0;
+    const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+    while (index < content.length) {
+      const char = content[index];
+      if (quote) {
+        if (char === '\\') {
+          masked += content.slice(index, index + 2);
+          index += 2;
+          continue;
+        }
+        // Only template literals span lines - an apostrophe in JSX text or a Rust lifetime ends with it
+        if (char === quote || (char === '\n' && quote !== '`')) quote = null;
+        masked += char;
+        index++;
+        continue;
+      }
+
+      const rest = content.slice(index, index + 2);
+      if (markers.includes('/*') && rest === '/*') {
+        const end = content.indexOf('*/', index + 2);
+        const stop = end === -1 ? content.length : end + 2;
+        masked += blank(content.slice(index, stop));
+        index = stop;
+      } else if ((markers.includes('//') && rest === '//') || (markers.includes('#') && char === '#' && (index === 0 || /\s/.test(content[index - 1])))) {
+        const end = content.indexOf('\n', index);
+        const stop = end === -1 ? content.length : end;
+        masked += blank(content.slice(index, stop));
+        index = stop;
+      } else {
+        if (char === '"' || char === "'" || char === '`') quote = char;
+        masked += char;
+        index++;
+      }
+    }
+    return masked;
+  }
+
+  findUsages(fileName, content) {
+    const usages = [];
+    for (const entry of this.getAccessor(fileName).patterns) {
+      for (const match of content.matchAll(entry.pattern)) {
+        // Single letters are placeholders in comments and docs (process.env.X), not configuration
+        if (match[1].length < 2) continue;
+        const line = this.getLineNumber(content, match.index);
+        if (entry.shell) {
+          usages.push({ name: match[1], line, defaultValue: match[2] !== undefined ? match[2] : undefined, required: /:?\?/.test(match[0]) || undefined });
+          continue;
+        }
+
+        const rest = content.slice(match.index + match[0].length, match.index + match[0].length + 200);
+        const fallback = entry.fallback ? rest.match(entry.fallback) : null;
+        const required = entry.required instanceof RegExp ? entry.required.test(rest) || undefined : entry.required;
+        usages.push({
+          name: match[1],
+          line,
+          defaultValue: fallback ? this.parseLiteral(fallback[1]) : undefined,
+          required: fallback ? false : required
+        });
+      }
+    }
+
+    // const { PORT = 3000, HOST } = process.env
+    for (const match of content.matchAll(/\{([^{}]*)\}\s*=\s*process\.env\b/g)) {
+      for (const binding of match[1].split(',')) {
+        const parts = binding.trim().match(new RegExp(`^([A-Za-z_]\\w+)(?:\\s*:\\s*\\w+)?(?:\\s*=\\s*${LITERAL})?$`));
+        if (!parts) continue;
+        usages.push({
+          name: parts[1],
+          line: this.getLineNumber(content, match.index),
+          defaultValue: parts[2] !== undefined ? this.parseLiteral(parts[2]) : undefined,
+          required: parts[2] !== undefined ? false : undefined
+        });
+      }
+    }
+
+    // if (!process.env.X) throw ... / process.exit(1)
+    for (const match of content.matchAll(/if\s*\(\s*!\s*process\.env\.([A-Za-z_]\w*)\s*\)[\s\S]{0,120}?\b(throw|process\.exit)\b/g)) {
+      if (match[1].length > 1) usages.push({ name: match[1], line: this.getLineNumber(content, match.index), required: true });
+    }
+    return usages;
+  }
+
+  // Variables declared in config schemas: envalid cleanEnv, zod/Joi objects validating process.env, pydantic
+  // BaseSettings classes and convict schemas. Returns [{ name, line, defaultValue, required, description }].
+  parseSchemas(content) {
+    const entries = [];
+    const literal = new RegExp(LITERAL);
+    const defaultOf = (text, pattern) => {
+      const match = text.match(pattern);
+      return match ? this.parseLiteral(match[1]) : undefined;
+    };
+    const quoted = (text, key) => text.match(new RegExp(`\\b${key}\\s*[:=(]\\s*(['"\`])(.*?)\\1`))?.[2] || null;
+
+    if (/\bcleanEnv\s*\(/.test(content)) {
+      for (const match of content.matchAll(/\b([A-Z][A-Z0-9_]*)\s*:\s*(?:str|num|bool|port|url|host|email|json)\s*\(\s*(\{[^}]*\})?\s*\)/g)) {
+        const options = match[2] || '';
+        const defaultValue = defaultOf(options, new RegExp(`\\bdefault\\s*:\\s*${LITERAL}`));
+        entries.push({ name: match[1], line: this.getLineNumber(content, match.index), defaultValue, required: defaultValue === undefined, description: quoted(options, 'desc') });
+      }
+    }
+
+    if (/\b(z|Joi|yup)\.object\s*\(/.test(content) && /process\.env/.test(content)) {
+      for (const match of content.matchAll(/^[ \t]*([A-Z][A-Z0-9_]*)[ \t]*:[ \t]*(z|Joi|yup)\.(.*)$/gm)) {
+        const chain = match[3];
+        const defaultValue = defaultOf(chain, new RegExp(`\\.default\\(\\s*${LITERAL}`));
+        const optional = /\.(optional|nullish|allow)\(/.test(chain);
+        const required = defaultValue !== undefined ? false : match[2] === 'z' ? !optional : /\.required\(\)/.test(chain);
+        entries.push({ name: match[1], line: this.getLineNumber(content, match.index), defaultValue, required, description: quoted(chain, 'describe') });
+      }
+    }
+
+    for (const match of content.matchAll(/^([ \t]*)class\s+\w+\s*\(\s*(?:[\w.]+\.)?BaseSettings\s*\)\s*:[^\n]*\n/gm)) {
+      const classIndent = match[1].length;
+      const bodyStart = match.index + match[0].length;
+      const body = [];
+      for (const line of content.slice(bodyStart).split('\n')) {
+        if (line.trim() && line.match(/^[ \t]*/)[0].length <= classIndent) break;
+        body.push(line);
+      }
+      const bodyText = body.join('\n');
+      const prefix = bodyText.match(/env_prefix\s*=\s*['"]([^'"]*)['"]/)?.[1] || '';
+      const fieldIndent = body.find(line => line.trim())?.match(/^[ \t]*/)[0] ?? '';
+
+      body.forEach((line, index) => {
+        const field = line.match(/^([ \t]*)([A-Za-z_]\w*)\s*:\s*([^=#\n]+?)\s*(?:=\s*(.*?))?\s*(?:#.*)?$/);
+        if (!field || field[1] !== fieldIndent || ['model_config', 'Config'].includes(field[2])) return;
+
+        const value = field[4];
+        let defaultValue;
+        let required = value === undefined;
+        if (value && /^Field\(/.test(value)) {
+          const args = value.slice(6);
+          required = /^\s*\.\.\./.test(args) || (!/\bdefault(_factory)?\s*=/.test(args) && !literal.test(args.trim().charAt(0)) && !/^\s*[\w'"-]/.test(args));
+          defaultValue = defaultOf(args, new RegExp(`^\\s*(?:default\\s*=\\s*)?${LITERAL}`));
+          if (defaultValue === undefined) defaultValue = defaultOf(args, new RegExp(`\\bdefault\\s*=\\s*${LITERAL}`));
+          if (defaultValue !== undefined) required = false;
+        } else if (value !== undefined) {
+          defaultValue = defaultOf(value, new RegExp(`^${LITERAL}`));
+          required = false;
+        }
+        const alias = value && value.match(/\b(?:env|alias|validation_alias)\s*=\s*['"]([^'"]+)['"]/)?.[1];
+        entries.push({
+          name: alias || `${prefix}${field[2]}`.toUpperCase(),
+          line: this.getLineNumber(content, bodyStart) + index,
+          defaultValue,
+          required,
+          description: value ? quoted(value, 'description') : null
+        });
+      });
+    }
+
+    if (/\bconvict\s*\(/.test(content)) {
+      for (const match of content.matchAll(/\benv\s*:\s*['"]([A-Z][A-Z0-9_]*)['"]/g)) {
+        const start = content.lastIndexOf('{', match.index);
+        const end = content.indexOf('}', match.index);
+        const block = content.slice(start, end === -1 ? undefined : end);
+        const defaultValue = defaultOf(block, new RegExp(`\\bdefault\\s*:\\s*${LITERAL}`));
+        entries.push({ name: match[1], line: this.getLineNumber(content, match.index), defaultValue, required: defaultValue === undefined ? null : false, description: quoted(block, 'doc') });
+      }
+    }
+    return entries;
+  }
+
+  // KEY=value lines with the comment lines directly above them as their description. Commented-out keys
+  // ("# OPTIONAL_KEY=") count as optional. Group headings ("# Server Configuration") describe no key, and a
+  // comment between two keys that continues the one above ("# or USERNAME + PASSWORD") is added to it.
+  parseExampleFile(content) {
+    const entries = [];
+    let comments = [];
+    let previous = null;
+
+    for (const line of content.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed) {
+        comments = [];
+        previous = null;
+        continue;
+      }
+
+      const assignment = trimmed.match(/^(#\s*)?(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+      if (assignment) {
+        let description = null;
+        if (previous && comments.length > 0 && this.isContinuationComment(comments[0])) {
+          previous.description = [previous.description, ...comments].filter(Boolean).join(' ');
+        } else if (comments.length > 0 && !this.isHeadingComment(comments)) {
+          description = comments.join(' ');
+        }
+        comments = [];
+
+        const value = assignment[3].replace(/\s+#.*$/, '').replace(/^(['"])(.*)\1$/, '$2');
+        previous = { name: assignment[2], value: value || null, description, commented: Boolean(assignment[1]) };
+        entries.push(previous);
+      } else if (trimmed.startsWith('#')) {
+        comments.push(trimmed.replace(/^#+\s*/, ''));
+      }
+    }
+    return entries;
+  }
+
+  isContinuationComment(comment) {
+    return /^(or|and|also|alternatively|otherwise|e\.g\.|i\.e\.)\b/i.test(comment);
+  }
+
+  // A single short Title Case line
+  isHeadingComment(comments) {
+    if (comments.length !== 1) return false;
+    const words = comments[0].replace(/[:=-]+\s*$/, '').split(/\s+/);
+    return words.length <= 5 && words.every(word => /^[A-Z0-9(/&]/.test(word) || /^(and|or|of|the|for|&|\/)$/.test(word));
+  }
+
+  parseLiteral(raw) {
+    if (/^(None|null|nil|undefined)$/.test(raw)) return null;
+    if (/^['"`]/.test(raw)) return raw.slice(1, -1);
+    return raw;
+  }
+
+  getLineNumber(content, index) {
+    let line = 1;
+    for (let i = content.indexOf('\n'); i !== -1 && i < index; i = content.indexOf('\n', i + 1)) line++;
+    return line;
+  }
+
+  getNames(envVars) {
+    return new Set((envVars?.variables || []).map(variable => variable.name));
+  }
+
+  hasVariables(envVars) {
+    return Boolean(envVars && envVars.variables.length > 0);
+  }
+
+  // Full "## Configuration" section for single-prompt and map-reduce output
+  renderMarkdown(envVars) {
+    const body = this.renderBody(envVars);
+    return body ? `## ${this.sectionTitle}\n\n${body}` : '';
+  }
+
+  // The section without its "##" heading, for the sections strategy which adds its own
+  renderBody(envVars) {
+    if (!this.hasVariables(envVars)) return '';
+    const code = (text) => markdownService.code(text);
+
+    let markdown = `_${envVars.variables.length} environment ${envVars.variables.length === 1 ? 'variable' : 'variables'} found in the source` +
+      `${envVars.exampleFiles.length > 0 ? ` and ${envVars.exampleFiles.map(code).join(', ')}` : ''}` +
+      `${envVars.truncated ? ` (${envVars.filesScanned} files scanned)` : ''}._\n\n`;
+    if (envVars.exampleFiles.length > 0) {
+      markdown += `Copy ${code(envVars.exampleFiles[0])} to \`.env\` in the same directory and fill in the values.\n\n`;
+    }
+
+    markdown += '| Variable | Required | Default | Description | Used in |\n';
+    markdown += '|----------|----------|---------|-------------|---------|\n';
+    for (const variable of envVars.variables) {
+      const required = variable.required === true ? 'Yes' : variable.required === false ? 'No' : '-';
+      const defaultValue = variable.default !== null ? code(variable.default === '' ? '""' : variable.default) : variable.defaultRedacted ? '_hidden_' : '-';
+      const description = [
+        variable.description ? markdownService.cell(variable.description) : '',
+        variable.example && variable.example !== variable.default ? `e.g. ${code(variable.example)}` : ''
+      ].filter(Boolean).join(' - ') || '-';
+      const usages = variable.usages.slice(0, this.maxRenderedUsages).map(usage => code(`${usage.file}:${usage.line}`));
+      if (variable.usages.length > this.maxRenderedUsages) usages.push(`+${variable.usages.length - this.maxRenderedUsages} more`);
+      markdown += `| ${code(variable.name)} | ${required} | ${defaultValue} | ${description} | ${usages.join(', ') || 'example file only'} |\n`;
+    }
+    return markdown.trimEnd();
+  }
+
+  // Compact list for prompts so the model names the real variables and defaults
+  formatSummary(envVars, maxTokens = 600) {
+    if (!this.hasVariables(envVars)) return '';
+
+    const items = envVars.variables.map(variable => {
+      const notes = [
+        variable.required === true ? 'required' : null,
+        variable.default !== null ? `default ${JSON.stringify(variable.default)}` : null,
+        variable.description ? variable.description.slice(0, 80) : null
+      ].filter(Boolean);
+      return `- ${variable.name}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`;
+    });
+    const text = `Environment variables (read by the code - document exactly these):\n${items.join('\n')}`;
+    return chunkingService.truncateToTokens(text, maxTokens);
+  }
+
+  // Replaces a Configuration or Environment Variables section the model wrote, otherwise goes after the
+  // installation section, otherwise at the end
+  mergeIntoContent(content, markdown) {
+    if (!markdown) return { content, appended: '' };
+
+    const headings = [...content.matchAll(/^##\s+(.+)$/gm)];
+    const existing = headings.findIndex(heading => /\b(configuration|environment variables?|settings)\b/i.test(heading[1]));
+    const installation = headings.findIndex(heading => /\b(install(ation)?|setup|getting started)\b/i.test(heading[1]));
+
+    const replaceFrom = existing !== -1 ? existing : -1;
+    if (replaceFrom !== -1) {
+      const start = headings[replaceFrom].index;
+      const end = headings[replaceFrom + 1] ? headings[replaceFrom + 1].index : content.length;
+      return {
+        content: `${content.slice(0, start)}${markdown}\n\n${content.slice(end).trimStart()}`.trimEnd() + '\n',
+        appended: ''
+      };
+    }
+
+    if (installation !== -1 && headings[installation + 1]) {
+      const insertAt = headings[installation + 1].index;
+      return {
+        content: `${content.slice(0, insertAt)}${markdown}\n\n${content.slice(insertAt)}`.trimEnd() + '\n',
+        appended: ''
+      };
+    }
+
+    const appended = `${content.trimEnd() ? '\n\n' : ''}${markdown}\n`;
+    return { content: `${content.trimEnd()}${appended}`, appended };
+  }
+}
+
+module.exports = new EnvVarService();
@@ -0,0 +1,103 @@
+const chunkingService = require('./chunkingService');
+
+class ExcerptService {
+  constructor() {
+    this.defaultTokenBudget = parseInt(process.env.ANALYSIS_EXCERPT_TOKENS) || 6000;
+    this.maxFileTokens = 800;
+    this.minExcerptTokens = 100;
+    this.maxCandidates = 40;
+    this.fetchConcurrency = 5;
+    this.separator = '\n\n';
+
+    // Categories worth spending excerpt budget on - README and tests are covered elsewhere or add little
+    this.excerptCategories = ['manifest', 'entry point', 'route', 'config', 'source'];
+  }
+
+  // Picks the most important files and returns trimmed excerpts within the token budget.
+  // fetchContent(file) resolves to the file's text (blobs API, local clone, ...) or null.
+  async selectExcerpts(files, fetchContent, { tokenBudget } = {}) {
+    const budget = parseInt(tokenBudget) || this.defaultTokenBudget;
+
+    const candidates = chunkingService
+      .rankFiles(files)
+      .filter(file => this.excerptCategories.includes(chunkingService.getFileCategory(file.name)))
+      .slice(0, this.maxCandidates);
+
+    const contents = await this.mapWithConcurrency(candidates, this.fetchConcurrency, async (file) => {
+      try {
+        return await fetchContent(file);
+      } catch (error) {
+        console.error(`Error fetching ${file.name}:`, error.message);
+        return null;
+      }
+    });
+
+    const excerpts = [];
+    let tokensUsed = 0;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const remaining = budget - tokensUsed;
+      if (remaining < this.minExcerptTokens) break;
+
+      const content = contents[i];
+      if (!content || !content.trim()) continue;
+
+      // The budget is a hard limit on what reaches the prompt, so the file's heading, fences and
+      // separator (formatExcerpts) are paid for before the content gets the rest
+      const path = candidates[i].name;
+      const reason = chunkingService.getFileCategory(path);
+      const headerTokens = chunkingService.estimateTokens(this.formatExcerpt({ path, reason, content: '' }) + this.separator);
+      const maxTokens = Math.min(this.maxFileTokens, remaining - headerTokens);
+      if (maxTokens < this.minExcerptTokens) continue;
+
+      const excerpt = chunkingService.truncateToTokens(content.trim(), maxTokens);
+      const tokens = chunkingService.estimateTokens(this.formatExcerpt({ path, reason, content: excerpt }) + this.separator);
+
+      excerpts.push({
+        path,
+        reason,
+        tokens,
+        truncated: excerpt.length < content.trim().length,
+        content: excerpt
+      });
+      tokensUsed += tokens;
+    }
+
+    return {
+      excerpts,
+      selection: {
+        tokenBudget: budget,
+        tokensUsed,
+        candidates: candidates.length,
+        totalFiles: files.length,
+        selected: excerpts.map(({ path, reason, tokens, truncated }) => ({ path, reason, tokens, truncated }))
+      }
+    };
+  }
+
+  // Markdown block used to include excerpts in prompts
+  formatExcerpts(excerpts = []) {
+    return excerpts.map(excerpt => this.formatExcerpt(excerpt)).join(this.separator);
+  }
+
+  formatExcerpt({ path, reason, content }) {
+    return `### ${path} (${reason})\n\`\`\`\n${content}\n\`\`\``;
+  }
+
+  async mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await mapper(items[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+}
+
+module.exports = new ExcerptService();
@@ -1,9 +1,8 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
-const marked = require('marked');
-const TurndownService = require('turndown');
-const { JSDOM } = require('jsdom');
+const { Document, Packer, Paragraph, TextRun, ImageRun, HeadingLevel } = require('docx');
+const { marked } = require('marked');
+const diagramService = require('./diagramService');
 
 class ExportService {
   constructor() {
@@ -13,6 +12,23 @@ class ExportService {
     // Ensure directories exist
     fs.ensureDirSync(this.uploadDir);
     fs.ensureDirSync(this.tempDir);
+
+    this.formats = ['markdown', 'pdf', 'docx'];
+    // HTML exports draw the diagrams the renderer did not with the bundled mermaid.js, served by the API
+    this.mermaidDir = path.dirname(require.resolve('mermaid/dist/mermaid.min.js'));
+    this.mermaidScriptUrl = '/vendor/mermaid/mermaid.min.js';
+    // Widest diagram in a DOCX page, in pixels
+    this.maxImageWidth = 600;
+  }
+
+  async exportDocument(content, filename, format = 'markdown') {
+    if (format === 'markdown') return this.exportToMarkdown(content, filename);
+    if (format === 'pdf') return this.exportToPDF(content, filename);
+    if (format === 'docx') return this.exportToDOCX(content, filename);
+
+    const error = new Error(`format must be one of: ${this.formats.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
   }
 
   async exportToMarkdown(content, filename) {
@@ -36,7 +52,7 @@ class ExportService {
     try {
       // For now, we'll create a simple HTML file that can be converted to PDF
       // In a production environment, you might want to use a service like wkhtmltopdf
-      const htmlContent = this.markdownToHTML(content);
+      const htmlContent = await this.markdownToHTML(content);
       const htmlPath = path.join(this.uploadDir, `${filename}.html`);
       
       await fs.writeFile(htmlPath, htmlContent, 'utf8');
@@ -58,8 +74,12 @@ class ExportService {
     try {
       const docxPath = path.join(this.uploadDir, `${filename}.docx`);
       
-      // Convert markdown to DOCX
-      const doc = this.markdownToDOCX(content);
+      // Convert markdown to DOCX, with Mermaid diagrams as PNG images
+      const images = new Map();
+      for (const source of diagramService.findDiagrams(content)) {
+        images.set(source, await diagramService.render(source, 'png'));
+      }
+      const doc = this.markdownToDOCX(content, images);
       
       // Save the document
       const buffer = await Packer.toBuffer(doc);
@@ -77,15 +97,27 @@ class ExportService {
     }
   }
 
-  markdownToHTML(markdown) {
-    // Configure marked for better HTML output
-    marked.setOptions({
-      gfm: true,
-      breaks: true,
-      headerIds: true
+  // Mermaid diagrams become inline SVG images; the ones the renderer could not draw (or all of them, without
+  // MERMAID_RENDERER_URL) are left to mermaid.js in the browser
+  async markdownToHTML(markdown) {
+    const images = new Map();
+    for (const source of diagramService.findDiagrams(markdown)) {
+      images.set(source, await diagramService.render(source, 'svg'));
+    }
+
+    let needsMermaid = false;
+    const withDiagrams = diagramService.replaceDiagrams(markdown, (source) => {
+      const svg = images.get(source);
+      if (svg) {
+        return `\n<p class="diagram"><img alt="Diagram" src="data:image/svg+xml;base64,${svg.toString('base64')}"></p>\n`;
+      }
+      needsMermaid = true;
+      return `\n<pre class="mermaid">${this.escapeHtml(source)}</pre>\n`;
     });
-    
-    const html = marked(markdown);
+
+    const html = marked.parse(withDiagrams, { gfm: true, breaks: true, headerIds: false, mangle: false });
+    // Starts on load by itself - an inline script would not pass the Content-Security-Policy
+    const mermaidScript = needsMermaid ? `<script src="${this.mermaidScriptUrl}"></script>` : '';
     
     return `
       <!DOCTYPE html>
@@ -151,6 +183,10 @@ class ExportService {
             max-width: 100%;
             height: auto;
           }
+          .diagram, pre.mermaid {
+            text-align: center;
+            background-color: transparent;
+          }
           a {
             color: #0366d6;
             text-decoration: none;
@@ -162,18 +198,25 @@ class ExportService {
       </head>
       <body>
         ${html}
+        ${mermaidScript}
       </body>
       </html>
     `;
   }
 
-  markdownToDOCX(markdown) {
+  escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // images: Mermaid source -> rendered PNG (or null), for the diagrams in the document
+  markdownToDOCX(markdown, images = new Map()) {
     const children = [];
     
     // Split markdown into lines
     const lines = markdown.split('\n');
     let inCodeBlock = false;
     let codeBlockContent = [];
+    let codeBlockLanguage = '';
     
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
@@ -182,7 +225,8 @@ class ExportService {
       if (line.startsWith('```')) {
         if (inCodeBlock) {
           // End of code block
-          children.push(
+          const image = codeBlockLanguage === 'mermaid' ? images.get(codeBlockContent.join('\n').trim()) : null;
+          children.push(image ? this.createImageParagraph(image) :
             new Paragraph({
               children: [
                 new TextRun({
@@ -199,6 +243,7 @@ class ExportService {
         } else {
           // Start of code block
           inCodeBlock = true;
+          codeBlockLanguage = line.slice(3).trim().toLowerCase();
         }
         continue;
       }
@@ -292,6 +337,22 @@ class ExportService {
     });
   }
 
+  createImageParagraph(image) {
+    const size = diagramService.getPngSize(image) || { width: this.maxImageWidth, height: this.maxImageWidth / 2 };
+    const scale = Math.min(1, this.maxImageWidth / size.width);
+
+    return new Paragraph({
+      children: [
+        new ImageRun({
+          type: 'png',
+          data: image,
+          transformation: { width: Math.round(size.width * scale), height: Math.round(size.height * scale) }
+        })
+      ],
+      spacing: { before: 200, after: 200 }
+    });
+  }
+
   async cleanupOldFiles() {
     try {
       const files = await fs.readdir(this.uploadDir);
@@ -289,15 +289,37 @@ class GitHubService {
     return headers;
   }
 
-  async cloneRepository(repoUrl, branch = 'main') {
-    const repoPath = path.join(this.tempDir, `repo-${Date.now()}`);
-    
+  // Shallow clone of any git URL or local repository path at a branch, tag or commit
+  // (the remote's default branch when no ref is given)
+  // git ignores --depth for plain local paths, so go through file://
+  getCloneSource(repoUrl) {
+    return path.isAbsolute(repoUrl) && fs.existsSync(repoUrl)
+      ? `file://${path.resolve(repoUrl)}`
+      : repoUrl;
+  }
+
+  getTempPath(prefix = 'repo') {
+    return path.join(this.tempDir, `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  }
+
+  async cloneRepository(repoUrl, ref) {
+    const repoPath = this.getTempPath();
+    const source = this.getCloneSource(repoUrl);
+
     try {
-      const git = simpleGit();
-      await git.clone(repoUrl, repoPath, ['--depth', '1', '--branch', branch]);
+      if (ref && /^[0-9a-f]{7,40}$/i.test(ref)) {
+        // --branch only takes branch and tag names, so commits need a full clone and a checkout
+        await simpleGit().clone(source, repoPath, ['--no-checkout']);
+        await simpleGit(repoPath).checkout(ref);
+      } else {
+        const cloneOptions = ['--depth', '1'];
+        if (ref) cloneOptions.push('--branch', ref);
+        await simpleGit().clone(source, repoPath, cloneOptions);
+      }
       return repoPath;
     } catch (error) {
-      console.error('Error cloning repository:', error);
+      console.error('Error cloning repository:', error.message);
+      await this.cleanupTempFiles(repoPath);
       throw new Error('Failed to clone repository');
     }
   }
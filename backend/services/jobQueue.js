@@ -0,0 +1,77 @@
+class JobQueue {
+  constructor() {
+    this.concurrency = parseInt(process.env.GENERATION_CONCURRENCY) || 2;
+    this.retentionMs = 60 * 60 * 1000; // Keep finished jobs around for 1 hour
+    this.pending = [];
+    this.jobs = new Map();
+    this.running = 0;
+  }
+
+  enqueue(id, task) {
+    const job = {
+      id,
+      status: 'queued',
+      stage: 'queued',
+      progress: null,
+      error: null,
+      queuedAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(id, job);
+    this.pending.push({ job, task });
+    this.processNext();
+
+    return job;
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  getQueuePosition(id) {
+    const index = this.pending.findIndex(entry => entry.job.id === id);
+    return index === -1 ? 0 : index + 1;
+  }
+
+  processNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const { job, task } = this.pending.shift();
+
+      this.running++;
+      job.status = 'running';
+      job.startedAt = new Date();
+
+      Promise.resolve()
+        .then(() => task(job))
+        .then(() => {
+          job.status = 'completed';
+        })
+        .catch(error => {
+          console.error(`Job ${job.id} failed:`, error.message);
+          job.status = 'failed';
+          job.error = error.message;
+        })
+        .finally(() => {
+          job.finishedAt = new Date();
+          this.running--;
+
+          // Drop finished jobs once clients have had time to poll the result
+          setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+
+          this.processNext();
+        });
+    }
+  }
+
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running,
+      queued: this.pending.length
+    };
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,239 @@
+const axios = require('axios');
+
+// Shared plumbing for LLM providers speaking the OpenAI chat completions API. Failed calls throw errors
+// with status, retryable and fallthrough set (see handleApiError). Every provider implements:
+//   createCompletion({ messages, model, temperature, maxTokens })            -> { content, usage, model, finishReason }
+//   streamCompletion(request, { onToken, signal })                            -> same, calling onToken(delta, content)
+//   listModels()                                                              -> [{ id, name }]
+//   getStatus()                                                               -> { name, displayName, configured, baseURL }
+//   validateConfig()                                                          -> throws when the provider cannot be called
+class BaseLlmProvider {
+  constructor({ name, displayName, baseURL, apiKey, defaultModel, fallbackModelsEnv, defaultFallbackModels = [] }) {
+    this.name = name;
+    this.displayName = displayName;
+    this.baseURL = (baseURL || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+    this.fallbackModelsEnv = fallbackModelsEnv;
+    this.defaultFallbackModels = defaultFallbackModels;
+    this.requestTimeout = parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 120000; // Runs in the job queue, so allow slow models
+
+    // Ask for a final usage chunk when streaming (not every OpenAI-compatible server accepts stream_options)
+    this.streamUsage = false;
+
+    // Upper bound for single-pass documentation requests, null for none
+    this.maxDocumentTokens = null;
+
+    // What validateConfig reports when isConfigured() is false
+    this.missingConfigMessage = `${displayName} is not configured.`;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL);
+  }
+
+  // Fails fast before any request is made, so a missing key does not surface as an opaque 401
+  validateConfig() {
+    if (this.isConfigured()) return;
+    const configError = new Error(this.missingConfigMessage);
+    configError.status = 'not_configured';
+    configError.retryable = false;
+    configError.fallthrough = false;
+    throw configError;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      configured: this.isConfigured(),
+      baseURL: this.baseURL,
+      defaultModel: this.defaultModel
+    };
+  }
+
+  selectModel(model) {
+    return model || this.defaultModel;
+  }
+
+  // Models to fall back to, in order, when the requested one keeps failing - e.g. OPENROUTER_FALLBACK_MODELS=a,b
+  getFallbackModels() {
+    const configured = (process.env[this.fallbackModelsEnv] || '')
+      .split(',')
+      .map(model => model.trim())
+      .filter(Boolean);
+    return configured.length > 0 ? configured : this.defaultFallbackModels;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  getRequestConfig() {
+    return {
+      timeout: this.requestTimeout,
+      headers: this.getHeaders()
+    };
+  }
+
+  // Single chat completion - shared by the one-shot and multi-pass pipelines
+  async createCompletion({ messages, model, temperature, maxTokens }) {
+    this.validateConfig();
+
+    try {
+      const response = await axios.post(`${this.baseURL}/chat/completions`, {
+        model: this.selectModel(model),
+        messages,
+        temperature: temperature ?? 0.3,
+        max_tokens: maxTokens
+      }, this.getRequestConfig());
+
+      return {
+        content: response.data.choices[0].message.content,
+        usage: response.data.usage,
+        model: response.data.model || this.selectModel(model),
+        finishReason: response.data.choices[0].finish_reason
+      };
+    } catch (error) {
+      this.handleApiError(error);
+    }
+  }
+
+  // Streams a chat completion, calling onToken for every content delta as it arrives
+  async streamCompletion({ messages, model, temperature, maxTokens }, { onToken, signal } = {}) {
+    let content = '';
+    let usage = null;
+    let resolvedModel = this.selectModel(model);
+    let finishReason = null;
+
+    this.validateConfig();
+
+    try {
+      const response = await axios.post(`${this.baseURL}/chat/completions`, {
+        model: resolvedModel,
+        messages,
+        temperature: temperature ?? 0.3,
+        max_tokens: maxTokens,
+        stream: true,
+        ...(this.streamUsage ? { stream_options: { include_usage: true } } : {})
+      }, {
+        ...this.getRequestConfig(),
+        responseType: 'stream',
+        signal
+      });
+
+      let buffer = '';
+
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          // Skip blank lines and SSE comments (OpenRouter sends ": OPENROUTER PROCESSING" keep-alives)
+          if (!line.startsWith('data:')) continue;
+
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') continue;
+
+          let event;
+          try {
+            event = JSON.parse(payload);
+          } catch (parseError) {
+            continue;
+          }
+
+          if (event.model) resolvedModel = event.model;
+          if (event.usage) usage = event.usage;
+
+          const choice = event.choices?.[0];
+          if (choice?.finish_reason) finishReason = choice.finish_reason;
+
+          const delta = choice?.delta?.content;
+          if (delta) {
+            content += delta;
+            if (onToken) onToken(delta, content);
+          }
+        }
+      }
+
+      return { content, usage, model: resolvedModel, finishReason };
+    } catch (error) {
+      if (axios.isCancel(error) || signal?.aborted) {
+        throw this.createCancelError(content);
+      }
+      this.handleApiError(error);
+    }
+  }
+
+  createCancelError(partialContent) {
+    const cancelError = new Error('Generation cancelled');
+    cancelError.cancelled = true;
+    cancelError.partialContent = partialContent;
+    return cancelError;
+  }
+
+  // Rethrows a user-facing error carrying status (HTTP or network code) and whether it is worth retrying
+  handleApiError(error) {
+    console.error(`${this.displayName} API error:`, error.response?.data?.error || error.message);
+
+    // Streamed responses carry no parsed body, so fall back to the HTTP status
+    const errorCode = error.response?.data?.error?.code || error.response?.status;
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+
+    const fail = (message, { retryable = false, fallthrough = false } = {}) => {
+      const apiError = new Error(message);
+      apiError.status = errorCode || error.code || null;
+      apiError.retryable = retryable;
+      // Another model might still work (unknown model, model-specific quota)
+      apiError.fallthrough = retryable || fallthrough;
+      if (retryAfter > 0) apiError.retryAfterMs = retryAfter * 1000;
+      throw apiError;
+    };
+
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      fail(`Could not reach ${this.displayName} at ${this.baseURL}. Is the server running?`);
+    }
+
+    if (errorCode === 408 || ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET'].includes(error.code)) {
+      fail('Request timeout. Please try again in a moment.', { retryable: true });
+    }
+
+    if (errorCode === 429) {
+      fail(`${this.displayName} rate limit reached. Please try again in a moment.`, { retryable: true });
+    }
+
+    if (errorCode >= 500) {
+      fail(`${this.displayName} is temporarily unavailable (${errorCode}).`, { retryable: true });
+    }
+
+    if (errorCode === 400) {
+      fail('Invalid request. Please check your input and try again.');
+    }
+
+    if (errorCode === 404) {
+      fail(`${this.displayName} does not know that model or endpoint. Check the model name.`, { fallthrough: true });
+    }
+
+    fail('Failed to generate documentation with AI. Please try again.');
+  }
+
+  // USD per million prompt/completion tokens by model id; self-hosted servers publish no prices
+  async getPricing() {
+    return {};
+  }
+
+  async listModels() {
+    try {
+      const response = await axios.get(`${this.baseURL}/models`, this.getRequestConfig());
+      return (response.data.data || []).map(model => ({ id: model.id, name: model.name || model.id }));
+    } catch (error) {
+      console.error(`Error fetching ${this.displayName} models:`, error.message);
+      return this.defaultModel ? [{ id: this.defaultModel, name: this.defaultModel }] : [];
+    }
+  }
+}
+
+module.exports = BaseLlmProvider;
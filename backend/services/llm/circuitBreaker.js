@@ -0,0 +1,65 @@
+// Per-model circuit breaker shared by every generation. After `failureThreshold` consecutive
+// failures a model is skipped for `cooldownMs`; then one trial call decides whether it closes again.
+class CircuitBreaker {
+  constructor() {
+    this.failureThreshold = parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 3;
+    this.cooldownMs = parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS) || 60000;
+    this.circuits = new Map();
+  }
+
+  getKey(providerName, model) {
+    return `${providerName}:${model}`;
+  }
+
+  getCircuit(providerName, model) {
+    const key = this.getKey(providerName, model);
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, { provider: providerName, model, failures: 0, openedAt: null, lastError: null });
+    }
+    return this.circuits.get(key);
+  }
+
+  getState(circuit) {
+    if (!circuit.openedAt) return 'closed';
+    return Date.now() - circuit.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  // False while the circuit is open; a half-open circuit lets the next call through as a trial
+  canAttempt(providerName, model) {
+    return this.getState(this.getCircuit(providerName, model)) !== 'open';
+  }
+
+  recordSuccess(providerName, model) {
+    const circuit = this.getCircuit(providerName, model);
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.lastError = null;
+  }
+
+  recordFailure(providerName, model, error) {
+    const circuit = this.getCircuit(providerName, model);
+    const wasHalfOpen = this.getState(circuit) === 'half-open';
+
+    circuit.failures += 1;
+    circuit.lastError = error.message;
+
+    // A failed trial reopens straight away
+    if (wasHalfOpen || circuit.failures >= this.failureThreshold) {
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  list(providerName) {
+    return [...this.circuits.values()]
+      .filter(circuit => !providerName || circuit.provider === providerName)
+      .map(circuit => ({
+        model: circuit.model,
+        state: this.getState(circuit),
+        failures: circuit.failures,
+        lastError: circuit.lastError,
+        retryAt: circuit.openedAt ? new Date(circuit.openedAt + this.cooldownMs) : null
+      }));
+  }
+}
+
+module.exports = new CircuitBreaker();
@@ -0,0 +1,148 @@
+const circuitBreaker = require('./circuitBreaker');
+
+// Wraps a provider for one generation: retries transient failures with exponential backoff and jitter,
+// then falls through the model chain, skipping models whose circuit is open. Every call is logged in
+// `attempts` so the document can record which models were tried and which one answered.
+class FallbackClient {
+  constructor(provider, { fallbackModels } = {}) {
+    this.provider = provider;
+    this.fallbackModels = Array.isArray(fallbackModels) ? fallbackModels : provider.getFallbackModels();
+    const maxRetries = parseInt(process.env.LLM_MAX_RETRIES);
+    this.maxRetries = Number.isNaN(maxRetries) ? 2 : maxRetries; // Retries per model, 0 goes straight to the next model
+    this.retryBaseMs = parseInt(process.env.LLM_RETRY_BASE_MS) || 1000;
+    this.retryMaxMs = parseInt(process.env.LLM_RETRY_MAX_MS) || 15000;
+    this.maxRecordedAttempts = 100;
+    this.attempts = [];
+    // Usage of every successful call, for cost accounting - not capped like attempts
+    this.calls = [];
+  }
+
+  get name() {
+    return this.provider.name;
+  }
+
+  get maxDocumentTokens() {
+    return this.provider.maxDocumentTokens;
+  }
+
+  // The requested (or provider default) model first, then the fallbacks, without repeats
+  getChain(model) {
+    return [...new Set([this.provider.selectModel(model), ...this.fallbackModels])];
+  }
+
+  async createCompletion(request) {
+    return this.run(request, (attemptRequest) => this.provider.createCompletion(attemptRequest));
+  }
+
+  async streamCompletion(request, { onToken, signal } = {}) {
+    let streamed = false;
+    const handlers = {
+      signal,
+      onToken: (delta, content) => {
+        streamed = true;
+        if (onToken) onToken(delta, content);
+      }
+    };
+
+    return this.run(request, (attemptRequest) => {
+      streamed = false;
+      return this.provider.streamCompletion(attemptRequest, handlers);
+    }, { signal, hasOutput: () => streamed });
+  }
+
+  async run(request, call, { signal, hasOutput = () => false } = {}) {
+    const chain = this.getChain(request.model);
+    let lastError = null;
+
+    try {
+      for (const model of chain) {
+        if (!circuitBreaker.canAttempt(this.provider.name, model)) {
+          this.record({ model, attempt: 0, outcome: 'skipped', error: 'Circuit open after repeated failures' });
+          continue;
+        }
+
+        for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+          const startedAt = Date.now();
+
+          try {
+            const result = await call({ ...request, model });
+            circuitBreaker.recordSuccess(this.provider.name, model);
+            this.calls.push({ model: result.model || model, usage: result.usage || null });
+            this.record({ model, attempt, outcome: 'success', durationMs: Date.now() - startedAt });
+            return result;
+          } catch (error) {
+            if (error.cancelled) throw error;
+
+            this.record({
+              model,
+              attempt,
+              outcome: 'failed',
+              status: error.status || null,
+              error: error.message,
+              durationMs: Date.now() - startedAt
+            });
+            lastError = error;
+
+            // Tokens already shown to the user cannot be taken back, and request errors fail on every model
+            if (hasOutput() || !error.fallthrough) throw error;
+
+            circuitBreaker.recordFailure(this.provider.name, model, error);
+            if (!error.retryable || attempt > this.maxRetries || !circuitBreaker.canAttempt(this.provider.name, model)) break;
+
+            await this.wait(this.getDelay(attempt, error), signal);
+          }
+        }
+      }
+
+      throw this.createExhaustedError(chain, lastError);
+    } catch (error) {
+      error.attempts = this.attempts;
+      // Calls that succeeded before the failure are still billed
+      error.calls = this.calls;
+      error.llmProvider = this.provider.name;
+      throw error;
+    }
+  }
+
+  // Exponential backoff with jitter (half fixed, half random); Retry-After wins when the server sends one
+  getDelay(attempt, error) {
+    const exponential = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempt - 1));
+    const jittered = exponential / 2 + Math.random() * (exponential / 2);
+    return error.retryAfterMs ? Math.min(this.retryMaxMs, Math.max(error.retryAfterMs, jittered)) : jittered;
+  }
+
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.provider.createCancelError(''));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.provider.createCancelError(''));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  createExhaustedError(chain, lastError) {
+    const tried = [...new Set(this.attempts.filter(attempt => chain.includes(attempt.model)).map(attempt => attempt.model))];
+    const error = new Error(lastError
+      ? `${lastError.message} (tried ${tried.join(', ')})`
+      : `Every model is temporarily disabled after repeated failures (${chain.join(', ')}). Please try again later.`);
+    error.status = lastError?.status || 503;
+    return error;
+  }
+
+  record(entry) {
+    if (this.attempts.length >= this.maxRecordedAttempts) return;
+    this.attempts.push({ ...entry, at: new Date() });
+  }
+}
+
+module.exports = FallbackClient;
@@ -0,0 +1,49 @@
+const openRouterProvider = require('./openRouterProvider');
+const openAICompatibleProvider = require('./openAICompatibleProvider');
+const mockProvider = require('./mockProvider');
+const FallbackClient = require('./fallbackClient');
+const circuitBreaker = require('./circuitBreaker');
+
+class LlmProviderRegistry {
+  constructor() {
+    this.providers = [openRouterProvider, openAICompatibleProvider, mockProvider];
+    this.defaultName = process.env.LLM_PROVIDER || 'openrouter';
+  }
+
+  get(name) {
+    return this.providers.find(provider => provider.name === name) || null;
+  }
+
+  // Per-request provider name wins, then LLM_PROVIDER
+  resolve(name) {
+    const providerName = name || this.defaultName;
+    const provider = this.get(providerName);
+    if (!provider) {
+      const error = new Error(`Unknown LLM provider "${providerName}". Use one of: ${this.providers.map(p => p.name).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return provider;
+  }
+
+  getDefault() {
+    return this.resolve();
+  }
+
+  // Client for one generation with retries and model fallback. options.fallbackModels replaces the
+  // provider's chain ([] disables falling back).
+  createClient(name, options = {}) {
+    return new FallbackClient(this.resolve(name), { fallbackModels: options.fallbackModels });
+  }
+
+  list() {
+    return this.providers.map(provider => ({
+      ...provider.getStatus(),
+      isDefault: provider.name === this.defaultName,
+      fallbackModels: provider.getFallbackModels(),
+      circuits: circuitBreaker.list(provider.name)
+    }));
+  }
+}
+
+module.exports = new LlmProviderRegistry();
@@ -0,0 +1,149 @@
+const BaseLlmProvider = require('./baseLlmProvider');
+const chunkingService = require('../chunkingService');
+
+// Deterministic offline provider: canned documentation built from the prompt, no network.
+// The same request always produces the same output, so demos and tests are repeatable.
+class MockProvider extends BaseLlmProvider {
+  constructor() {
+    super({
+      name: 'mock',
+      displayName: 'Mock (offline)',
+      baseURL: null,
+      apiKey: null,
+      defaultModel: 'mock/documentation'
+    });
+    this.streamDelayMs = parseInt(process.env.MOCK_LLM_DELAY_MS) || 0;
+    this.wordsPerChunk = 3;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  selectModel() {
+    return this.defaultModel;
+  }
+
+  async createCompletion(request) {
+    return this.buildResult(request, this.respond(request.messages));
+  }
+
+  async streamCompletion(request, { onToken, signal } = {}) {
+    const response = this.respond(request.messages);
+    const chunks = response.match(new RegExp(`(?:\\S+\\s*){1,${this.wordsPerChunk}}|\\s+`, 'g')) || [];
+    let content = '';
+
+    for (const chunk of chunks) {
+      if (signal?.aborted) throw this.createCancelError(content);
+
+      // Yield between chunks so cancellation and partial saves behave like a real stream
+      await new Promise(resolve => setTimeout(resolve, this.streamDelayMs));
+      content += chunk;
+      if (onToken) onToken(chunk, content);
+    }
+
+    return this.buildResult(request, content);
+  }
+
+  buildResult({ messages = [] }, content) {
+    const promptTokens = messages.reduce((total, message) => total + chunkingService.estimateTokens(message.content), 0);
+    const completionTokens = chunkingService.estimateTokens(content);
+
+    return {
+      content,
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+      model: this.defaultModel,
+      finishReason: 'stop'
+    };
+  }
+
+  async listModels() {
+    return [{ id: this.defaultModel, name: 'Mock documentation (offline)' }];
+  }
+
+  async getPricing() {
+    return { [this.defaultModel]: { prompt: 0, completion: 0 } };
+  }
+
+  // Recognizes the pipeline's prompt shapes (revision, single section, file summary) and answers in kind
+  respond(messages = []) {
+    const prompt = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+    const project = this.extractProject(prompt);
+
+    const revision = prompt.match(/Current "([^"]+)" section:\n<<<\n([\s\S]*?)\n>>>/);
+    if (revision) {
+      return `${revision[2]}\n<<<CHANGES>>>\nNo changes needed.`;
+    }
+
+    const section = prompt.match(/Write ONLY the "([^"]+)" section/);
+    if (section) {
+      return this.buildSection(section[1], project);
+    }
+
+    if (/^### File: /m.test(prompt) && /summar/i.test(messages[0]?.content || '')) {
+      const files = [...prompt.matchAll(/^### File: (.+)$/gm)].map(match => match[1]);
+      return files.map(file => `- \`${file}\`: part of ${project.name}.`).join('\n');
+    }
+
+    return this.buildDocument(project);
+  }
+
+  extractProject(prompt) {
+    // "Project: owner/repo", "Repository: owner/repo" or "... for owner/repo." depending on the pipeline
+    const match = prompt.match(/(?:Project|Repository):\s*([^\s/]+)\/([^\s.]+)/) ||
+      prompt.match(/\bfor ([\w.-]+)\/([\w-]+)/);
+    const language = prompt.match(/Language:\s*(.+)/)?.[1]?.trim();
+    const framework = prompt.match(/Framework:\s*(.+)/)?.[1]?.trim();
+    const files = [...prompt.matchAll(/^- (\S+\.\w+)$/gm)].map(entry => entry[1]).slice(0, 5);
+
+    return {
+      owner: match?.[1] || 'example',
+      name: match?.[2] || 'project',
+      language: language && language !== 'Unknown' ? language : 'JavaScript',
+      framework: framework && framework !== 'Unknown' ? framework : null,
+      files
+    };
+  }
+
+  buildSection(title, project) {
+    return `This is mock content for the ${title} section of ${project.owner}/${project.name}, ` +
+      `a ${project.language} project${project.framework ? ` built with ${project.framework}` : ''}.\n\n` +
+      `- Generated offline by the mock provider\n- Identical input always produces identical output`;
+  }
+
+  buildDocument(project) {
+    const fileList = project.files.length > 0
+      ? project.files.map(file => `- \`${file}\``).join('\n')
+      : '- No key files were listed in the prompt';
+
+    return `# ${project.name}
+
+> Generated by the mock LLM provider - set LLM_PROVIDER to a real provider for actual documentation.
+
+## Overview
+
+${project.owner}/${project.name} is a ${project.language} project${project.framework ? ` built with ${project.framework}` : ''}.
+
+## Installation
+
+\`\`\`bash
+git clone <repository-url>
+cd ${project.name}
+\`\`\`
+
+## Usage
+
+Follow the project's own scripts to build and run it.
+
+## Architecture
+
+${fileList}
+
+## Troubleshooting
+
+This section is placeholder text from the mock provider.
+`;
+  }
+}
+
+module.exports = new MockProvider();
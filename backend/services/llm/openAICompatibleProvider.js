@@ -0,0 +1,18 @@
+const BaseLlmProvider = require('./baseLlmProvider');
+
+// Any server exposing /v1/chat/completions - Ollama, vLLM, LM Studio, llama.cpp server, LocalAI
+class OpenAICompatibleProvider extends BaseLlmProvider {
+  constructor() {
+    super({
+      name: 'openai-compatible',
+      displayName: 'OpenAI-compatible server',
+      baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LLM_API_KEY || null,
+      defaultModel: process.env.LLM_MODEL || 'llama3.1',
+      fallbackModelsEnv: 'LLM_FALLBACK_MODELS'
+    });
+    this.streamUsage = process.env.LLM_STREAM_USAGE === 'true';
+  }
+}
+
+module.exports = new OpenAICompatibleProvider();
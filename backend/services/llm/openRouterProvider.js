@@ -0,0 +1,101 @@
+const axios = require('axios');
+const BaseLlmProvider = require('./baseLlmProvider');
+
+class OpenRouterProvider extends BaseLlmProvider {
+  constructor() {
+    super({
+      name: 'openrouter',
+      displayName: 'OpenRouter',
+      baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+      apiKey: process.env.OPENROUTER_API_KEY,
+      defaultModel: 'openai/gpt-3.5-turbo',
+      fallbackModelsEnv: 'OPENROUTER_FALLBACK_MODELS',
+      // The most reliable models in order of preference
+      defaultFallbackModels: [
+        'openai/gpt-3.5-turbo',
+        'google/gemini-pro',
+        'anthropic/claude-3-haiku',
+        'meta-llama/llama-3.1-8b-instruct'
+      ]
+    });
+    this.streamUsage = true;
+    this.maxDocumentTokens = 800; // Reduced for free tier
+    this.missingConfigMessage = 'OpenRouter is not configured: set OPENROUTER_API_KEY in backend/.env or choose another provider.';
+  }
+
+  isConfigured() {
+    return Boolean(process.env.OPENROUTER_API_KEY);
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'HTTP-Referer': process.env.FRONTEND_URL || 'http://localhost:3000',
+      'X-Title': 'Doc Creator'
+    };
+  }
+
+  handleApiError(error) {
+    const errorCode = error.response?.data?.error?.code || error.response?.status;
+
+    if (errorCode === 402) {
+      console.error('OpenRouter API error:', error.response?.data?.error || error.message);
+      const creditError = new Error('Free tier limit reached. Try with a smaller repository or wait for credits to refresh.');
+      creditError.status = 402;
+      // Free models have their own limits, so a different model may still go through
+      creditError.fallthrough = true;
+      throw creditError;
+    }
+
+    super.handleApiError(error);
+  }
+
+  // The models endpoint lists prices as USD per token strings
+  async getPricing() {
+    const response = await axios.get(`${this.baseURL}/models`, this.getRequestConfig());
+
+    return Object.fromEntries((response.data.data || [])
+      .filter(model => model.pricing)
+      .map(model => [model.id, {
+        prompt: parseFloat(model.pricing.prompt || 0) * 1e6,
+        completion: parseFloat(model.pricing.completion || 0) * 1e6
+      }]));
+  }
+
+  async listModels() {
+    try {
+      const response = await axios.get(`${this.baseURL}/models`, {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      });
+
+      // Filter to free tier friendly models
+      const freeTierModels = response.data.data.filter(model =>
+        model.id.includes('deepseek') ||
+        model.id.includes('gemini') ||
+        model.id.includes('llama') ||
+        model.id.includes('phi') ||
+        model.id.includes('mistral')
+      ).slice(0, 8); // Limit to 8 models
+
+      // Then to popular models
+      return freeTierModels.filter(model =>
+        model.id.includes('claude') ||
+        model.id.includes('gpt') ||
+        model.id.includes('gemini')
+      );
+    } catch (error) {
+      console.error('Error fetching models:', error);
+      // Return default free models if API fails
+      return [
+        { id: 'openai/gpt-3.5-turbo', name: 'GPT-3.5 Turbo (Free)' },
+        { id: 'google/gemini-pro', name: 'Gemini Pro (Free)' },
+        { id: 'anthropic/claude-3-haiku', name: 'Claude 3 Haiku (Free)' },
+        { id: 'meta-llama/llama-3.1-8b-instruct', name: 'Llama 3.1 (Free)' }
+      ];
+    }
+  }
+}
+
+module.exports = new OpenRouterProvider();
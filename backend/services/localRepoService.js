@@ -0,0 +1,303 @@
+const fs = require('fs-extra');
+const path = require('path');
+const simpleGit = require('simple-git');
+const githubService = require('./githubService');
+const chunkingService = require('./chunkingService');
+
+class LocalRepoService {
+  constructor() {
+    this.maxLineCountBytes = 5 * 1024 * 1024;
+    this.binarySniffBytes = 8000;
+
+    // Counted in the byte totals but never reported as the primary language
+    this.nonCodeLanguages = ['Unknown', 'Markdown', 'JSON', 'YAML', 'XML', 'Text'];
+  }
+
+  // Clones the repository into TEMP_DIR, runs task(checkout) against the working tree and always removes the clone
+  async withClone(repoUrl, { ref } = {}, task) {
+    const repoPath = await githubService.cloneRepository(repoUrl, ref);
+
+    try {
+      const checkout = await this.scanWorkingTree(repoPath, ref);
+      return await task(checkout);
+    } finally {
+      await githubService.cleanupTempFiles(repoPath);
+    }
+  }
+
+  async scanWorkingTree(repoPath, ref) {
+    const git = simpleGit(repoPath);
+
+    // Only tracked files - anything matched by .gitignore never makes it into the list
+    const listing = await git.raw(['ls-files', '-z']);
+    const filePaths = listing.split('\0').filter(Boolean);
+
+    const commitHash = (await git.revparse(['HEAD'])).trim();
+    const headName = (await git.revparse(['--abbrev-ref', 'HEAD'])).trim();
+
+    // A detached HEAD (tag or commit checkout) reports "HEAD" - keep the ref that was asked for
+    const branch = headName === 'HEAD' ? (ref || commitHash) : headName;
+
+    return {
+      ...(await this.describeFiles(repoPath, filePaths)),
+      commitHash,
+      branch
+    };
+  }
+
+  // Same snapshot as scanWorkingTree for a plain folder (extracted archives, local paths without git)
+  async scanDirectory(rootPath) {
+    const filePaths = [];
+
+    const walk = async (relativeDir) => {
+      const entries = await fs.readdir(path.join(rootPath, relativeDir), { withFileTypes: true });
+
+      for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+          // No .gitignore to go by - skip the usual dependency and build output folders
+          if (!chunkingService.ignoredDirectories.includes(entry.name)) await walk(relativePath);
+        } else if (entry.isFile()) {
+          filePaths.push(relativePath);
+        }
+      }
+    };
+
+    await walk('');
+
+    return {
+      ...(await this.describeFiles(rootPath, filePaths)),
+      commitHash: null,
+      branch: null
+    };
+  }
+
+  async describeFiles(rootPath, filePaths) {
+    const files = [];
+    const languages = {};
+    let totalLines = 0;
+
+    for (const filePath of filePaths) {
+      const stats = await fs.lstat(path.join(rootPath, filePath));
+      if (!stats.isFile()) continue; // Symlinks and submodules
+
+      const language = githubService.detectLanguage(filePath);
+      const lines = stats.size <= this.maxLineCountBytes
+        ? await this.countLines(path.join(rootPath, filePath))
+        : null;
+
+      files.push({
+        name: filePath,
+        path: filePath,
+        size: stats.size,
+        lines,
+        language
+      });
+
+      // Binary files have no line count and would skew the language breakdown
+      if (lines !== null) {
+        totalLines += lines;
+        languages[language] = (languages[language] || 0) + stats.size;
+      }
+    }
+
+    return {
+      repoPath: rootPath,
+      files: files.sort((a, b) => a.name.localeCompare(b.name)),
+      languages,
+      totalLines,
+      readFile: (filePath) => this.readFile(rootPath, filePath)
+    };
+  }
+
+  // The part of a checkout under directory ("packages/core/"), with paths relative to it - one package of a
+  // monorepo analyzed on its own
+  scopeCheckout(checkout, directory) {
+    const files = checkout.files
+      .filter(file => file.name.startsWith(directory))
+      .map(file => ({ ...file, name: file.name.slice(directory.length), path: file.name.slice(directory.length) }));
+
+    const languages = {};
+    let totalLines = 0;
+    for (const file of files) {
+      if (file.lines === null) continue;
+      totalLines += file.lines;
+      languages[file.language] = (languages[file.language] || 0) + file.size;
+    }
+
+    return {
+      ...checkout,
+      repoPath: path.join(checkout.repoPath, directory),
+      files,
+      languages,
+      totalLines,
+      readFile: (filePath) => checkout.readFile(`${directory}${filePath}`)
+    };
+  }
+
+  // Line count of a text file, or null for binary files
+  async countLines(absolutePath) {
+    const buffer = await fs.readFile(absolutePath);
+    if (this.isBinary(buffer)) return null;
+    if (buffer.length === 0) return 0;
+
+    let lines = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      if (buffer[i] === 10) lines++;
+    }
+
+    // Last line without a trailing newline
+    return buffer[buffer.length - 1] === 10 ? lines : lines + 1;
+  }
+
+  isBinary(buffer) {
+    return buffer.subarray(0, this.binarySniffBytes).includes(0);
+  }
+
+  async readFile(repoPath, filePath) {
+    const absolutePath = path.resolve(repoPath, filePath);
+
+    // Paths come from the tree listing, but never read outside the clone
+    if (!absolutePath.startsWith(path.resolve(repoPath) + path.sep)) return null;
+
+    try {
+      const buffer = await fs.readFile(absolutePath);
+      return this.isBinary(buffer) ? null : buffer.toString('utf-8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Latest commit on a branch or tag of any git remote (or its default branch for "HEAD"), without cloning
+  async resolveRemoteRef(repoUrl, ref) {
+    const listing = await simpleGit().listRemote([githubService.getCloneSource(repoUrl), ref]);
+    const names = ref === 'HEAD' ? ['HEAD'] : [`refs/heads/${ref}`, `refs/tags/${ref}`, `refs/tags/${ref}^{}`];
+    const matches = listing
+      .split('\n')
+      .map(line => line.split('\t'))
+      .filter(([sha, name]) => sha && names.includes(name));
+
+    // Annotated tags list the tag object and the peeled commit - the commit is the one that matters
+    const match = matches.find(([, name]) => name.endsWith('^{}')) || matches[0];
+    return match ? match[0] : null;
+  }
+
+  // Commits and files changed between baseSha and the tip of ref, cloning only when the ref has moved
+  async compareRemote(repoUrl, ref, baseSha) {
+    const latestCommit = await this.resolveRemoteRef(repoUrl, ref);
+    if (!latestCommit) {
+      // Commits are not advertised by ls-remote - a document pinned to one never goes stale
+      if (this.isCommitHash(ref) && baseSha.startsWith(ref.toLowerCase())) {
+        return { latestCommit: baseSha, commits: 0, files: [] };
+      }
+      const notFound = new Error(`Branch or tag "${ref}" was not found`);
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+
+    if (latestCommit === baseSha) {
+      return { latestCommit, commits: 0, files: [] };
+    }
+
+    return this.withMirror(repoUrl, ref, async (mirror) => {
+      try {
+        return { latestCommit, ...(await mirror.compare(baseSha, latestCommit)) };
+      } catch (error) {
+        // The generated commit is gone from the branch (force push) - stale, but nothing to count against
+        return { latestCommit, commits: null, files: [] };
+      }
+    });
+  }
+
+  // Bare clone without blobs: history and trees up front, file contents fetched only when read.
+  // task(mirror) gets resolve(ref), compare(base, head) and readFile(sha, filePath).
+  async withMirror(repoUrl, ref, task) {
+    const repoPath = githubService.getTempPath('mirror');
+    const cloneOptions = ['--bare', '--filter=blob:none'];
+    if (ref && !this.isCommitHash(ref)) cloneOptions.push('--single-branch', '--branch', ref);
+
+    try {
+      try {
+        await simpleGit().clone(githubService.getCloneSource(repoUrl), repoPath, cloneOptions);
+      } catch (error) {
+        console.error('Error cloning repository:', error.message);
+        throw new Error('Failed to clone repository');
+      }
+
+      return await task(this.createMirror(repoPath));
+    } finally {
+      await githubService.cleanupTempFiles(repoPath);
+    }
+  }
+
+  createMirror(repoPath) {
+    const git = simpleGit(repoPath);
+    const statuses = { A: 'added', D: 'removed', M: 'modified', T: 'modified' };
+
+    return {
+      resolve: async (ref) => {
+        try {
+          return (await git.revparse([`${ref || 'HEAD'}^{commit}`])).trim();
+        } catch (error) {
+          const notFound = new Error(`Branch, tag or commit "${ref}" was not found`);
+          notFound.statusCode = 404;
+          throw notFound;
+        }
+      },
+
+      compare: async (base, head) => {
+        const count = await git.raw(['rev-list', '--count', `${base}..${head}`]);
+        const listing = await git.raw(['diff', '--name-status', '--no-renames', base, head]);
+
+        return {
+          commits: parseInt(count, 10),
+          files: listing
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+              const [status, filePath] = line.split('\t');
+              return { path: filePath, status: statuses[status] || 'modified' };
+            })
+        };
+      },
+
+      readFile: async (sha, filePath) => {
+        try {
+          return await git.show([`${sha}:${filePath}`]);
+        } catch (error) {
+          return null;
+        }
+      }
+    };
+  }
+
+  isCommitHash(ref) {
+    return /^[0-9a-f]{7,40}$/i.test(ref || '');
+  }
+
+  getPrimaryLanguage(languages) {
+    const ranked = Object.entries(languages)
+      .filter(([language]) => !this.nonCodeLanguages.includes(language))
+      .sort(([, a], [, b]) => b - a);
+
+    return ranked.length > 0 ? ranked[0][0] : 'Unknown';
+  }
+
+  // Best-effort owner/name for any git URL or path (https, ssh, scp-style, local bare repositories)
+  parseRepoName(repoUrl) {
+    const segments = repoUrl
+      .trim()
+      .replace(/[\/\\]+$/, '')
+      .replace(/\.git$/, '')
+      .split(/[\/\\:]+/)
+      .filter(Boolean);
+
+    return {
+      owner: segments.length > 1 ? segments[segments.length - 2] : 'local',
+      repo: segments[segments.length - 1] || 'repository'
+    };
+  }
+}
+
+module.exports = new LocalRepoService();
@@ -0,0 +1,109 @@
+// .NET projects: *.csproj (also F# and VB projects) at the root or up to two directories down, which is
+// where `dotnet new sln` layouts put them. Reads the SDK, target frameworks and PackageReference items.
+class DotnetManifest {
+  constructor() {
+    this.name = 'dotnet';
+    this.label = '.NET';
+    this.languages = ['C#', 'F#', 'Visual Basic .NET'];
+    this.frameworks = [
+      [/^microsoft\.aspnetcore\.components\.webassembly$/, 'Blazor'],
+      [/^microsoft\.aspnetcore\./, 'ASP.NET Core'],
+      [/^microsoft\.maui\./, '.NET MAUI'],
+      [/^avalonia$/, 'Avalonia'],
+      [/^microsoft\.entityframeworkcore$/, 'Entity Framework Core'],
+      [/^microsoft\.azure\.functions\.worker$/, 'Azure Functions']
+    ];
+    this.sdkFrameworks = {
+      'Microsoft.NET.Sdk.Web': 'ASP.NET Core',
+      'Microsoft.NET.Sdk.BlazorWebAssembly': 'Blazor',
+      'Microsoft.NET.Sdk.Razor': 'ASP.NET Core',
+      'Microsoft.NET.Sdk.Worker': '.NET Worker Service'
+    };
+    this.projectPattern = /^([^/]+\/){0,2}[^/]+\.(csproj|fsproj|vbproj)$/;
+    this.maxProjects = 10;
+  }
+
+  async read(names, readFile) {
+    const projectFiles = [...names].filter(name => this.projectPattern.test(name))
+      .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))
+      .slice(0, this.maxProjects);
+    if (projectFiles.length === 0) return null;
+
+    const projects = [];
+    for (const file of projectFiles) {
+      const content = await readFile(file);
+      if (content) projects.push(this.parse(file, content));
+    }
+    if (projects.length === 0) return null;
+
+    // Test projects only contribute development dependencies
+    const main = projects.find(project => !project.isTest) || projects[0];
+    const dependencies = projects.filter(project => !project.isTest).flatMap(project => project.packages);
+    const devDependencies = projects.filter(project => project.isTest).flatMap(project => project.packages);
+    const runnable = projects.filter(project => !project.isTest && (project.isWeb || project.outputType === 'exe'));
+    const solution = [...names].find(name => /^[^/]+\.sln$/.test(name));
+
+    return {
+      manifests: [...(solution ? [solution] : []), ...projects.map(project => project.file)],
+      name: main.assemblyName || main.file.split('/').pop().replace(/\.\w+proj$/, ''),
+      version: main.version,
+      description: main.description,
+      // net8.0 -> 8.0; netstandard2.0 and net48 stay as they are
+      runtime: { name: '.NET', version: main.targetFrameworks.map(item => item.replace(/^net(?:coreapp)?(\d+\.\d+)$/, '$1')).join(', ') || null },
+      packageManager: 'nuget',
+      dependencies: this.dedupe(dependencies),
+      devDependencies: this.dedupe(devDependencies),
+      declaredFrameworks: [...new Set(projects.map(project => this.sdkFrameworks[project.sdk]).filter(Boolean))],
+      scripts: [
+        { name: 'build', command: 'dotnet build' },
+        ...(projects.some(project => project.isTest) ? [{ name: 'test', command: 'dotnet test' }] : []),
+        ...runnable.map(project => ({
+          name: runnable.length === 1 ? 'run' : `run ${project.file.split('/').pop().replace(/\.\w+proj$/, '')}`,
+          command: project.file.includes('/') || runnable.length > 1 ? `dotnet run --project ${project.file}` : 'dotnet run'
+        }))
+      ],
+      installCommands: ['dotnet restore']
+    };
+  }
+
+  parse(file, content) {
+    const xml = content.replace(/<!--[\s\S]*?-->/g, '');
+    // Project properties live in PropertyGroup; <Version> also appears inside PackageReference items
+    const propertyGroups = [...xml.matchAll(/<PropertyGroup[^>]*>([\s\S]*?)<\/PropertyGroup>/g)].map(match => match[1]).join('\n');
+    const property = (tag) => propertyGroups.match(new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`))?.[1] || null;
+    const sdk = xml.match(/<Project\s+Sdk="([^"]+)"/)?.[1] || null;
+
+    const packages = [...xml.matchAll(/<PackageReference\s+([^>]*?)(?:\/>|>([\s\S]*?)<\/PackageReference>)/g)].map(match => ({
+      name: match[1].match(/Include="([^"]+)"/)?.[1],
+      spec: match[1].match(/Version="([^"]+)"/)?.[1] || match[2]?.match(/<Version>\s*([^<]+?)\s*<\/Version>/)?.[1] || ''
+    })).filter(item => item.name);
+
+    const targetFrameworks = (property('TargetFrameworks') || property('TargetFramework') || '')
+      .split(';').map(item => item.trim()).filter(Boolean);
+
+    return {
+      file,
+      sdk,
+      targetFrameworks,
+      outputType: (property('OutputType') || '').toLowerCase(),
+      assemblyName: property('AssemblyName'),
+      version: property('Version'),
+      description: property('Description'),
+      packages,
+      isWeb: Boolean(this.sdkFrameworks[sdk]),
+      isTest: property('IsTestProject') === 'true' || packages.some(item => /^microsoft\.net\.test\.sdk$/i.test(item.name))
+    };
+  }
+
+  dedupe(packages) {
+    const seen = new Set();
+    return packages.filter(item => {
+      const key = item.name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+module.exports = new DotnetManifest();
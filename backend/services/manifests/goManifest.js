@@ -0,0 +1,93 @@
+// go.mod: module path, Go version (and toolchain), direct requirements. Indirect requirements are left out -
+// they are dependencies of dependencies.
+class GoManifest {
+  constructor() {
+    this.name = 'go';
+    this.label = 'Go';
+    this.languages = ['Go'];
+    this.frameworks = [
+      [/^github\.com\/gin-gonic\/gin$/, 'Gin'],
+      [/^github\.com\/labstack\/echo(\/v\d+)?$/, 'Echo'],
+      [/^github\.com\/gofiber\/fiber(\/v\d+)?$/, 'Fiber'],
+      [/^github\.com\/go-chi\/chi(\/v\d+)?$/, 'Chi'],
+      [/^github\.com\/gorilla\/mux$/, 'Gorilla Mux'],
+      [/^github\.com\/beego\/beego(\/v\d+)?$/, 'Beego'],
+      [/^google\.golang\.org\/grpc$/, 'gRPC'],
+      [/^github\.com\/spf13\/cobra$/, 'Cobra']
+    ];
+  }
+
+  async read(names, readFile) {
+    if (!names.has('go.mod')) return null;
+    const content = await readFile('go.mod');
+    if (!content) return null;
+
+    const manifest = this.parse(content);
+    const binaries = this.findMainPackages(names);
+
+    return {
+      manifests: ['go.mod', ...(names.has('go.sum') ? ['go.sum'] : [])],
+      name: manifest.module,
+      version: null,
+      description: null,
+      runtime: { name: 'Go', version: manifest.go },
+      packageManager: 'go',
+      dependencies: manifest.requires.filter(requirement => !requirement.indirect).map(({ name, spec }) => ({ name, spec })),
+      devDependencies: [],
+      scripts: [
+        { name: 'build', command: 'go build ./...' },
+        { name: 'test', command: 'go test ./...' },
+        ...binaries.map(directory => ({
+          name: directory === '.' ? 'run' : `run ${directory.split('/').pop()}`,
+          command: `go run ${directory === '.' ? '.' : `./${directory}`}`
+        }))
+      ],
+      installCommands: ['go mod download']
+    };
+  }
+
+  // { module, go, toolchain, requires: [{ name, spec, indirect }] }
+  parse(content) {
+    const manifest = { module: null, go: null, toolchain: null, requires: [] };
+    let inRequire = false;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const indirect = /\/\/\s*indirect\b/.test(rawLine);
+      const line = rawLine.replace(/\/\/.*$/, '').trim();
+      if (!line) continue;
+
+      if (inRequire) {
+        if (line === ')') inRequire = false;
+        else this.addRequirement(manifest, line, indirect);
+        continue;
+      }
+
+      const directive = line.match(/^(module|go|toolchain|require)\s+(.+)$/);
+      if (!directive) continue;
+
+      const [, keyword, value] = directive;
+      if (keyword === 'require') {
+        if (value === '(') inRequire = true;
+        else this.addRequirement(manifest, value, indirect);
+      } else {
+        manifest[keyword] = value.replace(/^"|"$/g, '');
+      }
+    }
+    return manifest;
+  }
+
+  addRequirement(manifest, line, indirect) {
+    const [name, spec] = line.split(/\s+/);
+    if (name) manifest.requires.push({ name, spec: spec || '', indirect });
+  }
+
+  // Directories that hold a main package by convention: main.go at the root, cmd/<name>/main.go
+  findMainPackages(names) {
+    return [...names]
+      .filter(name => name === 'main.go' || /^cmd\/[^/]+\/main\.go$/.test(name))
+      .map(name => (name === 'main.go' ? '.' : name.slice(0, -'/main.go'.length)))
+      .sort();
+  }
+}
+
+module.exports = new GoManifest();
@@ -0,0 +1,157 @@
+const nodeManifest = require('./nodeManifest');
+const pythonManifest = require('./pythonManifest');
+const goManifest = require('./goManifest');
+const rustManifest = require('./rustManifest');
+const javaManifest = require('./javaManifest');
+const phpManifest = require('./phpManifest');
+const rubyManifest = require('./rubyManifest');
+const dotnetManifest = require('./dotnetManifest');
+
+// What a repository's package manifests declare, normalized across ecosystems: dependencies, scripts and
+// commands, runtime versions, install commands and the frameworks the dependencies point to. Each reader
+// handles one ecosystem and implements:
+//   name, label, languages, frameworks: [[dependency name or RegExp, framework]],
+//   read(names, readFile, context) -> { manifests, name, version, description, runtime, packageManager,
+//     dependencies, devDependencies, scripts, installCommands, declaredFrameworks? } or null
+// where dependencies are [{ name, spec }], scripts [{ name, command }] and declaredFrameworks the frameworks
+// the manifest names outright (an SDK, a build plugin).
+class ManifestService {
+  constructor() {
+    this.readers = [nodeManifest, pythonManifest, goManifest, rustManifest, javaManifest, phpManifest, rubyManifest, dotnetManifest];
+    this.maxDependencies = 80;
+  }
+
+  // files: [{ name }] of the whole tree; readFile(name) resolves to the text or null. packageJson and
+  // pythonProject are the already parsed Node and Python manifests; language puts the matching ecosystem
+  // first. Returns null when the repository has no manifest any reader understands.
+  async read(files, readFile, { packageJson = null, pythonProject = null, language = null } = {}) {
+    const names = new Set(files.map(file => file.name));
+    const safeRead = async (name) => {
+      try {
+        return await readFile(name);
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const ecosystems = [];
+    for (const reader of this.readers) {
+      let entry = null;
+      try {
+        entry = await reader.read(names, safeRead, { packageJson, pythonProject });
+      } catch (error) {
+        console.log(`Could not read the ${reader.label} manifests: ${error.message}`);
+      }
+      if (!entry) continue;
+
+      const frameworks = this.detectFrameworks(reader, entry);
+      delete entry.declaredFrameworks;
+      ecosystems.push({
+        ecosystem: reader.name,
+        label: reader.label,
+        ...entry,
+        dependencies: entry.dependencies.slice(0, this.maxDependencies),
+        devDependencies: entry.devDependencies.slice(0, this.maxDependencies),
+        frameworks
+      });
+    }
+    if (ecosystems.length === 0) return null;
+
+    // The repository's main language decides which ecosystem describes the project; ties keep reader order
+    const matchesLanguage = (entry) => this.readers.find(reader => reader.name === entry.ecosystem).languages.includes(language);
+    ecosystems.sort((a, b) => Number(matchesLanguage(b)) - Number(matchesLanguage(a)));
+
+    return {
+      ecosystems,
+      frameworks: [...new Set(ecosystems.flatMap(entry => entry.frameworks))],
+      runtimes: ecosystems.map(entry => entry.runtime).filter(Boolean),
+      installCommands: [...new Set(ecosystems.flatMap(entry => entry.installCommands))]
+    };
+  }
+
+  // Frameworks the manifest declares come first, then runtime dependencies, so a dev-only tool never
+  // outranks what the project is built on
+  detectFrameworks(reader, entry) {
+    const found = [...new Set(entry.declaredFrameworks || [])];
+    for (const dependencies of [entry.dependencies, entry.devDependencies]) {
+      const dependencyNames = dependencies.map(dependency => dependency.name.toLowerCase());
+      for (const [matcher, framework] of reader.frameworks) {
+        const matches = matcher instanceof RegExp
+          ? dependencyNames.some(name => matcher.test(name))
+          : dependencyNames.includes(matcher);
+        if (matches && !found.includes(framework)) found.push(framework);
+      }
+    }
+    return found;
+  }
+
+  getPrimary(manifests) {
+    return manifests?.ecosystems[0] || null;
+  }
+
+  // Tags for a generated document: language, frameworks and the ecosystems present
+  getTags(manifests, language) {
+    const tags = [language, ...(manifests?.frameworks || []), ...(manifests?.ecosystems || []).map(entry => entry.label)];
+    return [...new Set(tags.filter(tag => tag && tag !== 'Unknown'))];
+  }
+
+  // The package.json-shaped dependency summary of the main ecosystem
+  getDependencySummary(manifests) {
+    const primary = this.getPrimary(manifests);
+    if (!primary) return null;
+
+    const toMap = (dependencies) => Object.fromEntries(dependencies.map(dependency => [dependency.name, dependency.spec || '*']));
+    return {
+      ecosystem: primary.ecosystem,
+      dependencies: toMap(primary.dependencies),
+      devDependencies: toMap(primary.devDependencies),
+      scripts: Object.fromEntries(primary.scripts.map(script => [script.name, script.command]))
+    };
+  }
+
+  // Runtimes, frameworks and install commands of every ecosystem, one line each - what an installation
+  // section needs regardless of which manifests the rest of the prompt spells out
+  formatSetup(manifests) {
+    if (!manifests) return '';
+
+    const lines = [];
+    const runtimes = manifests.runtimes.map(runtime => `${runtime.name}${runtime.version ? ` ${runtime.version}` : ''}`);
+    if (runtimes.length > 0) lines.push(`Runtimes: ${runtimes.join(', ')}`);
+    if (manifests.frameworks.length > 0) lines.push(`Frameworks: ${manifests.frameworks.join(', ')}`);
+    for (const entry of manifests.ecosystems) {
+      if (entry.installCommands.length > 0) lines.push(`Install (${entry.label}): ${entry.installCommands.join(' && ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Compact description for prompts. Node and Python have their own summaries (package info and
+  // pythonProjectService.formatSummary), so only the other ecosystems are spelled out here.
+  formatSummary(manifests, { skip = ['node', 'python'] } = {}) {
+    if (!manifests) return '';
+
+    const blocks = [];
+    for (const entry of manifests.ecosystems.filter(item => !skip.includes(item.ecosystem))) {
+      const lines = [];
+      const identity = [entry.name, entry.version].filter(Boolean).join(' ');
+      const runtime = entry.runtime ? ` (${entry.runtime.name}${entry.runtime.version ? ` ${entry.runtime.version}` : ''})` : '';
+      lines.push(`${entry.label} project${identity ? `: ${identity}` : ''}${runtime}`);
+      lines.push(`Manifests: ${entry.manifests.join(', ')}`);
+
+      if (entry.frameworks.length > 0) lines.push(`Frameworks: ${entry.frameworks.join(', ')}`);
+      if (entry.installCommands.length > 0) lines.push(`Install: ${entry.installCommands.join(' && ')}`);
+      if (entry.scripts.length > 0) {
+        lines.push(`Commands: ${entry.scripts.map(script => `${script.name} (${script.command})`).join(', ')}`);
+      }
+      if (entry.dependencies.length > 0) {
+        lines.push(`Dependencies: ${entry.dependencies.map(dependency => `${dependency.name}${dependency.spec ? ` ${dependency.spec}` : ''}`).join(', ')}`);
+      }
+      if (entry.devDependencies.length > 0) {
+        lines.push(`Development dependencies: ${entry.devDependencies.map(dependency => dependency.name).join(', ')}`);
+      }
+      blocks.push(lines.join('\n'));
+    }
+    return blocks.join('\n\n');
+  }
+}
+
+module.exports = new ManifestService();
@@ -0,0 +1,168 @@
+// JVM builds: Maven (pom.xml) or Gradle (build.gradle / build.gradle.kts). Both are read statically - the
+// literal coordinates, plugins and Java version, with Maven ${properties} resolved - so dependencies
+// declared through version catalogs or computed in build logic are missed.
+class JavaManifest {
+  constructor() {
+    this.name = 'java';
+    this.label = 'Java';
+    this.languages = ['Java', 'Kotlin', 'Scala', 'Groovy'];
+    // Dependencies are named "group:artifact"
+    this.frameworks = [
+      [/^org\.springframework\.boot:/, 'Spring Boot'],
+      [/^io\.quarkus:/, 'Quarkus'],
+      [/^io\.micronaut[.:]/, 'Micronaut'],
+      [/^io\.ktor:/, 'Ktor'],
+      [/^io\.vertx:/, 'Vert.x'],
+      [/^io\.dropwizard:/, 'Dropwizard'],
+      [/^org\.springframework:spring-webmvc$/, 'Spring MVC'],
+      [/^jakarta\.platform:/, 'Jakarta EE']
+    ];
+    // Build plugins that say which framework a project uses even when its dependencies come from a BOM
+    this.pluginFrameworks = {
+      'org.springframework.boot': 'Spring Boot',
+      'io.quarkus': 'Quarkus',
+      'io.micronaut.application': 'Micronaut',
+      'io.ktor.plugin': 'Ktor',
+      'com.android.application': 'Android',
+      'com.android.library': 'Android'
+    };
+    this.gradleFiles = ['build.gradle', 'build.gradle.kts'];
+    this.testConfigurations = /^(test|androidTest|integrationTest)|^testCompile$/;
+  }
+
+  async read(names, readFile) {
+    if (names.has('pom.xml')) {
+      const content = await readFile('pom.xml');
+      if (content) return this.readMaven(content, names);
+    }
+
+    const gradleFile = this.gradleFiles.find(name => names.has(name));
+    if (gradleFile) {
+      const content = await readFile(gradleFile);
+      const settingsFile = ['settings.gradle', 'settings.gradle.kts'].find(name => names.has(name));
+      const settings = settingsFile ? await readFile(settingsFile) : null;
+      if (content) return this.readGradle(content, gradleFile, settings, settingsFile, names);
+    }
+    return null;
+  }
+
+  // Text of the first <tag> directly in xml (callers strip nested sections first)
+  getTag(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`));
+    return match ? match[1] : null;
+  }
+
+  removeSections(xml, tags) {
+    return tags.reduce((text, tag) => text.replace(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'g'), ''), xml);
+  }
+
+  readMaven(content, names) {
+    const xml = content.replace(/<!--[\s\S]*?-->/g, '');
+    const parent = xml.match(/<parent>([\s\S]*?)<\/parent>/)?.[1] || '';
+    const propertiesBlock = xml.match(/<properties>([\s\S]*?)<\/properties>/)?.[1] || '';
+    const properties = Object.fromEntries([...propertiesBlock.matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)].map(match => [match[1], match[2]]));
+    const resolve = (value) => (value || '').replace(/\$\{([^}]+)\}/g, (match, key) => properties[key] ?? match);
+
+    // Project coordinates sit at the top level, next to sections that have their own
+    const topLevel = this.removeSections(xml, ['parent', 'dependencies', 'dependencyManagement', 'build', 'profiles',
+      'properties', 'modules', 'developers', 'contributors', 'licenses', 'scm', 'distributionManagement', 'repositories',
+      'pluginRepositories', 'organization', 'issueManagement', 'ciManagement']);
+    const dependenciesBlock = this.removeSections(xml, ['dependencyManagement', 'build', 'profiles'])
+      .match(/<dependencies>([\s\S]*?)<\/dependencies>/)?.[1] || '';
+
+    const dependencies = [];
+    const devDependencies = [];
+    for (const [, block] of dependenciesBlock.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+      const groupId = this.getTag(block, 'groupId');
+      const artifactId = this.getTag(block, 'artifactId');
+      if (!groupId || !artifactId) continue;
+
+      const dependency = { name: `${resolve(groupId)}:${resolve(artifactId)}`, spec: resolve(this.getTag(block, 'version')) };
+      (this.getTag(block, 'scope') === 'test' ? devDependencies : dependencies).push(dependency);
+    }
+
+    const parentArtifact = this.getTag(parent, 'artifactId');
+    const plugins = [...(xml.match(/<build>[\s\S]*<\/build>/)?.[0] || '').matchAll(/<artifactId>\s*([^<]+?)\s*<\/artifactId>/g)].map(match => match[1]);
+    const springBoot = parentArtifact === 'spring-boot-starter-parent' || plugins.includes('spring-boot-maven-plugin');
+    const maven = names.has('mvnw') ? './mvnw' : 'mvn';
+
+    return {
+      manifests: ['pom.xml'],
+      name: this.getTag(topLevel, 'name') || this.getTag(topLevel, 'artifactId'),
+      version: resolve(this.getTag(topLevel, 'version') || this.getTag(parent, 'version')) || null,
+      description: this.getTag(topLevel, 'description'),
+      runtime: {
+        name: 'Java',
+        version: properties['java.version'] || properties['maven.compiler.release'] || properties['maven.compiler.source'] || null
+      },
+      packageManager: 'maven',
+      dependencies,
+      devDependencies,
+      declaredFrameworks: [
+        ...(springBoot ? ['Spring Boot'] : []),
+        ...(plugins.includes('quarkus-maven-plugin') ? ['Quarkus'] : [])
+      ],
+      scripts: [
+        { name: 'build', command: `${maven} package` },
+        { name: 'test', command: `${maven} test` },
+        ...(springBoot ? [{ name: 'run', command: `${maven} spring-boot:run` }] : []),
+        ...(plugins.includes('quarkus-maven-plugin') ? [{ name: 'dev', command: `${maven} quarkus:dev` }] : [])
+      ],
+      installCommands: [`${maven} install -DskipTests`]
+    };
+  }
+
+  readGradle(content, gradleFile, settings, settingsFile, names) {
+    const source = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|\s)\/\/.*$/gm, '$1');
+    const stringValue = (key) => source.match(new RegExp(`^\\s*${key}\\s*=\\s*["']([^"']+)["']`, 'm'))?.[1] || null;
+
+    const plugins = [
+      ...[...source.matchAll(/\bid\s*\(?\s*["']([\w.-]+)["']\s*\)?/g)].map(match => match[1]),
+      ...[...source.matchAll(/apply\s+plugin\s*:\s*["']([\w.-]+)["']/g)].map(match => match[1]),
+      ...[...source.matchAll(/\bkotlin\s*\(\s*["']([\w.-]+)["']\s*\)/g)].map(match => `org.jetbrains.kotlin.${match[1]}`),
+      ...[...source.matchAll(/^\s*(application|java-library|java)\s*$/gm)].map(match => match[1])
+    ];
+
+    const dependencies = [];
+    const devDependencies = [];
+    const configurationPattern = /^\s*(\w+)\s*\(?\s*(?:platform\s*\(\s*)?["']([^"':\s]+):([^"':\s]+)(?::([^"'\s]+))?["']/gm;
+    for (const [, configuration, group, artifact, version] of source.matchAll(configurationPattern)) {
+      if (['id', 'classpath', 'kotlin'].includes(configuration)) continue;
+      const dependency = { name: `${group}:${artifact}`, spec: version || '' };
+      (this.testConfigurations.test(configuration) ? devDependencies : dependencies).push(dependency);
+    }
+    // Map notation: implementation group: 'x', name: 'y', version: 'z'
+    for (const [, configuration, group, artifact, version] of source.matchAll(/^\s*(\w+)\s*\(?\s*group\s*:\s*["']([^"']+)["']\s*,\s*name\s*:\s*["']([^"']+)["'](?:\s*,\s*version\s*:\s*["']([^"']+)["'])?/gm)) {
+      (this.testConfigurations.test(configuration) ? devDependencies : dependencies).push({ name: `${group}:${artifact}`, spec: version || '' });
+    }
+
+    const javaVersion = source.match(/JavaLanguageVersion\.of\(\s*(\d+)\s*\)/)?.[1] ||
+      source.match(/jvmToolchain\(\s*(\d+)\s*\)/)?.[1] ||
+      source.match(/JavaVersion\.VERSION_(\d+(?:_\d+)?)/)?.[1]?.replace('_', '.') ||
+      source.match(/sourceCompatibility\s*=\s*["']?([\d.]+)["']?/)?.[1] || null;
+
+    const gradle = names.has('gradlew') ? './gradlew' : 'gradle';
+    const springBoot = plugins.includes('org.springframework.boot');
+    const usesKotlin = plugins.some(plugin => plugin.startsWith('org.jetbrains.kotlin'));
+
+    return {
+      manifests: [gradleFile, ...(settingsFile ? [settingsFile] : [])],
+      name: settings?.match(/rootProject\.name\s*=\s*["']([^"']+)["']/)?.[1] || null,
+      version: stringValue('version'),
+      description: stringValue('description'),
+      runtime: { name: usesKotlin ? 'Kotlin/JVM' : 'Java', version: javaVersion },
+      packageManager: 'gradle',
+      dependencies,
+      devDependencies,
+      declaredFrameworks: [...new Set(plugins.map(plugin => this.pluginFrameworks[plugin]).filter(Boolean))],
+      scripts: [
+        { name: 'build', command: `${gradle} build` },
+        { name: 'test', command: `${gradle} test` },
+        ...(springBoot ? [{ name: 'run', command: `${gradle} bootRun` }] : plugins.includes('application') ? [{ name: 'run', command: `${gradle} run` }] : [])
+      ],
+      installCommands: [`${gradle} build -x test`]
+    };
+  }
+}
+
+module.exports = new JavaManifest();
@@ -0,0 +1,73 @@
+// package.json - read by the repository analysis already, so this only normalizes it. The package manager
+// comes from the packageManager field or the lockfile.
+class NodeManifest {
+  constructor() {
+    this.name = 'node';
+    this.label = 'Node.js';
+    this.languages = ['JavaScript', 'TypeScript', 'React', 'React TypeScript', 'React JSX', 'React TSX'];
+    // Meta-frameworks before the libraries they are built on
+    this.frameworks = [
+      ['next', 'Next.js'],
+      ['nuxt', 'Nuxt.js'],
+      ['gatsby', 'Gatsby'],
+      ['@remix-run/react', 'Remix'],
+      ['@sveltejs/kit', 'SvelteKit'],
+      ['@nestjs/core', 'NestJS'],
+      ['electron', 'Electron'],
+      ['react-native', 'React Native'],
+      ['react', 'React'],
+      ['vue', 'Vue.js'],
+      ['@angular/core', 'Angular'],
+      ['svelte', 'Svelte'],
+      ['express', 'Express.js'],
+      ['fastify', 'Fastify'],
+      ['koa', 'Koa']
+    ];
+    this.lockfiles = [
+      ['pnpm-lock.yaml', 'pnpm'],
+      ['yarn.lock', 'yarn'],
+      ['bun.lockb', 'bun'],
+      ['bun.lock', 'bun'],
+      ['package-lock.json', 'npm']
+    ];
+  }
+
+  async read(names, readFile, { packageJson }) {
+    if (!packageJson || !names.has('package.json')) return null;
+
+    const toList = (table = {}) => Object.entries(table).map(([name, spec]) => ({ name, spec: String(spec) }));
+    const packageManager = this.getPackageManager(packageJson, names);
+
+    let nodeVersion = packageJson.engines?.node || null;
+    for (const versionFile of ['.nvmrc', '.node-version']) {
+      if (nodeVersion || !names.has(versionFile)) continue;
+      nodeVersion = (await readFile(versionFile) || '').trim().replace(/^v/, '') || null;
+    }
+
+    return {
+      manifests: ['package.json', ...this.lockfiles.map(([lockfile]) => lockfile).filter(lockfile => names.has(lockfile))],
+      name: packageJson.name || null,
+      version: packageJson.version || null,
+      description: packageJson.description || null,
+      runtime: { name: 'Node.js', version: nodeVersion },
+      packageManager,
+      dependencies: toList(packageJson.dependencies),
+      devDependencies: toList(packageJson.devDependencies),
+      scripts: Object.entries(packageJson.scripts || {}).map(([name, command]) => ({ name, command: String(command) })),
+      installCommands: [this.getInstallCommand(packageManager, names)]
+    };
+  }
+
+  getPackageManager(packageJson, names) {
+    const declared = typeof packageJson.packageManager === 'string' ? packageJson.packageManager.split('@')[0] : null;
+    if (declared) return declared;
+    return this.lockfiles.find(([lockfile]) => names.has(lockfile))?.[1] || 'npm';
+  }
+
+  getInstallCommand(packageManager, names) {
+    if (packageManager === 'npm') return names.has('package-lock.json') ? 'npm ci' : 'npm install';
+    return `${packageManager} install`;
+  }
+}
+
+module.exports = new NodeManifest();
@@ -0,0 +1,52 @@
+// composer.json: package metadata, PHP version constraint, require / require-dev and Composer scripts.
+// Platform requirements (php, ext-*, lib-*) are not dependencies.
+class PhpManifest {
+  constructor() {
+    this.name = 'php';
+    this.label = 'PHP';
+    this.languages = ['PHP'];
+    this.frameworks = [
+      ['laravel/framework', 'Laravel'],
+      ['laravel/lumen-framework', 'Lumen'],
+      ['symfony/framework-bundle', 'Symfony'],
+      ['symfony/symfony', 'Symfony'],
+      ['slim/slim', 'Slim'],
+      ['cakephp/cakephp', 'CakePHP'],
+      ['yiisoft/yii2', 'Yii'],
+      ['codeigniter4/framework', 'CodeIgniter'],
+      ['laminas/laminas-mvc', 'Laminas'],
+      ['drupal/core', 'Drupal'],
+      ['johnpbloch/wordpress-core', 'WordPress']
+    ];
+  }
+
+  async read(names, readFile) {
+    if (!names.has('composer.json')) return null;
+    const content = await readFile('composer.json');
+    if (!content) return null;
+
+    const composer = JSON.parse(content);
+    const isPlatform = (name) => /^(php|hhvm|composer|composer-plugin-api|ext-.+|lib-.+)$/i.test(name);
+    const toList = (table = {}) => Object.entries(table)
+      .filter(([name]) => !isPlatform(name))
+      .map(([name, spec]) => ({ name: name.toLowerCase(), spec: String(spec) }));
+
+    return {
+      manifests: ['composer.json', ...(names.has('composer.lock') ? ['composer.lock'] : [])],
+      name: composer.name || null,
+      version: composer.version || null,
+      description: composer.description || null,
+      runtime: { name: 'PHP', version: composer.require?.php || composer.config?.platform?.php || null },
+      packageManager: 'composer',
+      dependencies: toList(composer.require),
+      devDependencies: toList(composer['require-dev']),
+      // Lifecycle hooks (post-install-cmd, ...) run by themselves; the rest are `composer <name>` commands
+      scripts: Object.keys(composer.scripts || {})
+        .filter(name => !/^(pre|post)-/.test(name))
+        .map(name => ({ name, command: `composer run-script ${name}` })),
+      installCommands: ['composer install']
+    };
+  }
+}
+
+module.exports = new PhpManifest();
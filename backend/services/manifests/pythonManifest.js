@@ -0,0 +1,61 @@
+// pyproject.toml, setup.cfg, setup.py, Pipfile and requirements files - parsed by pythonProjectService during
+// the repository analysis, so this only normalizes the result
+class PythonManifest {
+  constructor() {
+    this.name = 'python';
+    this.label = 'Python';
+    this.languages = ['Python'];
+    // Names as pip normalizes them: lower case, "-" for "_" and "."
+    this.frameworks = [
+      ['django', 'Django'],
+      ['fastapi', 'FastAPI'],
+      ['flask', 'Flask'],
+      ['starlette', 'Starlette'],
+      ['litestar', 'Litestar'],
+      ['sanic', 'Sanic'],
+      ['tornado', 'Tornado'],
+      ['pyramid', 'Pyramid'],
+      ['aiohttp', 'aiohttp'],
+      ['streamlit', 'Streamlit'],
+      ['gradio', 'Gradio'],
+      ['dash', 'Dash'],
+      ['scrapy', 'Scrapy'],
+      ['celery', 'Celery'],
+      ['typer', 'Typer'],
+      ['click', 'Click']
+    ];
+  }
+
+  async read(names, readFile, { pythonProject }) {
+    if (!pythonProject) return null;
+
+    const normalize = (dependencies) => dependencies.map(dependency => ({
+      name: dependency.name.toLowerCase().replace(/[-_.]+/g, '-'),
+      spec: dependency.spec || ''
+    }));
+    const packageManager = this.getPackageManager(pythonProject.installCommands);
+
+    return {
+      manifests: pythonProject.manifests,
+      name: pythonProject.name,
+      version: pythonProject.version,
+      description: pythonProject.description,
+      runtime: { name: 'Python', version: pythonProject.requiresPython },
+      packageManager,
+      dependencies: normalize(pythonProject.dependencies),
+      devDependencies: normalize(pythonProject.devDependencies),
+      scripts: [
+        ...pythonProject.scripts.map(script => ({ name: script.name, command: `${script.module}${script.function ? `:${script.function}` : ''}` })),
+        ...pythonProject.commands.map(command => ({ name: command.name, command: `pipenv run ${command.name}` }))
+      ],
+      installCommands: pythonProject.installCommands
+    };
+  }
+
+  getPackageManager(installCommands) {
+    const tool = (installCommands[0] || 'pip').split(' ')[0];
+    return tool || 'pip';
+  }
+}
+
+module.exports = new PythonManifest();
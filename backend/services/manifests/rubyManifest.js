@@ -0,0 +1,102 @@
+// Gemfile: gem declarations (groups :development and :test are development dependencies), the Ruby
+// version, and a gemspec when the project is a gem. Evaluated as text, not Ruby.
+class RubyManifest {
+  constructor() {
+    this.name = 'ruby';
+    this.label = 'Ruby';
+    this.languages = ['Ruby'];
+    this.frameworks = [
+      ['rails', 'Ruby on Rails'],
+      ['railties', 'Ruby on Rails'],
+      ['sinatra', 'Sinatra'],
+      ['hanami', 'Hanami'],
+      ['roda', 'Roda'],
+      ['grape', 'Grape'],
+      ['jekyll', 'Jekyll'],
+      ['sidekiq', 'Sidekiq']
+    ];
+    this.developmentGroups = ['development', 'test'];
+  }
+
+  async read(names, readFile) {
+    if (!names.has('Gemfile')) return null;
+    const content = await readFile('Gemfile');
+    if (!content) return null;
+
+    const gemfile = this.parse(content);
+    let rubyVersion = gemfile.ruby;
+    if (!rubyVersion && names.has('.ruby-version')) {
+      rubyVersion = (await readFile('.ruby-version') || '').trim().replace(/^ruby-/, '') || null;
+    }
+
+    const gemspec = [...names].find(name => /^[^/]+\.gemspec$/.test(name));
+    const gemspecContent = gemspec ? await readFile(gemspec) : null;
+    const gemspecField = (field) => gemspecContent?.match(new RegExp(`\\.${field}\\s*=\\s*["']([^"']+)["']`))?.[1] || null;
+
+    const usesRails = gemfile.dependencies.some(gem => gem.name === 'rails');
+    return {
+      manifests: ['Gemfile', ...(names.has('Gemfile.lock') ? ['Gemfile.lock'] : []), ...(gemspec ? [gemspec] : [])],
+      name: gemspecField('name'),
+      version: gemspecField('version'),
+      description: gemspecField('summary') || gemspecField('description'),
+      runtime: { name: 'Ruby', version: rubyVersion },
+      packageManager: 'bundler',
+      dependencies: gemfile.dependencies,
+      devDependencies: gemfile.devDependencies,
+      scripts: usesRails
+        ? [
+          { name: 'server', command: 'bin/rails server' },
+          { name: 'test', command: 'bin/rails test' },
+          { name: 'migrate', command: 'bin/rails db:migrate' }
+        ]
+        : names.has('Rakefile') ? [{ name: 'rake', command: 'bundle exec rake' }] : [],
+      installCommands: ['bundle install']
+    };
+  }
+
+  // { ruby, dependencies, devDependencies } - gems inside development/test groups, or with a group:
+  // option naming them, go to devDependencies
+  parse(content) {
+    const result = { ruby: null, dependencies: [], devDependencies: [] };
+    const groupStack = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.replace(/\s#.*$|^#.*$/, '').trim();
+      if (!line) continue;
+
+      const ruby = line.match(/^ruby\s+["']([^"']+)["']/);
+      if (ruby) {
+        result.ruby = ruby[1];
+        continue;
+      }
+
+      const group = line.match(/^group\s+(.+?)\s+do$/);
+      if (group) {
+        groupStack.push([...group[1].matchAll(/:(\w+)|["'](\w+)["']/g)].map(match => match[1] || match[2]));
+        continue;
+      }
+      // Any other block (platforms, source, install_if) also ends with "end"
+      if (/\bdo(\s*\|[^|]*\|)?$/.test(line)) {
+        groupStack.push([]);
+        continue;
+      }
+      if (line === 'end') {
+        groupStack.pop();
+        continue;
+      }
+
+      const gem = line.match(/^gem\s+["']([^"']+)["']((?:\s*,\s*["'][^"']*["'])*)(.*)$/);
+      if (!gem) continue;
+
+      const spec = [...gem[2].matchAll(/["']([^"']*)["']/g)].map(match => match[1]).join(', ');
+      const inlineGroups = [...(gem[3].match(/group[s]?:\s*\[?([^\]]+)\]?/)?.[1] || '').matchAll(/:(\w+)/g)].map(match => match[1]);
+      const groups = [...groupStack.flat(), ...inlineGroups];
+      const isDevelopment = groups.length > 0 && groups.every(name => this.developmentGroups.includes(name));
+
+      (isDevelopment ? result.devDependencies : result.dependencies).push({ name: gem[1], spec });
+    }
+    return result;
+  }
+}
+
+module.exports = new RubyManifest();
@@ -0,0 +1,80 @@
+const toml = require('smol-toml');
+
+// Cargo.toml: package metadata, minimum Rust version, [dependencies] and [dev-dependencies] /
+// [build-dependencies], and the binaries `cargo run` can start
+class RustManifest {
+  constructor() {
+    this.name = 'rust';
+    this.label = 'Rust';
+    this.languages = ['Rust'];
+    this.frameworks = [
+      ['actix-web', 'Actix Web'],
+      ['axum', 'Axum'],
+      ['rocket', 'Rocket'],
+      ['warp', 'Warp'],
+      ['poem', 'Poem'],
+      ['tauri', 'Tauri'],
+      ['leptos', 'Leptos'],
+      ['yew', 'Yew'],
+      ['bevy', 'Bevy'],
+      ['tonic', 'Tonic'],
+      ['clap', 'Clap']
+    ];
+  }
+
+  async read(names, readFile) {
+    if (!names.has('Cargo.toml')) return null;
+    const content = await readFile('Cargo.toml');
+    if (!content) return null;
+
+    const data = toml.parse(content);
+    const cargoPackage = data.package || {};
+    // Members of a workspace may inherit fields with { workspace = true }
+    const field = (key) => {
+      const value = cargoPackage[key] && typeof cargoPackage[key] === 'object' && cargoPackage[key].workspace
+        ? data.workspace?.package?.[key]
+        : cargoPackage[key];
+      return typeof value === 'string' ? value : null;
+    };
+    const binaries = [
+      ...(data.bin || []).map(bin => bin.name).filter(Boolean),
+      ...(names.has('src/main.rs') && cargoPackage.name && !(data.bin || []).some(bin => bin.name === cargoPackage.name) ? [cargoPackage.name] : [])
+    ];
+
+    let rustVersion = field('rust-version') || data.workspace?.package?.['rust-version'] || null;
+    if (!rustVersion && names.has('rust-toolchain.toml')) {
+      try {
+        rustVersion = toml.parse(await readFile('rust-toolchain.toml') || '').toolchain?.channel || null;
+      } catch (error) {
+        rustVersion = null;
+      }
+    }
+
+    return {
+      manifests: ['Cargo.toml', ...(names.has('Cargo.lock') ? ['Cargo.lock'] : [])],
+      name: cargoPackage.name || null,
+      version: field('version'),
+      description: field('description'),
+      runtime: { name: 'Rust', version: rustVersion },
+      packageManager: 'cargo',
+      dependencies: this.fromTable({ ...data.workspace?.dependencies, ...data.dependencies }),
+      devDependencies: this.fromTable({ ...data['dev-dependencies'], ...data['build-dependencies'] }),
+      scripts: [
+        { name: 'build', command: 'cargo build --release' },
+        { name: 'test', command: 'cargo test' },
+        ...(binaries.length === 1 ? [{ name: 'run', command: 'cargo run' }] : binaries.map(bin => ({ name: `run ${bin}`, command: `cargo run --bin ${bin}` })))
+      ],
+      installCommands: ['cargo build']
+    };
+  }
+
+  // { serde = "1", tokio = { version = "1", features = [...] }, local = { path = "../x" } }
+  fromTable(table = {}) {
+    return Object.entries(table).map(([name, value]) => ({
+      name: (value && typeof value === 'object' && value.package) || name,
+      spec: typeof value === 'string' ? value : value?.version || (value?.git ? `git+${value.git}` : value?.path || '')
+    }));
+  }
+}
+
+module.exports = new RustManifest();
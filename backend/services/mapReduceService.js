@@ -0,0 +1,451 @@
+const providerRegistry = require('./providers');
+const chunkingService = require('./chunkingService');
+const apiReferenceService = require('./apiReference');
+const pythonProjectService = require('./pythonProjectService');
+const manifestService = require('./manifests');
+const workspaceService = require('./workspaceService');
+const dependencyGraphService = require('./dependencyGraphService');
+const envVarService = require('./envVarService');
+const deploymentService = require('./deploymentService');
+
+class MapReduceService {
+  constructor() {
+    this.defaultTokenBudget = parseInt(process.env.MAP_REDUCE_TOKEN_BUDGET) || 60000;
+    this.chunkTokens = parseInt(process.env.MAP_REDUCE_CHUNK_TOKENS) || 3000;
+    this.summaryTokens = 500;
+    this.promptOverheadTokens = 250;
+    this.fetchConcurrency = 5;
+    this.maxFetchedFiles = 400;
+    this.maxReduceLevels = 4;
+  }
+
+  // Splits the total budget between the map passes and the final synthesis
+  planBudget(options = {}) {
+    const totalBudget = Math.max(parseInt(options.tokenBudget) || this.defaultTokenBudget, 10000);
+    const outputTokens = Math.min(options.maxTokens || 4000, Math.floor(totalBudget * 0.25));
+    const synthesisInputTokens = Math.floor(totalBudget * 0.25);
+    const mapBudget = totalBudget - outputTokens - synthesisInputTokens;
+    const costPerChunk = this.chunkTokens + this.summaryTokens + this.promptOverheadTokens;
+
+    return {
+      totalBudget,
+      outputTokens,
+      synthesisInputTokens,
+      mapBudget,
+      costPerChunk,
+      maxChunks: Math.max(1, Math.floor(mapBudget / costPerChunk))
+    };
+  }
+
+  async generateDocumentation(repoData, options = {}, { llm, onProgress, onToken, signal } = {}) {
+    const budget = this.planBudget(options);
+    const passes = [];
+    const report = (stage, detail) => {
+      if (onProgress) onProgress(stage, detail);
+    };
+
+    report('collecting');
+    const collected = await this.collectChunks(repoData, budget);
+
+    // Map - summarize each chunk independently
+    const summaries = [];
+    let mapTokensSpent = 0;
+
+    for (let i = 0; i < collected.chunks.length; i++) {
+      this.throwIfAborted(signal);
+
+      if (mapTokensSpent + budget.costPerChunk > budget.mapBudget) {
+        collected.skippedFiles += collected.chunks.slice(i).reduce((count, chunk) => count + chunk.files.length, 0);
+        break;
+      }
+
+      report('summarizing', { current: i + 1, total: collected.chunks.length });
+
+      const chunk = collected.chunks[i];
+      const result = await llm.createCompletion(this.buildChunkRequest(repoData, chunk, options));
+
+      mapTokensSpent += this.getTotalTokens(result.usage, chunk.tokens + this.summaryTokens);
+      summaries.push(`Files: ${chunk.files.join(', ')}\n${result.content}`);
+      passes.push({
+        pass: 'map',
+        index: i + 1,
+        files: chunk.files,
+        model: result.model,
+        usage: result.usage
+      });
+    }
+
+    // Reduce - condense summaries until they fit the synthesis prompt
+    let combined = summaries;
+    let level = 0;
+
+    while (
+      combined.length > 1 &&
+      level < this.maxReduceLevels &&
+      chunkingService.estimateTokens(combined.join('\n\n')) > budget.synthesisInputTokens
+    ) {
+      level++;
+      const groups = this.groupSummaries(combined);
+      if (groups.length === combined.length) break;
+
+      const reduced = [];
+      for (let i = 0; i < groups.length; i++) {
+        this.throwIfAborted(signal);
+        report('reducing', { level, current: i + 1, total: groups.length });
+
+        const result = await llm.createCompletion(this.buildReduceRequest(repoData, groups[i], options));
+        reduced.push(result.content);
+        passes.push({
+          pass: 'reduce',
+          level,
+          index: i + 1,
+          model: result.model,
+          usage: result.usage
+        });
+      }
+      combined = reduced;
+    }
+
+    // Synthesize - write the final document from the summaries
+    this.throwIfAborted(signal);
+    report('synthesizing');
+
+    const request = this.buildSynthesisRequest(repoData, combined, collected, options, budget);
+    const result = onToken
+      ? await llm.streamCompletion(request, { onToken, signal })
+      : await llm.createCompletion(request);
+
+    passes.push({
+      pass: 'synthesize',
+      index: 1,
+      model: result.model,
+      usage: result.usage
+    });
+
+    return {
+      content: result.content,
+      model: result.model,
+      finishReason: result.finishReason,
+      usage: this.sumUsage(passes),
+      passes,
+      coverage: {
+        strategy: 'map-reduce',
+        tokenBudget: budget.totalBudget,
+        totalFiles: collected.totalFiles,
+        summarizedFiles: passes.filter(p => p.pass === 'map').reduce((count, p) => count + p.files.length, 0),
+        skippedFiles: collected.skippedFiles
+      }
+    };
+  }
+
+  async collectChunks(repoData, budget) {
+    const { metadata = {}, readme, packageJson, sourceFiles } = repoData;
+    const ref = metadata.commitHash || metadata.branch || 'main';
+
+    // Clones, uploads and local folders kept the files picked for summarizing in the analysis
+    const tree = sourceFiles
+      ? sourceFiles.files.map(file => ({ name: file.path, size: file.content.length }))
+      : await this.listProviderTree(metadata, ref);
+    const ranked = chunkingService.rankFiles(tree);
+    const selected = this.selectFiles(ranked, budget);
+
+    const selectedPaths = new Set(selected.map(file => file.name));
+    let entries = sourceFiles
+      ? sourceFiles.files.filter(file => selectedPaths.has(file.path))
+      : await this.mapWithConcurrency(selected, this.fetchConcurrency, async (file) => {
+        const content = await this.readProviderFile(metadata, file.name, ref);
+        return content === null ? null : { path: file.name, content };
+      });
+    entries = entries.filter(Boolean);
+
+    // Tree unavailable (rate limit, private repo) - fall back to what the analysis already fetched
+    if (entries.length === 0) {
+      if (readme) entries.push({ path: 'README.md', content: readme });
+      if (packageJson) entries.push({ path: 'package.json', content: JSON.stringify(packageJson, null, 2) });
+    }
+
+    const chunks = chunkingService.buildChunks(entries, this.chunkTokens).slice(0, budget.maxChunks);
+    const chunkedFiles = chunks.reduce((count, chunk) => count + chunk.files.length, 0);
+    const rankedFiles = sourceFiles ? sourceFiles.totalFiles : ranked.length;
+
+    return {
+      chunks,
+      tree,
+      totalFiles: sourceFiles ? metadata.fileCount || rankedFiles : tree.length || entries.length,
+      skippedFiles: Math.max(rankedFiles - chunkedFiles, 0)
+    };
+  }
+
+  // Picks ranked files in priority order until the map budget would be exhausted
+  selectFiles(ranked, budget) {
+    const tokenAllowance = budget.maxChunks * this.chunkTokens;
+    const selected = [];
+    let estimatedTokens = 0;
+
+    for (const file of ranked) {
+      if (selected.length >= this.maxFetchedFiles) break;
+
+      const estimate = Math.min(Math.ceil((file.size || 0) / chunkingService.charsPerToken), this.chunkTokens);
+      if (estimatedTokens + estimate > tokenAllowance) continue;
+
+      selected.push(file);
+      estimatedTokens += estimate;
+    }
+
+    return selected;
+  }
+
+  // The checkout of a clone, upload or local folder is gone by the time the job runs, so the analysis reads
+  // the files map-reduce would summarize up front (only for options.strategy === 'map-reduce')
+  async readSourceFiles(files, readFile, options = {}) {
+    if (options.strategy !== 'map-reduce') return null;
+
+    const ranked = chunkingService.rankFiles(files);
+    const selected = this.selectFiles(ranked, this.planBudget(options));
+    const entries = await this.mapWithConcurrency(selected, this.fetchConcurrency, async (file) => {
+      const content = await readFile(file.name);
+      return content === null ? null : { path: file.name, content };
+    });
+
+    return { totalFiles: ranked.length, files: entries.filter(Boolean) };
+  }
+
+  // What the files kept by readSourceFiles depend on, for the analysis cache key
+  getSourceFilesKey(options = {}) {
+    return options.strategy === 'map-reduce' ? this.planBudget(options).maxChunks : null;
+  }
+
+  // Uploads, local folders and clones of unknown hosts have no API to read from - those use the analysis data
+  getProviderRef(metadata) {
+    const provider = metadata.provider ? providerRegistry.get(metadata.provider) : null;
+    const repoRef = provider && metadata.url ? provider.parseUrl(metadata.url) : null;
+    return repoRef ? { provider, repoRef } : null;
+  }
+
+  async listProviderTree(metadata, ref) {
+    const target = this.getProviderRef(metadata);
+    if (!target) return [];
+
+    try {
+      return await target.provider.listTree(target.repoRef, ref);
+    } catch (error) {
+      console.error('Error fetching repo files:', error.response?.status || error.message);
+      return [];
+    }
+  }
+
+  async readProviderFile(metadata, filePath, ref) {
+    const target = this.getProviderRef(metadata);
+    return target ? target.provider.readFile(target.repoRef, filePath, ref) : null;
+  }
+
+  groupSummaries(summaries) {
+    const groups = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const summary of summaries) {
+      const tokens = chunkingService.estimateTokens(summary);
+      // Always pair at least two summaries so every reduce level makes progress
+      if (currentTokens + tokens > this.chunkTokens && current.length > 1) {
+        groups.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(summary);
+      currentTokens += tokens;
+    }
+
+    if (current.length > 0) {
+      groups.push(current);
+    }
+
+    return groups;
+  }
+
+  buildChunkRequest(repoData, chunk, options) {
+    const { metadata = {} } = repoData;
+
+    return {
+      model: options.model,
+      temperature: 0.2,
+      maxTokens: this.summaryTokens,
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a senior software engineer summarizing source code so a technical writer can document the project. Be factual and specific; never invent files, commands or APIs.'
+        },
+        {
+          role: 'user',
+          content: `Repository: ${metadata.repoOwner}/${metadata.repoName} (${metadata.language || 'Unknown'}, ${metadata.framework || 'Unknown'})
+
+Summarize the files below. For each file or group of related files, describe its purpose, key exports, functions and classes, routes or commands it defines, configuration and environment variables it reads, and how it fits into the project. Use at most ${Math.floor(this.summaryTokens * 0.7)} words.
+
+${chunk.text}`
+        }
+      ]
+    };
+  }
+
+  buildReduceRequest(repoData, summaries, options) {
+    const { metadata = {} } = repoData;
+
+    return {
+      model: options.model,
+      temperature: 0.2,
+      maxTokens: this.summaryTokens,
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a senior software engineer condensing notes about a codebase. Keep concrete names (files, functions, commands, environment variables, endpoints) and drop repetition.'
+        },
+        {
+          role: 'user',
+          content: `Merge these partial summaries of ${metadata.repoOwner}/${metadata.repoName} into one summary of at most ${Math.floor(this.summaryTokens * 0.7)} words:\n\n${summaries.join('\n\n---\n\n')}`
+        }
+      ]
+    };
+  }
+
+  buildSynthesisRequest(repoData, summaries, collected, options, budget) {
+    const { metadata = {}, readme } = repoData;
+    const style = options.style || 'professional';
+
+    const readmeExcerpt = chunkingService.truncateToTokens(readme || '', Math.floor(budget.synthesisInputTokens / 4));
+    const summaryText = chunkingService.truncateToTokens(summaries.join('\n\n---\n\n'), Math.floor(budget.synthesisInputTokens * 0.6));
+
+    const subject = metadata.package
+      ? `the ${metadata.package.name} package (${metadata.package.path}/) of ${metadata.repoOwner}/${metadata.repoName}`
+      : `${metadata.repoOwner}/${metadata.repoName}`;
+    let prompt = `Generate comprehensive ${style} documentation in Markdown for ${subject}.\n\n`;
+    prompt += `Language: ${metadata.language || 'Unknown'}\n`;
+    prompt += `Framework: ${metadata.framework || 'Unknown'}\n`;
+    prompt += `Files in repository: ${collected.totalFiles}\n`;
+    prompt += `Top-level layout: ${this.describeLayout(collected.tree)}\n\n`;
+
+    if (readmeExcerpt) {
+      prompt += `README:\n${readmeExcerpt}\n\n`;
+    }
+
+    if (repoData.pythonProject) {
+      prompt += `${pythonProjectService.formatSummary(repoData.pythonProject)}\n\n`;
+    }
+
+    const otherManifests = manifestService.formatSummary(repoData.manifests);
+    if (otherManifests) {
+      prompt += `${otherManifests}\n\n`;
+    }
+
+    const setup = manifestService.formatSetup(repoData.manifests);
+    if (setup) {
+      prompt += `Setup (from the manifests - use these exact commands and versions):\n${setup}\n\n`;
+    }
+
+    const packages = workspaceService.formatSummary(repoData.workspace, Math.floor(budget.synthesisInputTokens * 0.1));
+    if (packages) {
+      prompt += `${packages}\n\n`;
+    }
+
+    const configuration = envVarService.formatSummary(repoData.envVars, Math.floor(budget.synthesisInputTokens * 0.05));
+    if (configuration) {
+      prompt += `${configuration}\n\n`;
+    }
+
+    const deployment = deploymentService.formatSummary(repoData.deployment, Math.floor(budget.synthesisInputTokens * 0.05));
+    if (deployment) {
+      prompt += `${deployment}\n\n`;
+    }
+
+    prompt += `Summaries of the source code, produced by reading the files directly:\n${summaryText}\n\n`;
+
+    const signatures = apiReferenceService.formatSignatures(repoData.apiReference, Math.floor(budget.synthesisInputTokens * 0.2));
+    if (signatures) {
+      prompt += `Public API (extracted from source - use these exact names and parameters in examples):\n${signatures}\n\n`;
+    }
+
+    const dependencies = dependencyGraphService.formatSummary(repoData.apiReference?.graph, Math.floor(budget.synthesisInputTokens * 0.05));
+    if (dependencies) {
+      prompt += `${dependencies}\n\n`;
+    }
+
+    prompt += `Write the documentation with these sections:\n`;
+    prompt += `1. Project overview and purpose\n`;
+    prompt += `2. Installation and setup instructions\n`;
+    prompt += `3. Usage guide with examples\n`;
+    prompt += `4. API documentation (if applicable)\n`;
+    prompt += `5. Architecture and key components\n`;
+    prompt += `6. Development and contribution guidelines\n`;
+    prompt += `7. Deployment instructions\n`;
+    prompt += `8. Troubleshooting section\n\n`;
+    prompt += `Only describe files, commands, scripts and configuration that appear in the summaries or README. Format in Markdown.`;
+
+    return {
+      model: options.model,
+      temperature: options.temperature,
+      maxTokens: budget.outputTokens,
+      messages: [
+        {
+          role: 'system',
+          content: 'You are an expert technical writer. Generate comprehensive, project-specific documentation for software projects.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    };
+  }
+
+  describeLayout(tree = []) {
+    const directories = {};
+
+    for (const file of tree) {
+      const segments = file.name.split('/');
+      const key = segments.length > 1 ? `${segments[0]}/` : '(root)';
+      directories[key] = (directories[key] || 0) + 1;
+    }
+
+    const entries = Object.entries(directories).sort(([, a], [, b]) => b - a).slice(0, 20);
+    return entries.length > 0
+      ? entries.map(([dir, count]) => `${dir} (${count} files)`).join(', ')
+      : 'Unknown';
+  }
+
+  sumUsage(passes) {
+    return passes.reduce((total, pass) => ({
+      prompt_tokens: total.prompt_tokens + (pass.usage?.prompt_tokens || 0),
+      completion_tokens: total.completion_tokens + (pass.usage?.completion_tokens || 0),
+      total_tokens: total.total_tokens + (pass.usage?.total_tokens || 0)
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+  }
+
+  getTotalTokens(usage, fallback) {
+    return usage?.total_tokens || fallback;
+  }
+
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      const cancelError = new Error('Generation cancelled');
+      cancelError.cancelled = true;
+      cancelError.partialContent = '';
+      throw cancelError;
+    }
+  }
+
+  async mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await mapper(items[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+}
+
+module.exports = new MapReduceService();
@@ -0,0 +1,26 @@
+// Helpers for the sections rendered from source (API reference, configuration, deployment, package index).
+// Their text comes from the analyzed repository - doc comments, example env file comments, compose values,
+// package descriptions - and Markdown passes raw HTML through, so every piece is escaped before it goes in.
+class MarkdownService {
+  escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  // Prose for a paragraph or list item
+  text(value) {
+    return this.escapeHtml(value);
+  }
+
+  // Prose for a table cell - a pipe or line break would end the cell
+  cell(value) {
+    return this.escapeHtml(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+
+  // Inline code, safe in a table cell. Renderers escape code spans themselves (entities would show up as
+  // "&lt;"), so only what would end the span or the cell is replaced.
+  code(value) {
+    return `\`${String(value ?? '').replace(/`/g, "'").replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')}\``;
+  }
+}
+
+module.exports = new MarkdownService();
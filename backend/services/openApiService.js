@@ -0,0 +1,167 @@
+const http = require('http');
+const yaml = require('js-yaml');
+
+// OpenAPI 3 documents built from the HTTP routes found in the source (repoData.apiReference.routes).
+// Static analysis only sees names, so request fields are untyped unless a Fastify schema says otherwise.
+class OpenApiService {
+  constructor() {
+    this.version = '3.0.3';
+    this.formats = ['json', 'yaml'];
+    // 'all' answers every method; list the common ones
+    this.allMethods = ['get', 'post', 'put', 'patch', 'delete'];
+  }
+
+  hasRoutes(repoData) {
+    return (repoData?.apiReference?.routes || []).length > 0;
+  }
+
+  buildSpec(repoData) {
+    if (!this.hasRoutes(repoData)) return null;
+
+    const { metadata = {}, packageJson } = repoData;
+    const frameworks = [...new Set(repoData.apiReference.routes.map(route => route.framework).filter(Boolean))];
+
+    const spec = {
+      openapi: this.version,
+      info: {
+        title: packageJson?.name || metadata.repoName || 'API',
+        version: packageJson?.version || '0.0.0',
+        description: [
+          metadata.description || packageJson?.description || '',
+          `Generated from the source code${metadata.commitHash ? ` at commit ${metadata.commitHash.slice(0, 12)}` : ''}` +
+            `${frameworks.length > 0 ? ` (${frameworks.join(', ')} routes)` : ''}.`
+        ].filter(Boolean).join('\n\n')
+      },
+      paths: {}
+    };
+
+    const tags = new Set();
+    for (const route of repoData.apiReference.routes) {
+      const methods = route.method === 'all' ? this.allMethods : [route.method];
+      const tag = this.getTag(route.path);
+      if (tag) tags.add(tag);
+
+      for (const method of methods) {
+        spec.paths[route.path] = spec.paths[route.path] || {};
+        if (spec.paths[route.path][method]) continue;
+        spec.paths[route.path][method] = this.buildOperation(route, method, tag);
+      }
+    }
+
+    if (tags.size > 0) {
+      spec.tags = [...tags].sort().map(name => ({ name }));
+    }
+    return spec;
+  }
+
+  buildOperation(route, method, tag) {
+    const schema = route.schema || {};
+    const operation = {
+      operationId: this.getOperationId(method, route.path),
+      ...(route.summary ? { summary: route.summary } : {}),
+      ...(tag ? { tags: [tag] } : {}),
+      parameters: [
+        ...route.pathParams.map(name => this.buildParameter(name, 'path', schema.params)),
+        ...route.query.map(name => this.buildParameter(name, 'query', schema.querystring)),
+        ...route.headers.map(name => this.buildParameter(name, 'header', schema.headers))
+      ],
+      responses: this.buildResponses(route, schema.response)
+    };
+
+    // Query parameters only declared in a Fastify schema
+    for (const [name, property] of Object.entries(schema.querystring?.properties || {})) {
+      if (!route.query.includes(name)) {
+        operation.parameters.push({ name, in: 'query', required: (schema.querystring.required || []).includes(name), schema: property });
+      }
+    }
+
+    if (operation.parameters.length === 0) delete operation.parameters;
+
+    const requestBody = this.buildRequestBody(route, schema.body);
+    if (requestBody) operation.requestBody = requestBody;
+
+    // Where the route is registered, so readers can check what the analysis could not see
+    operation['x-source'] = `${route.file}:${route.line}`;
+    return operation;
+  }
+
+  buildParameter(name, location, schemaObject) {
+    return {
+      name,
+      in: location,
+      required: location === 'path' || (schemaObject?.required || []).includes(name),
+      schema: schemaObject?.properties?.[name] || { type: 'string' }
+    };
+  }
+
+  buildRequestBody(route, bodySchema) {
+    if (bodySchema) {
+      return { required: true, content: { 'application/json': { schema: bodySchema } } };
+    }
+    if (!route.readsBody) return null;
+
+    return {
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            ...(route.body.length > 0 ? { properties: Object.fromEntries(route.body.map(name => [name, {}])) } : {})
+          }
+        }
+      }
+    };
+  }
+
+  // Statuses the handler sends, plus 200 when it only ever answers with errors explicitly
+  buildResponses(route, responseSchemas = {}) {
+    const statuses = new Set(route.statuses);
+    if (![...statuses].some(status => status >= 200 && status < 300)) statuses.add(200);
+
+    return Object.fromEntries([...statuses].sort().map(status => {
+      const response = { description: http.STATUS_CODES[status] || 'Response' };
+      const declared = responseSchemas?.[status] || responseSchemas?.[String(status)];
+
+      if (declared) {
+        response.content = { 'application/json': { schema: declared } };
+      } else if (route.json && status >= 200 && status < 300 && status !== 204) {
+        response.content = { 'application/json': { schema: {} } };
+      }
+      return [String(status), response];
+    }));
+  }
+
+  // First meaningful path segment: /api/v1/users/{id} -> users
+  getTag(routePath) {
+    const segments = routePath.split('/').filter(segment => segment && !segment.startsWith('{'));
+    const meaningful = segments.filter(segment => !/^(api|v\d+)$/i.test(segment));
+    return meaningful[0] || segments[0] || null;
+  }
+
+  getOperationId(method, routePath) {
+    const words = routePath
+      .split('/')
+      .filter(Boolean)
+      .map(segment => segment.startsWith('{') ? `by-${segment.slice(1, -1)}` : segment)
+      .join('-')
+      .split(/[^a-zA-Z0-9]+/)
+      .filter(Boolean);
+
+    return [method, ...words].map((word, index) =>
+      index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1)
+    ).join('');
+  }
+
+  serialize(spec, format = 'json') {
+    if (!this.formats.includes(format)) {
+      const error = new Error(`format must be one of: ${this.formats.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return format === 'yaml'
+      ? { body: yaml.dump(spec, { noRefs: true, lineWidth: 120 }), contentType: 'application/yaml' }
+      : { body: JSON.stringify(spec, null, 2), contentType: 'application/json' };
+  }
+}
+
+module.exports = new OpenApiService();
@@ -0,0 +1,133 @@
+const axios = require('axios');
+
+// Shared plumbing for source-host providers. Every provider implements:
+//   parseUrl(repoUrl)                     -> { host, owner, repo, branch }
+//   getRepoInfo(ref)                      -> normalized repository info
+//   resolveCommit(ref, name)              -> full commit SHA for a branch, tag or (short) SHA
+//   listTree(ref, branch)                 -> [{ name, size, sha }] for every file
+//   readFile(ref, filePath, branch)       -> file text, or null
+//   listCommits(ref, { branch, path, limit }) -> [{ sha, message, author, date, url }]
+//   compareCommits(ref, base, head)       -> { commits, files: [{ path, status }] } between two commits
+//   getWebUrl(ref, filePath, branch)      -> link to the repository (or file) on the host
+//   getCommitUrl(ref, sha)                -> link to a commit on the host
+class BaseProvider {
+  constructor({ name, displayName, defaultHosts = [], hostsEnv, tokenEnv }) {
+    this.name = name;
+    this.displayName = displayName;
+    this.tokenEnv = tokenEnv;
+    this.requestTimeout = 30000;
+
+    // Self-hosted instances are listed in e.g. GITLAB_HOSTS=git.example.com,gitlab.internal
+    const extraHosts = (process.env[hostsEnv] || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+    this.hosts = [...defaultHosts, ...extraHosts];
+  }
+
+  matchesHost(host) {
+    return this.hosts.includes((host || '').toLowerCase());
+  }
+
+  getToken() {
+    const token = process.env[this.tokenEnv];
+
+    // Ignore the placeholder values shipped in env.example
+    if (!token || !token.trim() || /^your_.*_here$/.test(token)) return null;
+    return token.trim();
+  }
+
+  // Splits https://, ssh:// and scp-style (git@host:owner/repo.git) URLs into host and path segments
+  splitUrl(repoUrl) {
+    const trimmed = (repoUrl || '').trim();
+    const scpMatch = trimmed.match(/^[\w.-]+@([^:\/]+):(.+)$/);
+
+    let host;
+    let pathname;
+    if (scpMatch) {
+      host = scpMatch[1];
+      pathname = scpMatch[2];
+    } else {
+      try {
+        const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+        host = url.host;
+        pathname = url.pathname;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const segments = pathname
+      .split('/')
+      .filter(Boolean)
+      .map(segment => decodeURIComponent(segment));
+
+    if (segments.length > 0) {
+      segments[segments.length - 1] = segments[segments.length - 1].replace(/\.git$/, '');
+    }
+
+    return { host: host.toLowerCase().replace(/^www\./, ''), segments };
+  }
+
+  // Resolves a ref to a commit. Refs taken from URLs (/tree/feature/x/docs) may carry a trailing
+  // path, so shorter prefixes are tried until one names a branch or tag.
+  async resolveRef(ref, name, { fromUrl = false } = {}) {
+    const segments = name.split('/');
+    const candidates = fromUrl
+      ? segments.map((_, index) => segments.slice(0, segments.length - index).join('/'))
+      : [name];
+
+    for (const candidate of candidates) {
+      try {
+        const sha = await this.resolveCommit(ref, candidate);
+        if (sha) return { name: candidate, sha };
+      } catch (error) {
+        if (error.response?.status !== 404 && error.response?.status !== 422) throw error;
+      }
+    }
+
+    const notFound = new Error(`Branch, tag or commit "${name}" was not found`);
+    notFound.statusCode = 404;
+    throw notFound;
+  }
+
+  async request(url, { headers = {}, params, responseType } = {}) {
+    const response = await axios.get(url, {
+      headers: { 'User-Agent': 'Doc-Creator-App', ...this.getAuthHeaders(), ...headers },
+      params,
+      responseType,
+      timeout: this.requestTimeout
+    });
+    return response;
+  }
+
+  async readText(url, options = {}) {
+    try {
+      const response = await this.request(url, { ...options, responseType: 'text' });
+      return typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error(`Error reading file from ${this.displayName}:`, error.response?.status || error.message);
+      }
+      return null;
+    }
+  }
+
+  getAuthHeaders() {
+    return {};
+  }
+
+  // Hosts spell file statuses differently - compare results use added, modified, removed and renamed
+  normalizeStatus(status) {
+    if (['added', 'new'].includes(status)) return 'added';
+    if (['removed', 'deleted'].includes(status)) return 'removed';
+    if (status === 'renamed') return 'renamed';
+    return 'modified';
+  }
+
+  encodePath(filePath) {
+    return filePath.split('/').map(encodeURIComponent).join('/');
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,146 @@
+const BaseProvider = require('./baseProvider');
+
+class BitbucketProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'bitbucket',
+      displayName: 'Bitbucket',
+      defaultHosts: ['bitbucket.org'],
+      tokenEnv: 'BITBUCKET_TOKEN'
+    });
+    this.apiBase = 'https://api.bitbucket.org/2.0';
+    this.maxTreePages = 50;
+  }
+
+  // bitbucket.org/workspace/repo[/src/branch]
+  parseUrl(repoUrl) {
+    const parts = this.splitUrl(repoUrl);
+    if (!parts || parts.segments.length < 2) return null;
+
+    const [owner, repo, marker, branch] = parts.segments;
+    return {
+      host: parts.host,
+      owner,
+      repo,
+      branch: marker === 'src' && branch ? branch : null
+    };
+  }
+
+  getRepoUrl(ref) {
+    return `${this.apiBase}/repositories/${ref.owner}/${ref.repo}`;
+  }
+
+  // Access tokens, or an app password together with BITBUCKET_USERNAME
+  getAuthHeaders() {
+    const username = process.env.BITBUCKET_USERNAME;
+    const appPassword = process.env.BITBUCKET_APP_PASSWORD;
+    if (username && appPassword) {
+      return { 'Authorization': `Basic ${Buffer.from(`${username}:${appPassword}`).toString('base64')}` };
+    }
+
+    const token = this.getToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+  }
+
+  async getRepoInfo(ref) {
+    const { data } = await this.request(this.getRepoUrl(ref));
+
+    return {
+      name: data.slug || data.name,
+      owner: data.workspace?.slug || ref.owner,
+      description: data.description || '',
+      language: data.language || null,
+      stars: null,
+      forks: null,
+      openIssues: null,
+      defaultBranch: data.mainbranch?.name || 'main',
+      topics: [],
+      homepage: data.website || null,
+      license: null,
+      webUrl: data.links?.html?.href,
+      createdAt: data.created_on,
+      updatedAt: data.updated_on
+    };
+  }
+
+  async resolveCommit(ref, name) {
+    const { data } = await this.request(`${this.getRepoUrl(ref)}/commit/${encodeURIComponent(name)}`);
+    return data.hash;
+  }
+
+  async listTree(ref, branch) {
+    const files = [];
+    let url = `${this.getRepoUrl(ref)}/src/${encodeURIComponent(branch)}/`;
+    let params = { pagelen: 100, max_depth: 20 };
+
+    for (let page = 0; url && page < this.maxTreePages; page++) {
+      const { data } = await this.request(url, { params });
+
+      for (const item of data.values || []) {
+        if (item.type === 'commit_file') files.push({ name: item.path, size: item.size, sha: item.commit?.hash });
+      }
+
+      // The "next" link already carries the query string
+      url = data.next;
+      params = undefined;
+    }
+
+    return files;
+  }
+
+  async readFile(ref, filePath, branch) {
+    return this.readText(`${this.getRepoUrl(ref)}/src/${encodeURIComponent(branch)}/${this.encodePath(filePath)}`);
+  }
+
+  async listCommits(ref, { branch, path, limit = 20 } = {}) {
+    const { data } = await this.request(`${this.getRepoUrl(ref)}/commits/${encodeURIComponent(branch)}`, {
+      params: { path, pagelen: limit }
+    });
+
+    return (data.values || []).slice(0, limit).map(commit => ({
+      sha: commit.hash,
+      message: commit.message,
+      author: commit.author?.user?.display_name || commit.author?.raw,
+      date: commit.date,
+      url: commit.links?.html?.href
+    }));
+  }
+
+  // Bitbucket has no compare summary - count the commits and walk the diffstat separately
+  async compareCommits(ref, base, head) {
+    let commits = 0;
+    let url = `${this.getRepoUrl(ref)}/commits`;
+    let params = { include: head, exclude: base, pagelen: 100 };
+    for (let page = 0; url && page < this.maxTreePages; page++) {
+      const { data } = await this.request(url, { params });
+      commits += (data.values || []).length;
+      url = data.next;
+      params = undefined;
+    }
+
+    const files = [];
+    url = `${this.getRepoUrl(ref)}/diffstat/${head}..${base}`;
+    params = { pagelen: 500 };
+    for (let page = 0; url && page < this.maxTreePages; page++) {
+      const { data } = await this.request(url, { params });
+      for (const entry of data.values || []) {
+        files.push({ path: entry.new?.path || entry.old?.path, status: this.normalizeStatus(entry.status) });
+      }
+      url = data.next;
+      params = undefined;
+    }
+
+    return { commits, files };
+  }
+
+  getWebUrl(ref, filePath, branch) {
+    const base = `https://${ref.host}/${ref.owner}/${ref.repo}`;
+    return filePath ? `${base}/src/${branch}/${this.encodePath(filePath)}` : base;
+  }
+
+  getCommitUrl(ref, sha) {
+    return `https://${ref.host}/${ref.owner}/${ref.repo}/commits/${sha}`;
+  }
+}
+
+module.exports = new BitbucketProvider();
@@ -0,0 +1,125 @@
+const BaseProvider = require('./baseProvider');
+
+// Gitea and its Forgejo fork (Codeberg) share the same REST API
+class GiteaProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'gitea',
+      displayName: 'Gitea',
+      defaultHosts: ['gitea.com', 'codeberg.org'],
+      hostsEnv: 'GITEA_HOSTS',
+      tokenEnv: 'GITEA_TOKEN'
+    });
+    this.pageSize = 1000;
+    this.maxTreePages = 20;
+  }
+
+  // host/owner/repo[/src/branch/name]
+  parseUrl(repoUrl) {
+    const parts = this.splitUrl(repoUrl);
+    if (!parts || parts.segments.length < 2) return null;
+
+    const [owner, repo, marker, kind, ...rest] = parts.segments;
+    let branch = null;
+    if (marker === 'src') {
+      branch = kind === 'branch' ? rest[0] : kind;
+    }
+
+    return { host: parts.host, owner, repo, branch: branch || null };
+  }
+
+  getRepoUrl(ref) {
+    return `https://${ref.host}/api/v1/repos/${ref.owner}/${ref.repo}`;
+  }
+
+  getAuthHeaders() {
+    const token = this.getToken();
+    return token ? { 'Authorization': `token ${token}` } : {};
+  }
+
+  async getRepoInfo(ref) {
+    const { data } = await this.request(this.getRepoUrl(ref));
+
+    return {
+      name: data.name,
+      owner: data.owner?.login || ref.owner,
+      description: data.description || '',
+      language: data.language || null,
+      stars: data.stars_count,
+      forks: data.forks_count,
+      openIssues: data.open_issues_count,
+      defaultBranch: data.default_branch,
+      topics: data.topics || [],
+      homepage: data.website || null,
+      license: null,
+      webUrl: data.html_url,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+
+  // The single-commit endpoint only takes SHAs; the commit list resolves branches and tags too
+  async resolveCommit(ref, name) {
+    const { data } = await this.request(`${this.getRepoUrl(ref)}/commits`, {
+      params: { sha: name, limit: 1, stat: false }
+    });
+    return data[0]?.sha || null;
+  }
+
+  async listTree(ref, branch) {
+    const files = [];
+
+    for (let page = 1; page <= this.maxTreePages; page++) {
+      const { data } = await this.request(`${this.getRepoUrl(ref)}/git/trees/${encodeURIComponent(branch)}`, {
+        params: { recursive: true, per_page: this.pageSize, page }
+      });
+
+      for (const item of data.tree || []) {
+        if (item.type === 'blob') files.push({ name: item.path, size: item.size, sha: item.sha });
+      }
+
+      if (!data.truncated) break;
+    }
+
+    return files;
+  }
+
+  async readFile(ref, filePath, branch) {
+    return this.readText(`${this.getRepoUrl(ref)}/raw/${this.encodePath(filePath)}`, { params: { ref: branch } });
+  }
+
+  async listCommits(ref, { branch, path, limit = 20 } = {}) {
+    const { data } = await this.request(`${this.getRepoUrl(ref)}/commits`, {
+      params: { sha: branch, path, limit }
+    });
+
+    return data.map(commit => ({
+      sha: commit.sha,
+      message: commit.commit?.message,
+      author: commit.commit?.author?.name,
+      date: commit.commit?.author?.date,
+      url: commit.html_url
+    }));
+  }
+
+  // Available since Gitea 1.22
+  async compareCommits(ref, base, head) {
+    const { data } = await this.request(`${this.getRepoUrl(ref)}/compare/${base}...${head}`);
+
+    return {
+      commits: data.total_commits ?? (data.commits || []).length,
+      files: (data.files || []).map(file => ({ path: file.filename, status: this.normalizeStatus(file.status) }))
+    };
+  }
+
+  getWebUrl(ref, filePath, branch) {
+    const base = `https://${ref.host}/${ref.owner}/${ref.repo}`;
+    return filePath ? `${base}/src/branch/${branch}/${this.encodePath(filePath)}` : base;
+  }
+
+  getCommitUrl(ref, sha) {
+    return `https://${ref.host}/${ref.owner}/${ref.repo}/commit/${sha}`;
+  }
+}
+
+module.exports = new GiteaProvider();
@@ -0,0 +1,125 @@
+const BaseProvider = require('./baseProvider');
+
+class GitHubProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'github',
+      displayName: 'GitHub',
+      defaultHosts: ['github.com'],
+      hostsEnv: 'GITHUB_HOSTS',
+      tokenEnv: 'GITHUB_TOKEN'
+    });
+  }
+
+  // github.com/owner/repo[/tree/branch]
+  parseUrl(repoUrl) {
+    const parts = this.splitUrl(repoUrl);
+    if (!parts || parts.segments.length < 2) return null;
+
+    const [owner, repo, marker, ...rest] = parts.segments;
+    return {
+      host: parts.host,
+      owner,
+      repo,
+      branch: marker === 'tree' && rest.length > 0 ? rest.join('/') : null
+    };
+  }
+
+  getApiBase(ref) {
+    // GitHub Enterprise serves the REST API under /api/v3
+    return ref.host === 'github.com' ? 'https://api.github.com' : `https://${ref.host}/api/v3`;
+  }
+
+  getAuthHeaders() {
+    const token = this.getToken();
+    return token ? { 'Authorization': `token ${token}` } : {};
+  }
+
+  async getRepoInfo(ref) {
+    const { data } = await this.request(`${this.getApiBase(ref)}/repos/${ref.owner}/${ref.repo}`, {
+      headers: { 'Accept': 'application/vnd.github.v3+json' }
+    });
+
+    return {
+      name: data.name,
+      owner: data.owner?.login || ref.owner,
+      description: data.description || '',
+      language: data.language,
+      stars: data.stargazers_count,
+      forks: data.forks_count,
+      openIssues: data.open_issues_count,
+      defaultBranch: data.default_branch,
+      topics: data.topics || [],
+      homepage: data.homepage,
+      license: data.license?.name,
+      size: data.size,
+      webUrl: data.html_url,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+
+  async resolveCommit(ref, name) {
+    const { data } = await this.request(
+      `${this.getApiBase(ref)}/repos/${ref.owner}/${ref.repo}/commits/${encodeURIComponent(name)}`,
+      { headers: { 'Accept': 'application/vnd.github.v3+json' } }
+    );
+    return data.sha;
+  }
+
+  async listTree(ref, branch) {
+    const { data } = await this.request(
+      `${this.getApiBase(ref)}/repos/${ref.owner}/${ref.repo}/git/trees/${encodeURIComponent(branch)}`,
+      { params: { recursive: 1 } }
+    );
+
+    return (data.tree || [])
+      .filter(item => item.type === 'blob')
+      .map(item => ({ name: item.path, size: item.size, sha: item.sha }));
+  }
+
+  async readFile(ref, filePath, branch) {
+    return this.readText(
+      `${this.getApiBase(ref)}/repos/${ref.owner}/${ref.repo}/contents/${this.encodePath(filePath)}`,
+      { params: { ref: branch }, headers: { 'Accept': 'application/vnd.github.raw' } }
+    );
+  }
+
+  async listCommits(ref, { branch, path, limit = 20 } = {}) {
+    const { data } = await this.request(`${this.getApiBase(ref)}/repos/${ref.owner}/${ref.repo}/commits`, {
+      params: { sha: branch, path, per_page: limit }
+    });
+
+    return data.map(commit => ({
+      sha: commit.sha,
+      message: commit.commit?.message,
+      author: commit.commit?.author?.name,
+      date: commit.commit?.author?.date,
+      url: commit.html_url
+    }));
+  }
+
+  // The compare endpoint lists at most 300 files
+  async compareCommits(ref, base, head) {
+    const { data } = await this.request(
+      `${this.getApiBase(ref)}/repos/${ref.owner}/${ref.repo}/compare/${base}...${head}`,
+      { headers: { 'Accept': 'application/vnd.github.v3+json' } }
+    );
+
+    return {
+      commits: data.ahead_by,
+      files: (data.files || []).map(file => ({ path: file.filename, status: this.normalizeStatus(file.status) }))
+    };
+  }
+
+  getWebUrl(ref, filePath, branch) {
+    const base = `https://${ref.host}/${ref.owner}/${ref.repo}`;
+    return filePath ? `${base}/blob/${branch}/${this.encodePath(filePath)}` : base;
+  }
+
+  getCommitUrl(ref, sha) {
+    return `https://${ref.host}/${ref.owner}/${ref.repo}/commit/${sha}`;
+  }
+}
+
+module.exports = new GitHubProvider();
@@ -0,0 +1,143 @@
+const BaseProvider = require('./baseProvider');
+
+class GitLabProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'gitlab',
+      displayName: 'GitLab',
+      defaultHosts: ['gitlab.com'],
+      hostsEnv: 'GITLAB_HOSTS',
+      tokenEnv: 'GITLAB_TOKEN'
+    });
+    this.pageSize = 100;
+    this.maxTreePages = 50;
+  }
+
+  // gitlab.com/group/subgroup/project[/-/tree/branch]
+  parseUrl(repoUrl) {
+    const parts = this.splitUrl(repoUrl);
+    if (!parts) return null;
+
+    const separator = parts.segments.indexOf('-');
+    const projectSegments = separator === -1 ? parts.segments : parts.segments.slice(0, separator);
+    if (projectSegments.length < 2) return null;
+
+    const [marker, ...rest] = separator === -1 ? [] : parts.segments.slice(separator + 1);
+
+    return {
+      host: parts.host,
+      owner: projectSegments.slice(0, -1).join('/'),
+      repo: projectSegments[projectSegments.length - 1],
+      branch: ['tree', 'blob'].includes(marker) && rest.length > 0 ? rest.join('/') : null
+    };
+  }
+
+  getProjectUrl(ref) {
+    return `https://${ref.host}/api/v4/projects/${encodeURIComponent(`${ref.owner}/${ref.repo}`)}`;
+  }
+
+  getAuthHeaders() {
+    const token = this.getToken();
+    return token ? { 'PRIVATE-TOKEN': token } : {};
+  }
+
+  async getRepoInfo(ref) {
+    const { data } = await this.request(this.getProjectUrl(ref), { params: { license: true } });
+
+    // GitLab reports languages as percentages in a separate endpoint
+    let language = null;
+    try {
+      const languages = (await this.request(`${this.getProjectUrl(ref)}/languages`)).data;
+      language = Object.entries(languages).sort(([, a], [, b]) => b - a)[0]?.[0] || null;
+    } catch (error) {
+      console.log('Could not fetch GitLab project languages');
+    }
+
+    return {
+      name: data.path || data.name,
+      owner: data.namespace?.full_path || ref.owner,
+      description: data.description || '',
+      language,
+      stars: data.star_count,
+      forks: data.forks_count,
+      openIssues: data.open_issues_count,
+      defaultBranch: data.default_branch,
+      topics: data.topics || data.tag_list || [],
+      homepage: null,
+      license: data.license?.name,
+      webUrl: data.web_url,
+      createdAt: data.created_at,
+      updatedAt: data.last_activity_at
+    };
+  }
+
+  async resolveCommit(ref, name) {
+    const { data } = await this.request(`${this.getProjectUrl(ref)}/repository/commits/${encodeURIComponent(name)}`);
+    return data.id;
+  }
+
+  async listTree(ref, branch) {
+    const files = [];
+
+    for (let page = 1; page <= this.maxTreePages; page++) {
+      const response = await this.request(`${this.getProjectUrl(ref)}/repository/tree`, {
+        params: { ref: branch, recursive: true, per_page: this.pageSize, page }
+      });
+
+      for (const item of response.data) {
+        // The tree endpoint has no sizes - ranking treats unknown sizes as small
+        if (item.type === 'blob') files.push({ name: item.path, sha: item.id });
+      }
+
+      if (!response.headers['x-next-page']) break;
+    }
+
+    return files;
+  }
+
+  async readFile(ref, filePath, branch) {
+    return this.readText(
+      `${this.getProjectUrl(ref)}/repository/files/${encodeURIComponent(filePath)}/raw`,
+      { params: { ref: branch } }
+    );
+  }
+
+  async listCommits(ref, { branch, path, limit = 20 } = {}) {
+    const { data } = await this.request(`${this.getProjectUrl(ref)}/repository/commits`, {
+      params: { ref_name: branch, path, per_page: limit }
+    });
+
+    return data.map(commit => ({
+      sha: commit.id,
+      message: commit.message,
+      author: commit.author_name,
+      date: commit.committed_date,
+      url: commit.web_url
+    }));
+  }
+
+  async compareCommits(ref, base, head) {
+    const { data } = await this.request(`${this.getProjectUrl(ref)}/repository/compare`, {
+      params: { from: base, to: head, straight: true }
+    });
+
+    return {
+      commits: (data.commits || []).length,
+      files: (data.diffs || []).map(diff => ({
+        path: diff.new_path || diff.old_path,
+        status: diff.new_file ? 'added' : diff.deleted_file ? 'removed' : diff.renamed_file ? 'renamed' : 'modified'
+      }))
+    };
+  }
+
+  getWebUrl(ref, filePath, branch) {
+    const base = `https://${ref.host}/${ref.owner}/${ref.repo}`;
+    return filePath ? `${base}/-/blob/${branch}/${this.encodePath(filePath)}` : base;
+  }
+
+  getCommitUrl(ref, sha) {
+    return `https://${ref.host}/${ref.owner}/${ref.repo}/-/commit/${sha}`;
+  }
+}
+
+module.exports = new GitLabProvider();
@@ -0,0 +1,42 @@
+const githubProvider = require('./githubProvider');
+const gitlabProvider = require('./gitlabProvider');
+const bitbucketProvider = require('./bitbucketProvider');
+const giteaProvider = require('./giteaProvider');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = [githubProvider, gitlabProvider, bitbucketProvider, giteaProvider];
+  }
+
+  get(name) {
+    return this.providers.find(provider => provider.name === name) || null;
+  }
+
+  // Explicit provider name wins (self-hosted instances on custom domains), otherwise match by URL host
+  resolve(repoUrl, providerName) {
+    if (providerName) {
+      const provider = this.get(providerName);
+      if (!provider) {
+        throw new Error(`Unknown provider "${providerName}". Use one of: ${this.providers.map(p => p.name).join(', ')}`);
+      }
+      return provider;
+    }
+
+    const parts = githubProvider.splitUrl(repoUrl);
+    if (!parts) return null;
+
+    return this.providers.find(provider => provider.matchesHost(parts.host)) || null;
+  }
+
+  list() {
+    return this.providers.map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName,
+      hosts: provider.hosts,
+      tokenEnv: provider.tokenEnv,
+      authenticated: Object.keys(provider.getAuthHeaders()).length > 0
+    }));
+  }
+}
+
+module.exports = new ProviderRegistry();
@@ -0,0 +1,342 @@
+const toml = require('smol-toml');
+
+// What a Python project declares about itself - name, supported Python versions, dependencies, extras,
+// console scripts and how it installs - read from pyproject.toml (PEP 621, Poetry, PDM), setup.cfg,
+// setup.py, Pipfile and requirements files at the repository root, without running any of them
+class PythonProjectService {
+  constructor() {
+    this.manifests = ['pyproject.toml', 'setup.cfg', 'setup.py'];
+    // Environments rather than packages: they list dependencies but make nothing installable
+    this.environmentFiles = ['Pipfile'];
+    this.requirementsPattern = /^requirements([-_.][\w.-]+)?\.(txt|in)$/i;
+    this.maxDependencies = 60;
+  }
+
+  // files: [{ name }] of the whole tree; readFile(name) resolves to the text or null.
+  // Returns null when the repository has no Python manifest.
+  async read(files, readFile) {
+    const names = new Set(files.map(file => file.name));
+    const present = [
+      ...this.manifests.filter(name => names.has(name)),
+      ...this.environmentFiles.filter(name => names.has(name)),
+      // requirements.txt before requirements-dev.txt
+      ...files.map(file => file.name).filter(name => this.requirementsPattern.test(name)).sort((a, b) => a.length - b.length || a.localeCompare(b))
+    ];
+    if (present.length === 0) return null;
+
+    const project = {
+      name: null,
+      version: null,
+      description: null,
+      requiresPython: null,
+      buildBackend: null,
+      dependencies: [],
+      optionalDependencies: {},
+      devDependencies: [],
+      scripts: [],
+      // Named shell commands (Pipfile [scripts]): [{ name, command }]
+      commands: [],
+      packages: this.findPackages(names),
+      manifests: present,
+      entryPoints: [],
+      installCommands: []
+    };
+
+    for (const name of present) {
+      let content = null;
+      try {
+        content = await readFile(name);
+      } catch (error) {
+        content = null;
+      }
+      if (!content) continue;
+
+      try {
+        if (name === 'pyproject.toml') this.applyPyproject(project, toml.parse(content));
+        else if (name === 'setup.cfg') this.applySetupCfg(project, this.parseIni(content));
+        else if (name === 'setup.py') this.applySetupPy(project, content);
+        else if (name === 'Pipfile') this.applyPipfile(project, toml.parse(content));
+        else this.applyRequirements(project, name, content);
+      } catch (error) {
+        console.log(`Could not read ${name}: ${error.message}`);
+      }
+    }
+
+    project.dependencies = this.dedupe(project.dependencies).slice(0, this.maxDependencies);
+    project.devDependencies = this.dedupe(project.devDependencies).slice(0, this.maxDependencies);
+    project.scripts = project.scripts.map(script => ({ ...script, file: this.resolveModule(script.module, names) }));
+    project.entryPoints = [
+      ...project.scripts.map(script => script.file).filter(Boolean),
+      ...project.packages.map(item => item.init)
+    ];
+    project.packages = project.packages.map(item => item.name);
+    project.installCommands = this.getInstallCommands(project, names);
+    return project;
+  }
+
+  // Top-level import packages: directories at the root or under src/ with an __init__.py
+  findPackages(names) {
+    return [...names]
+      .filter(name => /^(src\/)?[A-Za-z_]\w*\/__init__\.py$/.test(name))
+      .map(init => ({ name: init.replace(/^src\//, '').split('/')[0], init }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // "pkg.cli" -> pkg/cli.py, pkg/cli/__init__.py, or the same under src/
+  resolveModule(moduleName, names) {
+    if (!moduleName) return null;
+    const base = moduleName.replace(/\./g, '/');
+    const candidates = [`${base}.py`, `${base}/__init__.py`, `src/${base}.py`, `src/${base}/__init__.py`];
+    return candidates.find(candidate => names.has(candidate)) || null;
+  }
+
+  applyPyproject(project, data) {
+    const meta = data.project || {};
+    const poetry = data.tool?.poetry || {};
+
+    project.name = project.name || meta.name || poetry.name || null;
+    project.version = project.version || meta.version || poetry.version || null;
+    project.description = project.description || meta.description || poetry.description || null;
+    project.requiresPython = project.requiresPython || meta['requires-python'] ||
+      (typeof poetry.dependencies?.python === 'string' ? poetry.dependencies.python : null);
+    project.buildBackend = this.getBuildBackend(data) || project.buildBackend;
+
+    project.dependencies.push(...(meta.dependencies || []).map(spec => this.parseRequirement(spec)).filter(Boolean));
+    for (const [extra, specs] of Object.entries(meta['optional-dependencies'] || {})) {
+      project.optionalDependencies[extra] = specs.map(spec => this.parseRequirement(spec)?.name).filter(Boolean);
+    }
+    for (const specs of Object.values(data['dependency-groups'] || {})) {
+      project.devDependencies.push(...specs.filter(spec => typeof spec === 'string').map(spec => this.parseRequirement(spec)).filter(Boolean));
+    }
+    for (const specs of Object.values(data.tool?.pdm?.['dev-dependencies'] || {})) {
+      project.devDependencies.push(...specs.map(spec => this.parseRequirement(spec)).filter(Boolean));
+    }
+
+    project.dependencies.push(...this.fromPoetryTable(poetry.dependencies));
+    project.devDependencies.push(...this.fromPoetryTable(poetry['dev-dependencies']));
+    for (const group of Object.values(poetry.group || {})) {
+      project.devDependencies.push(...this.fromPoetryTable(group.dependencies));
+    }
+    for (const [extra, packages] of Object.entries(poetry.extras || {})) {
+      project.optionalDependencies[extra] = packages;
+    }
+
+    const scripts = { ...meta.scripts, ...meta['gui-scripts'], ...poetry.scripts };
+    for (const [name, target] of Object.entries(scripts)) {
+      // Poetry also allows { reference, type } tables
+      const reference = typeof target === 'string' ? target : target?.reference || target?.callable;
+      if (reference) project.scripts.push(this.parseEntryPoint(name, reference));
+    }
+  }
+
+  getBuildBackend(data) {
+    const backend = data['build-system']?.['build-backend'] || '';
+    if (backend.startsWith('poetry')) return 'poetry';
+    if (backend.startsWith('hatchling')) return 'hatch';
+    if (backend.startsWith('flit')) return 'flit';
+    if (backend.startsWith('pdm')) return 'pdm';
+    if (backend.startsWith('maturin')) return 'maturin';
+    if (backend.startsWith('setuptools')) return 'setuptools';
+    if (data.tool?.poetry) return 'poetry';
+    return backend || null;
+  }
+
+  // { requests: "^2.31", rich: { version: "^13", optional: true } }
+  fromPoetryTable(table = {}) {
+    return Object.entries(table)
+      .filter(([name]) => name.toLowerCase() !== 'python')
+      .map(([name, value]) => ({
+        name,
+        spec: typeof value === 'string' ? value : value?.version || (value?.git ? `git+${value.git}` : value?.path || '')
+      }));
+  }
+
+  // INI with indented continuation lines: { section: { key: value } }
+  parseIni(content) {
+    const sections = {};
+    let section = null;
+    let key = null;
+
+    for (const line of content.split(/\r?\n/)) {
+      if (/^\s*[#;]/.test(line) || !line.trim()) continue;
+
+      const header = line.match(/^\[([^\]]+)\]\s*$/);
+      if (header) {
+        section = sections[header[1].trim()] = {};
+        key = null;
+      } else if (/^\s/.test(line) && section && key) {
+        section[key] += `\n${line.trim()}`;
+      } else if (section) {
+        const pair = line.match(/^([^=:]+?)\s*[=:]\s*(.*)$/);
+        if (pair) {
+          key = pair[1].trim();
+          section[key] = pair[2].trim();
+        }
+      }
+    }
+    return sections;
+  }
+
+  applySetupCfg(project, ini) {
+    const metadata = ini.metadata || {};
+    const options = ini.options || {};
+    const lines = (value) => (value || '').split('\n').map(line => line.replace(/\s+#.*$/, '').trim()).filter(Boolean);
+
+    project.name = project.name || metadata.name || null;
+    project.version = project.version || (metadata.version && !metadata.version.startsWith('attr:') ? metadata.version : null);
+    project.description = project.description || metadata.description || null;
+    project.requiresPython = project.requiresPython || options.python_requires || null;
+    project.buildBackend = project.buildBackend || 'setuptools';
+
+    project.dependencies.push(...lines(options.install_requires).map(spec => this.parseRequirement(spec)).filter(Boolean));
+    for (const [extra, specs] of Object.entries(ini['options.extras_require'] || {})) {
+      project.optionalDependencies[extra] = lines(specs).map(spec => this.parseRequirement(spec)?.name).filter(Boolean);
+    }
+
+    const entryPoints = ini['options.entry_points'] || {};
+    for (const line of [...lines(entryPoints.console_scripts), ...lines(entryPoints.gui_scripts)]) {
+      const [name, reference] = line.split('=').map(part => part.trim());
+      if (name && reference) project.scripts.push(this.parseEntryPoint(name, reference));
+    }
+  }
+
+  // setup.py is code; only the literal keyword arguments are read
+  applySetupPy(project, content) {
+    const keyword = (name) => content.match(new RegExp(`\\b${name}\\s*=\\s*['"]([^'"]+)['"]`))?.[1] || null;
+    const list = (name) => {
+      const match = content.match(new RegExp(`\\b${name}\\s*=\\s*\\[([^\\]]*)\\]`));
+      return match ? [...match[1].matchAll(/['"]([^'"]+)['"]/g)].map(item => item[1]) : [];
+    };
+
+    project.name = project.name || keyword('name');
+    project.version = project.version || keyword('version');
+    project.description = project.description || keyword('description');
+    project.requiresPython = project.requiresPython || keyword('python_requires');
+    project.buildBackend = project.buildBackend || 'setuptools';
+    project.dependencies.push(...list('install_requires').map(spec => this.parseRequirement(spec)).filter(Boolean));
+
+    const consoleScripts = content.match(/['"](?:console|gui)_scripts['"]\s*:\s*\[([^\]]*)\]/);
+    for (const item of consoleScripts ? consoleScripts[1].matchAll(/['"]([^'"]+)['"]/g) : []) {
+      const [name, reference] = item[1].split('=').map(part => part.trim());
+      if (name && reference) project.scripts.push(this.parseEntryPoint(name, reference));
+    }
+  }
+
+  // [packages] and [dev-packages] tables like Poetry's, [requires] python_version and [scripts] commands
+  applyPipfile(project, data) {
+    project.dependencies.push(...this.fromPipfileTable(data.packages));
+    project.devDependencies.push(...this.fromPipfileTable(data['dev-packages']));
+
+    const requires = data.requires || {};
+    if (requires.python_full_version) project.requiresPython = project.requiresPython || `==${requires.python_full_version}`;
+    if (requires.python_version) project.requiresPython = project.requiresPython || `==${requires.python_version}.*`;
+
+    for (const [name, command] of Object.entries(data.scripts || {})) {
+      if (typeof command === 'string') project.commands.push({ name, command });
+    }
+  }
+
+  fromPipfileTable(table = {}) {
+    return Object.entries(table).map(([name, value]) => {
+      const spec = typeof value === 'string' ? value : value?.version || (value?.git ? `git+${value.git}` : value?.path || '');
+      return { name, spec: spec === '*' ? '' : spec };
+    });
+  }
+
+  // requirements.txt, requirements-dev.txt, requirements.in - dev files feed devDependencies
+  applyRequirements(project, fileName, content) {
+    const target = /dev|test|lint|doc/i.test(fileName) ? project.devDependencies : project.dependencies;
+    for (const line of content.split(/\r?\n/)) {
+      const spec = line.replace(/\s+#.*$|^#.*$/, '').trim();
+      if (!spec || spec.startsWith('-')) continue;
+      const requirement = this.parseRequirement(spec);
+      if (requirement) target.push(requirement);
+    }
+  }
+
+  // "requests[socks]>=2.31; python_version >= '3.8'" -> { name: 'requests', spec: '>=2.31' }
+  parseRequirement(spec) {
+    const match = String(spec).trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(?:@\s*(\S+)|([^;]*))/);
+    if (!match) return null;
+    return { name: match[1], spec: (match[3] ? `@ ${match[3]}` : match[4] || '').replace(/\s+/g, '').replace(/^\((.*)\)$/, '$1') };
+  }
+
+  // "mytool = pkg.cli:main" -> { name: 'mytool', module: 'pkg.cli', function: 'main' }
+  parseEntryPoint(name, reference) {
+    const [modulePart, functionPart] = reference.replace(/\[.*\]$/, '').trim().split(':');
+    return { name, module: modulePart.trim(), function: functionPart ? functionPart.trim() : null };
+  }
+
+  dedupe(requirements) {
+    const seen = new Set();
+    return requirements.filter(requirement => {
+      const key = requirement.name.toLowerCase().replace(/[-_.]+/g, '-');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // The commands a README would give, in the order a developer runs them
+  getInstallCommands(project, names) {
+    const extras = Object.keys(project.optionalDependencies);
+    const devExtra = extras.find(extra => /^(dev|develop|test|tests|all)$/i.test(extra));
+    const installable = project.manifests.some(name => this.manifests.includes(name)) && (project.name || names.has('setup.py'));
+
+    if (names.has('uv.lock')) return ['uv sync'];
+    if (project.buildBackend === 'poetry') return ['poetry install'];
+    if (project.buildBackend === 'pdm' || names.has('pdm.lock')) return ['pdm install'];
+    if (names.has('Pipfile')) return ['pipenv install --dev'];
+
+    const commands = [];
+    const requirements = project.manifests.filter(name => this.requirementsPattern.test(name));
+    for (const name of requirements.filter(file => !/\.in$/i.test(file))) {
+      commands.push(`pip install -r ${name}`);
+    }
+    if (installable) {
+      commands.push(devExtra ? `pip install -e ".[${devExtra}]"` : 'pip install -e .');
+    }
+    return commands;
+  }
+
+  // Compact description for prompts: the facts an installation section needs
+  formatSummary(project) {
+    if (!project) return '';
+
+    const lines = [];
+    const identity = [project.name, project.version].filter(Boolean).join(' ');
+    const details = [
+      project.requiresPython && `requires Python ${project.requiresPython}`,
+      project.buildBackend && `built with ${project.buildBackend}`
+    ].filter(Boolean);
+    lines.push(`Python project${identity ? `: ${identity}` : ''}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+    lines.push(`Manifests: ${project.manifests.join(', ')}`);
+
+    if (project.installCommands.length > 0) {
+      lines.push(`Install: ${project.installCommands.join(' && ')}`);
+    }
+    if (project.dependencies.length > 0) {
+      lines.push(`Dependencies: ${project.dependencies.map(dependency => `${dependency.name}${dependency.spec ? ` ${dependency.spec}` : ''}`).join(', ')}`);
+    }
+    const extras = Object.entries(project.optionalDependencies);
+    if (extras.length > 0) {
+      lines.push(`Optional extras: ${extras.map(([extra, packages]) => `${extra} (${packages.join(', ')})`).join('; ')}`);
+    }
+    if (project.devDependencies.length > 0) {
+      lines.push(`Development dependencies: ${project.devDependencies.map(dependency => dependency.name).join(', ')}`);
+    }
+    if (project.scripts.length > 0) {
+      lines.push(`Console scripts: ${project.scripts.map(script =>
+        `${script.name} -> ${script.module}${script.function ? `:${script.function}` : ''}`).join(', ')}`);
+    }
+    if (project.commands.length > 0) {
+      lines.push(`Pipenv scripts: ${project.commands.map(command => `${command.name} (${command.command})`).join(', ')}`);
+    }
+    if (project.packages.length > 0) {
+      lines.push(`Import packages: ${project.packages.join(', ')}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = new PythonProjectService();
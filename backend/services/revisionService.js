@@ -0,0 +1,369 @@
+const chunkingService = require('./chunkingService');
+const excerptService = require('./excerptService');
+const sectionService = require('./sectionService');
+const deploymentService = require('./deploymentService');
+
+// Revises only the sections of an existing document that a set of repository changes affects
+class RevisionService {
+  constructor() {
+    this.maxTokens = 1500;
+    this.maxListedFiles = 60;
+    this.maxStoredFiles = 200;
+    this.changesMarker = '<<<CHANGES>>>';
+
+    // Which kinds of changed files (chunkingService categories) can invalidate which built-in section
+    this.sectionTriggers = {
+      overview: ['readme', 'manifest'],
+      installation: ['manifest', 'config'],
+      configuration: ['config', 'entry point', 'source'],
+      usage: ['readme', 'entry point', 'route', 'config'],
+      api: ['route', 'entry point', 'source'],
+      architecture: ['entry point', 'source'],
+      deployment: ['manifest'],
+      contributing: ['test', 'dotfile'],
+      troubleshooting: ['manifest', 'config']
+    };
+
+    // What a section rendered from source says once the new commit has nothing left to render it from - the
+    // model never rewrites these, it would make up the missing facts
+    this.emptySourceSections = {
+      configuration: 'No environment variables are read by the code anymore.',
+      deployment: 'The repository no longer has Dockerfiles, Compose files, CI workflows or deployment manifests.'
+    };
+
+    // Headings used by single-prompt documents for the built-in sections
+    this.titleAliases = {
+      installation: ['getting started', 'setup', 'install'],
+      configuration: ['environment variables', 'settings'],
+      usage: ['quick start', 'examples', 'running'],
+      api: ['api', 'endpoints', 'reference'],
+      architecture: ['structure', 'design', 'components'],
+      deployment: ['docker', 'production', 'ci/cd'],
+      contributing: ['development', 'contribution'],
+      troubleshooting: ['faq', 'known issues']
+    };
+  }
+
+  // Section-generated documents already have sections; others are split at their "## " headings
+  getSections(document) {
+    if (document.sections && document.sections.length > 0) {
+      return {
+        preamble: null,
+        sections: document.sections
+          .map(section => (section.toObject ? section.toObject() : { ...section }))
+          .sort((a, b) => (a.order || 0) - (b.order || 0))
+      };
+    }
+    return this.splitContent(document.content || '');
+  }
+
+  splitContent(content) {
+    const sections = [];
+    const preamble = [];
+    let current = null;
+    let inFence = false;
+
+    for (const line of content.split('\n')) {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+      const heading = !inFence && line.match(/^##\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        current = { title: heading[1], lines: [] };
+        sections.push(current);
+      } else if (current) {
+        current.lines.push(line);
+      } else {
+        preamble.push(line);
+      }
+    }
+
+    // No headings at all - revise the document as one untitled block
+    if (sections.length === 0) {
+      return {
+        preamble: '',
+        sections: [{ key: 'document', title: 'Documentation', content: content.trim(), order: 0, custom: true, untitled: true }]
+      };
+    }
+
+    const seen = new Set();
+    return {
+      preamble: preamble.join('\n').trim(),
+      sections: sections.map((section, index) => {
+        let key = this.matchSectionKey(section.title);
+        for (let i = 2; seen.has(key); i++) key = `${this.matchSectionKey(section.title)}-${i}`;
+        seen.add(key);
+
+        return {
+          key,
+          title: section.title,
+          content: section.lines.join('\n').trim(),
+          order: index,
+          custom: !this.sectionTriggers[key]
+        };
+      })
+    };
+  }
+
+  matchSectionKey(title) {
+    const lower = title.toLowerCase();
+    const builtIn = sectionService.getDefaultSections().find(section =>
+      lower === section.key || lower.includes(section.title.toLowerCase())
+    );
+    if (builtIn) return builtIn.key;
+
+    const alias = Object.entries(this.titleAliases).find(([, words]) => words.some(word => lower.includes(word)));
+    return alias ? alias[0] : sectionService.slugify(title);
+  }
+
+  // Decides which sections need revising and why. force lists section keys to revise regardless.
+  planSections(sections, changes, { force = [] } = {}) {
+    const categories = new Set(changes.files.map(file => chunkingService.getFileCategory(file.path)));
+    const structural = changes.files.some(file =>
+      file.status !== 'modified' && !['test', 'docs', 'dotfile'].includes(chunkingService.getFileCategory(file.path))
+    );
+    const hasDependencyChanges = this.countChanges(changes.dependencies) > 0;
+    const hasScriptChanges = this.countChanges(changes.scripts) > 0;
+    const hasDeploymentChanges = changes.files.some(file => deploymentService.isDeploymentFile(file.path));
+    const hasRouteChanges = changes.routes.added.length + changes.routes.removed.length > 0;
+
+    return sections.map(section => {
+      const reasons = [];
+      const triggers = this.sectionTriggers[section.key];
+
+      if (force.includes(section.key)) reasons.push('requested');
+
+      if (triggers) {
+        const matched = triggers.filter(category => categories.has(category));
+        if (matched.length > 0) reasons.push(`${matched.join(', ')} files changed`);
+      } else if ([...categories].some(category => !['docs', 'test'].includes(category))) {
+        // Custom sections can be about anything - any code change may affect them
+        reasons.push('project files changed');
+      }
+
+      if (hasDependencyChanges && ['overview', 'installation', 'troubleshooting'].includes(section.key)) {
+        reasons.push('dependencies changed');
+      }
+      if (hasScriptChanges && ['installation', 'usage', 'contributing'].includes(section.key)) {
+        reasons.push('package scripts changed');
+      }
+      if (hasRouteChanges && ['api', 'usage'].includes(section.key)) reasons.push('routes added or removed');
+      if (hasDeploymentChanges && section.key === 'deployment') reasons.push('deployment files changed');
+      if (structural && section.key === 'architecture') reasons.push('files added or removed');
+
+      const mentioned = changes.files.filter(file => section.content?.includes(file.path));
+      if (mentioned.length > 0) reasons.push(`mentions ${mentioned.slice(0, 3).map(file => file.path).join(', ')}`);
+
+      return { ...section, reasons: [...new Set(reasons)] };
+    });
+  }
+
+  countChanges(diff = {}) {
+    return (diff.added?.length || 0) + (diff.removed?.length || 0) + (diff.changed?.length || 0);
+  }
+
+  // Revises the affected sections and returns the new content plus the revision record. options.repoData is the
+  // analysis of the new commit: sections rendered from it (API reference, packages, ...) are rebuilt from it
+  // instead of being sent to the model.
+  async reviseDocument(document, changes, options = {}, { llm }) {
+    const { preamble, sections } = this.getSections(document);
+    const planned = this.planSections(sections, changes, options);
+    const revisedSections = [];
+    const sectionChanges = [];
+    const passes = [];
+
+    for (const section of planned) {
+      const { reasons, ...original } = section;
+
+      if (options.repoData && sectionService.isExtractedSection(options.repoData, section, document.generationOptions || {})) {
+        const rebuilt = this.rebuildSection(options.repoData, original, document.generationOptions || {});
+        const unchanged = rebuilt.content.trim() === (section.content || '').trim();
+        revisedSections.push(unchanged ? original : rebuilt);
+        sectionChanges.push({
+          key: section.key,
+          title: section.title,
+          action: unchanged ? 'unchanged' : 'revised',
+          reasons: [...reasons, 'rebuilt from the source'],
+          summary: unchanged ? null : `Rebuilt from the source at ${changes.headCommit.slice(0, 7)}.`
+        });
+        continue;
+      }
+
+      if (options.repoData && section.source === 'source' && this.emptySourceSections[section.key]) {
+        const content = `_${this.emptySourceSections[section.key]}_`;
+        const unchanged = content === (section.content || '').trim();
+        revisedSections.push(unchanged ? original : { ...original, content, generatedAt: new Date() });
+        sectionChanges.push({
+          key: section.key,
+          title: section.title,
+          action: unchanged ? 'unchanged' : 'revised',
+          reasons: [...reasons, 'rebuilt from the source'],
+          summary: unchanged ? null : this.emptySourceSections[section.key]
+        });
+        continue;
+      }
+
+      if (reasons.length === 0) {
+        // Kept verbatim - never sent to the model
+        revisedSections.push(original);
+        sectionChanges.push({ key: section.key, title: section.title, action: 'kept', reasons, summary: null });
+        continue;
+      }
+
+      const result = await this.reviseSection(document, section, changes, options, { llm });
+      const unchanged = result.content.trim() === (section.content || '').trim();
+
+      revisedSections.push(unchanged ? original : {
+        ...original,
+        content: result.content,
+        model: result.model,
+        usage: result.usage,
+        finishReason: result.finishReason,
+        generatedAt: new Date()
+      });
+      sectionChanges.push({
+        key: section.key,
+        title: section.title,
+        action: unchanged ? 'unchanged' : 'revised',
+        reasons,
+        summary: result.summary
+      });
+      passes.push({ pass: 'revision', index: passes.length + 1, section: section.key, model: result.model, usage: result.usage });
+    }
+
+    const content = preamble !== null
+      ? `${[preamble, ...revisedSections.map(section => (section.untitled ? section.content : `## ${section.title}\n\n${section.content}`))]
+        .filter(Boolean)
+        .join('\n\n')}\n`
+      : sectionService.assembleContent(sectionService.getDocumentName(document.metadata), revisedSections);
+
+    return {
+      content,
+      // Flat documents stay flat so the UI keeps rendering them the same way
+      sections: preamble !== null ? document.sections || [] : revisedSections,
+      sectionChanges,
+      passes,
+      usage: sectionService.sumUsage(passes),
+      summary: this.summarize(changes, sectionChanges)
+    };
+  }
+
+  // Renders a section from the analysis again, keeping its place and, for split documents, its heading
+  rebuildSection(repoData, section, generationOptions) {
+    const rendered = sectionService.renderExtractedSection(repoData, section, generationOptions);
+    return {
+      ...section,
+      content: rendered.content,
+      source: rendered.source,
+      model: null,
+      usage: null,
+      finishReason: rendered.finishReason,
+      generatedAt: rendered.generatedAt
+    };
+  }
+
+  async reviseSection(document, section, changes, options, { llm }) {
+    const result = await llm.createCompletion(this.buildRevisionRequest(document, section, changes, options));
+    const raw = result.content || '';
+
+    const markerIndex = raw.lastIndexOf(this.changesMarker);
+    const body = markerIndex === -1 ? raw : raw.slice(0, markerIndex);
+    const summary = markerIndex === -1 ? null : raw.slice(markerIndex + this.changesMarker.length).trim();
+
+    return {
+      content: sectionService.stripLeadingHeading(body, section.title),
+      summary: summary || null,
+      model: result.model,
+      usage: result.usage,
+      finishReason: result.finishReason
+    };
+  }
+
+  buildRevisionRequest(document, section, changes, options = {}) {
+    const { metadata = {} } = document;
+
+    let prompt = `Project: ${metadata.repoOwner}/${metadata.repoName}\n`;
+    prompt += `The documentation below describes commit ${changes.baseCommit.slice(0, 7)}. `;
+    prompt += `The repository is now at ${changes.headCommit.slice(0, 7)}`;
+    prompt += changes.commits != null ? ` (${changes.commits} commits later).\n\n` : '.\n\n';
+
+    prompt += `Changes since then:\n${this.describeChanges(changes)}\n\n`;
+    prompt += `Why the "${section.title}" section may need changes: ${section.reasons.join('; ')}\n\n`;
+
+    if (changes.excerpts.length > 0) {
+      prompt += `Changed source files at the new commit:\n${excerptService.formatExcerpts(changes.excerpts)}\n\n`;
+    }
+
+    prompt += `Current "${section.title}" section:\n<<<\n${section.content}\n>>>\n\n`;
+    prompt += `Revise this section so it is accurate for the new commit. Keep every sentence, heading, code block and `;
+    prompt += `formatting that is still correct exactly as it is - only change, add or remove what the changes above make `;
+    prompt += `wrong or incomplete. Do not repeat the section title as a heading. If nothing needs to change, reply with `;
+    prompt += `the section unchanged.\n`;
+    prompt += `After the section, write a line containing only ${this.changesMarker} followed by one or two sentences `;
+    prompt += `saying what you changed and why, or "No changes needed."`;
+
+    return {
+      model: options.model || section.model || document.aiModel,
+      temperature: options.temperature ?? 0.2,
+      maxTokens: Math.max(this.maxTokens, chunkingService.estimateTokens(section.content) * 2),
+      messages: [
+        {
+          role: 'system',
+          content: 'You are an expert technical writer keeping existing documentation in sync with code changes. Make the smallest edit that makes the section accurate.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    };
+  }
+
+  describeChanges(changes) {
+    const lines = [];
+    const byStatus = (status) => changes.files.filter(file => file.status === status).map(file => file.path);
+
+    for (const status of ['added', 'modified', 'renamed', 'removed']) {
+      const paths = byStatus(status);
+      if (paths.length === 0) continue;
+      const listed = paths.slice(0, this.maxListedFiles).join(', ');
+      lines.push(`- Files ${status}: ${listed}${paths.length > this.maxListedFiles ? ` and ${paths.length - this.maxListedFiles} more` : ''}`);
+    }
+
+    const describeMap = (label, diff) => {
+      if (diff.added.length) lines.push(`- ${label} added: ${diff.added.map(item => `${item.name} (${item.value})`).join(', ')}`);
+      if (diff.removed.length) lines.push(`- ${label} removed: ${diff.removed.map(item => item.name).join(', ')}`);
+      if (diff.changed.length) lines.push(`- ${label} changed: ${diff.changed.map(item => `${item.name} ${item.from} -> ${item.to}`).join(', ')}`);
+    };
+    describeMap('Dependencies', changes.dependencies);
+    describeMap('Scripts', changes.scripts);
+
+    if (changes.routes.added.length) lines.push(`- Routes added: ${changes.routes.added.join(', ')}`);
+    if (changes.routes.removed.length) lines.push(`- Routes removed: ${changes.routes.removed.join(', ')}`);
+
+    return lines.length > 0 ? lines.join('\n') : '- No file changes';
+  }
+
+  summarize(changes, sectionChanges) {
+    const revised = sectionChanges.filter(change => change.action === 'revised');
+    const span = `${changes.commits ?? 'Several'} commit${changes.commits === 1 ? '' : 's'} and ${changes.files.length} changed file${changes.files.length === 1 ? '' : 's'}`;
+
+    if (revised.length === 0) {
+      return `${span} since ${changes.baseCommit.slice(0, 7)}; no section needed changes.`;
+    }
+    return `${span} since ${changes.baseCommit.slice(0, 7)}; revised ${revised.map(change => change.title).join(', ')}.`;
+  }
+
+  // Stored change data is capped - file lists on big updates can run into the thousands
+  buildChangeRecord(changes) {
+    return {
+      commits: changes.commits,
+      filesChanged: changes.files.length,
+      files: changes.files.slice(0, this.maxStoredFiles),
+      dependencies: changes.dependencies,
+      scripts: changes.scripts,
+      routes: changes.routes
+    };
+  }
+}
+
+module.exports = new RevisionService();
@@ -0,0 +1,398 @@
+const chunkingService = require('./chunkingService');
+const excerptService = require('./excerptService');
+const apiReferenceService = require('./apiReference');
+const pythonProjectService = require('./pythonProjectService');
+const manifestService = require('./manifests');
+const workspaceService = require('./workspaceService');
+const dependencyGraphService = require('./dependencyGraphService');
+const envVarService = require('./envVarService');
+const deploymentService = require('./deploymentService');
+
+class SectionService {
+  constructor() {
+    this.defaultMaxTokens = 1200;
+    this.contextTokens = 3000;
+
+    this.defaultSections = [
+      {
+        key: 'overview',
+        title: 'Overview',
+        instructions: 'Describe what the project does, who it is for, its key features and the technology stack.'
+      },
+      {
+        key: 'packages',
+        title: 'Packages',
+        instructions: 'List the packages of this monorepo with what each one is for, its entry points and which packages it depends on.'
+      },
+      {
+        key: 'installation',
+        title: 'Installation',
+        instructions: 'List prerequisites and give step-by-step installation and environment setup instructions using the actual package manager, scripts and configuration files of the project. Use the install commands and runtime versions from the Setup list.'
+      },
+      {
+        key: 'configuration',
+        title: 'Configuration',
+        instructions: 'List the environment variables and configuration files the project reads, whether each is required, its default and what it controls.'
+      },
+      {
+        key: 'usage',
+        title: 'Usage',
+        instructions: 'Explain how to run the project and show concrete usage examples, including configuration options.'
+      },
+      {
+        key: 'api',
+        title: 'API Reference',
+        instructions: 'Document the public API: endpoints, commands, exported modules or functions, with request/response or parameter details. If the project exposes no API, say so briefly.'
+      },
+      {
+        key: 'architecture',
+        title: 'Architecture',
+        instructions: 'Describe the project structure, key components, how they interact and the main data flow.'
+      },
+      {
+        key: 'deployment',
+        title: 'Deployment',
+        instructions: 'Describe how the project is built, packaged and deployed: container images, services, CI/CD pipelines and the commands to run it in production.'
+      },
+      {
+        key: 'contributing',
+        title: 'Contributing',
+        instructions: 'Explain the development setup, coding conventions, how to run tests and how to submit changes.'
+      },
+      {
+        key: 'troubleshooting',
+        title: 'Troubleshooting',
+        instructions: 'List common problems users are likely to hit with this project and how to solve them.'
+      }
+    ];
+  }
+
+  getDefaultSections() {
+    return this.defaultSections.map(section => ({ ...section }));
+  }
+
+  slugify(title) {
+    return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+  }
+
+  // Accepts section keys and/or custom section objects and returns ordered definitions
+  normalizeSections(requested, customSections = []) {
+    const sections = [];
+    const selection = Array.isArray(requested) && requested.length > 0
+      ? requested
+      : this.defaultSections.map(section => section.key);
+
+    for (const entry of selection) {
+      if (typeof entry === 'string') {
+        const definition = this.defaultSections.find(section => section.key === entry);
+        if (definition) sections.push({ ...definition, custom: false });
+      } else if (entry && entry.title) {
+        sections.push(this.buildCustomSection(entry));
+      }
+    }
+
+    for (const entry of customSections) {
+      if (entry && entry.title) sections.push(this.buildCustomSection(entry));
+    }
+
+    // Keys must be unique because sections are addressed by key in the API
+    const seen = new Set();
+    return sections
+      .map(section => {
+        let key = section.key;
+        for (let i = 2; seen.has(key); i++) key = `${section.key}-${i}`;
+        seen.add(key);
+        return { ...section, key };
+      })
+      .map((section, index) => ({ ...section, order: index }));
+  }
+
+  buildCustomSection(entry) {
+    const definition = this.defaultSections.find(section => section.key === entry.key);
+
+    return {
+      key: entry.key || this.slugify(entry.title),
+      title: entry.title || definition?.title,
+      instructions: entry.instructions || definition?.instructions || `Write the "${entry.title}" section for this project.`,
+      model: entry.model,
+      temperature: entry.temperature,
+      maxTokens: entry.maxTokens,
+      custom: !definition
+    };
+  }
+
+  async generateDocumentation(repoData, options = {}, { llm, onProgress, onToken, signal } = {}) {
+    // The package index only exists for monorepos, the configuration reference when variables were found and
+    // the deployment section when the repository has deployment files
+    const definitions = this.normalizeSections(options.sections, options.customSections)
+      .filter(definition => definition.key !== 'packages' || definition.custom || workspaceService.hasPackages(repoData.workspace))
+      .filter(definition => definition.key !== 'configuration' || definition.custom || envVarService.hasVariables(repoData.envVars))
+      .filter(definition => definition.key !== 'deployment' || definition.custom || deploymentService.hasContent(repoData.deployment));
+    const sections = [];
+    const passes = [];
+
+    for (let i = 0; i < definitions.length; i++) {
+      if (signal?.aborted) {
+        const cancelError = new Error('Generation cancelled');
+        cancelError.cancelled = true;
+        cancelError.partialContent = this.assembleContent(this.getDocumentName(repoData.metadata), sections);
+        throw cancelError;
+      }
+
+      const definition = definitions[i];
+      if (onProgress) onProgress('sections', { current: i + 1, total: definitions.length, section: definition.title });
+      if (onToken) onToken(`${i === 0 ? '' : '\n\n'}## ${definition.title}\n\n`);
+
+      let section;
+      try {
+        section = await this.generateSection(repoData, definition, options, { llm, onToken, signal });
+      } catch (error) {
+        if (error.cancelled) {
+          const partialSection = { ...definition, content: error.partialContent || '' };
+          error.partialContent = this.assembleContent(this.getDocumentName(repoData.metadata), [...sections, partialSection]);
+        }
+        throw error;
+      }
+      sections.push(section);
+      passes.push({
+        pass: 'section',
+        index: i + 1,
+        section: section.key,
+        model: section.model,
+        usage: section.usage
+      });
+    }
+
+    const last = passes[passes.length - 1];
+
+    return {
+      content: this.assembleContent(this.getDocumentName(repoData.metadata), sections),
+      sections,
+      model: last?.model,
+      finishReason: 'stop',
+      usage: this.sumUsage(passes),
+      passes,
+      coverage: { strategy: 'sections' }
+    };
+  }
+
+  async generateSection(repoData, definition, options = {}, { llm, onToken, signal } = {}) {
+    if (this.isExtractedSection(repoData, definition, options)) {
+      return this.renderExtractedSection(repoData, definition, options, onToken);
+    }
+
+    const request = this.buildSectionRequest(repoData, definition, options);
+    const result = onToken
+      ? await llm.streamCompletion(request, { onToken, signal })
+      : await llm.createCompletion(request);
+
+    let content = this.stripLeadingHeading(result.content, definition.title);
+    const diagrams = this.getSectionDiagrams(repoData, definition, options);
+    if (diagrams) {
+      content += `
+
+${diagrams}`;
+      if (onToken) onToken(`
+
+${diagrams}`, content);
+    }
+
+    return {
+      key: definition.key,
+      title: definition.title,
+      instructions: definition.instructions,
+      order: definition.order || 0,
+      custom: !!definition.custom,
+      content,
+      source: 'model',
+      model: result.model,
+      temperature: request.temperature,
+      usage: result.usage,
+      finishReason: result.finishReason,
+      generatedAt: new Date()
+    };
+  }
+
+  // The built-in API, Packages, Configuration and Deployment sections are rendered from what analysis extracted unless their
+  // instructions were changed, or for the API, extraction is turned off (options.apiReference === false)
+  isExtractedSection(repoData, definition, options = {}) {
+    const builtIn = this.defaultSections.find(section => section.key === definition.key);
+    if (!builtIn || definition.custom || (definition.instructions && definition.instructions !== builtIn.instructions)) {
+      return false;
+    }
+    if (definition.key === 'api') {
+      return options.apiReference !== false && apiReferenceService.hasContent(repoData.apiReference);
+    }
+    if (definition.key === 'configuration') return envVarService.hasVariables(repoData.envVars);
+    if (definition.key === 'deployment') return deploymentService.hasContent(repoData.deployment);
+    return definition.key === 'packages' && workspaceService.hasPackages(repoData.workspace);
+  }
+
+  // The built-in architecture section ends with the import graph diagrams unless options.diagrams === false
+  getSectionDiagrams(repoData, definition, options = {}) {
+    if (definition.key !== 'architecture' || definition.custom || options.diagrams === false) return '';
+    return dependencyGraphService.renderMarkdown(repoData.apiReference?.graph);
+  }
+
+  renderExtractedSection(repoData, definition, options, onToken) {
+    const renderers = {
+      packages: () => workspaceService.renderBody(repoData.workspace, { diagrams: options.diagrams !== false }),
+      configuration: () => envVarService.renderBody(repoData.envVars),
+      deployment: () => deploymentService.renderBody(repoData.deployment, { diagrams: options.diagrams !== false }),
+      api: () => apiReferenceService.renderBody(repoData.apiReference)
+    };
+    const content = renderers[definition.key]();
+    if (onToken) onToken(content, content);
+
+    return {
+      key: definition.key,
+      title: definition.title,
+      instructions: definition.instructions,
+      order: definition.order || 0,
+      custom: false,
+      content,
+      source: 'source',
+      model: null,
+      temperature: null,
+      usage: null,
+      finishReason: 'stop',
+      generatedAt: new Date()
+    };
+  }
+
+  buildSectionRequest(repoData, definition, options = {}) {
+    const style = options.style || 'professional';
+
+    let prompt = `${this.buildRepositoryContext(repoData)}\n\n`;
+    prompt += `Write ONLY the "${definition.title}" section of the project documentation in a ${style} style.\n`;
+    prompt += `${definition.instructions}\n\n`;
+    prompt += `Do not repeat the section title as a heading and do not write any other sections. `;
+    prompt += `Use "###" or deeper for sub-headings. Be specific to this project and format in Markdown.`;
+
+    return {
+      model: definition.model || options.model,
+      temperature: definition.temperature ?? options.temperature,
+      maxTokens: definition.maxTokens || this.defaultMaxTokens,
+      messages: [
+        {
+          role: 'system',
+          content: 'You are an expert technical writer producing one section of a larger documentation set. Stay focused on the requested section.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    };
+  }
+
+  buildRepositoryContext(repoData) {
+    const { metadata = {}, files, readme, packageJson, pythonProject, manifests, workspace, sourceExcerpts, apiReference, envVars, deployment } = repoData;
+
+    let context = `Project: ${metadata.repoOwner}/${metadata.repoName}\n`;
+    if (metadata.package) context += `Package: ${metadata.package.name} (${metadata.package.path}/ of the monorepo)\n`;
+    context += `Language: ${metadata.language || 'Unknown'}\n`;
+    context += `Framework: ${metadata.framework || 'Unknown'}\n`;
+    if (metadata.description) context += `Description: ${metadata.description}\n`;
+    context += '\n';
+
+    if (readme) {
+      context += `README:\n${chunkingService.truncateToTokens(readme, Math.floor(this.contextTokens / 2))}\n\n`;
+    }
+
+    if (packageJson) {
+      context += `Package Info:\n`;
+      context += `Name: ${packageJson.name}\n`;
+      if (packageJson.scripts) {
+        context += `Scripts: ${Object.entries(packageJson.scripts).map(([name, command]) => `${name} (${command})`).join(', ')}\n`;
+      }
+      if (packageJson.dependencies) {
+        context += `Dependencies: ${Object.keys(packageJson.dependencies).join(', ')}\n`;
+      }
+      context += '\n';
+    }
+
+    if (pythonProject) {
+      context += `${pythonProjectService.formatSummary(pythonProject)}\n\n`;
+    }
+
+    const otherManifests = manifestService.formatSummary(manifests);
+    if (otherManifests) {
+      context += `${otherManifests}\n\n`;
+    }
+
+    const setup = manifestService.formatSetup(manifests);
+    if (setup) {
+      context += `Setup (from the manifests - use these exact commands and versions):\n${setup}\n\n`;
+    }
+
+    const packages = workspaceService.formatSummary(workspace, Math.floor(this.contextTokens / 3));
+    if (packages) {
+      context += `${packages}\n\n`;
+    }
+
+    const configuration = envVarService.formatSummary(envVars, Math.floor(this.contextTokens / 5));
+    if (configuration) {
+      context += `${configuration}\n\n`;
+    }
+
+    const deploymentFacts = deploymentService.formatSummary(deployment, Math.floor(this.contextTokens / 6));
+    if (deploymentFacts) {
+      context += `${deploymentFacts}\n\n`;
+    }
+
+    if (files && files.length > 0) {
+      context += `Files:\n${files.slice(0, 60).map(f => `- ${f.path || f.name}`).join('\n')}\n`;
+    }
+
+    if (sourceExcerpts && sourceExcerpts.length > 0) {
+      const excerptText = excerptService.formatExcerpts(sourceExcerpts);
+      context += `\nSource Excerpts:\n${chunkingService.truncateToTokens(excerptText, this.contextTokens)}\n`;
+    }
+
+    const signatures = apiReferenceService.formatSignatures(apiReference, Math.floor(this.contextTokens / 2));
+    if (signatures) {
+      context += `\nPublic API (extracted from source - use these exact names and parameters in examples):\n${signatures}\n`;
+    }
+
+    const dependencies = dependencyGraphService.formatSummary(apiReference?.graph, Math.floor(this.contextTokens / 4));
+    if (dependencies) {
+      context += `\n${dependencies}\n`;
+    }
+
+    return context;
+  }
+
+  stripLeadingHeading(content = '', title) {
+    const lines = content.trim().split('\n');
+    const first = lines[0] || '';
+
+    if (/^#{1,6}\s/.test(first) && first.replace(/^#+\s*/, '').trim().toLowerCase() === title.toLowerCase()) {
+      return lines.slice(1).join('\n').trim();
+    }
+    return content.trim();
+  }
+
+  // What the document is about: the repository, or one package of a monorepo
+  getDocumentName(metadata = {}) {
+    return metadata.package?.name || metadata.repoName;
+  }
+
+  // Rebuilds the flat markdown document used for export and older clients
+  assembleContent(repoName, sections) {
+    const ordered = [...sections].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const body = ordered.map(section => `## ${section.title}\n\n${section.content}`).join('\n\n');
+
+    return `# ${repoName || 'Project'} Documentation\n\n${body}\n`;
+  }
+
+  sumUsage(passes) {
+    return passes.reduce((total, pass) => ({
+      prompt_tokens: total.prompt_tokens + (pass.usage?.prompt_tokens || 0),
+      completion_tokens: total.completion_tokens + (pass.usage?.completion_tokens || 0),
+      total_tokens: total.total_tokens + (pass.usage?.total_tokens || 0)
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+  }
+}
+
+module.exports = new SectionService();
@@ -0,0 +1,129 @@
+const providerRegistry = require('./providers');
+const localRepoService = require('./localRepoService');
+
+// Periodically compares each document's generated commit with the tip of the ref it was generated from
+class StalenessService {
+  constructor() {
+    const interval = parseInt(process.env.STALENESS_CHECK_INTERVAL_MINUTES);
+    this.intervalMinutes = Number.isNaN(interval) ? 360 : interval; // 0 disables the background checker
+    this.maxChangedFiles = 100;
+    this.startupDelayMs = 60 * 1000;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  // store: { listDocuments() -> documents with a commit, saveStaleness(id, staleness) }
+  start(store) {
+    this.store = store;
+    if (this.intervalMinutes <= 0 || this.timer) return;
+
+    // First pass shortly after boot so restarts do not push the next check a full interval out
+    setTimeout(() => this.checkAll(), this.startupDelayMs).unref();
+    this.timer = setInterval(() => this.checkAll(), this.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isTrackable(document) {
+    return Boolean(document.githubUrl && document.metadata?.commitHash);
+  }
+
+  // Explicitly requested ref first, then the branch the analysis resolved to
+  getTrackedRef(document) {
+    return document.generationOptions?.ref || document.generationOptions?.branch || document.metadata?.branch;
+  }
+
+  async checkAll() {
+    if (this.running || !this.store) return;
+    this.running = true;
+
+    try {
+      const documents = await this.store.listDocuments();
+
+      // One at a time - the checker should never compete with generation for rate limits
+      for (const document of documents) {
+        if (!this.isTrackable(document)) continue;
+        const staleness = await this.checkDocument(document);
+        await this.store.saveStaleness(document._id, staleness);
+      }
+    } catch (error) {
+      console.error('Staleness check failed:', error.message);
+    } finally {
+      this.running = false;
+      this.lastRun = new Date();
+    }
+  }
+
+  async checkDocument(document) {
+    const { commitHash } = document.metadata;
+    const trackedRef = this.getTrackedRef(document);
+
+    try {
+      const comparison = await this.compare(document, trackedRef, commitHash);
+      const isStale = comparison.latestCommit !== commitHash;
+
+      return {
+        status: isStale ? 'stale' : 'current',
+        isStale,
+        trackedRef,
+        latestCommit: comparison.latestCommit,
+        latestCommitUrl: comparison.latestCommitUrl || null,
+        commitsBehind: comparison.commits,
+        filesChanged: comparison.files.length,
+        changedFiles: comparison.files.slice(0, this.maxChangedFiles).map(file => file.path),
+        checkedAt: new Date(),
+        error: null
+      };
+    } catch (error) {
+      console.error(`Staleness check failed for document ${document._id}:`, error.message);
+
+      // Keep the last known answer - a host outage does not make documents current
+      return {
+        ...(document.staleness || {}),
+        status: 'error',
+        isStale: Boolean(document.staleness?.isStale),
+        trackedRef,
+        checkedAt: new Date(),
+        error: error.message
+      };
+    }
+  }
+
+  // API-analyzed documents ask the host; cloned ones go through git so they work for any remote
+  async compare(document, trackedRef, commitHash) {
+    const { githubUrl, metadata } = document;
+    const provider = ['clone', 'local'].includes(metadata.source)
+      ? null
+      : providerRegistry.resolve(githubUrl, metadata.provider);
+
+    if (!provider) {
+      return localRepoService.compareRemote(githubUrl, trackedRef, commitHash);
+    }
+
+    const ref = provider.parseUrl(githubUrl);
+    const { sha: latestCommit } = await provider.resolveRef(ref, trackedRef);
+    const latestCommitUrl = provider.getCommitUrl(ref, latestCommit);
+
+    if (latestCommit === commitHash) {
+      return { latestCommit, latestCommitUrl, commits: 0, files: [] };
+    }
+
+    const { commits, files } = await provider.compareCommits(ref, commitHash, latestCommit);
+    return { latestCommit, latestCommitUrl, commits, files };
+  }
+
+  getStatus() {
+    return {
+      intervalMinutes: this.intervalMinutes,
+      running: this.running,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new StalenessService();
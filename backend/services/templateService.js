@@ -0,0 +1,460 @@
+const mongoose = require('mongoose');
+const Template = require('../models/Template');
+const chunkingService = require('./chunkingService');
+const excerptService = require('./excerptService');
+const sectionService = require('./sectionService');
+const apiReferenceService = require('./apiReference');
+const dependencyGraphService = require('./dependencyGraphService');
+const manifestService = require('./manifests');
+const workspaceService = require('./workspaceService');
+const envVarService = require('./envVarService');
+const deploymentService = require('./deploymentService');
+
+const documentationChecklist = `Generate detailed documentation including:
+1. Project overview and purpose
+2. Installation and setup instructions
+3. Usage guide with examples
+4. Architecture and key components
+5. Development and contribution guidelines
+6. Deployment instructions
+7. Troubleshooting section`;
+
+// Prompt templates: a built-in library plus user templates stored in MongoDB (in memory without it)
+class TemplateService {
+  constructor() {
+    this.readmeTokens = 200;
+    this.maxFileTreeEntries = 50;
+    this.maxKeyFiles = 8;
+    this.maxDependencies = 10;
+    this.apiSignatureTokens = 800;
+    this.moduleDependencyTokens = 300;
+    this.packageTokens = 400;
+    this.configurationTokens = 400;
+    this.deploymentTokens = 400;
+
+    this.memoryTemplates = [];
+    this.memoryCounter = 1;
+
+    // Placeholders every template can use, filled from the analyzed repository
+    this.builtInVariables = [
+      { name: 'repoName', description: 'Repository name' },
+      { name: 'repoOwner', description: 'Owner, group or workspace' },
+      { name: 'description', description: 'Repository description from the host' },
+      { name: 'language', description: 'Primary language' },
+      { name: 'framework', description: 'Detected framework' },
+      { name: 'fileCount', description: 'Number of files' },
+      { name: 'totalLines', description: 'Total lines of code' },
+      { name: 'branch', description: 'Branch, tag or commit the analysis ran on' },
+      { name: 'commitHash', description: 'Commit the analysis ran on' },
+      { name: 'readme', description: `README, trimmed to about ${this.readmeTokens} tokens` },
+      { name: 'fileTree', description: `Up to ${this.maxFileTreeEntries} file paths` },
+      { name: 'keyFiles', description: `The ${this.maxKeyFiles} most important files` },
+      { name: 'packageName', description: 'Name from package.json, or the main manifest (pyproject.toml, go.mod, Cargo.toml, ...)' },
+      { name: 'packageDescription', description: 'Description from package.json or the main manifest' },
+      { name: 'dependencies', description: 'Dependency names from package.json or the main manifest' },
+      { name: 'scripts', description: 'package.json script names, or the main manifest\'s commands' },
+      { name: 'runtimes', description: 'Runtime versions the manifests require, such as Node.js >=18 or Go 1.22' },
+      { name: 'installCommands', description: 'Install commands for every ecosystem in the repository' },
+      { name: 'sourceExcerpts', description: 'Trimmed excerpts of the most important source files' },
+      { name: 'apiSignatures', description: 'Exported functions, classes and types with their signatures, extracted from the source' },
+      { name: 'packages', description: 'Packages of a monorepo with their paths, entry points and internal dependencies' },
+      { name: 'configuration', description: 'Environment variables the code reads, with defaults and whether they are required' },
+      { name: 'deployment', description: 'Dockerfiles, Compose services, CI/CD pipelines, Procfile processes, Helm charts and Kubernetes objects' },
+      { name: 'moduleDependencies', description: 'Which directories and modules import each other, import cycles and the most used packages' },
+      { name: 'sections', description: 'Numbered list of the selected sections' },
+      { name: 'style', description: 'Writing style picked on the Generator page' },
+      { name: 'date', description: "Today's date (YYYY-MM-DD)" }
+    ];
+
+    this.builtInTemplates = [
+      {
+        _id: 'builtin-standard',
+        name: 'Standard',
+        description: 'Balanced project documentation - the default prompt',
+        systemPrompt: 'You are an expert technical writer. Generate comprehensive documentation for software projects. Keep responses under 2000 tokens.',
+        userPrompt: `Generate comprehensive documentation for: {{repoName}}
+
+Project: {{repoOwner}}/{{repoName}}
+Language: {{language}}
+Framework: {{framework}}
+Files: {{fileCount}}
+
+{{#readme}}README:
+{{readme}}
+
+{{/readme}}{{#packageName}}Package Info:
+Name: {{packageName}}
+Description: {{packageDescription}}
+Scripts: {{scripts}}
+Dependencies: {{dependencies}}
+
+{{/packageName}}{{#installCommands}}Runtimes: {{runtimes}}
+Install: {{installCommands}}
+
+{{/installCommands}}{{#keyFiles}}Key Files:
+{{keyFiles}}
+
+{{/keyFiles}}{{#sourceExcerpts}}Source Excerpts (trimmed):
+{{sourceExcerpts}}
+
+{{/sourceExcerpts}}{{#apiSignatures}}Public API (extracted from source - use these exact signatures in examples):
+{{apiSignatures}}
+
+{{/apiSignatures}}{{#packages}}{{packages}}
+
+{{/packages}}{{#configuration}}{{configuration}}
+
+{{/configuration}}{{#deployment}}{{deployment}}
+
+{{/deployment}}{{#moduleDependencies}}{{moduleDependencies}}
+
+{{/moduleDependencies}}${documentationChecklist}
+
+Make it comprehensive, {{style}}, and project-specific. Include code examples and configuration details. Format in Markdown.`,
+        sections: [],
+        variables: [],
+        settings: {}
+      },
+      {
+        _id: 'builtin-detailed',
+        name: 'Detailed',
+        description: 'Longer reference documentation with the full file structure',
+        systemPrompt: 'You are an expert software documentation writer. Generate clear, comprehensive, and professional documentation.',
+        userPrompt: `Generate comprehensive {{style}} documentation for this repository in Markdown format.
+
+Repository Information:
+- Name: {{repoName}}
+- Owner: {{repoOwner}}
+- Language: {{language}}
+- Framework: {{framework}}
+- Total Files: {{fileCount}}
+- Total Lines: {{totalLines}}
+
+{{#readme}}README Content:
+{{readme}}
+
+{{/readme}}{{#dependencies}}Dependencies: {{dependencies}}
+Scripts: {{scripts}}
+
+{{/dependencies}}Key Files Structure:
+{{fileTree}}
+
+{{#sourceExcerpts}}Source Excerpts:
+{{sourceExcerpts}}
+
+{{/sourceExcerpts}}{{#apiSignatures}}Public API (extracted from source - use these exact signatures in examples):
+{{apiSignatures}}
+
+{{/apiSignatures}}{{#packages}}{{packages}}
+
+{{/packages}}{{#configuration}}{{configuration}}
+
+{{/configuration}}{{#deployment}}{{deployment}}
+
+{{/deployment}}{{#moduleDependencies}}{{moduleDependencies}}
+
+{{/moduleDependencies}}Please create documentation that includes:
+
+1. **Project Overview** - what the project does, key features and technology stack
+2. **Installation Guide** - prerequisites, step-by-step installation and environment setup
+3. **Usage Guide** - how to run the project, usage examples and configuration options
+4. **API Documentation** (if applicable) - endpoints, request/response formats and authentication
+5. **Development Guide** - how to contribute, development setup and testing instructions
+6. **Architecture Overview** - project structure, key components and data flow
+7. **Troubleshooting** - common issues, solutions and debugging tips
+
+Make it well-structured with clear headings, easy to follow for new developers, and include code examples where relevant.`,
+        sections: [],
+        variables: [],
+        settings: {}
+      },
+      {
+        _id: 'builtin-api-reference',
+        name: 'API Reference',
+        description: 'Endpoints, exported modules and configuration only',
+        systemPrompt: 'You are an expert technical writer producing precise API reference documentation. Only describe what the source shows.',
+        userPrompt: `Write an API reference for {{repoOwner}}/{{repoName}} ({{language}}, {{framework}}).
+
+{{#keyFiles}}Key Files:
+{{keyFiles}}
+
+{{/keyFiles}}{{#sourceExcerpts}}Source Excerpts:
+{{sourceExcerpts}}
+
+{{/sourceExcerpts}}{{#apiSignatures}}Public API (extracted from source - use these exact signatures in examples):
+{{apiSignatures}}
+
+{{/apiSignatures}}Document every public endpoint, command, exported module or function you can see, with parameters, request/response shapes and a short example for each. Finish with a configuration reference. Use a {{style}} tone and Markdown tables where they help.`,
+        sections: ['api', 'usage'],
+        variables: [],
+        settings: { temperature: 0.2 }
+      },
+      {
+        _id: 'builtin-onboarding',
+        name: 'Team Onboarding',
+        description: 'Guide for new team members, with a configurable audience',
+        systemPrompt: 'You are a senior engineer writing an onboarding guide for new colleagues.',
+        userPrompt: `Write an onboarding guide for {{audience}} joining the {{repoName}} project.
+
+Project: {{repoOwner}}/{{repoName}}
+Language: {{language}}
+Framework: {{framework}}
+
+{{#readme}}README:
+{{readme}}
+
+{{/readme}}{{#installCommands}}Runtimes: {{runtimes}}
+Install: {{installCommands}}
+
+{{/installCommands}}{{#scripts}}Scripts: {{scripts}}
+
+{{/scripts}}{{#keyFiles}}Key Files:
+{{keyFiles}}
+
+{{/keyFiles}}{{#sourceExcerpts}}Source Excerpts:
+{{sourceExcerpts}}
+
+{{/sourceExcerpts}}{{#apiSignatures}}Public API (extracted from source - use these exact signatures in examples):
+{{apiSignatures}}
+
+{{/apiSignatures}}{{#packages}}{{packages}}
+
+{{/packages}}{{#configuration}}{{configuration}}
+
+{{/configuration}}{{#deployment}}{{deployment}}
+
+{{/deployment}}{{#moduleDependencies}}{{moduleDependencies}}
+
+{{/moduleDependencies}}Cover local setup, a tour of the codebase, the day-to-day workflow (running, testing, debugging) and where to look first when something breaks. Write in a {{style}} style, in Markdown.`,
+        sections: ['overview', 'installation', 'architecture', 'contributing'],
+        variables: [
+          { name: 'audience', label: 'Audience', defaultValue: 'new developers', description: 'Who the guide is written for' }
+        ],
+        settings: { style: 'beginner-friendly' }
+      }
+    ].map(template => ({ ...template, builtIn: true }));
+  }
+
+  isMongoConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  async list() {
+    const stored = this.isMongoConnected()
+      ? await Template.find().sort({ name: 1 }).lean()
+      : [...this.memoryTemplates].sort((a, b) => a.name.localeCompare(b.name));
+
+    return [...this.builtInTemplates, ...stored];
+  }
+
+  async get(id) {
+    const builtIn = this.builtInTemplates.find(template => template._id === id);
+    if (builtIn) return builtIn;
+
+    if (this.isMongoConnected()) {
+      return mongoose.isValidObjectId(id) ? Template.findById(id).lean() : null;
+    }
+    return this.memoryTemplates.find(template => template._id === id) || null;
+  }
+
+  getDefault() {
+    return this.builtInTemplates[0];
+  }
+
+  async create(data) {
+    const template = this.validate(data);
+
+    if (this.isMongoConnected()) {
+      return (await Template.create(template)).toObject();
+    }
+
+    const stored = { _id: `tpl_${this.memoryCounter++}`, ...template, createdAt: new Date(), updatedAt: new Date() };
+    this.memoryTemplates.push(stored);
+    return stored;
+  }
+
+  async update(id, data) {
+    await this.getEditable(id);
+    const template = this.validate(data);
+
+    if (this.isMongoConnected()) {
+      return Template.findByIdAndUpdate(id, template, { new: true, runValidators: true }).lean();
+    }
+
+    const stored = this.memoryTemplates.find(item => item._id === id);
+    Object.assign(stored, template, { updatedAt: new Date() });
+    return stored;
+  }
+
+  async remove(id) {
+    await this.getEditable(id);
+
+    if (this.isMongoConnected()) {
+      await Template.findByIdAndDelete(id);
+    } else {
+      this.memoryTemplates = this.memoryTemplates.filter(item => item._id !== id);
+    }
+  }
+
+  async getEditable(id) {
+    const template = await this.get(id);
+    if (!template) throw this.createError('Template not found', 404);
+    if (template.builtIn) throw this.createError('Built-in templates are read-only - save a copy to change them', 403);
+    return template;
+  }
+
+  validate(data = {}) {
+    if (!data.name || !data.name.trim()) throw this.createError('Template name is required', 400);
+    if (!data.userPrompt || !data.userPrompt.trim()) throw this.createError('Template user prompt is required', 400);
+
+    const reserved = this.builtInVariables.map(variable => variable.name);
+    const variables = (data.variables || []).filter(variable => variable && variable.name);
+    for (const variable of variables) {
+      if (!/^[a-zA-Z_]\w*$/.test(variable.name)) {
+        throw this.createError(`Variable name "${variable.name}" may only contain letters, digits and underscores`, 400);
+      }
+      if (reserved.includes(variable.name)) {
+        throw this.createError(`"${variable.name}" is a built-in variable and cannot be redefined`, 400);
+      }
+    }
+
+    return {
+      name: data.name.trim(),
+      description: data.description || '',
+      systemPrompt: data.systemPrompt || '',
+      userPrompt: data.userPrompt,
+      sections: Array.isArray(data.sections) ? data.sections : [],
+      variables: variables.map(({ name, label, defaultValue, description }) => ({ name, label, defaultValue, description })),
+      settings: data.settings || {},
+      createdBy: data.createdBy || 'anonymous'
+    };
+  }
+
+  createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  // Inline template (edited but unsaved in the Generator) first, then a stored or built-in one
+  async resolve(options = {}) {
+    if (options.template && options.template.userPrompt) return options.template;
+    if (!options.templateId) return null;
+
+    const template = await this.get(options.templateId);
+    if (!template) throw this.createError('Template not found', 404);
+    return template;
+  }
+
+  // Template settings and sections fill in whatever the request left unset; the rendered prompt rides along
+  applyTemplate(options, template, repoData) {
+    if (!template) return options;
+
+    const merged = { ...(template.settings || {}), ...options };
+    const useTemplateSections = (!merged.sections || merged.sections.length === 0) && template.sections?.length > 0;
+    if (useTemplateSections) merged.sections = template.sections;
+
+    const rendered = this.render(template, repoData, merged);
+    return {
+      ...merged,
+      sections: useTemplateSections ? rendered.sections : merged.sections,
+      prompt: { systemPrompt: rendered.systemPrompt, userPrompt: rendered.userPrompt }
+    };
+  }
+
+  buildVariables(repoData = {}, options = {}) {
+    const { metadata = {}, files = [], readme, sourceExcerpts, apiReference } = repoData;
+    const packageJson = this.parseManifest(repoData.packageJson);
+    // Other ecosystems (pyproject.toml, go.mod, Cargo.toml, ...) fill the package variables when there is no package.json
+    const manifest = packageJson ? null : manifestService.getPrimary(repoData.manifests);
+    const dependencies = manifest
+      ? manifest.dependencies.map(dependency => dependency.name)
+      : Object.keys(packageJson?.dependencies || {});
+    const sections = sectionService.normalizeSections(options.sections).map(section => section.title);
+
+    return {
+      repoName: metadata.repoName || '',
+      repoOwner: metadata.repoOwner || '',
+      description: metadata.description || '',
+      language: metadata.language || 'Unknown',
+      framework: metadata.framework || 'Unknown',
+      fileCount: String(metadata.fileCount ?? files.length),
+      totalLines: String(metadata.totalLines || 0),
+      branch: metadata.branch || '',
+      commitHash: metadata.commitHash || '',
+      readme: readme ? chunkingService.truncateToTokens(readme, this.readmeTokens) : '',
+      fileTree: files.slice(0, this.maxFileTreeEntries).map(file => `- ${file.path || file.name}`).join('\n'),
+      keyFiles: chunkingService.rankFiles(files).slice(0, this.maxKeyFiles).map(file => `- ${file.name}`).join('\n'),
+      packageName: packageJson?.name || manifest?.name || '',
+      packageDescription: packageJson?.description || manifest?.description || '',
+      dependencies: dependencies.slice(0, this.maxDependencies).join(', ') +
+        (dependencies.length > this.maxDependencies ? ` and ${dependencies.length - this.maxDependencies} more` : ''),
+      scripts: manifest
+        ? manifest.scripts.map(script => script.name).join(', ')
+        : Object.keys(packageJson?.scripts || {}).join(', '),
+      runtimes: (repoData.manifests?.runtimes || []).map(runtime => `${runtime.name}${runtime.version ? ` ${runtime.version}` : ''}`).join(', '),
+      installCommands: (repoData.manifests?.installCommands || []).join(' && '),
+      sourceExcerpts: sourceExcerpts?.length > 0 ? excerptService.formatExcerpts(sourceExcerpts) : '',
+      apiSignatures: apiReferenceService.formatSignatures(apiReference, this.apiSignatureTokens),
+      packages: workspaceService.formatSummary(repoData.workspace, this.packageTokens),
+      configuration: envVarService.formatSummary(repoData.envVars, this.configurationTokens),
+      deployment: deploymentService.formatSummary(repoData.deployment, this.deploymentTokens),
+      moduleDependencies: dependencyGraphService.formatSummary(apiReference?.graph, this.moduleDependencyTokens),
+      sections: sections.map((title, index) => `${index + 1}. ${title}`).join('\n'),
+      style: options.style || 'professional',
+      date: new Date().toISOString().slice(0, 10)
+    };
+  }
+
+  // Repository analysis stores package.json parsed, but older callers pass the raw text
+  parseManifest(packageJson) {
+    if (typeof packageJson !== 'string') return packageJson || null;
+    try {
+      return JSON.parse(packageJson);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Renders {{name}} placeholders and {{#name}}...{{/name}} blocks (kept only when the variable is non-empty)
+  render(template, repoData, options = {}) {
+    const customDefaults = Object.fromEntries((template.variables || []).map(variable => [variable.name, variable.defaultValue || '']));
+    const values = {
+      ...customDefaults,
+      ...(options.templateVariables || {}),
+      ...this.buildVariables(repoData, options)
+    };
+    const missing = new Set();
+
+    const fill = (text = '') => text
+      .replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, (match, name, body) => {
+        if (!(name in values)) missing.add(name);
+        return values[name] ? body : '';
+      })
+      .replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+        if (!(name in values)) {
+          missing.add(name);
+          return '';
+        }
+        return values[name];
+      });
+
+    // Custom section instructions can use the same placeholders
+    const sections = (template.sections || []).map(section => (
+      typeof section === 'string' ? section : { ...section, instructions: section.instructions && fill(section.instructions) }
+    ));
+
+    const systemPrompt = fill(template.systemPrompt);
+    const userPrompt = fill(template.userPrompt);
+
+    return {
+      systemPrompt,
+      userPrompt,
+      sections,
+      missing: [...missing],
+      estimatedTokens: chunkingService.estimateTokens(systemPrompt) + chunkingService.estimateTokens(userPrompt)
+    };
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const UsageRecord = require('../models/UsageRecord');
+const llmProviders = require('./llm');
+
+// Token usage and cost accounting: prices model calls, keeps a usage ledger (MongoDB or in memory),
+// aggregates it and enforces the monthly budget
+class UsageService {
+  constructor() {
+    this.pricingTtlMs = 6 * 60 * 60 * 1000;
+    this.pricingCache = new Map();
+    this.localPricing = this.parseLocalPricing(process.env.MODEL_PRICING);
+    this.monthlyBudget = parseFloat(process.env.USAGE_MONTHLY_BUDGET_USD) || 0; // 0 means no cap
+    this.groupings = ['day', 'model', 'repository', 'user', 'document'];
+
+    this.memoryRecords = [];
+  }
+
+  // MODEL_PRICING={"openai/gpt-4o":{"prompt":2.5,"completion":10}} - USD per million tokens
+  parseLocalPricing(value) {
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.error('Ignoring MODEL_PRICING - not valid JSON:', error.message);
+      return {};
+    }
+  }
+
+  isMongoConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  // Provider prices, cached; local prices always win
+  async getPricing(providerName) {
+    const provider = llmProviders.resolve(providerName);
+    const cached = this.pricingCache.get(provider.name);
+
+    if (!cached || Date.now() - cached.fetchedAt > this.pricingTtlMs) {
+      try {
+        this.pricingCache.set(provider.name, { prices: await provider.getPricing(), fetchedAt: Date.now() });
+      } catch (error) {
+        console.error(`Error fetching ${provider.displayName} pricing:`, error.message);
+        // Keep stale prices rather than none; retry on the next call
+        if (!cached) return { ...this.localPricing };
+      }
+    }
+
+    return { ...this.pricingCache.get(provider.name)?.prices, ...this.localPricing };
+  }
+
+  // Hosts answer with dated variants (gpt-4o-2024-08-06), so fall back to the longest priced prefix
+  findPrice(pricing, model) {
+    if (!model) return null;
+    if (pricing[model]) return pricing[model];
+
+    const prefix = Object.keys(pricing)
+      .filter(id => model.startsWith(id))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? pricing[prefix] : null;
+  }
+
+  computeCost(pricing, model, usage) {
+    const price = this.findPrice(pricing, model);
+    if (!price || !usage) return null;
+
+    const cost = ((usage.prompt_tokens || 0) * (price.prompt || 0) +
+      (usage.completion_tokens || 0) * (price.completion || 0)) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  // Totals for a set of calls ({ model, usage }), priced per call
+  summarizeCalls(pricing, calls = []) {
+    const summary = { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, currency: 'USD', unpricedModels: [] };
+
+    for (const call of calls) {
+      const usage = call.usage || {};
+      summary.promptTokens += usage.prompt_tokens || 0;
+      summary.completionTokens += usage.completion_tokens || 0;
+      summary.totalTokens += usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+
+      const cost = this.computeCost(pricing, call.model, call.usage);
+      if (cost === null) {
+        if (!summary.unpricedModels.includes(call.model)) summary.unpricedModels.push(call.model);
+      } else {
+        summary.cost += cost;
+      }
+    }
+
+    summary.cost = Math.round(summary.cost * 1e6) / 1e6;
+    return summary;
+  }
+
+  // Prices a finished operation: the document-level summary plus a cost on every pass
+  async priceResult(providerName, { calls = [], passes = [] }) {
+    const pricing = await this.getPricing(providerName);
+
+    return {
+      cost: this.summarizeCalls(pricing, calls),
+      passes: passes.map(pass => ({ ...pass, cost: this.computeCost(pricing, pass.model, pass.usage) }))
+    };
+  }
+
+  // One ledger row per model used by the operation
+  async record(providerName, calls, { documentId, repository, user, operation }) {
+    if (!calls || calls.length === 0) return [];
+
+    const pricing = await this.getPricing(providerName);
+    const byModel = new Map();
+    for (const call of calls) {
+      if (!byModel.has(call.model)) byModel.set(call.model, []);
+      byModel.get(call.model).push(call);
+    }
+
+    const records = [...byModel.entries()].map(([model, modelCalls]) => {
+      const summary = this.summarizeCalls(pricing, modelCalls);
+      return {
+        documentId: documentId ? String(documentId) : null,
+        repository: repository || null,
+        user: user || 'anonymous',
+        operation,
+        provider: llmProviders.resolve(providerName).name,
+        model,
+        calls: modelCalls.length,
+        promptTokens: summary.promptTokens,
+        completionTokens: summary.completionTokens,
+        totalTokens: summary.totalTokens,
+        cost: summary.unpricedModels.length > 0 ? null : summary.cost,
+        createdAt: new Date()
+      };
+    });
+
+    if (this.isMongoConnected()) {
+      await UsageRecord.insertMany(records);
+    } else {
+      this.memoryRecords.push(...records);
+    }
+    return records;
+  }
+
+  async findRecords({ from, to } = {}) {
+    if (this.isMongoConnected()) {
+      const query = {};
+      if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lt = to;
+      }
+      return UsageRecord.find(query).lean();
+    }
+
+    return this.memoryRecords.filter(record =>
+      (!from || record.createdAt >= from) && (!to || record.createdAt < to)
+    );
+  }
+
+  getGroupKey(record, groupBy) {
+    switch (groupBy) {
+      case 'day':
+        return new Date(record.createdAt).toISOString().slice(0, 10);
+      case 'model':
+        return record.model || 'unknown';
+      case 'repository':
+        return record.repository || 'unknown';
+      case 'user':
+        return record.user || 'anonymous';
+      default:
+        return record.documentId || 'unknown';
+    }
+  }
+
+  async aggregate({ groupBy = 'day', from, to } = {}) {
+    if (!this.groupings.includes(groupBy)) {
+      const error = new Error(`groupBy must be one of: ${this.groupings.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const records = await this.findRecords({ from, to });
+    const empty = () => ({ requests: 0, calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpricedTokens: 0 });
+    const add = (bucket, record) => {
+      bucket.requests += 1;
+      bucket.calls += record.calls || 0;
+      bucket.promptTokens += record.promptTokens || 0;
+      bucket.completionTokens += record.completionTokens || 0;
+      bucket.totalTokens += record.totalTokens || 0;
+      if (record.cost === null || record.cost === undefined) {
+        bucket.unpricedTokens += record.totalTokens || 0;
+      } else {
+        bucket.cost += record.cost;
+      }
+    };
+
+    const totals = empty();
+    const groups = new Map();
+    for (const record of records) {
+      const key = this.getGroupKey(record, groupBy);
+      if (!groups.has(key)) groups.set(key, { key, ...empty() });
+      add(groups.get(key), record);
+      add(totals, record);
+    }
+
+    const round = (bucket) => ({ ...bucket, cost: Math.round(bucket.cost * 1e6) / 1e6 });
+    return {
+      groupBy,
+      from: from || null,
+      to: to || null,
+      currency: 'USD',
+      totals: round(totals),
+      // Days read chronologically, everything else by spend
+      groups: [...groups.values()]
+        .map(round)
+        .sort((a, b) => (groupBy === 'day' ? a.key.localeCompare(b.key) : b.cost - a.cost || b.totalTokens - a.totalTokens))
+    };
+  }
+
+  getMonthStart(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  async getBudgetStatus() {
+    const periodStart = this.getMonthStart();
+    const periodEnd = new Date(Date.UTC(periodStart.getUTCFullYear(), periodStart.getUTCMonth() + 1, 1));
+    const { totals } = await this.aggregate({ groupBy: 'model', from: periodStart });
+
+    return {
+      monthlyLimit: this.monthlyBudget || null,
+      spent: totals.cost,
+      remaining: this.monthlyBudget ? Math.max(0, Math.round((this.monthlyBudget - totals.cost) * 1e6) / 1e6) : null,
+      exceeded: this.monthlyBudget > 0 && totals.cost >= this.monthlyBudget,
+      currency: 'USD',
+      periodStart,
+      periodEnd
+    };
+  }
+
+  // Checked before any new model work starts; a generation already running may overshoot slightly
+  async assertWithinBudget() {
+    if (!this.monthlyBudget) return;
+
+    const budget = await this.getBudgetStatus();
+    if (budget.exceeded) {
+      const error = new Error(
+        `Monthly AI budget of $${this.monthlyBudget.toFixed(2)} reached ($${budget.spent.toFixed(2)} spent). ` +
+        `New generations resume on ${budget.periodEnd.toISOString().slice(0, 10)}.`
+      );
+      error.statusCode = 402;
+      throw error;
+    }
+  }
+}
+
+module.exports = new UsageService();
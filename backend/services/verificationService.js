@@ -0,0 +1,472 @@
+const envVarService = require('./envVarService');
+
+// Checks what generated documentation claims about the repository against the analysis it was generated from:
+// package scripts it tells readers to run, files and directories it points at, environment variables it names
+// and HTTP routes it lists. Claims come from code blocks, inline code and relative links; a claim that cannot
+// be confirmed becomes an issue on its line. Kinds the analysis has no data for (no routes found, nothing
+// scanned for environment variables) are skipped rather than flagged.
+class VerificationService {
+  constructor() {
+    this.kinds = ['script', 'path', 'envVar', 'route'];
+    this.maxIssues = 100;
+    this.maxManifests = 20;
+    this.shellLanguages = ['', 'bash', 'sh', 'shell', 'zsh', 'console', 'terminal', 'shell-session', 'powershell', 'ps1', 'cmd', 'bat'];
+    this.envLanguages = ['env', 'dotenv', 'ini', 'properties'];
+    this.httpMethods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+    // yarn/pnpm run scripts by bare name unless the name is one of their own commands
+    this.packageManagerCommands = new Set(['add', 'install', 'i', 'remove', 'rm', 'uninstall', 'upgrade', 'update', 'up',
+      'init', 'create', 'dlx', 'exec', 'x', 'global', 'info', 'why', 'link', 'unlink', 'cache', 'config', 'set', 'version',
+      'publish', 'pack', 'login', 'logout', 'outdated', 'audit', 'licenses', 'list', 'ls', 'bin', 'import', 'tag', 'node',
+      'workspace', 'workspaces', 'plugin', 'dedupe', 'rebuild', 'prune', 'fetch', 'store', 'env', 'setup', 'patch',
+      'deploy', 'root', 'recursive', 'help', 'check', 'npm', 'run', 'test', 'start', 'stop', 'restart']);
+    // Directories and files the documentation tells readers to create, or that builds and installs produce
+    this.generatedSegments = new Set(['node_modules', 'dist', 'build', 'out', 'coverage', 'target', '.next', '.nuxt',
+      'venv', '.venv', 'env', '__pycache__', 'logs', 'tmp', 'temp', 'uploads', '.env', '.env.local',
+      '.env.development', '.env.production', '.env.test']);
+    this.pathExtensions = /\.(js|jsx|mjs|cjs|ts|tsx|vue|svelte|json|ya?ml|toml|ini|cfg|conf|lock|md|mdx|txt|py|go|rs|rb|java|kt|php|cs|fs|sh|bash|ps1|html|css|scss|sql|xml|gradle|properties|env|example|sample|dockerfile)$/i;
+    // Variables every runtime or common library reads on its own
+    this.implicitEnvVars = new Set(['NODE_ENV', 'NODE_OPTIONS', 'NODE_PATH', 'DEBUG', 'PATH', 'HOME', 'PWD', 'USER', 'SHELL',
+      'LANG', 'TZ', 'CI', 'PYTHONPATH', 'PYTHONUNBUFFERED', 'VIRTUAL_ENV', 'JAVA_HOME', 'GOPATH', 'GOOS', 'GOARCH',
+      'GOFLAGS', 'CGO_ENABLED', 'RUST_LOG', 'RUST_BACKTRACE', 'CARGO_HOME', 'GEM_HOME', 'BUNDLE_GEMFILE', 'RAILS_ENV',
+      'RACK_ENV', 'DOTNET_ENVIRONMENT', 'ASPNETCORE_ENVIRONMENT', 'ASPNETCORE_URLS', 'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY']);
+    this.envContext = /\benv(ironment)?\b|\.env\b|\bvariables?\b|\bconfig(uration)?\b|\bsettings?\b/i;
+    this.creationContext = /\b(create|creates|created|generate[sd]?|will be|output|mkdir|touch)\b/i;
+  }
+
+  // content: the generated Markdown; repoData: the analysis it was generated from (paths, packageJson,
+  // workspace, envVars, apiReference). Returns the verification report stored with the document.
+  verify(content, repoData) {
+    const context = this.buildContext(repoData);
+    const claims = this.findClaims(content || '', context.repoName);
+
+    const checks = Object.fromEntries(this.kinds.map(kind => [kind, { checked: 0, flagged: 0 }]));
+    const issues = [];
+    const seen = new Set();
+    for (const claim of claims) {
+      if (context.skipped.includes(claim.kind)) continue;
+      const key = `${claim.kind}:${claim.line}:${claim.claim}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const message = this.check(claim, context);
+      if (message === undefined) continue; // Not checkable here (a script of an unanalyzed package, ...)
+      checks[claim.kind].checked++;
+      if (message) {
+        checks[claim.kind].flagged++;
+        issues.push({ kind: claim.kind, claim: claim.claim, line: claim.line, text: claim.text, message });
+      }
+    }
+
+    return {
+      checkedAt: new Date(),
+      commitHash: repoData?.metadata?.commitHash || null,
+      checked: Object.values(checks).reduce((sum, item) => sum + item.checked, 0),
+      flagged: issues.length,
+      checks,
+      skipped: context.skipped,
+      issues: issues.slice(0, this.maxIssues),
+      truncated: issues.length > this.maxIssues
+    };
+  }
+
+  // Keeps the issues whose lines are still in the content after an edit that needs no re-analysis (a deleted
+  // section), with their new line numbers
+  relocate(report, content) {
+    if (!report) return null;
+    const lines = (content || '').split('\n');
+    const issues = (report.issues || [])
+      .map(issue => ({ ...issue, line: lines.indexOf(issue.text) + 1 }))
+      .filter(issue => issue.line > 0);
+    return { ...report, flagged: issues.length, issues };
+  }
+
+  // Script names of the package.json files up to two directories deep (backend/, frontend/, packages outside a
+  // workspace), for commands run after a cd: { directory: [names] }. Stored as repoData.packageScripts.
+  async collectScripts(files, readFile) {
+    const manifests = files
+      .map(file => file.name)
+      .filter(name => /^([^/]+\/){1,2}package\.json$/.test(name) && !name.split('/').includes('node_modules'))
+      .slice(0, this.maxManifests);
+
+    const scripts = {};
+    for (const name of manifests) {
+      try {
+        scripts[name.replace(/\/package\.json$/, '')] = Object.keys(JSON.parse(await readFile(name) || '{}').scripts || {});
+      } catch (error) {
+        console.log(`Could not read the scripts of ${name}: ${error.message}`);
+      }
+    }
+    return scripts;
+  }
+
+  buildContext(repoData = {}) {
+    const paths = repoData.paths || [];
+    const directories = new Set();
+    for (const filePath of paths) {
+      const segments = filePath.split('/');
+      for (let i = 1; i < segments.length; i++) directories.add(segments.slice(0, i).join('/'));
+    }
+
+    // Scripts by package directory: nested manifests, the root manifest and every workspace package
+    const scripts = new Map(Object.entries(repoData.packageScripts || {}).map(([directory, names]) => [directory, new Set(names)]));
+    const rootScripts = repoData.packageJson?.scripts || null;
+    if (rootScripts) scripts.set('', new Set(Object.keys(rootScripts)));
+    for (const item of repoData.workspace?.packages || []) {
+      if (item.ecosystem === 'node') scripts.set(item.path, new Set(item.scripts || []));
+    }
+    const packageNames = new Map((repoData.workspace?.packages || []).map(item => [item.name, item.path]));
+
+    const envVars = repoData.envVars || null;
+    const routes = repoData.apiReference?.routes || [];
+    const skipped = [
+      ...(paths.length === 0 ? ['path', 'script'] : []),
+      ...(!envVars || envVars.filesScanned === 0 ? ['envVar'] : []),
+      ...(routes.length === 0 ? ['route'] : [])
+    ];
+
+    return {
+      repoName: (repoData.metadata?.repoName || '').toLowerCase(),
+      files: new Set(paths),
+      paths,
+      directories,
+      scripts,
+      packageNames,
+      envVarNames: envVarService.getNames(envVars),
+      envVarsTruncated: Boolean(envVars?.truncated),
+      routes: routes.map(route => ({ method: route.method.toUpperCase(), path: route.path, segments: this.splitRoute(route.path) })),
+      skipped
+    };
+  }
+
+  // Walks the Markdown line by line: fenced code blocks by language (Mermaid skipped), prose by inline code,
+  // links and "METHOD /path" mentions. Each claim is { kind, claim, line, text, ... } with the details check needs.
+  findClaims(content, repoName = '') {
+    const claims = [];
+    const lines = content.split('\n');
+    let fence = null;
+    let heading = '';
+
+    lines.forEach((text, index) => {
+      const line = index + 1;
+      const add = (claim) => claims.push({ ...claim, line, text });
+
+      const fenceMatch = text.match(/^\s*(```+|~~~+)\s*([\w+-]*)/);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = { marker: fenceMatch[1], language: fenceMatch[2].toLowerCase(), cwd: '', cloned: false, repoName };
+        } else if (text.trim().startsWith(fence.marker)) {
+          fence = null;
+        }
+        return;
+      }
+
+      if (fence) {
+        if (fence.language === 'mermaid') return;
+        this.findCodeClaims(text, fence, add);
+        return;
+      }
+
+      const headingMatch = text.match(/^#{1,6}\s+(.*)$/);
+      if (headingMatch) heading = headingMatch[1];
+      this.findProseClaims(text, heading, repoName, add);
+    });
+
+    return claims;
+  }
+
+  findCodeClaims(text, fence, add) {
+    const trimmed = text.trim();
+    const isShell = this.shellLanguages.includes(fence.language);
+
+    if (isShell || this.envLanguages.includes(fence.language)) {
+      const assignment = trimmed.match(/^(?:export\s+|set\s+|\$env:)?([A-Z][A-Z0-9_]*)=/);
+      if (assignment && !/^\s*#/.test(text)) add({ kind: 'envVar', claim: assignment[1] });
+    }
+    for (const match of text.matchAll(/\bprocess\.env\.([A-Z][A-Z0-9_]*)|\bos\.(?:environ\[\s*['"]|getenv\(\s*['"]|Getenv\(\s*")([A-Z][A-Z0-9_]*)/g)) {
+      add({ kind: 'envVar', claim: match[1] || match[2] });
+    }
+    this.findRouteMentions(text, add);
+
+    if (!isShell || /^\s*(#|\/\/|rem\b)/i.test(text)) return;
+    const command = trimmed.replace(/^(\$|>|PS>)\s*/, '');
+    this.findCommandClaims(command, fence, add);
+  }
+
+  findProseClaims(text, heading, repoName, add) {
+    const envSection = this.envContext.test(heading);
+
+    for (const [, code] of text.matchAll(/`([^`\n]+)`/g)) {
+      const value = code.trim();
+      if (/^(npm|pnpm|yarn|bun|cd|node|python3?|cat|source|bash|sh|cp)\s/.test(value)) {
+        this.findCommandClaims(value, { cwd: '', cloned: false, repoName }, add);
+        continue;
+      }
+      if (this.findRouteMentions(value, add)) continue;
+
+      const envMatch = value.match(/^(?:process\.env\.)?([A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*)(=.*)?$/);
+      if (envMatch) {
+        const named = envMatch[2] !== undefined || /^process\.env\./.test(value);
+        // Names without an underscore (PORT) only count as the first column of a configuration table
+        const tableKey = envSection && text.match(/^\s*\|\s*`([^`]+)`/)?.[1] === code;
+        const mentioned = envMatch[1].includes('_') && (envSection || this.envContext.test(text));
+        if (named || tableKey || mentioned) {
+          add({ kind: 'envVar', claim: envMatch[1] });
+        }
+        continue;
+      }
+
+      // Bare file names in prose are usually generic ("reads `setup.py`"); paths with a directory are claims
+      if (this.isPathLike(value) && this.cleanPath(value).includes('/') && !this.creationContext.test(text)) {
+        add({ kind: 'path', claim: value, cwd: '' });
+      }
+    }
+
+    // Relative links: [text](docs/setup.md)
+    for (const [, target] of text.matchAll(/\[[^\]]*\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g)) {
+      if (/^([a-z][\w+.-]*:|#|\/\/)/i.test(target)) continue;
+      const linked = decodeURIComponent(target.split(/[#?]/)[0]);
+      if (linked) add({ kind: 'path', claim: linked, cwd: '', link: true });
+    }
+
+    // Endpoint tables and lists ("GET `/api/docs`")
+    this.findRouteMentions(text, add);
+  }
+
+  // "GET /api/docs/:id" anywhere in the text, and curl commands against a local server. Returns whether any
+  // route was found.
+  findRouteMentions(text, add) {
+    let found = false;
+    const methodPattern = new RegExp(`\\b(${this.httpMethods.join('|')})\\s+\`?(/[^\\s\`'"|),;]*)`, 'g');
+    for (const [, method, routePath] of text.matchAll(methodPattern)) {
+      add({ kind: 'route', claim: `${method} ${routePath}`, method, path: routePath });
+      found = true;
+    }
+
+    const curl = text.match(/\bcurl\b.*?\bhttps?:\/\/(?:localhost|127\.0\.0\.1|0\.0\.0\.0)(?::\d+)?(\/[^\s'"]*)?/);
+    if (curl && curl[1] && !found) {
+      const explicit = text.match(/(?:-X|--request)\s+([A-Z]+)/);
+      const method = explicit ? explicit[1] : /\s(-d|--data\S*|-F|--form|--json)\s/.test(text) ? 'POST' : 'GET';
+      add({ kind: 'route', claim: `${method} ${curl[1]}`, method, path: curl[1] });
+      found = true;
+    }
+    return found;
+  }
+
+  // Shell commands: package scripts, and the files and directories they run or change into. fence carries the
+  // working directory across lines of a code block.
+  findCommandClaims(commandLine, fence, add) {
+    for (const command of commandLine.split(/\s*(?:&&|\|\||;|\|)\s*/)) {
+      const words = command.trim().split(/\s+/).filter(Boolean);
+      // PORT=3000 npm start
+      while (/^[A-Za-z_]\w*=/.test(words[0] || '')) words.shift();
+      const [program, ...args] = words;
+      if (!program) continue;
+
+      if (program === 'git' && args[0] === 'clone') {
+        fence.cloned = true;
+        continue;
+      }
+      if (program === 'cd') {
+        const target = this.cleanPath(args[0]);
+        if (!target || target === '-' || /^[~/$]/.test(target)) continue;
+        // The directory a clone creates is not part of the repository
+        if (fence.cloned || target.toLowerCase() === fence.repoName) {
+          fence.cloned = false;
+          continue;
+        }
+        add({ kind: 'path', claim: target, cwd: fence.cwd, directory: true });
+        fence.cwd = this.joinPath(fence.cwd, target) ?? '';
+        continue;
+      }
+
+      if (['npm', 'pnpm', 'yarn', 'bun'].includes(program)) {
+        const script = this.getScriptName(program, args);
+        if (script) add({ kind: 'script', claim: script.name, program, cwd: this.getScriptDirectory(args, fence.cwd), command: command.trim() });
+        continue;
+      }
+
+      const runsFile = ['node', 'python', 'python3', 'cat', 'source', 'bash', 'sh', 'ts-node', 'tsx', 'deno', 'cp'].includes(program);
+      const target = runsFile ? args.find(arg => !arg.startsWith('-')) : null;
+      const executable = program.startsWith('./') ? program : null;
+      const file = this.cleanPath(target || executable);
+      if (file && this.isPathLike(file) && !(program === 'python' && args[0] === '-m')) {
+        add({ kind: 'path', claim: file, cwd: fence.cwd });
+      }
+    }
+  }
+
+  // npm run build, npm test, yarn dev, pnpm --filter web dev
+  getScriptName(program, args) {
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (['--prefix', '-C', '--filter', '-F', '--workspace', '-w', '--cwd', '--dir'].includes(arg)) {
+        i++;
+        continue;
+      }
+      if (arg === '--') break;
+      if (!arg.startsWith('-')) positional.push(arg);
+    }
+    const [first, second] = positional;
+    if (!first) return null;
+
+    if (['run', 'run-script', 'rum', 'urn'].includes(first)) return second ? { name: second } : null;
+    if (program === 'npm') {
+      if (['test', 't', 'tst'].includes(first)) return { name: 'test' };
+      if (['start', 'stop', 'restart'].includes(first)) return { name: first };
+      return null;
+    }
+    if (['test', 'start'].includes(first) && program !== 'bun') return { name: first };
+    if (program === 'bun' || this.packageManagerCommands.has(first)) return null;
+    return /^[\w:.-]+$/.test(first) ? { name: first } : null;
+  }
+
+  // The package a script command targets: --prefix/-C/--cwd/--dir, a workspace filter, or the current directory
+  getScriptDirectory(args, cwd) {
+    if (args.some(arg => ['-r', '--recursive', '-ws', '--workspaces', '--all'].includes(arg))) return { any: true };
+    for (let i = 0; i < args.length - 1; i++) {
+      const value = args[i + 1];
+      if (['--prefix', '-C', '--cwd', '--dir'].includes(args[i])) return this.joinPath(cwd, this.cleanPath(value)) ?? '';
+      if (['--filter', '-F', '--workspace', '-w'].includes(args[i])) return { workspace: value };
+    }
+    const inline = args.find(arg => /^--(prefix|cwd|dir|workspace|filter)=/.test(arg));
+    if (inline) {
+      const [flag, value] = inline.split('=');
+      return ['--workspace', '--filter'].includes(flag) ? { workspace: value } : this.joinPath(cwd, this.cleanPath(value)) ?? '';
+    }
+    return cwd;
+  }
+
+  // Returns an issue message, '' when the claim holds, or undefined when it cannot be checked
+  check(claim, context) {
+    switch (claim.kind) {
+      case 'script':
+        return this.checkScript(claim, context);
+      case 'path':
+        return this.checkPath(claim, context);
+      case 'envVar':
+        return this.checkEnvVar(claim, context);
+      case 'route':
+        return this.checkRoute(claim, context);
+      default:
+        return undefined;
+    }
+  }
+
+  checkScript(claim, context) {
+    let directory = claim.cwd;
+    if (directory?.any) {
+      return [...context.scripts.values()].some(scripts => scripts.has(claim.claim)) ? '' : `No package in the workspace has a "${claim.claim}" script`;
+    }
+    if (directory && typeof directory === 'object') {
+      const name = directory.workspace.replace(/^\.\//, '');
+      directory = context.packageNames.get(name) ?? (context.scripts.has(name) ? name : null);
+      if (directory === null) return undefined;
+    }
+
+    const scripts = context.scripts.get(directory);
+    const where = directory ? `${directory}/package.json` : 'package.json';
+    if (!scripts) {
+      // Another package's manifest the analysis did not read
+      if (context.files.has(where)) return undefined;
+      if (directory && !context.directories.has(directory)) return undefined;
+      return `No ${where} in the repository, so "${claim.command}" cannot run`;
+    }
+    if (scripts.has(claim.claim)) return '';
+    // npm start falls back to "node server.js"
+    if (claim.claim === 'start' && context.files.has(this.joinPath(directory, 'server.js'))) return '';
+
+    const available = [...scripts];
+    return `${where} has no "${claim.claim}" script${available.length > 0 ? ` (available: ${available.slice(0, 8).join(', ')})` : ''}`;
+  }
+
+  checkPath(claim, context) {
+    const target = this.cleanPath(claim.claim);
+    if (!target || /^(\/|~|\$|[a-z]+:)/i.test(target) || /[<>{}*$]/.test(target)) return undefined;
+    if (target.split('/').some(segment => this.generatedSegments.has(segment))) return undefined;
+
+    // null when the path leaves the repository
+    const full = this.joinPath(claim.cwd, target);
+    if (full === null) return undefined;
+    if (!full || this.pathExists(full, context)) return '';
+    // Documentation often abbreviates nested paths ("services/x.js" for "backend/services/x.js")
+    if (!claim.directory && context.paths.some(item => item.endsWith(`/${full}`))) return '';
+    if ([...context.directories].some(item => item === full || item.endsWith(`/${full}`))) return '';
+
+    // Bare names without an extension are often packages or commands, not paths
+    const firstSegment = full.split('/')[0];
+    if (!claim.link && !claim.directory && !this.pathExtensions.test(full) &&
+      !context.directories.has(firstSegment) && !context.files.has(firstSegment)) {
+      return undefined;
+    }
+    return claim.directory ? `No directory "${full}" in the repository` : `No file or directory "${full}" in the repository`;
+  }
+
+  pathExists(full, context) {
+    return context.files.has(full) || context.directories.has(full);
+  }
+
+  checkEnvVar(claim, context) {
+    if (context.envVarNames.has(claim.claim) || this.implicitEnvVars.has(claim.claim)) return '';
+    return `"${claim.claim}" is not read anywhere in the ${context.envVarsTruncated ? 'scanned ' : ''}source or listed in an example env file`;
+  }
+
+  checkRoute(claim, context) {
+    const routePath = claim.path.split(/[?#]/)[0].replace(/[.:]+$/, '');
+    const segments = this.splitRoute(routePath);
+    if (segments.length === 0) return undefined;
+
+    const matching = context.routes.filter(route => this.matchRoute(route.segments, segments));
+    if (matching.length === 0) return `No route matches ${routePath}`;
+    if (matching.some(route => route.method === claim.method || route.method === 'ALL')) return '';
+    const methods = [...new Set(matching.map(route => route.method))];
+    return `${routePath} is registered for ${methods.join(', ')}, not ${claim.method}`;
+  }
+
+  splitRoute(routePath) {
+    return routePath.replace(/\/+$/, '').split('/').filter(Boolean);
+  }
+
+  // Route parameters ({id}) match any segment; so do placeholders in the documentation (:id, {id}, <id>)
+  matchRoute(routeSegments, segments) {
+    const isParameter = (segment) => /^(:\w+\??|\{[^}]+\}|<[^>]+>|\[[^\]]+\])$/.test(segment);
+    for (let i = 0; i < routeSegments.length; i++) {
+      if (routeSegments[i] === '{wildcard}') return true;
+      if (i >= segments.length) return false;
+      if (isParameter(routeSegments[i]) || isParameter(segments[i])) continue;
+      if (routeSegments[i] !== segments[i]) return false;
+    }
+    return routeSegments.length === segments.length;
+  }
+
+  isPathLike(value) {
+    if (!value || /\s/.test(value) || /^[@(]|\(\)$|::|=>|^\d|^https?:/.test(value)) return false;
+    // Product names such as Node.js or Next.js
+    if (/^[A-Z][A-Za-z0-9]*\.js$/.test(value)) return false;
+    if (!/^[\w./-]+$/.test(value)) return false;
+    return value.includes('/') ? /[A-Za-z]/.test(value) && !/^\/\w/.test(value) : this.pathExtensions.test(value) || /^\.[\w.-]+$/.test(value);
+  }
+
+  cleanPath(value) {
+    if (!value) return '';
+    return value.replace(/^['"]|['"]$/g, '').replace(/^\.\//, '').replace(/[.,:;]+$/, '');
+  }
+
+  // base + a relative target, or null when it climbs out of the repository
+  joinPath(base, target) {
+    const parts = base ? base.split('/') : [];
+    for (const segment of target.replace(/\/$/, '').split('/')) {
+      if (segment === '.' || segment === '') continue;
+      if (segment === '..') {
+        if (parts.length === 0) return null;
+        parts.pop();
+      } else {
+        parts.push(segment);
+      }
+    }
+    return parts.join('/');
+  }
+}
+
+module.exports = new VerificationService();
@@ -0,0 +1,353 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const toml = require('smol-toml');
+const chunkingService = require('./chunkingService');
+const excerptService = require('./excerptService');
+const apiReferenceService = require('./apiReference');
+const manifestService = require('./manifests');
+const markdownService = require('./markdownService');
+
+// Monorepo layouts: npm/Yarn/pnpm/Bun workspaces, Lerna, Nx and Turborepo, Cargo workspaces and Go
+// workspaces or multi-module repositories. Each package found gets its own manifest summary, README and
+// entry points; the package index is rendered as a "Packages" section and per-package documents are
+// generated by analyzing the package's directory on its own (options.packagePath).
+class WorkspaceService {
+  constructor() {
+    this.maxPackages = parseInt(process.env.WORKSPACE_MAX_PACKAGES) || 50;
+    this.readmeTokens = 300;
+    this.maxEntryPoints = 5;
+    this.fetchConcurrency = 5;
+    this.sectionTitle = 'Packages';
+    // Directories a package manifest is never taken from, on top of the usual dependency and build output
+    this.ignoredDirectories = [...chunkingService.ignoredDirectories, 'testdata', 'fixtures', 'examples', 'templates'];
+  }
+
+  // files: [{ name }] of the whole tree; readFile(name) resolves to the text or null. packageJson is the
+  // parsed root package.json. Returns null for single-package repositories.
+  async detect(files, readFile, { packageJson = null } = {}) {
+    const names = new Set(files.map(file => file.name));
+    const safeRead = async (name) => {
+      try {
+        return await readFile(name);
+      } catch (error) {
+        return null;
+      }
+    };
+    const manifestDirectories = (manifestName) => files
+      .map(file => file.name)
+      .filter(name => path.posix.basename(name) === manifestName && name.includes('/'))
+      .map(name => path.posix.dirname(name))
+      .filter(directory => !directory.split('/').some(segment => this.ignoredDirectories.includes(segment)));
+
+    const tools = [];
+    const found = new Map();
+    const addPackages = (ecosystem, manifestName, directories) => {
+      for (const directory of directories) {
+        if (!found.has(directory)) found.set(directory, { path: directory, ecosystem, manifest: `${directory}/${manifestName}` });
+      }
+    };
+
+    // JavaScript: the package manager's workspace globs, or Lerna's own list
+    const nodePatterns = await this.getNodePatterns(names, safeRead, packageJson, tools);
+    if (nodePatterns.length > 0) {
+      addPackages('node', 'package.json', this.matchDirectories(manifestDirectories('package.json'), nodePatterns));
+    }
+    if (names.has('turbo.json')) tools.push('Turborepo');
+
+    // Nx projects are folders with a project.json (or a package.json under the apps/libs layout)
+    if (names.has('nx.json')) {
+      tools.push('Nx');
+      const nx = this.parseJson(await safeRead('nx.json')) || {};
+      const layout = [nx.workspaceLayout?.appsDir || 'apps', nx.workspaceLayout?.libsDir || 'libs'];
+      addPackages('node', 'project.json', manifestDirectories('project.json'));
+      addPackages('node', 'package.json', this.matchDirectories(manifestDirectories('package.json'), layout.map(directory => `${directory}/**`)));
+    }
+
+    if (names.has('Cargo.toml')) {
+      let cargo = null;
+      try {
+        cargo = toml.parse(await safeRead('Cargo.toml') || '');
+      } catch (error) {
+        console.log(`Could not read Cargo.toml: ${error.message}`);
+      }
+      if (cargo?.workspace?.members) {
+        tools.push('Cargo workspace');
+        const members = this.matchDirectories(manifestDirectories('Cargo.toml'), cargo.workspace.members);
+        const excluded = this.matchDirectories(members, cargo.workspace.exclude || []);
+        addPackages('rust', 'Cargo.toml', members.filter(directory => !excluded.includes(directory)));
+      }
+    }
+
+    // go.work lists the modules; without one, nested go.mod files still make separate modules
+    const goModules = manifestDirectories('go.mod');
+    if (names.has('go.work')) {
+      tools.push('Go workspace');
+      const used = this.parseGoWork(await safeRead('go.work') || '');
+      addPackages('go', 'go.mod', goModules.filter(directory => used.includes(directory)));
+    } else if (goModules.length + (names.has('go.mod') ? 1 : 0) > 1) {
+      tools.push('Go modules');
+      addPackages('go', 'go.mod', goModules);
+    }
+
+    if (found.size === 0) return null;
+
+    const directories = [...found.values()].sort((a, b) => a.path.localeCompare(b.path));
+    const packages = (await excerptService.mapWithConcurrency(directories.slice(0, this.maxPackages), this.fetchConcurrency,
+      (entry) => this.describePackage(entry, files, safeRead)
+    )).filter(Boolean);
+    this.linkInternalDependencies(packages);
+
+    return {
+      tools: [...new Set(tools)],
+      packages,
+      totalPackages: directories.length,
+      truncated: directories.length > this.maxPackages
+    };
+  }
+
+  async getNodePatterns(names, readFile, packageJson, tools) {
+    const patterns = [];
+    const workspaces = Array.isArray(packageJson?.workspaces) ? packageJson.workspaces : packageJson?.workspaces?.packages;
+    if (Array.isArray(workspaces) && workspaces.length > 0) {
+      const manager = names.has('yarn.lock') ? 'Yarn' : names.has('bun.lockb') || names.has('bun.lock') ? 'Bun' : 'npm';
+      tools.push(`${manager} workspaces`);
+      patterns.push(...workspaces);
+    }
+
+    if (names.has('pnpm-workspace.yaml')) {
+      try {
+        const pnpm = yaml.load(await readFile('pnpm-workspace.yaml') || '') || {};
+        tools.push('pnpm workspaces');
+        patterns.push(...(pnpm.packages || []));
+      } catch (error) {
+        console.log(`Could not read pnpm-workspace.yaml: ${error.message}`);
+      }
+    }
+
+    if (names.has('lerna.json')) {
+      const lerna = this.parseJson(await readFile('lerna.json')) || {};
+      tools.push('Lerna');
+      // Lerna 7 always defers to the package manager's workspaces; older versions default to packages/*
+      if (patterns.length === 0) patterns.push(...(lerna.packages || ['packages/*']));
+    }
+    return patterns.filter(pattern => typeof pattern === 'string');
+  }
+
+  // Directories matching workspace globs ("packages/*", "apps/**", "!packages/legacy")
+  matchDirectories(directories, patterns) {
+    const toRegex = (pattern) => new RegExp(`^${pattern
+      .replace(/^\.\//, '')
+      .replace(/\/+$/, '')
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .split('/')
+      .map(segment => segment === '**' ? '\u0000' : segment.replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]'))
+      .join('/')
+      .replace(/\u0000\//g, '(?:[^/]+/)*')
+      .replace(/\/?\u0000$/, '(?:/[^/]+)*')}$`);
+
+    const included = patterns.filter(pattern => !pattern.startsWith('!')).map(toRegex);
+    const excluded = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => toRegex(pattern.slice(1)));
+    return directories.filter(directory =>
+      included.some(pattern => pattern.test(directory)) && !excluded.some(pattern => pattern.test(directory)));
+  }
+
+  // Module directories of a go.work file's use directives
+  parseGoWork(content) {
+    const used = [];
+    const source = content.replace(/\/\/.*$/gm, '');
+    for (const [, block] of source.matchAll(/^use\s*\(([\s\S]*?)\)/gm)) {
+      used.push(...block.split('\n').map(line => line.trim()).filter(Boolean));
+    }
+    for (const [, directory] of source.matchAll(/^use\s+([^\s(]+)\s*$/gm)) {
+      used.push(directory);
+    }
+    return used.map(directory => directory.replace(/^["']|["']$/g, '').replace(/^\.\//, '').replace(/\/+$/, ''));
+  }
+
+  parseJson(content) {
+    try {
+      return content ? JSON.parse(content) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // One package: what its own manifest says, its README and entry points, with paths from the repository root
+  async describePackage(entry, files, readFile) {
+    const prefix = `${entry.path}/`;
+    const packageFiles = files
+      .filter(file => file.name.startsWith(prefix))
+      .map(file => ({ ...file, name: file.name.slice(prefix.length) }));
+    const readPackageFile = (name) => readFile(`${prefix}${name}`);
+
+    const packageJson = this.parseJson(await readPackageFile('package.json'));
+    const project = entry.manifest.endsWith('project.json') ? this.parseJson(await readPackageFile('project.json')) : null;
+    const manifests = await manifestService.read(packageFiles, readPackageFile, { packageJson });
+    const manifest = manifests?.ecosystems.find(item => item.ecosystem === entry.ecosystem) || manifestService.getPrimary(manifests);
+
+    const readmeFile = packageFiles.find(file => /^readme(\.|$)/i.test(file.name));
+    const readme = readmeFile ? await readPackageFile(readmeFile.name) : null;
+
+    return {
+      name: packageJson?.name || project?.name || manifest?.name || path.posix.basename(entry.path),
+      path: entry.path,
+      ecosystem: entry.ecosystem,
+      manifest: entry.manifest,
+      version: manifest?.version || null,
+      description: manifest?.description || this.getReadmeSummary(readme),
+      private: Boolean(packageJson?.private),
+      frameworks: manifests?.frameworks || [],
+      scripts: (manifest?.scripts || []).map(script => script.name),
+      dependencyNames: [...(manifest?.dependencies || []), ...(manifest?.devDependencies || [])].map(dependency => dependency.name),
+      readme: readmeFile ? { path: `${prefix}${readmeFile.name}`, excerpt: chunkingService.truncateToTokens(readme || '', this.readmeTokens) } : null,
+      entryPoints: this.getEntryPoints(entry.ecosystem, packageFiles, packageJson, project).map(name => `${prefix}${name}`)
+    };
+  }
+
+  // The first paragraph of a README that is not a heading or a badge line
+  getReadmeSummary(readme) {
+    if (!readme) return null;
+    const paragraph = readme.split(/\n\s*\n/)
+      .map(block => block.trim())
+      .find(block => block && !block.startsWith('#') && !/^(\[?!\[|<)/.test(block));
+    return paragraph ? paragraph.replace(/\s+/g, ' ').slice(0, 200) : null;
+  }
+
+  getEntryPoints(ecosystem, packageFiles, packageJson, project) {
+    const names = new Set(packageFiles.map(file => file.name));
+    const existing = (candidates) => candidates.filter(name => names.has(name));
+    let entryPoints = [];
+
+    if (ecosystem === 'node') {
+      const declared = apiReferenceService.getEntryPoints(packageJson, null);
+      const nxMain = project?.targets?.build?.options?.main;
+      // Declared files often point at build output, so fall back to the sources an index file would be
+      entryPoints = [
+        ...existing([...declared, ...(nxMain ? [nxMain.replace(/^.*?\/src\//, 'src/')] : [])]),
+        ...packageFiles.map(file => file.name).filter(name => /^(src\/)?(index|main)\.[cm]?[jt]sx?$/.test(name))
+      ];
+    } else if (ecosystem === 'rust') {
+      entryPoints = [
+        ...existing(['src/lib.rs', 'src/main.rs']),
+        ...packageFiles.map(file => file.name).filter(name => /^src\/bin\/[^/]+\.rs$/.test(name))
+      ];
+    } else if (ecosystem === 'go') {
+      const mains = packageFiles.map(file => file.name).filter(name => /^(cmd\/[^/]+\/)?main\.go$/.test(name));
+      entryPoints = mains.length > 0
+        ? mains
+        : packageFiles.map(file => file.name).filter(name => /^[^/]+\.go$/.test(name) && !name.endsWith('_test.go'));
+    }
+    return [...new Set(entryPoints)].slice(0, this.maxEntryPoints);
+  }
+
+  // Which packages of the workspace depend on which, by package (crate, module) name
+  linkInternalDependencies(packages) {
+    const byName = new Map(packages.map(item => [item.name, item]));
+    for (const item of packages) {
+      item.internalDependencies = [...new Set(item.dependencyNames.filter(name => name !== item.name && byName.has(name)))];
+      delete item.dependencyNames;
+    }
+    for (const item of packages) {
+      item.dependents = packages.filter(other => other.internalDependencies.includes(item.name)).map(other => other.name);
+    }
+  }
+
+  hasPackages(workspace) {
+    return Boolean(workspace && workspace.packages.length > 0);
+  }
+
+  findPackage(workspace, packagePath) {
+    return workspace?.packages.find(item => item.path === packagePath) || null;
+  }
+
+  describeTools(workspace) {
+    return workspace.tools.length > 0 ? workspace.tools.join(', ') : 'a workspace';
+  }
+
+  // Deterministic package index: a table, then the internal dependencies as a Mermaid flowchart
+  renderMarkdown(workspace, options = {}) {
+    const body = this.renderBody(workspace, options);
+    return body ? `## ${this.sectionTitle}\n\n${body}` : '';
+  }
+
+  // The section without its "##" heading, for the sections strategy which adds its own. links maps package
+  // paths to the URLs of their own documents.
+  renderBody(workspace, { diagrams = true, links = {} } = {}) {
+    if (!this.hasPackages(workspace)) return '';
+    const escape = (text) => markdownService.cell(text || '');
+    const code = (text) => markdownService.code(text);
+
+    let markdown = `_This repository is a monorepo (${this.describeTools(workspace)}) with ${workspace.totalPackages} ` +
+      `${workspace.totalPackages === 1 ? 'package' : 'packages'}, read from their own manifests._\n\n`;
+    markdown += '| Package | Path | Version | Description | Depends on |\n|---------|------|---------|-------------|------------|\n';
+    for (const item of workspace.packages) {
+      const name = links[item.path] ? `[${code(item.name)}](${links[item.path]})` : code(item.name);
+      const dependsOn = item.internalDependencies.map(code).join(', ');
+      markdown += `| ${name}${item.private ? ' _(private)_' : ''} | ${code(item.path)} | ${escape(item.version)} | ${escape(item.description)} | ${dependsOn} |\n`;
+    }
+    if (workspace.truncated) {
+      markdown += `\n_Only the first ${workspace.packages.length} packages are listed._\n`;
+    }
+
+    const edges = workspace.packages.flatMap(item => item.internalDependencies.map(dependency => [item.name, dependency]));
+    if (diagrams && edges.length > 0) {
+      const ids = new Map(workspace.packages.map((item, index) => [item.name, `p${index}`]));
+      const lines = ['flowchart LR'];
+      for (const item of workspace.packages) {
+        if (item.internalDependencies.length > 0 || item.dependents.length > 0) {
+          lines.push(`  ${ids.get(item.name)}["${item.name.replace(/"/g, "'")}"]`);
+        }
+      }
+      for (const [from, to] of edges) lines.push(`  ${ids.get(from)} --> ${ids.get(to)}`);
+      markdown += `\nHow the packages depend on each other (arrows point at the dependency):\n\n\`\`\`mermaid\n${lines.join('\n')}\n\`\`\`\n`;
+    }
+    return markdown.trimEnd();
+  }
+
+  // Compact package list for prompts
+  formatSummary(workspace, maxTokens = 1000) {
+    if (!this.hasPackages(workspace)) return '';
+
+    const lines = [`Monorepo (${this.describeTools(workspace)}) with ${workspace.totalPackages} packages:`];
+    for (const item of workspace.packages) {
+      const details = [
+        item.description,
+        item.entryPoints.length > 0 && `entry points: ${item.entryPoints.join(', ')}`,
+        item.scripts.length > 0 && `scripts: ${item.scripts.join(', ')}`,
+        item.internalDependencies.length > 0 && `depends on: ${item.internalDependencies.join(', ')}`
+      ].filter(Boolean).join('; ');
+      lines.push(`- ${item.name} (${item.path}${item.version ? `, ${item.version}` : ''})${details ? `: ${details}` : ''}`);
+    }
+    return chunkingService.truncateToTokens(lines.join('\n'), maxTokens);
+  }
+
+  // Puts the package index into generated Markdown: replaces a "Packages" section the model wrote, otherwise
+  // inserts it after the first section (the overview)
+  mergeIntoContent(content, markdown) {
+    if (!markdown) return { content, appended: '' };
+
+    const headings = [...content.matchAll(/^##\s+(.+)$/gm)];
+    const existing = headings.findIndex(heading => /\b(packages|workspaces?)\b/i.test(heading[1]));
+    if (existing !== -1) {
+      const start = headings[existing].index;
+      const end = headings[existing + 1] ? headings[existing + 1].index : content.length;
+      return {
+        content: `${content.slice(0, start)}${markdown}\n\n${content.slice(end).trimStart()}`.trimEnd() + '\n',
+        appended: ''
+      };
+    }
+
+    if (headings.length < 2) {
+      const appended = `${content.trimEnd() ? '\n\n' : ''}${markdown}\n`;
+      return { content: `${content.trimEnd()}${appended}`, appended };
+    }
+
+    const insertAt = headings[1].index;
+    return {
+      content: `${content.slice(0, insertAt)}${markdown}\n\n${content.slice(insertAt)}`.trimEnd() + '\n',
+      appended: ''
+    };
+  }
+}
+
+module.exports = new WorkspaceService();
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const apiReferenceService = require('../services/apiReference');
+
+const extract = (files) => apiReferenceService.extract(
+  Object.entries(files).map(([name, source]) => ({ name, size: source.length })),
+  async (name) => files[name] ?? null
+);
+
+test('escapes HTML in doc comments', async () => {
+  const apiReference = await extract({
+    'src/index.js': `/**
+ * Does <img src=x onerror=alert(document.cookie)> things
+ * @param {string} name - the <b>name</b>
+ * @returns {string} <script>alert(1)</script>
+ */
+export function greet(name) { return name; }
+`
+  });
+
+  const markdown = apiReferenceService.renderBody(apiReference);
+  assert.match(markdown, /Does &lt;img src=x onerror=alert\(document\.cookie\)&gt; things/);
+  assert.match(markdown, /the &lt;b&gt;name&lt;\/b&gt;/);
+  assert.doesNotMatch(markdown, /<img|<b>|<script>/);
+});
+
+test('escapes HTML in route summaries', async () => {
+  const apiReference = await extract({
+    'server.js': `const express = require('express');
+const app = express();
+
+// Lists <img src=x onerror=alert(1)> users
+app.get('/users', (req, res) => res.json([]));
+`
+  });
+
+  const markdown = apiReferenceService.renderBody(apiReference);
+  assert.match(markdown, /\| GET \| `\/users` \| Lists &lt;img src=x onerror=alert\(1\)&gt; users \|/);
+  assert.doesNotMatch(markdown, /<img/);
+});
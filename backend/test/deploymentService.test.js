@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const deploymentService = require('../services/deploymentService');
+
+const detect = (files) => deploymentService.detect(
+  Object.entries(files).map(([name, source]) => ({ name, size: source.length })),
+  async (name) => files[name] ?? null
+);
+
+test('escapes HTML from compose files and workflows', async () => {
+  const deployment = await detect({
+    'docker-compose.yml': 'services:\n  web:\n    image: node:20\n    depends_on:\n      - "<img src=x onerror=alert(1)>"\n',
+    '.github/workflows/ci.yml': 'name: "<script>alert(1)</script>"\non: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - run: npm test\n'
+  });
+
+  const markdown = deploymentService.renderBody(deployment, { diagrams: false });
+  assert.match(markdown, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.match(markdown, /\*\*&lt;script&gt;alert\(1\)&lt;\/script&gt;\*\*/);
+  assert.doesNotMatch(markdown, /<img|<script>|<br>/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const envVarService = require('../services/envVarService');
+
+const extract = (files) => envVarService.extract(
+  Object.entries(files).map(([name, source]) => ({ name, size: source.length })),
+  async (name) => files[name] ?? null
+);
+
+test('escapes HTML from example file comments', async () => {
+  const envVars = await extract({
+    '.env.example': '# Signs <img src=x onerror=alert(1)> | sessions\nSESSION_SECRET=<change-me>\n'
+  });
+
+  const markdown = envVarService.renderBody(envVars);
+  assert.match(markdown, /Signs &lt;img src=x onerror=alert\(1\)&gt; \\\| sessions/);
+  assert.doesNotMatch(markdown, /<img/);
+});
+
+test('attaches example file comments only to the key right below them', async () => {
+  const entries = envVarService.parseExampleFile([
+    '# LLM provider: openrouter or mock',
+    'LLM_PROVIDER=openrouter',
+    'LLM_MODEL=llama3.1',
+    '',
+    '# Source host API tokens',
+    'GITHUB_TOKEN=',
+    'BITBUCKET_TOKEN=',
+    '# or BITBUCKET_USERNAME + BITBUCKET_APP_PASSWORD',
+    'GITEA_TOKEN=',
+    '# Port the API listens on',
+    'PORT=5001'
+  ].join('\n'));
+
+  const descriptions = Object.fromEntries(entries.map(entry => [entry.name, entry.description]));
+  assert.deepStrictEqual(descriptions, {
+    LLM_PROVIDER: 'LLM provider: openrouter or mock',
+    LLM_MODEL: null,
+    GITHUB_TOKEN: 'Source host API tokens',
+    BITBUCKET_TOKEN: 'or BITBUCKET_USERNAME + BITBUCKET_APP_PASSWORD',
+    GITEA_TOKEN: null,
+    PORT: 'Port the API listens on'
+  });
+});
+
+test('skips variables mentioned in comments', async () => {
+  const envVars = await extract({
+    'src/server.js': [
+      '// const { PORT = 3000, HOST } = process.env',
+      '/* process.env.LEGACY_URL */',
+      "const url = 'http://localhost' + process.env.API_PATH; // process.env.OLD_PATH",
+      'const port = process.env.PORT || 5001;'
+    ].join('\n'),
+    'app.py': "import os\n# os.environ['UNUSED']\ncolor = '#fff' + os.environ['THEME']\n"
+  });
+
+  assert.deepStrictEqual(envVars.variables.map(variable => variable.name), ['API_PATH', 'PORT', 'THEME']);
+  assert.deepStrictEqual(envVars.variables.find(variable => variable.name === 'PORT').usages, [{ file: 'src/server.js', line: 4 }]);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const chunkingService = require('../services/chunkingService');
+const excerptService = require('../services/excerptService');
+
+const select = (files, tokenBudget) => excerptService.selectExcerpts(
+  Object.entries(files).map(([name, source]) => ({ name, size: source.length })),
+  async (file) => files[file.name] ?? null,
+  { tokenBudget }
+);
+
+test('keeps the formatted excerpts within the token budget', async () => {
+  const files = {};
+  for (let i = 0; i < 12; i++) files[`src/module${i}.js`] = `// module ${i}\n${'x'.repeat(5000)}\n`;
+
+  for (const tokenBudget of [1000, 3000, 6000]) {
+    const { excerpts, selection } = await select(files, tokenBudget);
+
+    assert.ok(excerpts.every(excerpt => excerpt.truncated));
+    assert.ok(selection.tokensUsed <= tokenBudget, `${selection.tokensUsed} > ${tokenBudget}`);
+    assert.ok(chunkingService.estimateTokens(excerptService.formatExcerpts(excerpts)) <= selection.tokensUsed);
+  }
+});
+
+test('truncates text to the token limit including the marker', () => {
+  const text = chunkingService.truncateToTokens('y'.repeat(10000), 100);
+
+  assert.ok(chunkingService.estimateTokens(text) <= 100);
+  assert.match(text, /\[truncated \d+ characters\]$/);
+});
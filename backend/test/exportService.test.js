@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), 'doc-creator-test-uploads');
+process.env.TEMP_DIR = path.join(os.tmpdir(), 'doc-creator-test-temp');
+delete process.env.MERMAID_RENDERER_URL;
+
+const diagramService = require('../services/diagramService');
+const exportService = require('../services/exportService');
+
+test('keeps diagrams local without a renderer', async () => {
+  assert.strictEqual(diagramService.isEnabled(), false);
+
+  const html = await exportService.markdownToHTML('# Title\n\n```mermaid\nflowchart LR\n  a --> b\n```\n');
+  assert.match(html, /<pre class="mermaid">flowchart LR\n {2}a --&gt; b<\/pre>/);
+  assert.match(html, /<script src="\/vendor\/mermaid\/mermaid\.min\.js"><\/script>/);
+  assert.doesNotMatch(html, /https?:\/\/(?!www\.w3\.org)/);
+});
+
+test('serves the bundled mermaid.js', () => {
+  assert.ok(require('fs').existsSync(path.join(exportService.mermaidDir, 'mermaid.min.js')));
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const simpleGit = require('simple-git');
+const usageService = require('../services/usageService');
+
+// In-memory storage, the mock model and scratch directories - no network and nothing left in the checkout
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'doc-creator-test-'));
+Object.assign(process.env, {
+  MONGODB_URI: '',
+  LLM_PROVIDER: 'mock',
+  MOCK_LLM_DELAY_MS: '0',
+  CACHE_ENABLED: 'false',
+  USAGE_MONTHLY_BUDGET_USD: '0',
+  MERMAID_RENDERER_URL: '',
+  UPLOAD_DIR: path.join(scratch, 'uploads'),
+  TEMP_DIR: path.join(scratch, 'temp')
+});
+
+const app = require('..');
+
+let server;
+let baseUrl;
+const repoPath = path.join(scratch, 'repo');
+const monorepoPath = path.join(scratch, 'monorepo');
+
+const request = async (method, url, body) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const waitForDocument = async (documentId) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const status = await request('GET', `/api/ai/status/${documentId}`);
+    if (status.body.data.status === 'completed') return (await request('GET', `/api/docs/${documentId}`)).body.data;
+    assert.notStrictEqual(status.body.data.status, 'failed', status.body.data.error);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Generation did not finish');
+};
+
+const generate = async (options = {}, repoUrl = repoPath) => {
+  const { body } = await request('POST', '/api/ai/generate', {
+    repoUrl,
+    options: { llmProvider: 'mock', analysisMode: 'clone', ...options }
+  });
+  assert.strictEqual(body.success, true, body.error);
+  return waitForDocument(String(body.data.document._id));
+};
+
+const commitFixture = async (directory, files) => {
+  for (const [name, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(directory, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  const git = simpleGit(directory);
+  await git.init();
+  await git.add('.');
+  await git.raw(['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-m', 'Initial commit']);
+};
+
+test.before(async () => {
+  await commitFixture(repoPath, {
+    'README.md': '# Greeter\n\nSays hello.\n',
+    'package.json': { name: 'greeter', version: '1.0.0', main: 'src/index.js', scripts: { start: 'node src/index.js' } },
+    'src/index.js': [
+      '/**',
+      ' * Greets someone',
+      ' * @param {string} name - who to greet',
+      ' */',
+      'function greet(name) {',
+      "  return `Hello ${name} on port ${process.env.PORT || 3000}`;",
+      '}',
+      '',
+      'module.exports = { greet };',
+      ''
+    ].join('\n')
+  });
+
+  await commitFixture(monorepoPath, {
+    'package.json': { name: 'tools', private: true, workspaces: ['packages/*'] },
+    'packages/alpha/package.json': { name: 'alpha', version: '1.0.0', main: 'index.js' },
+    'packages/alpha/index.js': 'module.exports = () => "alpha";\n',
+    'packages/beta/package.json': { name: 'beta', version: '1.0.0', main: 'index.js' },
+    'packages/beta/index.js': 'module.exports = () => "beta";\n'
+  });
+
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  server.close();
+  await fs.remove(scratch);
+});
+
+test('generates documentation with the mock provider', async () => {
+  const document = await generate();
+
+  assert.strictEqual(document.status, 'completed');
+  assert.match(document.content, /\S/);
+  assert.strictEqual(document.metadata.repoName, 'repo');
+});
+
+test('generates sections rendered from source with the mock provider', async () => {
+  const document = await generate({ strategy: 'sections' });
+
+  const api = document.sections.find(section => section.key === 'api');
+  assert.ok(api, 'API reference section');
+  assert.match(api.content, /greet/);
+
+  const configuration = document.sections.find(section => section.key === 'configuration');
+  assert.ok(configuration, 'configuration section');
+  assert.match(configuration.content, /`PORT`.*`3000`/);
+});
+
+test('exports a generated document as Markdown, HTML and DOCX', async () => {
+  const document = await generate();
+
+  for (const [format, extension] of [['markdown', '.md'], ['pdf', '.html'], ['docx', '.docx']]) {
+    const { status, body } = await request('POST', `/api/export/${document._id}`, { format });
+    assert.strictEqual(status, 200, body.error);
+    assert.strictEqual(path.extname(body.data.export.url), extension);
+
+    const file = path.join(process.env.UPLOAD_DIR, path.basename(body.data.export.url));
+    assert.ok((await fs.stat(file)).size > 0, `${format} export is empty`);
+    if (format === 'markdown') assert.strictEqual(await fs.readFile(file, 'utf8'), document.content);
+  }
+});
+
+test('finishes the package index when the budget runs out while queueing packages', async (t) => {
+  // The request and the first package are within budget, the second package is not
+  let checks = 0;
+  t.mock.method(usageService, 'assertWithinBudget', async () => {
+    if (++checks > 2) throw Object.assign(new Error('Monthly AI budget reached'), { statusCode: 402 });
+  });
+
+  const index = await generate({ workspaceMode: 'packages' }, monorepoPath);
+
+  assert.strictEqual(index.workspace.role, 'index');
+  assert.strictEqual(index.workspace.packages.length, 1);
+  assert.deepStrictEqual(index.workspace.skipped.map(item => item.reason), ['Monthly AI budget reached']);
+  assert.deepStrictEqual(
+    [...index.workspace.packages, ...index.workspace.skipped].map(item => item.name).sort(),
+    ['alpha', 'beta']
+  );
+  await waitForDocument(index.workspace.packages[0].documentId);
+
+  const { body } = await request('GET', `/api/docs?indexId=${index._id}`);
+  assert.strictEqual(body.data.pagination.totalDocuments, 1);
+  assert.strictEqual(body.data.documents[0]._id, index.workspace.packages[0].documentId);
+});
+
+test('counts only the listed documents in the in-memory list total', async () => {
+  const { body: all } = await request('GET', '/api/docs?limit=100');
+  const { body: grouped } = await request('GET', '/api/docs?grouped=true&limit=100');
+
+  assert.strictEqual(all.data.pagination.totalDocuments, all.data.documents.length);
+  assert.strictEqual(grouped.data.pagination.totalDocuments, grouped.data.documents.length);
+  assert.ok(grouped.data.pagination.totalDocuments < all.data.pagination.totalDocuments);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const workspaceService = require('../services/workspaceService');
+
+const detect = (files) => workspaceService.detect(
+  Object.entries(files).map(([name, source]) => ({ name, size: source.length })),
+  async (name) => files[name] ?? null,
+  { packageJson: JSON.parse(files['package.json']) }
+);
+
+test('escapes HTML from package manifests', async () => {
+  const workspace = await detect({
+    'package.json': JSON.stringify({ name: 'root', private: true, workspaces: ['packages/*'] }),
+    'packages/ui/package.json': JSON.stringify({ name: 'ui', version: '1.0.0', description: 'Widgets <img src=x onerror=alert(1)>' }),
+    'packages/app/package.json': JSON.stringify({ name: 'app', version: '<b>2</b>', dependencies: { ui: '*' } })
+  });
+
+  const markdown = workspaceService.renderBody(workspace, { diagrams: false });
+  assert.match(markdown, /Widgets &lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.match(markdown, /&lt;b&gt;2&lt;\/b&gt;/);
+  assert.doesNotMatch(markdown, /<img|<b>/);
+});
@@ -0,0 +1,57 @@
+import React, { useEffect, useRef } from 'react';
+import { renderMarkdown } from '../utils/markdown';
+
+// Mermaid is large, so it is only loaded once a document actually contains a diagram
+let mermaidLoader = null;
+const loadMermaid = () => {
+  if (!mermaidLoader) {
+    mermaidLoader = import('mermaid').then(({ default: mermaid }) => {
+      mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+      return mermaid;
+    });
+  }
+  return mermaidLoader;
+};
+
+let diagramCounter = 0;
+
+// Rendered Markdown with its Mermaid diagrams drawn as SVG. Diagrams that fail to render show their source.
+const MarkdownContent = ({ content }) => {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const placeholders = [...(containerRef.current?.querySelectorAll('.mermaid-diagram[data-source]') || [])];
+    if (placeholders.length === 0) return undefined;
+
+    let cancelled = false;
+    // Streamed content changes with every token; wait for it to settle before drawing
+    const timer = setTimeout(async () => {
+      try {
+        const mermaid = await loadMermaid();
+        for (const placeholder of placeholders) {
+          if (cancelled) return;
+          const source = decodeURIComponent(placeholder.dataset.source);
+          try {
+            const { svg } = await mermaid.render(`mermaid-diagram-${++diagramCounter}`, source);
+            if (!cancelled) placeholder.innerHTML = svg;
+          } catch (error) {
+            const fallback = window.document.createElement('pre');
+            fallback.textContent = source;
+            placeholder.replaceChildren(fallback);
+          }
+        }
+      } catch (error) {
+        console.error('Could not load the diagram renderer:', error);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [content]);
+
+  return <div ref={containerRef} dangerouslySetInnerHTML={{ __html: renderMarkdown(content) }} />;
+};
+
+export default MarkdownContent;
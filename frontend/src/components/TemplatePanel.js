@@ -0,0 +1,353 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { FileText, Edit, Eye, Save, Copy, Trash2, Loader2, AlertTriangle } from 'lucide-react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5001';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Settings worth saving with a preset - everything else in aiOptions is per-run
+const presetSettingKeys = ['model', 'temperature', 'maxTokens', 'strategy', 'style'];
+
+// Picks, edits and previews the prompt template used for generation.
+// value: { templateId, draft, variables } - draft holds unsaved edits and is sent inline.
+const TemplatePanel = ({ value, onChange, aiOptions, onApplySettings, repoUrl, analysisOptions }) => {
+  const queryClient = useQueryClient();
+  const [isEditing, setIsEditing] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  const { data: templates = [] } = useQuery('templates', async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/templates`);
+    return response.data.data || [];
+  });
+
+  const { data: builtInVariables = [] } = useQuery('templateVariables', async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/templates/variables`);
+    return response.data.data || [];
+  });
+
+  const selected = templates.find(template => template._id === value.templateId) || templates[0];
+  const template = value.draft || selected;
+
+  const previewMutation = useMutation(async () => {
+    const response = await axios.post(`${API_BASE_URL}/api/templates/preview`, {
+      templateId: value.draft ? undefined : selected?._id,
+      template: value.draft || undefined,
+      repoUrl,
+      variables: value.variables,
+      options: { ...aiOptions, ...analysisOptions }
+    });
+    return response.data.data;
+  });
+
+  const saveMutation = useMutation(async ({ id, data }) => {
+    const response = id
+      ? await axios.put(`${API_BASE_URL}/api/templates/${id}`, data)
+      : await axios.post(`${API_BASE_URL}/api/templates`, data);
+    return response.data.data;
+  });
+
+  const deleteMutation = useMutation(async (id) => {
+    await axios.delete(`${API_BASE_URL}/api/templates/${id}`);
+  });
+
+  const selectTemplate = (id) => {
+    const next = templates.find(item => item._id === id);
+    if (!next) return;
+
+    setIsEditing(false);
+    setPreview(null);
+    onChange({
+      templateId: next._id,
+      draft: null,
+      variables: Object.fromEntries((next.variables || []).map(variable => [variable.name, variable.defaultValue || '']))
+    });
+
+    // Only plain section keys map onto the section checkboxes; custom section objects stay with the template
+    const sectionKeys = (next.sections || []).every(section => typeof section === 'string') ? next.sections || [] : null;
+    onApplySettings(next.settings || {}, sectionKeys);
+  };
+
+  const startEditing = () => {
+    if (!value.draft && selected) {
+      const { name, description, systemPrompt, userPrompt, sections, variables } = selected;
+      onChange({
+        ...value,
+        draft: { name, description, systemPrompt, userPrompt, sections: sections || [], variables: variables || [], settings: selected.settings || {} }
+      });
+    }
+    setIsEditing(true);
+  };
+
+  const updateDraft = (changes) => onChange({ ...value, draft: { ...value.draft, ...changes } });
+
+  const updateVariable = (index, changes) => {
+    const variables = value.draft.variables.map((variable, i) => (i === index ? { ...variable, ...changes } : variable));
+    updateDraft({ variables });
+  };
+
+  const handlePreview = async () => {
+    if (!repoUrl?.trim()) {
+      toast.error('Enter a repository URL to preview the prompt with real data');
+      return;
+    }
+
+    try {
+      setPreview(await previewMutation.mutateAsync());
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to render the template');
+    }
+  };
+
+  // Presets store the current AI settings alongside the prompt so the whole team generates the same way
+  const handleSave = async (asNew) => {
+    const source = value.draft || selected;
+    const name = asNew ? window.prompt('Preset name', source.builtIn ? `${source.name} (copy)` : source.name) : source.name;
+    if (!name) return;
+
+    const settings = Object.fromEntries(presetSettingKeys.map(key => [key, aiOptions[key]]));
+    const data = {
+      name,
+      description: source.description,
+      systemPrompt: source.systemPrompt,
+      userPrompt: source.userPrompt,
+      sections: aiOptions.sections?.length > 0 ? aiOptions.sections : source.sections,
+      variables: (source.variables || []).map(variable => ({
+        ...variable,
+        defaultValue: value.variables[variable.name] ?? variable.defaultValue
+      })),
+      settings
+    };
+
+    try {
+      const saved = await saveMutation.mutateAsync({ id: asNew ? null : selected._id, data });
+      await queryClient.invalidateQueries('templates');
+      setIsEditing(false);
+      onChange({ ...value, templateId: saved._id, draft: null });
+      toast.success(asNew ? `Saved "${saved.name}" to the template library` : 'Template updated');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save template');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${selected.name}" template?`)) return;
+
+    try {
+      await deleteMutation.mutateAsync(selected._id);
+      await queryClient.invalidateQueries('templates');
+      onChange({ templateId: null, draft: null, variables: {} });
+      toast.success('Template deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete template');
+    }
+  };
+
+  if (!template) return null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <FileText className="h-5 w-5 text-gray-600 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Prompt Template</h2>
+        </div>
+        {value.draft && (
+          <span className="text-xs font-medium text-orange-700 bg-orange-100 rounded-full px-2 py-1">
+            Unsaved changes
+          </span>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        <div>
+          <select
+            value={selected?._id || ''}
+            onChange={(e) => selectTemplate(e.target.value)}
+            className={inputClass}
+          >
+            {templates.map((item) => (
+              <option key={item._id} value={item._id}>
+                {item.name}{item.builtIn ? ' (built-in)' : ''}
+              </option>
+            ))}
+          </select>
+          {template.description && (
+            <p className="text-xs text-gray-500 mt-1">{template.description}</p>
+          )}
+        </div>
+
+        {(template.variables || []).filter(variable => variable.name).map((variable) => (
+          <div key={variable.name}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {variable.label || variable.name}
+            </label>
+            <input
+              type="text"
+              value={value.variables[variable.name] ?? variable.defaultValue ?? ''}
+              onChange={(e) => onChange({ ...value, variables: { ...value.variables, [variable.name]: e.target.value } })}
+              placeholder={variable.description}
+              className={inputClass}
+            />
+          </div>
+        ))}
+
+        {isEditing && value.draft && (
+          <div className="space-y-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">System Prompt</label>
+              <textarea
+                value={value.draft.systemPrompt}
+                onChange={(e) => updateDraft({ systemPrompt: e.target.value })}
+                rows={3}
+                className={`${inputClass} font-mono`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">User Prompt</label>
+              <textarea
+                value={value.draft.userPrompt}
+                onChange={(e) => updateDraft({ userPrompt: e.target.value })}
+                rows={12}
+                className={`${inputClass} font-mono`}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Use {'{{name}}'} placeholders, and {'{{#name}}...{{/name}}'} for text that only appears when the value is not empty.
+              </p>
+              <div className="flex flex-wrap gap-1 mt-2">
+                {builtInVariables.map((variable) => (
+                  <code
+                    key={variable.name}
+                    title={variable.description}
+                    className="text-xs bg-gray-100 text-gray-700 rounded px-1.5 py-0.5"
+                  >
+                    {`{{${variable.name}}}`}
+                  </code>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Custom Variables</label>
+              {value.draft.variables.map((variable, index) => (
+                <div key={index} className="flex space-x-2 mb-2">
+                  <input
+                    type="text"
+                    value={variable.name}
+                    onChange={(e) => updateVariable(index, { name: e.target.value.trim() })}
+                    placeholder="name"
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    value={variable.defaultValue || ''}
+                    onChange={(e) => updateVariable(index, { defaultValue: e.target.value })}
+                    placeholder="default value"
+                    className={inputClass}
+                  />
+                  <button
+                    onClick={() => updateDraft({ variables: value.draft.variables.filter((item, i) => i !== index) })}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove variable"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => updateDraft({ variables: [...value.draft.variables, { name: '', defaultValue: '' }] })}
+                className="text-blue-600 hover:text-blue-700 text-sm font-medium"
+              >
+                + Add variable
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          {!isEditing && (
+            <button
+              onClick={startEditing}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+            >
+              <Edit className="h-4 w-4 mr-1" />
+              Edit
+            </button>
+          )}
+          <button
+            onClick={handlePreview}
+            disabled={previewMutation.isLoading}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            {previewMutation.isLoading
+              ? <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+              : <Eye className="h-4 w-4 mr-1" />}
+            Preview
+          </button>
+          {value.draft && !selected?.builtIn && (
+            <button
+              onClick={() => handleSave(false)}
+              disabled={saveMutation.isLoading}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4 mr-1" />
+              Save
+            </button>
+          )}
+          <button
+            onClick={() => handleSave(true)}
+            disabled={saveMutation.isLoading}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Copy className="h-4 w-4 mr-1" />
+            Save as preset
+          </button>
+          {value.draft && (
+            <button
+              onClick={() => { onChange({ ...value, draft: null }); setIsEditing(false); }}
+              className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900"
+            >
+              Discard changes
+            </button>
+          )}
+          {!selected?.builtIn && !value.draft && (
+            <button
+              onClick={handleDelete}
+              className="inline-flex items-center px-3 py-1.5 border border-red-200 rounded-lg text-sm text-red-600 hover:bg-red-50"
+            >
+              <Trash2 className="h-4 w-4 mr-1" />
+              Delete
+            </button>
+          )}
+        </div>
+
+        {preview && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-xs text-gray-500">
+              <span>Rendered for {preview.repository.repoOwner}/{preview.repository.repoName}</span>
+              <span>~{preview.estimatedTokens.toLocaleString()} prompt tokens</span>
+            </div>
+            {preview.missing.length > 0 && (
+              <div className="flex items-start text-xs text-orange-700 bg-orange-50 rounded-lg p-2">
+                <AlertTriangle className="h-4 w-4 mr-1 flex-shrink-0" />
+                Unknown placeholders rendered empty: {preview.missing.join(', ')}
+              </div>
+            )}
+            {preview.systemPrompt && (
+              <pre className="text-xs bg-gray-50 border border-gray-200 rounded-lg p-3 whitespace-pre-wrap">
+                {preview.systemPrompt}
+              </pre>
+            )}
+            <pre className="text-xs bg-gray-50 border border-gray-200 rounded-lg p-3 whitespace-pre-wrap max-h-96 overflow-y-auto">
+              {preview.userPrompt}
+            </pre>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TemplatePanel;
@@ -12,9 +12,17 @@ import {
   Download,
   Github,
   Code,
-  Users
+  Users,
+  AlertTriangle,
+  DollarSign
 } from 'lucide-react';
 import axios from 'axios';
+import { RepositoryIcon, getRepositoryLabel } from '../utils/repository';
+import { StaleBadge, getStalenessSummary } from '../utils/staleness';
+import { formatCost, formatTokens } from '../utils/usage';
+
+// Set the base URL for API calls
+const API_BASE_URL = 'http://localhost:5001';
 
 const Dashboard = () => {
   // Fetch dashboard stats
@@ -29,6 +37,30 @@ const Dashboard = () => {
     return response.data.data;
   });
 
+  // Documents whose repository has moved on since generation
+  const { data: staleness } = useQuery('staleness', async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/staleness`);
+    return response.data.data;
+  });
+
+  // AI spend this month against the budget, broken down by model and repository
+  const { data: budget } = useQuery('usageBudget', async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/usage/budget`);
+    return response.data.data;
+  });
+
+  const { data: usageByModel } = useQuery(['usage', 'model', budget?.periodStart], async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/usage`, { params: { groupBy: 'model', from: budget.periodStart } });
+    return response.data.data;
+  }, { enabled: Boolean(budget) });
+
+  const { data: usageByRepository } = useQuery(['usage', 'repository', budget?.periodStart], async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/usage`, { params: { groupBy: 'repository', from: budget.periodStart } });
+    return response.data.data;
+  }, { enabled: Boolean(budget) });
+
+  const budgetUsedPercent = budget?.monthlyLimit ? Math.min(100, (budget.spent / budget.monthlyLimit) * 100) : 0;
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'completed':
@@ -163,6 +195,96 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Stale Documents */}
+        {staleness?.stale?.length > 0 && (
+          <div className="bg-orange-50 border border-orange-200 rounded-xl p-6 mb-8">
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center space-x-2">
+                <AlertTriangle className="h-5 w-5 text-orange-600" />
+                <h3 className="text-lg font-semibold text-orange-900">
+                  {staleness.stale.length} of {staleness.tracked} document{staleness.tracked === 1 ? '' : 's'} out of date
+                </h3>
+              </div>
+              <a
+                href="/documents?stale=true"
+                className="text-orange-700 hover:text-orange-800 text-sm font-medium"
+              >
+                View Stale
+              </a>
+            </div>
+            <ul className="space-y-2">
+              {staleness.stale.slice(0, 5).map((doc) => (
+                <li key={doc.id} className="flex items-center justify-between text-sm">
+                  <a href={`/documents/${doc.id}`} className="font-medium text-gray-900 hover:text-blue-600 truncate">
+                    {doc.title}
+                  </a>
+                  <span className="text-orange-800 ml-4 whitespace-nowrap">
+                    {getStalenessSummary(doc.staleness)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* AI Usage */}
+        {budget && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center space-x-2">
+                <DollarSign className="h-5 w-5 text-gray-500" />
+                <h3 className="text-lg font-semibold text-gray-900">AI Usage This Month</h3>
+              </div>
+              <span className="text-sm text-gray-600">
+                {formatCost(budget.spent)}
+                {budget.monthlyLimit ? ` of ${formatCost(budget.monthlyLimit)} budget` : ' · no budget set'}
+                {usageByModel ? ` · ${formatTokens(usageByModel.totals.totalTokens)} tokens` : ''}
+              </span>
+            </div>
+
+            {budget.monthlyLimit && (
+              <div className="mb-4">
+                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-2 rounded-full ${budget.exceeded ? 'bg-red-500' : budgetUsedPercent >= 80 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                    style={{ width: `${budgetUsedPercent}%` }}
+                  />
+                </div>
+                {budget.exceeded && (
+                  <p className="text-sm text-red-700 mt-2">
+                    Budget reached - new generations are refused until {format(new Date(budget.periodEnd), 'MMM d')}
+                  </p>
+                )}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+              {[
+                { title: 'By Model', usage: usageByModel },
+                { title: 'By Repository', usage: usageByRepository }
+              ].map(({ title, usage }) => (
+                <div key={title}>
+                  <h4 className="text-sm font-medium text-gray-700 mb-2">{title}</h4>
+                  {usage?.groups?.length > 0 ? (
+                    <ul className="space-y-2 text-sm">
+                      {usage.groups.slice(0, 5).map((group) => (
+                        <li key={group.key} className="flex items-center justify-between">
+                          <span className="text-gray-900 truncate" title={group.key}>{group.key}</span>
+                          <span className="text-gray-600 ml-4 whitespace-nowrap">
+                            {formatTokens(group.totalTokens)} tokens · {group.unpricedTokens === group.totalTokens && group.totalTokens > 0 ? 'unpriced' : formatCost(group.cost)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-sm text-gray-500">No usage recorded this month</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Language Distribution */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
@@ -255,9 +377,9 @@ const Dashboard = () => {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="flex items-center space-x-2">
-                            <Github className="h-4 w-4 text-gray-400" />
+                            <RepositoryIcon document={doc} className="h-4 w-4 text-gray-400" />
                             <span className="text-sm text-gray-900">
-                              {doc.metadata?.repoOwner}/{doc.metadata?.repoName}
+                              {getRepositoryLabel(doc)}
                             </span>
                           </div>
                         </td>
@@ -267,6 +389,7 @@ const Dashboard = () => {
                             <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(doc.status)}`}>
                               {doc.status}
                             </span>
+                            <StaleBadge document={doc} />
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
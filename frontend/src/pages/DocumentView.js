@@ -8,7 +8,6 @@ import {
   ArrowLeft, 
   Download, 
   Copy, 
-  Github, 
   Calendar, 
   Clock,
   CheckCircle,
@@ -17,9 +16,29 @@ import {
   Tag,
   Eye,
   Edit,
-  Loader2
+  Loader2,
+  RefreshCw,
+  Trash2,
+  GitCommit,
+  AlertTriangle,
+  History,
+  DollarSign,
+  Database,
+  Package,
+  ShieldCheck
 } from 'lucide-react';
 import axios from 'axios';
+import MarkdownContent from '../components/MarkdownContent';
+import {
+  RepositoryIcon,
+  getProviderName,
+  getRepositoryLabel,
+  getRepositoryLink,
+  getRepositoryProvider
+} from '../utils/repository';
+import { getStalenessSummary } from '../utils/staleness';
+import { formatCost, getCostSummary } from '../utils/usage';
+import { annotateVerification, getVerificationSummary, verificationKindLabels } from '../utils/verification';
 
 // Set the base URL for API calls
 const API_BASE_URL = 'http://localhost:5001';
@@ -27,9 +46,12 @@ const API_BASE_URL = 'http://localhost:5001';
 const DocumentView = () => {
   const { id } = useParams();
   const [showRaw, setShowRaw] = useState(false);
+  const [editingSection, setEditingSection] = useState(null);
+  const [showIssues, setShowIssues] = useState(false);
+  const [sectionForm, setSectionForm] = useState({ model: '', temperature: 0.3, instructions: '' });
 
   // Fetch document from API
-  const { data: document, isLoading, error } = useQuery(
+  const { data: document, isLoading, error, refetch } = useQuery(
     ['document', id],
     async () => {
       const response = await axios.get(`${API_BASE_URL}/api/docs/${id}`);
@@ -37,12 +59,124 @@ const DocumentView = () => {
     }
   );
 
+  // Package documents of a monorepo index, for their generation status
+  const isWorkspaceIndex = document?.workspace?.role === 'index';
+  const { data: packageDocuments } = useQuery(
+    ['packageDocuments', id],
+    async () => {
+      const response = await axios.get(`${API_BASE_URL}/api/docs`, { params: { indexId: id, limit: 100 } });
+      return response.data.data.documents;
+    },
+    {
+      enabled: isWorkspaceIndex,
+      refetchInterval: (data) => data?.some(item => ['queued', 'processing'].includes(item.status)) ? 5000 : false
+    }
+  );
+
   // Export mutation
   const exportMutation = useMutation(async (format) => {
     const response = await axios.post(`${API_BASE_URL}/api/export/${id}`, { format });
     return response.data.data;
   });
 
+  // Section mutations
+  const regenerateSectionMutation = useMutation(async ({ key, options }) => {
+    const response = await axios.post(`${API_BASE_URL}/api/docs/${id}/sections/${key}/regenerate`, options);
+    return response.data.data;
+  });
+
+  const deleteSectionMutation = useMutation(async (key) => {
+    const response = await axios.delete(`${API_BASE_URL}/api/docs/${id}/sections/${key}`);
+    return response.data.data;
+  });
+
+  const stalenessMutation = useMutation(async () => {
+    const response = await axios.post(`${API_BASE_URL}/api/docs/${id}/staleness/check`);
+    return response.data.data;
+  });
+
+  const handleCheckStaleness = async () => {
+    try {
+      const staleness = await stalenessMutation.mutateAsync();
+      if (staleness.status === 'error') {
+        toast.error(staleness.error || 'Could not reach the repository');
+      } else {
+        toast.success(staleness.isStale ? 'Repository has changed since generation' : 'Documentation is up to date');
+      }
+      refetch();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Staleness check failed');
+    }
+  };
+
+  const verifyMutation = useMutation(async () => {
+    const response = await axios.post(`${API_BASE_URL}/api/docs/${id}/verify`);
+    return response.data.data;
+  });
+
+  const handleVerify = async () => {
+    try {
+      const verification = await verifyMutation.mutateAsync();
+      toast.success(getVerificationSummary(verification));
+      refetch();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Verification failed');
+    }
+  };
+
+  const updateMutation = useMutation(async () => {
+    const response = await axios.post(`${API_BASE_URL}/api/docs/${id}/update`);
+    return response.data.data;
+  });
+
+  const handleUpdate = async () => {
+    try {
+      toast.loading('Revising affected sections...');
+      const result = await updateMutation.mutateAsync();
+      toast.dismiss();
+      toast.success(result.revision ? result.revision.summary : result.message);
+      refetch();
+    } catch (error) {
+      toast.dismiss();
+      toast.error(error.response?.data?.error || 'Update failed');
+    }
+  };
+
+  const openSectionEditor = (section) => {
+    setEditingSection(section.key);
+    setSectionForm({
+      model: section.model || '',
+      temperature: section.temperature ?? 0.3,
+      instructions: section.instructions || ''
+    });
+  };
+
+  const handleRegenerateSection = async (key) => {
+    try {
+      toast.loading('Regenerating section...');
+      await regenerateSectionMutation.mutateAsync({ key, options: sectionForm });
+      toast.dismiss();
+      toast.success('Section regenerated!');
+      setEditingSection(null);
+      refetch();
+    } catch (error) {
+      toast.dismiss();
+      toast.error(error.response?.data?.error || 'Section regeneration failed');
+    }
+  };
+
+  const handleDeleteSection = async (section) => {
+    if (!window.confirm(`Delete the "${section.title}" section?`)) return;
+
+    try {
+      await deleteSectionMutation.mutateAsync(section.key);
+      toast.success('Section deleted');
+      refetch();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Section deletion failed');
+    }
+  };
+
   const handleExport = async (format) => {
     try {
       toast.loading(`Exporting to ${format.toUpperCase()}...`);
@@ -187,10 +321,20 @@ const DocumentView = () => {
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
                   {document.githubUrl && (
                     <div className="flex items-center space-x-2 text-sm text-gray-600">
-                      <Github className="h-4 w-4" />
-                      <span className="truncate">
-                        {document.githubUrl.replace('https://github.com/', '')}
-                      </span>
+                      <RepositoryIcon document={document} />
+                      {getRepositoryLink(document) ? (
+                        <a
+                          href={getRepositoryLink(document)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="truncate hover:text-blue-600"
+                          title={`View on ${getProviderName(getRepositoryProvider(document))}`}
+                        >
+                          {getRepositoryLabel(document)}
+                        </a>
+                      ) : (
+                        <span className="truncate">{getRepositoryLabel(document)}</span>
+                      )}
                     </div>
                   )}
                   
@@ -210,6 +354,25 @@ const DocumentView = () => {
                     <FileText className="h-4 w-4" />
                     <span>AI Model: {document.aiModel}</span>
                   </div>
+
+                  {document.cost && (
+                    <div className="flex items-center space-x-2 text-sm text-gray-600" title="Generation and every update since">
+                      <DollarSign className="h-4 w-4" />
+                      <span>{getCostSummary(document.cost)}</span>
+                    </div>
+                  )}
+
+                  {document.cache?.generation?.status === 'hit' ? (
+                    <div className="flex items-center space-x-2 text-sm text-gray-600">
+                      <Database className="h-4 w-4" />
+                      <span>Served from cache (generated {format(new Date(document.cache.generation.cachedAt), 'MMM d, yyyy HH:mm')})</span>
+                    </div>
+                  ) : document.cache?.analysis?.status === 'hit' && (
+                    <div className="flex items-center space-x-2 text-sm text-gray-600">
+                      <Database className="h-4 w-4" />
+                      <span>Repository analysis from cache</span>
+                    </div>
+                  )}
                 </div>
 
                 {/* Repository Info */}
@@ -232,6 +395,176 @@ const DocumentView = () => {
                   </div>
                 </div>
 
+                {/* Commit the documentation describes */}
+                {document.metadata?.commitHash && (
+                  <div className="flex items-center space-x-2 mt-4 text-sm text-gray-600">
+                    <GitCommit className="h-4 w-4" />
+                    <span>Describes commit</span>
+                    {document.metadata.commitUrl ? (
+                      <a
+                        href={document.metadata.commitUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="font-mono text-blue-600 hover:text-blue-700"
+                        title={document.metadata.commitHash}
+                      >
+                        {document.metadata.commitHash.slice(0, 7)}
+                      </a>
+                    ) : (
+                      <span className="font-mono" title={document.metadata.commitHash}>
+                        {document.metadata.commitHash.slice(0, 7)}
+                      </span>
+                    )}
+                    <button
+                      onClick={handleCheckStaleness}
+                      disabled={stalenessMutation.isLoading}
+                      className="inline-flex items-center text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                      title="Compare with the latest commit on the tracked ref"
+                    >
+                      <RefreshCw className={`h-3 w-3 mr-1 ${stalenessMutation.isLoading ? 'animate-spin' : ''}`} />
+                      Check for changes
+                    </button>
+                  </div>
+                )}
+
+                {/* Monorepo: the package this document covers */}
+                {document.workspace?.role === 'package' && (
+                  <div className="flex items-center space-x-2 mt-4 text-sm text-gray-600">
+                    <Package className="h-4 w-4" />
+                    <span>Package</span>
+                    <span className="font-mono">{document.workspace.path}</span>
+                    {document.workspace.indexId && (
+                      <Link
+                        to={`/documents/${document.workspace.indexId}`}
+                        className="text-blue-600 hover:text-blue-700"
+                      >
+                        View the monorepo index
+                      </Link>
+                    )}
+                  </div>
+                )}
+
+                {/* Monorepo: one document per package */}
+                {isWorkspaceIndex && (document.workspace.packages?.length > 0 || document.workspace.skipped?.length > 0) && (
+                  <div className="mt-4 text-sm">
+                    <div className="flex items-center space-x-2 text-gray-600 mb-2">
+                      <Package className="h-4 w-4" />
+                      <span>{document.workspace.packages.length} package documents</span>
+                    </div>
+                    <ul className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                      {document.workspace.packages.map(item => {
+                        const status = packageDocuments?.find(packageDocument => packageDocument._id === item.documentId)?.status;
+                        return (
+                          <li key={item.documentId} className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded-lg">
+                            <Link to={`/documents/${item.documentId}`} className="truncate text-blue-600 hover:text-blue-700" title={item.path}>
+                              {item.name}
+                              <span className="ml-2 font-mono text-xs text-gray-500">{item.path}</span>
+                            </Link>
+                            {status && (
+                              <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(status)}`}>
+                                {status}
+                              </span>
+                            )}
+                          </li>
+                        );
+                      })}
+                    </ul>
+                    {document.workspace.skipped?.length > 0 && (
+                      <div className="mt-2 flex items-start space-x-2 text-yellow-700" title={document.workspace.skipped[0].reason}>
+                        <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                        <span>
+                          No document for {document.workspace.skipped.map(item => item.name).join(', ')}: {document.workspace.skipped[0].reason}
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Repository moved on since generation */}
+                {document.staleness?.isStale && (
+                  <div className="mt-4 p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-900">
+                    <div className="flex items-center space-x-2">
+                      <AlertTriangle className="h-4 w-4 text-orange-600" />
+                      <span className="font-medium">Out of date:</span>
+                      <span>
+                        {getStalenessSummary(document.staleness)} on {document.staleness.trackedRef}
+                      </span>
+                      {document.staleness.latestCommit && (
+                        document.staleness.latestCommitUrl ? (
+                          <a
+                            href={document.staleness.latestCommitUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="font-mono text-blue-600 hover:text-blue-700"
+                          >
+                            {document.staleness.latestCommit.slice(0, 7)}
+                          </a>
+                        ) : (
+                          <span className="font-mono">{document.staleness.latestCommit.slice(0, 7)}</span>
+                        )
+                      )}
+                    </div>
+                    {document.staleness.changedFiles?.length > 0 && (
+                      <p className="mt-2 text-xs text-orange-800 truncate" title={document.staleness.changedFiles.join('\n')}>
+                        {document.staleness.changedFiles.slice(0, 5).join(', ')}
+                        {document.staleness.filesChanged > 5 && ` and ${document.staleness.filesChanged - 5} more`}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {/* Claims checked against the repository */}
+                {document.verification && (
+                  <div className={`mt-4 p-3 rounded-lg text-sm border ${
+                    document.verification.flagged > 0
+                      ? 'bg-yellow-50 border-yellow-200 text-yellow-900'
+                      : 'bg-green-50 border-green-200 text-green-900'
+                  }`}>
+                    <div className="flex items-center space-x-2">
+                      {document.verification.flagged > 0
+                        ? <AlertTriangle className="h-4 w-4 text-yellow-600" />
+                        : <ShieldCheck className="h-4 w-4 text-green-600" />}
+                      <span className="font-medium">Verification:</span>
+                      <span>{getVerificationSummary(document.verification)}</span>
+                      {document.verification.flagged > 0 && (
+                        <button
+                          onClick={() => setShowIssues(!showIssues)}
+                          className="text-blue-600 hover:text-blue-700"
+                        >
+                          {showIssues ? 'Hide' : 'Show'} issues
+                        </button>
+                      )}
+                      <button
+                        onClick={handleVerify}
+                        disabled={verifyMutation.isLoading}
+                        className="inline-flex items-center text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                        title="Check the content against the repository again"
+                      >
+                        <RefreshCw className={`h-3 w-3 mr-1 ${verifyMutation.isLoading ? 'animate-spin' : ''}`} />
+                        Re-check
+                      </button>
+                    </div>
+                    <p className="mt-1 text-xs opacity-75">
+                      {Object.entries(document.verification.checks || {})
+                        .filter(([, check]) => check.checked > 0)
+                        .map(([kind, check]) => `${verificationKindLabels[kind]}: ${check.checked - check.flagged}/${check.checked}`)
+                        .join(' · ')}
+                      {document.verification.skipped?.length > 0 &&
+                        ` · not checked: ${document.verification.skipped.map(kind => verificationKindLabels[kind].toLowerCase()).join(', ')}`}
+                    </p>
+                    {showIssues && (
+                      <ul className="mt-2 space-y-1 text-xs">
+                        {document.verification.issues.map((issue, index) => (
+                          <li key={index} className="flex items-start space-x-2">
+                            <span className="font-mono text-yellow-700 shrink-0">line {issue.line}</span>
+                            <span>{issue.message}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
                 {/* Tags */}
                 {document.tags && document.tags.length > 0 && (
                   <div className="flex flex-wrap gap-2 mt-4">
@@ -251,6 +584,20 @@ const DocumentView = () => {
               {/* Actions */}
               <div className="mt-6 lg:mt-0 lg:ml-6">
                 <div className="flex flex-col space-y-2">
+                  {document.status === 'completed' && document.metadata?.commitHash && document.githubUrl && (
+                    <button
+                      onClick={handleUpdate}
+                      disabled={updateMutation.isLoading}
+                      className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                      title="Revise only the sections affected by changes since this commit"
+                    >
+                      {updateMutation.isLoading
+                        ? <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                        : <RefreshCw className="h-4 w-4 mr-2" />}
+                      Update to Latest
+                    </button>
+                  )}
+
                   <button
                     onClick={() => copyToClipboard(document.content)}
                     className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
@@ -272,6 +619,23 @@ const DocumentView = () => {
                       </button>
                     ))}
                   </div>
+
+                  {document.openApi && (
+                    <div className="flex space-x-2">
+                      {['json', 'yaml'].map((format) => (
+                        <a
+                          key={format}
+                          href={`${API_BASE_URL}/api/docs/${id}/openapi?format=${format}`}
+                          download
+                          title={`OpenAPI spec of the ${Object.keys(document.openApi.paths || {}).length} paths found in the source`}
+                          className="flex-1 inline-flex items-center justify-center px-3 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                        >
+                          <Download className="h-4 w-4 mr-1" />
+                          OpenAPI {format.toUpperCase()}
+                        </a>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -303,26 +667,261 @@ const DocumentView = () => {
                 {document.content}
               </pre>
             </div>
+          ) : document.sections && document.sections.length > 0 ? (
+            <div className="divide-y divide-gray-200">
+              {document.sections.map((section) => (
+                <div key={section.key} className="p-6">
+                  <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-2xl font-bold text-gray-900">{section.title}</h2>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => openSectionEditor(section)}
+                        disabled={regenerateSectionMutation.isLoading}
+                        className="inline-flex items-center px-3 py-1 text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                      >
+                        <RefreshCw className="h-4 w-4 mr-1" />
+                        Regenerate
+                      </button>
+                      <button
+                        onClick={() => handleDeleteSection(section)}
+                        disabled={deleteSectionMutation.isLoading}
+                        className="inline-flex items-center px-3 py-1 text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                      >
+                        <Trash2 className="h-4 w-4 mr-1" />
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+
+                  {editingSection === section.key && (
+                    <div className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-3">
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <input
+                          type="text"
+                          value={sectionForm.model}
+                          onChange={(e) => setSectionForm({ ...sectionForm, model: e.target.value })}
+                          placeholder="Model (e.g. anthropic/claude-3-haiku)"
+                          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                        <label className="flex items-center text-sm text-gray-700">
+                          Temperature: {sectionForm.temperature}
+                          <input
+                            type="range"
+                            min="0"
+                            max="1"
+                            step="0.1"
+                            value={sectionForm.temperature}
+                            onChange={(e) => setSectionForm({ ...sectionForm, temperature: parseFloat(e.target.value) })}
+                            className="ml-3 flex-1"
+                          />
+                        </label>
+                      </div>
+                      <textarea
+                        value={sectionForm.instructions}
+                        onChange={(e) => setSectionForm({ ...sectionForm, instructions: e.target.value })}
+                        rows={3}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          onClick={() => setEditingSection(null)}
+                          className="px-3 py-1 text-sm text-gray-600 hover:text-gray-700"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={() => handleRegenerateSection(section.key)}
+                          disabled={regenerateSectionMutation.isLoading}
+                          className="inline-flex items-center px-3 py-1 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                        >
+                          {regenerateSectionMutation.isLoading && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                          Regenerate Section
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="prose prose-lg max-w-none">
+                    <MarkdownContent content={annotateVerification(section.content, document.verification?.issues)} />
+                  </div>
+                  <p className="mt-3 text-xs text-gray-400">
+                    {section.source === 'source'
+                      ? 'Rendered from the source code'
+                      : <>{section.model} · temperature {section.temperature ?? 'default'}</>}
+                    {section.cost != null && ` · ${formatCost(section.cost)}`}
+                  </p>
+                </div>
+              ))}
+            </div>
           ) : (
             <div className="p-6 prose prose-lg max-w-none">
-              <div dangerouslySetInnerHTML={{ 
-                __html: document.content
-                  .replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>')
-                  .replace(/`([^`]+)`/g, '<code>$1</code>')
-                  .replace(/^# (.*$)/gm, '<h1>$1</h1>')
-                  .replace(/^## (.*$)/gm, '<h2>$1</h2>')
-                  .replace(/^### (.*$)/gm, '<h3>$1</h3>')
-                  .replace(/^#### (.*$)/gm, '<h4>$1</h4>')
-                  .replace(/^##### (.*$)/gm, '<h5>$1</h5>')
-                  .replace(/^###### (.*$)/gm, '<h6>$1</h6>')
-                  .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-                  .replace(/\*(.*?)\*/g, '<em>$1</em>')
-                  .replace(/\n/g, '<br>')
-              }} />
+              <MarkdownContent content={annotateVerification(document.content, document.verification?.issues)} />
             </div>
           )}
         </div>
 
+        {/* Generation Passes */}
+        {document.passes && document.passes.length > 1 && (
+          <div className="mt-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Generation Passes</h3>
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pass</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Files</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Model</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Prompt</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Completion</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Cost</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {document.passes.map((pass, index) => (
+                    <tr key={index}>
+                      <td className="px-6 py-3 font-medium text-gray-900">
+                        {pass.pass} {pass.section || pass.index}
+                      </td>
+                      <td className="px-6 py-3 text-gray-600 truncate max-w-xs" title={pass.files?.join(', ')}>
+                        {pass.files?.length ? `${pass.files.length} files` : '—'}
+                      </td>
+                      <td className="px-6 py-3 text-gray-600">{pass.model}</td>
+                      <td className="px-6 py-3 text-right text-gray-600">{pass.usage?.prompt_tokens || 0}</td>
+                      <td className="px-6 py-3 text-right text-gray-600">{pass.usage?.completion_tokens || 0}</td>
+                      <td className="px-6 py-3 text-right text-gray-600">{formatCost(pass.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Model Attempts - only interesting when something was retried, skipped or fell back */}
+        {document.modelAttempts?.some(attempt => attempt.outcome !== 'success') && (
+          <div className="mt-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Model Attempts</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              Content produced by {document.aiModel} after {document.modelAttempts.filter(attempt => attempt.outcome === 'failed').length} failed
+              {' '}and {document.modelAttempts.filter(attempt => attempt.outcome === 'skipped').length} skipped attempts
+            </p>
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Model</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Try</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Outcome</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {document.modelAttempts.map((attempt, index) => (
+                    <tr key={index}>
+                      <td className="px-6 py-3 font-mono text-gray-900">{attempt.model}</td>
+                      <td className="px-6 py-3 text-gray-600">{attempt.attempt || '—'}</td>
+                      <td className="px-6 py-3 text-gray-600" title={attempt.error || ''}>
+                        <span className={attempt.outcome === 'success' ? 'text-green-700' : attempt.outcome === 'failed' ? 'text-red-700' : 'text-gray-500'}>
+                          {attempt.outcome}
+                        </span>
+                        {attempt.status ? ` (${attempt.status})` : ''}
+                        {attempt.outcome === 'skipped' ? ' - circuit open' : ''}
+                      </td>
+                      <td className="px-6 py-3 text-right text-gray-600">
+                        {attempt.durationMs != null ? `${(attempt.durationMs / 1000).toFixed(1)}s` : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Source Files */}
+        {document.sourceSelection?.selected?.length > 0 && (
+          <div className="mt-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Source Files the Model Saw</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {document.sourceSelection.tokensUsed} of {document.sourceSelection.tokenBudget} excerpt tokens used,
+              {' '}{document.sourceSelection.selected.length} of {document.sourceSelection.totalFiles} files included
+            </p>
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Tokens</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {document.sourceSelection.selected.map((file) => (
+                    <tr key={file.path}>
+                      <td className="px-6 py-3 font-mono text-gray-900">{file.path}</td>
+                      <td className="px-6 py-3 text-gray-600 capitalize">{file.reason}</td>
+                      <td className="px-6 py-3 text-right text-gray-600">
+                        {file.tokens}{file.truncated && <span className="ml-1 text-xs text-gray-400">(truncated)</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Revision History */}
+        {document.revisions && document.revisions.length > 0 && (
+          <div className="mt-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Revision History</h3>
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-200">
+              {[...document.revisions].reverse().map((revision) => (
+                <div key={revision.number} className="p-4">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-2 text-sm">
+                      <History className="h-4 w-4 text-gray-500" />
+                      <span className="font-medium text-gray-900">Revision {revision.number}</span>
+                      {revision.commitUrl ? (
+                        <a
+                          href={revision.commitUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="font-mono text-blue-600 hover:text-blue-700"
+                        >
+                          {revision.commitHash?.slice(0, 7)}
+                        </a>
+                      ) : (
+                        <span className="font-mono text-gray-600">{revision.commitHash?.slice(0, 7)}</span>
+                      )}
+                      {revision.ref && <span className="text-gray-500">on {revision.ref}</span>}
+                    </div>
+                    <span className="text-sm text-gray-500">
+                      {format(new Date(revision.createdAt), 'MMM d, yyyy HH:mm')}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-700 mt-2">{revision.summary}</p>
+                  {revision.cost && (
+                    <p className="text-xs text-gray-500 mt-1">{getCostSummary(revision.cost)}</p>
+                  )}
+                  {revision.sections?.some(section => section.action === 'revised') && (
+                    <ul className="mt-2 space-y-1 text-sm">
+                      {revision.sections
+                        .filter(section => section.action === 'revised')
+                        .map((section) => (
+                          <li key={section.key} className="text-gray-600">
+                            <span className="font-medium text-gray-800">{section.title}:</span>
+                            {' '}{section.summary || section.reasons.join('; ')}
+                          </li>
+                        ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Exports History */}
         {document.exports && document.exports.length > 0 && (
           <div className="mt-8">
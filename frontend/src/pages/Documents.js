@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useQuery } from 'react-query';
 import { format } from 'date-fns';
@@ -13,12 +13,15 @@ import {
   Clock,
   CheckCircle,
   AlertCircle,
-  Github,
   Calendar,
   Tag,
-  Loader2
+  Loader2,
+  AlertTriangle,
+  Package
 } from 'lucide-react';
 import axios from 'axios';
+import { RepositoryIcon, getRepositoryLabel } from '../utils/repository';
+import { StaleBadge } from '../utils/staleness';
 
 // Set the base URL for API calls
 const API_BASE_URL = 'http://localhost:5001';
@@ -28,19 +31,31 @@ const Documents = () => {
   const [statusFilter, setStatusFilter] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
 
+  // The stale filter lives in the URL so the dashboard can link straight to it
+  const [searchParams, setSearchParams] = useSearchParams();
+  const staleOnly = searchParams.get('stale') === 'true';
+
   // Fetch documents from API
   const { data: documentsData, isLoading, error, refetch } = useQuery(
-    ['documents', currentPage, searchTerm, statusFilter],
+    ['documents', currentPage, searchTerm, statusFilter, staleOnly],
     async () => {
       const params = new URLSearchParams({
         page: currentPage,
         limit: 12,
         ...(searchTerm && { search: searchTerm }),
-        ...(statusFilter && { status: statusFilter })
+        ...(statusFilter && { status: statusFilter }),
+        ...(staleOnly && { stale: 'true' }),
+        // Monorepo package documents are listed under their index, except when searching
+        ...(!searchTerm && { grouped: 'true' })
       });
       
       const response = await axios.get(`${API_BASE_URL}/api/docs?${params}`);
       return response.data.data;
+    },
+    {
+      // Keep polling while any listed document is still being generated
+      refetchInterval: (data) =>
+        data?.documents?.some(doc => doc.status === 'processing') ? 3000 : false
     }
   );
 
@@ -55,6 +70,11 @@ const Documents = () => {
     setCurrentPage(1);
   };
 
+  const toggleStaleFilter = () => {
+    setSearchParams(staleOnly ? {} : { stale: 'true' });
+    setCurrentPage(1);
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'completed':
@@ -152,6 +172,17 @@ const Documents = () => {
                     {status.charAt(0).toUpperCase() + status.slice(1)}
                   </button>
                 ))}
+                <button
+                  onClick={toggleStaleFilter}
+                  className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${
+                    staleOnly
+                      ? 'bg-orange-100 text-orange-800'
+                      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  <AlertTriangle className="h-3 w-3 mr-1" />
+                  Stale
+                </button>
               </div>
             </div>
           </div>
@@ -183,6 +214,7 @@ const Documents = () => {
                       <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(document.status)}`}>
                         {document.status}
                       </span>
+                      <StaleBadge document={document} />
                     </div>
                     <div className="text-sm text-gray-500">
                       {format(new Date(document.createdAt), 'MMM d, yyyy')}
@@ -197,18 +229,54 @@ const Documents = () => {
                     <p className="text-sm text-gray-600 line-clamp-3">
                       {document.description}
                     </p>
+                    {document.status === 'failed' && document.error && (
+                      <p className="text-sm text-red-600 mt-2 line-clamp-2">
+                        {document.error}
+                      </p>
+                    )}
                   </div>
 
                   {/* Repository Info */}
                   {document.githubUrl && (
                     <div className="flex items-center space-x-2 mb-4 text-sm text-gray-600">
-                      <Github className="h-4 w-4" />
+                      <RepositoryIcon document={document} />
                       <span className="truncate">
-                        {document.githubUrl.replace('https://github.com/', '')}
+                        {getRepositoryLabel(document)}
                       </span>
                     </div>
                   )}
 
+                  {/* Monorepo packages */}
+                  {document.workspace?.role === 'index' && document.workspace.packages?.length > 0 && (
+                    <div className="mb-4 text-sm">
+                      <div className="flex items-center space-x-2 mb-1 text-gray-600">
+                        <Package className="h-4 w-4" />
+                        <span>{document.workspace.packages.length} packages</span>
+                      </div>
+                      <div className="flex flex-wrap gap-x-3 gap-y-1">
+                        {document.workspace.packages.slice(0, 4).map(item => (
+                          <Link
+                            key={item.documentId}
+                            to={`/documents/${item.documentId}`}
+                            className="text-blue-600 hover:text-blue-700 truncate"
+                            title={item.path}
+                          >
+                            {item.name}
+                          </Link>
+                        ))}
+                        {document.workspace.packages.length > 4 && (
+                          <span className="text-xs text-gray-500">+{document.workspace.packages.length - 4} more</span>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                  {document.workspace?.role === 'package' && (
+                    <div className="flex items-center space-x-2 mb-4 text-sm text-gray-600">
+                      <Package className="h-4 w-4" />
+                      <span className="font-mono truncate">{document.workspace.path}</span>
+                    </div>
+                  )}
+
                   {/* Metadata */}
                   <div className="grid grid-cols-2 gap-2 mb-4 text-xs text-gray-500">
                     <div>
@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useMutation, useQuery } from 'react-query';
 import toast from 'react-hot-toast';
@@ -13,91 +13,336 @@ import {
   CheckCircle,
   AlertCircle,
   Copy,
-  Eye
+  Eye,
+  Square,
+  Upload
 } from 'lucide-react';
 import axios from 'axios';
+import MarkdownContent from '../components/MarkdownContent';
+import TemplatePanel from '../components/TemplatePanel';
+import { getVerificationSummary } from '../utils/verification';
 
 // Set the base URL for API calls
 const API_BASE_URL = 'http://localhost:5001';
 
+// Human readable label for a generation stage reported by the backend
+const describeStage = (stage, progress) => {
+  switch (stage) {
+    case 'queued':
+      return `Queued (position ${progress?.queuePosition || 1})`;
+    case 'analyzing':
+      return 'Analyzing repository';
+    case 'collecting':
+      return 'Collecting source files';
+    case 'summarizing':
+      return `Summarizing files (${progress?.current}/${progress?.total})`;
+    case 'reducing':
+      return `Condensing summaries (${progress?.current}/${progress?.total})`;
+    case 'synthesizing':
+      return 'Writing final document';
+    case 'sections':
+      return `Writing ${progress?.section} (${progress?.current}/${progress?.total})`;
+    case 'generating':
+      return 'Generating documentation';
+    default:
+      return 'Starting...';
+  }
+};
+
+// Reads a Server-Sent Events response body, calling onEvent(event, data) for each message
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let done = false;
+
+  while (!done) {
+    const result = await reader.read();
+    done = result.done;
+    buffer += decoder.decode(result.value || new Uint8Array(), { stream: !done });
+
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+
+    for (const message of messages) {
+      let event = 'message';
+      let data = '';
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+};
+
 const Generator = () => {
   const navigate = useNavigate();
   const [repoUrl, setRepoUrl] = useState('');
+  const [sourceTab, setSourceTab] = useState('url');
+  const [archiveFile, setArchiveFile] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [generatedDocument, setGeneratedDocument] = useState(null);
   const [selectedFormat, setSelectedFormat] = useState('markdown');
+  const [activeJobId, setActiveJobId] = useState(null);
+  const [jobError, setJobError] = useState(null);
+  const [liveStream, setLiveStream] = useState(true);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [streamStage, setStreamStage] = useState(null);
+  const [streamProgress, setStreamProgress] = useState(null);
+  const [streamedContent, setStreamedContent] = useState('');
+  const streamAbortRef = useRef(null);
   
   // AI model options
   const [aiOptions, setAiOptions] = useState({
-    model: 'anthropic/claude-3.5-sonnet',
+    llmProvider: '',
+    // The provider's own default model (LLM_MODEL) until one is picked
+    model: '',
     temperature: 0.3,
     maxTokens: 4000,
-    style: 'professional'
+    style: 'professional',
+    strategy: 'single',
+    analysisMode: 'api',
+    provider: '',
+    ref: '',
+    tokenBudget: 60000,
+    sections: [],
+    apiReference: true,
+    diagrams: true,
+    verify: true,
+    workspaceMode: 'combined',
+    force: false
   });
+  const [customSections, setCustomSections] = useState('');
+  const [templateSelection, setTemplateSelection] = useState({ templateId: null, draft: null, variables: {} });
 
-  // Get available AI models
-  const { data: models = [] } = useQuery('aiModels', async () => {
-    const response = await axios.get(`${API_BASE_URL}/api/ai/models`);
+  // LLM providers: OpenRouter, an OpenAI-compatible server (Ollama, vLLM, LM Studio) or the offline mock
+  const { data: llmProviders = [] } = useQuery('llmProviders', async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/ai/providers`);
     return response.data.data || [];
   });
 
-  // Analyze repository
-  const analyzeMutation = useMutation(async (url) => {
-    const response = await axios.post(`${API_BASE_URL}/api/github/analyze`, { repoUrl: url });
-    return response.data.data;
+  // Get available AI models for the selected provider
+  const { data: models = [] } = useQuery(['aiModels', aiOptions.llmProvider], async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/ai/models`, {
+      params: { provider: aiOptions.llmProvider || undefined }
+    });
+    return response.data.data || [];
+  });
+
+  // Source hosts with an API integration (GitHub, GitLab, Bitbucket, Gitea)
+  const { data: providers = [] } = useQuery('providers', async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/providers`);
+    return response.data.data || [];
+  });
+
+  // Get section definitions for section-by-section generation
+  const { data: sectionDefinitions = [] } = useQuery('sectionDefinitions', async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/ai/sections`);
+    return response.data.data || [];
   });
 
-  // Generate documentation
-  const generateMutation = useMutation(async ({ repoData, options }) => {
-    const response = await axios.post(`${API_BASE_URL}/api/ai/generate`, { repoData, options });
+  // Options sent to the backend, with custom section titles expanded into definitions.
+  // Unsaved template edits travel inline; otherwise the template is referenced by id.
+  const buildRequestOptions = () => ({
+    ...aiOptions,
+    customSections: customSections
+      .split('\n')
+      .map(title => title.trim())
+      .filter(Boolean)
+      .map(title => ({ title })),
+    templateId: templateSelection.draft ? undefined : templateSelection.templateId || undefined,
+    template: templateSelection.draft || undefined,
+    templateVariables: templateSelection.variables
+  });
+
+  // Picking a template copies its default model settings (and plain section keys) into the form
+  const applyTemplateSettings = (settings, sections) => {
+    setAiOptions(options => ({
+      ...options,
+      ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== null)),
+      sections: sections || []
+    }));
+  };
+
+  const toggleSection = (key) => {
+    const selected = aiOptions.sections.length > 0
+      ? aiOptions.sections
+      : sectionDefinitions.map(section => section.key);
+    const sections = selected.includes(key)
+      ? selected.filter(item => item !== key)
+      : sectionDefinitions.map(section => section.key).filter(item => item === key || selected.includes(item));
+
+    // An empty selection means "all sections", so keep at least one checked
+    if (sections.length === 0) return;
+
+    setAiOptions({ ...aiOptions, sections });
+  };
+
+  const isSectionSelected = (key) =>
+    aiOptions.sections.length === 0 || aiOptions.sections.includes(key);
+
+  // Queue documentation generation (analysis runs in the backend worker)
+  const generateMutation = useMutation(async ({ source, options }) => {
+    const response = await axios.post(`${API_BASE_URL}/api/ai/generate`, { ...source, options });
     return response.data.data;
   });
 
+  // Poll the generation job until it settles
+  const { data: jobStatus } = useQuery(
+    ['generationStatus', activeJobId],
+    async () => {
+      const response = await axios.get(`${API_BASE_URL}/api/ai/status/${activeJobId}`);
+      return response.data.data;
+    },
+    {
+      enabled: !!activeJobId,
+      refetchInterval: 2000,
+      onSuccess: async (status) => {
+        if (status.status === 'completed') {
+          setActiveJobId(null);
+          const response = await axios.get(`${API_BASE_URL}/api/docs/${status.documentId}`);
+          setGeneratedDocument(response.data.data);
+          toast.success(response.data.data.cache?.generation?.status === 'hit'
+            ? 'Nothing changed since the last run - documentation served from the cache'
+            : 'Documentation generated successfully!');
+        } else if (status.status === 'failed') {
+          setActiveJobId(null);
+          setJobError(status.error || 'Generation failed');
+          toast.error(status.error || 'Generation failed');
+        }
+      },
+      onError: (error) => {
+        setActiveJobId(null);
+        toast.error(error.response?.data?.error || 'Lost track of the generation job');
+      }
+    }
+  );
+
+  const isGenerating = isUploading || generateMutation.isLoading || !!activeJobId || isStreaming;
+
   // Export document
   const exportMutation = useMutation(async ({ documentId, format }) => {
     const response = await axios.post(`${API_BASE_URL}/api/export/${documentId}`, { format });
     return response.data.data;
   });
 
+  // Uploaded archives are analyzed up front; the resulting repoData is generated like any repository
+  const uploadArchive = async () => {
+    const formData = new FormData();
+    formData.append('archive', archiveFile);
+
+    setIsUploading(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/upload/analyze`, formData);
+      return response.data.data;
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
   const handleAnalyze = async () => {
-    if (!repoUrl.trim()) {
-      toast.error('Please enter a GitHub repository URL');
-      return;
+    if (sourceTab === 'upload') {
+      if (!archiveFile) {
+        toast.error('Please choose a .zip or .tar.gz archive to upload');
+        return;
+      }
+    } else {
+      // Hosts the backend has no provider for are cloned, so any git URL or server path is accepted
+      if (!repoUrl.trim()) {
+        toast.error('Please enter a repository URL');
+        return;
+      }
+    }
+
+    setGeneratedDocument(null);
+    setJobError(null);
+
+    let source = { repoUrl };
+    if (sourceTab === 'upload') {
+      try {
+        source = { repoData: await uploadArchive() };
+      } catch (error) {
+        toast.error(error.response?.data?.error || error.message || 'Upload failed');
+        return;
+      }
     }
 
-    if (!repoUrl.includes('github.com')) {
-      toast.error('Please enter a valid GitHub repository URL');
+    if (liveStream) {
+      await handleStreamGenerate(source);
       return;
     }
 
     try {
-      toast.loading('Analyzing repository...');
-      const repoData = await analyzeMutation.mutateAsync(repoUrl);
-      toast.dismiss();
-      toast.success('Repository analyzed successfully!');
-      
-      // Generate documentation
-      toast.loading('Generating documentation with AI (Free tier)...');
       const result = await generateMutation.mutateAsync({
-        repoData,
-        options: aiOptions
+        source,
+        options: buildRequestOptions()
       });
-      
-      toast.dismiss();
-      toast.success('Documentation generated successfully!');
-      setGeneratedDocument(result.document);
-      
+
+      toast.success('Documentation queued - we will let you know when it is ready');
+      setActiveJobId(result.document._id);
     } catch (error) {
-      toast.dismiss();
-      
-      // Handle specific free tier errors
-      if (error.message.includes('Free tier limit')) {
-        toast.error('Free tier limit reached. Try with a smaller repository or wait for credits to refresh.');
-      } else if (error.message.includes('credit limit')) {
-        toast.error('Free tier limit reached. Try with a smaller repository.');
+      toast.error(error.response?.data?.error || error.message || 'An error occurred');
+    }
+  };
+
+  // Stream the generation, rendering markdown as tokens arrive
+  const handleStreamGenerate = async (source) => {
+    const controller = new AbortController();
+    streamAbortRef.current = controller;
+    setIsStreaming(true);
+    setStreamStage(null);
+    setStreamProgress(null);
+    setStreamedContent('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/ai/generate/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...source, options: buildRequestOptions() }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to start generation');
+      }
+
+      await readEventStream(response, (event, data) => {
+        if (event === 'stage') {
+          setStreamStage(data.stage);
+          setStreamProgress(data);
+        } else if (event === 'packages') {
+          toast(`Monorepo: generating ${data.packages.length} package documents in the background`);
+        } else if (event === 'token') {
+          setStreamedContent(content => content + data.delta);
+        } else if (event === 'done') {
+          setGeneratedDocument(data.document);
+          toast.success(data.cache?.status === 'hit'
+            ? 'Nothing changed since the last run - documentation served from the cache'
+            : 'Documentation generated successfully!');
+        } else if (event === 'error') {
+          setJobError(data.error);
+          toast.error(data.error);
+        }
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        toast('Generation cancelled - partial output was saved');
       } else {
-        toast.error(error.response?.data?.error || error.message || 'An error occurred');
+        setJobError(error.message);
+        toast.error(error.message || 'An error occurred');
       }
+    } finally {
+      streamAbortRef.current = null;
+      setIsStreaming(false);
+    }
+  };
+
+  const handleCancelStream = () => {
+    if (streamAbortRef.current) {
+      streamAbortRef.current.abort();
     }
   };
 
@@ -153,38 +398,103 @@ const Generator = () => {
             Generate Documentation
           </h1>
           <p className="text-xl text-gray-600 max-w-2xl mx-auto">
-            Paste your GitHub repository URL and let our AI create professional documentation for you
+            Paste a repository URL or upload a project archive and let our AI create professional documentation for you
           </p>
         </div>
 
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Input Section */}
           <div className="space-y-6">
-            {/* Repository URL Input */}
+            {/* Repository Source */}
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-              <div className="flex items-center mb-4">
-                <Github className="h-5 w-5 text-gray-600 mr-2" />
-                <h2 className="text-lg font-semibold text-gray-900">Repository URL</h2>
+              <div className="flex items-center space-x-2 mb-4">
+                <button
+                  onClick={() => setSourceTab('url')}
+                  className={`flex items-center px-3 py-2 rounded-lg text-sm font-semibold ${
+                    sourceTab === 'url' ? 'bg-blue-50 text-blue-700' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  <Github className="h-5 w-5 mr-2" />
+                  Repository URL
+                </button>
+                <button
+                  onClick={() => setSourceTab('upload')}
+                  className={`flex items-center px-3 py-2 rounded-lg text-sm font-semibold ${
+                    sourceTab === 'upload' ? 'bg-blue-50 text-blue-700' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  <Upload className="h-5 w-5 mr-2" />
+                  Upload Archive
+                </button>
               </div>
               
               <div className="space-y-4">
-                <input
-                  type="url"
-                  value={repoUrl}
-                  onChange={(e) => setRepoUrl(e.target.value)}
-                  placeholder="https://github.com/username/repository"
-                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
+                {sourceTab === 'upload' ? (
+                  <div>
+                    <input
+                      type="file"
+                      accept=".zip,.tar.gz,.tgz,.tar"
+                      onChange={(e) => setArchiveFile(e.target.files[0] || null)}
+                      className="w-full text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 file:font-semibold hover:file:bg-blue-100"
+                    />
+                    <p className="text-xs text-gray-500 mt-2">
+                      A .zip, .tar.gz or .tar of your project. Dependency and build folders are skipped.
+                    </p>
+                  </div>
+                ) : (
+                  <>
+                    <input
+                      type="text"
+                      value={repoUrl}
+                      onChange={(e) => setRepoUrl(e.target.value)}
+                      placeholder={aiOptions.analysisMode === 'clone'
+                        ? 'https://git.example.com/group/project.git or /srv/git/project.git'
+                        : 'https://github.com/username/repository or a GitLab, Bitbucket or Gitea URL'}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+
+                    <input
+                      type="text"
+                      value={aiOptions.ref}
+                      onChange={(e) => setAiOptions({ ...aiOptions, ref: e.target.value.trim() })}
+                      placeholder="Branch, tag or commit (default branch if empty)"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+
+                    <div className="grid grid-cols-2 gap-2">
+                      <select
+                        value={aiOptions.analysisMode}
+                        onChange={(e) => setAiOptions({ ...aiOptions, analysisMode: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="api">Analyze through the host API</option>
+                        <option value="clone">Clone and analyze locally (any git URL or path)</option>
+                      </select>
+                      <select
+                        value={aiOptions.provider}
+                        onChange={(e) => setAiOptions({ ...aiOptions, provider: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="">Detect host from URL</option>
+                        {providers.map((provider) => (
+                          <option key={provider.name} value={provider.name}>
+                            {provider.displayName}{provider.authenticated ? '' : ' (no token)'}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </>
+                )}
                 
                 <button
                   onClick={handleAnalyze}
-                  disabled={analyzeMutation.isLoading || generateMutation.isLoading}
+                  disabled={isGenerating}
                   className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
                 >
-                  {analyzeMutation.isLoading || generateMutation.isLoading ? (
+                  {isGenerating ? (
                     <>
                       <Loader2 className="h-5 w-5 mr-2 animate-spin" />
-                      {analyzeMutation.isLoading ? 'Analyzing...' : 'Generating...'}
+                      {isUploading || (jobStatus?.stage || streamStage) === 'analyzing' ? 'Analyzing...' : 'Generating...'}
                     </>
                   ) : (
                     <>
@@ -212,6 +522,25 @@ const Generator = () => {
               </div>
 
               <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    LLM Provider
+                  </label>
+                  {/* Model ids differ per provider, so switching lets the new provider pick its default */}
+                  <select
+                    value={aiOptions.llmProvider}
+                    onChange={(e) => setAiOptions({ ...aiOptions, llmProvider: e.target.value, model: '' })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Server default</option>
+                    {llmProviders.map((provider) => (
+                      <option key={provider.name} value={provider.name}>
+                        {provider.displayName}{provider.isDefault ? ' (default)' : ''}{provider.configured ? '' : ' - not configured'}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     AI Model
@@ -221,6 +550,7 @@ const Generator = () => {
                     onChange={(e) => setAiOptions({ ...aiOptions, model: e.target.value })}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                   >
+                    <option value="">Provider default</option>
                     {models.map((model) => (
                       <option key={model.id} value={model.id}>
                         {model.name || model.id}
@@ -229,6 +559,70 @@ const Generator = () => {
                   </select>
                 </div>
 
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={liveStream}
+                    onChange={(e) => setLiveStream(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Stream output live (uncheck to run as a background job)
+                </label>
+
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={aiOptions.force}
+                    onChange={(e) => setAiOptions({ ...aiOptions, force: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Skip the cache (re-read the repository and call the model even if nothing changed)
+                </label>
+
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={aiOptions.apiReference}
+                    onChange={(e) => setAiOptions({ ...aiOptions, apiReference: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Build the API reference from exported functions and classes in the source
+                </label>
+
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={aiOptions.diagrams}
+                    onChange={(e) => setAiOptions({ ...aiOptions, diagrams: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Add module dependency diagrams built from the imports to the architecture section
+                </label>
+
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={aiOptions.verify}
+                    onChange={(e) => setAiOptions({ ...aiOptions, verify: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Check the scripts, files, environment variables and routes the documentation mentions against the repository
+                </label>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Monorepos
+                  </label>
+                  <select
+                    value={aiOptions.workspaceMode}
+                    onChange={(e) => setAiOptions({ ...aiOptions, workspaceMode: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="combined">One document with a package index</option>
+                    <option value="packages">An index document plus one document per package</option>
+                  </select>
+                </div>
+
                 {showAdvanced && (
                   <>
                     <div>
@@ -261,6 +655,69 @@ const Generator = () => {
                       />
                     </div>
 
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Strategy
+                      </label>
+                      <select
+                        value={aiOptions.strategy}
+                        onChange={(e) => setAiOptions({ ...aiOptions, strategy: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="single">Single pass (small repositories)</option>
+                        <option value="map-reduce">Multi-pass: summarize files, then synthesize</option>
+                        <option value="sections">Section by section</option>
+                      </select>
+                    </div>
+
+                    {aiOptions.strategy === 'sections' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Sections
+                        </label>
+                        <div className="grid grid-cols-2 gap-2 mb-3">
+                          {sectionDefinitions.map((section) => (
+                            <label key={section.key} className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={isSectionSelected(section.key)}
+                                onChange={() => toggleSection(section.key)}
+                                className="mr-2"
+                              />
+                              {section.title}
+                            </label>
+                          ))}
+                        </div>
+                        <textarea
+                          value={customSections}
+                          onChange={(e) => setCustomSections(e.target.value)}
+                          placeholder="Custom sections, one title per line (e.g. Security Model)"
+                          rows={3}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                    )}
+
+                    {aiOptions.strategy === 'map-reduce' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Total Token Budget: {aiOptions.tokenBudget.toLocaleString()}
+                        </label>
+                        <input
+                          type="range"
+                          min="20000"
+                          max="400000"
+                          step="10000"
+                          value={aiOptions.tokenBudget}
+                          onChange={(e) => setAiOptions({ ...aiOptions, tokenBudget: parseInt(e.target.value) })}
+                          className="w-full"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                          Larger budgets read more source files across all passes.
+                        </p>
+                      </div>
+                    )}
+
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">
                         Style
@@ -280,6 +737,15 @@ const Generator = () => {
                 )}
               </div>
             </div>
+
+            <TemplatePanel
+              value={templateSelection}
+              onChange={setTemplateSelection}
+              aiOptions={aiOptions}
+              onApplySettings={applyTemplateSettings}
+              repoUrl={sourceTab === 'url' ? repoUrl : ''}
+              analysisOptions={{ ref: aiOptions.ref, analysisMode: aiOptions.analysisMode, provider: aiOptions.provider }}
+            />
           </div>
 
           {/* Results Section */}
@@ -310,6 +776,50 @@ const Generator = () => {
                       <span>Framework: {generatedDocument.metadata?.framework || 'Unknown'}</span>
                     </div>
 
+                    {generatedDocument.usage && (
+                      <div className="flex items-center space-x-2 text-sm text-gray-600">
+                        <span>Tokens: {generatedDocument.usage.total_tokens}</span>
+                        <span>•</span>
+                        <span>Passes: {generatedDocument.passes?.length || 1}</span>
+                        <span>•</span>
+                        <span>Finish reason: {generatedDocument.finishReason || 'unknown'}</span>
+                      </div>
+                    )}
+
+                    {generatedDocument.coverage?.strategy === 'map-reduce' && (
+                      <div className="text-sm text-gray-600">
+                        Read {generatedDocument.coverage.summarizedFiles} of {generatedDocument.coverage.totalFiles} files
+                        ({generatedDocument.coverage.skippedFiles} skipped to stay within the token budget)
+                      </div>
+                    )}
+
+                    {generatedDocument.sourceSelection?.selected?.length > 0 && (
+                      <div className="text-sm text-gray-600">
+                        Included excerpts from {generatedDocument.sourceSelection.selected.length} source files
+                        ({generatedDocument.sourceSelection.tokensUsed} tokens)
+                      </div>
+                    )}
+
+                    {generatedDocument.verification && (
+                      <div className={`text-sm ${generatedDocument.verification.flagged > 0 ? 'text-yellow-700' : 'text-gray-600'}`}>
+                        Verification: {getVerificationSummary(generatedDocument.verification)}
+                      </div>
+                    )}
+
+                    {generatedDocument.workspace?.packages?.length > 0 && (
+                      <div className="text-sm text-gray-600">
+                        Package documents:{' '}
+                        {generatedDocument.workspace.packages.map((item, index) => (
+                          <React.Fragment key={item.documentId}>
+                            {index > 0 && ', '}
+                            <Link to={`/documents/${item.documentId}`} className="text-blue-600 hover:text-blue-700">
+                              {item.name}
+                            </Link>
+                          </React.Fragment>
+                        ))}
+                      </div>
+                    )}
+
                     <div className="flex items-center space-x-2">
                       <button
                         onClick={viewDocument}
@@ -353,58 +863,68 @@ const Generator = () => {
               </>
             )}
 
-            {/* Repository Analysis */}
-            {analyzeMutation.data && !generatedDocument && (
+            {/* Live Output */}
+            {(isStreaming || (streamedContent && !generatedDocument)) && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <div className="flex items-center">
+                    {isStreaming && <Loader2 className="h-5 w-5 text-blue-600 mr-2 animate-spin" />}
+                    <h2 className="text-lg font-semibold text-gray-900">Live Output</h2>
+                    {isStreaming && streamStage && (
+                      <span className="ml-3 text-sm text-gray-500">{describeStage(streamStage, streamProgress)}</span>
+                    )}
+                  </div>
+                  {isStreaming && (
+                    <button
+                      onClick={handleCancelStream}
+                      className="flex items-center px-3 py-2 text-red-600 hover:text-red-700 text-sm font-medium"
+                    >
+                      <Square className="h-4 w-4 mr-1" />
+                      Cancel
+                    </button>
+                  )}
+                </div>
+
+                <div className="prose max-w-none max-h-[32rem] overflow-y-auto text-sm">
+                  {streamedContent ? (
+                    <MarkdownContent content={streamedContent} />
+                  ) : (
+                    <p className="text-gray-500">Waiting for the first tokens...</p>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Generation Progress */}
+            {activeJobId && (
               <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
                 <div className="flex items-center mb-4">
-                  <Github className="h-5 w-5 text-gray-600 mr-2" />
-                  <h2 className="text-lg font-semibold text-gray-900">Repository Analysis</h2>
+                  <Loader2 className="h-5 w-5 text-blue-600 mr-2 animate-spin" />
+                  <h2 className="text-lg font-semibold text-gray-900">Generation in Progress</h2>
                 </div>
 
-                <div className="space-y-3">
+                <div className="space-y-3 text-sm">
                   <div>
-                    <h3 className="font-medium text-gray-900">
-                      {analyzeMutation.data.metadata.repoOwner}/{analyzeMutation.data.metadata.repoName}
-                    </h3>
-                    <p className="text-sm text-gray-600">
-                      {analyzeMutation.data.repoInfo?.description || 'No description available'}
-                    </p>
-                  </div>
-
-                  <div className="grid grid-cols-2 gap-4 text-sm">
-                    <div>
-                      <span className="text-gray-600">Language:</span>
-                      <span className="ml-2 font-medium">{analyzeMutation.data.metadata.language}</span>
-                    </div>
-                    <div>
-                      <span className="text-gray-600">Framework:</span>
-                      <span className="ml-2 font-medium">{analyzeMutation.data.metadata.framework}</span>
-                    </div>
-                    <div>
-                      <span className="text-gray-600">Files:</span>
-                      <span className="ml-2 font-medium">{analyzeMutation.data.metadata.fileCount}</span>
-                    </div>
-                    <div>
-                      <span className="text-gray-600">Has README:</span>
-                      <span className="ml-2 font-medium">
-                        {analyzeMutation.data.readme ? 'Yes' : 'No'}
-                      </span>
-                    </div>
+                    <span className="text-gray-600">Stage:</span>
+                    <span className="ml-2 font-medium">
+                      {describeStage(jobStatus?.stage, { ...jobStatus?.progress, queuePosition: jobStatus?.queuePosition })}
+                    </span>
                   </div>
+                  <p className="text-gray-600">
+                    You can leave this page - the document will appear in Documents when it is ready.
+                  </p>
                 </div>
               </div>
             )}
 
             {/* Error State */}
-            {analyzeMutation.error && (
+            {jobError && (
               <div className="bg-red-50 border border-red-200 rounded-xl p-6">
                 <div className="flex items-center mb-4">
                   <AlertCircle className="h-5 w-5 text-red-600 mr-2" />
                   <h2 className="text-lg font-semibold text-red-900">Error</h2>
                 </div>
-                <p className="text-red-700">
-                  {analyzeMutation.error.response?.data?.error || analyzeMutation.error.message}
-                </p>
+                <p className="text-red-700">{jobError}</p>
               </div>
             )}
           </div>
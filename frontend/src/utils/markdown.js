@@ -0,0 +1,37 @@
+// Lightweight markdown-to-HTML conversion used for rendering generated documentation.
+// Mermaid blocks become placeholders carrying their source; MarkdownContent draws them.
+// Documents quote the analyzed repository and the model's output, so raw HTML is escaped, not rendered.
+// Entities pass through, which keeps text the backend already escaped readable.
+const escapeHtml = (text) =>
+  text.replace(/&(?!#?\w+;)/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Marks up an inline warning (verification issues) without putting HTML into the markdown
+const WARNING_START = '\u0001';
+const WARNING_END = '\u0002';
+export const inlineWarning = (text) =>
+  `${WARNING_START}${text.replace(new RegExp(`[${WARNING_START}${WARNING_END}]`, 'g'), '')}${WARNING_END}`;
+
+export const renderMarkdown = (content = '') => {
+  const diagrams = [];
+  const withoutDiagrams = content.replace(/\u0000/g, '').replace(/```mermaid\n([\s\S]*?)```/g, (match, source) => {
+    diagrams.push(source.trim());
+    return `\u0000${diagrams.length - 1}\u0000`;
+  });
+
+  return escapeHtml(withoutDiagrams)
+    .replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/^# (.*$)/gm, '<h1>$1</h1>')
+    .replace(/^## (.*$)/gm, '<h2>$1</h2>')
+    .replace(/^### (.*$)/gm, '<h3>$1</h3>')
+    .replace(/^#### (.*$)/gm, '<h4>$1</h4>')
+    .replace(/^##### (.*$)/gm, '<h5>$1</h5>')
+    .replace(/^###### (.*$)/gm, '<h6>$1</h6>')
+    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.*?)\*/g, '<em>$1</em>')
+    .replace(/\n/g, '<br>')
+    .replace(new RegExp(`${WARNING_START}([^${WARNING_END}]*)${WARNING_END}`, 'g'), (match, text) =>
+      `<span class="inline-block ml-2 px-1.5 rounded bg-yellow-100 text-yellow-800 text-xs font-sans" title="${text}">&#9888; ${text}</span>`)
+    .replace(/\u0000(\d+)\u0000/g, (match, index) =>
+      `<div class="mermaid-diagram" data-source="${encodeURIComponent(diagrams[index])}"></div>`);
+};
@@ -0,0 +1,31 @@
+import { inlineWarning, renderMarkdown } from './markdown';
+import { annotateVerification } from './verification';
+
+test('escapes raw HTML from doc comments', () => {
+  const html = renderMarkdown('Does <img src=x onerror=alert(document.cookie)> things\n\n`<script>alert(1)</script>`');
+  expect(html).not.toMatch(/<img|<script>/);
+  expect(html).toContain('Does &lt;img src=x onerror=alert(document.cookie)&gt; things');
+  expect(html).toContain('<code>&lt;script&gt;alert(1)&lt;/script&gt;</code>');
+});
+
+test('keeps text the backend already escaped readable', () => {
+  expect(renderMarkdown('Array&lt;string&gt; &amp; more')).toBe('Array&lt;string&gt; &amp; more');
+});
+
+test('passes mermaid sources through unescaped', () => {
+  const html = renderMarkdown('```mermaid\nflowchart LR\n  a --> b\n```');
+  expect(html).toBe(`<div class="mermaid-diagram" data-source="${encodeURIComponent('flowchart LR\n  a --> b')}"></div>`);
+});
+
+test('renders verification warnings with escaped text', () => {
+  const html = renderMarkdown(`Run \`npm start\` ${inlineWarning('No <b>start</b> script')}`);
+  expect(html).toContain('title="No &lt;b&gt;start&lt;/b&gt; script">&#9888; No &lt;b&gt;start&lt;/b&gt; script</span>');
+});
+
+test('annotates the lines verification issues point at', () => {
+  const content = annotateVerification('Run `npm start`\nOther line', [{ text: 'Run `npm start`', message: 'No "start" script' }]);
+  const html = renderMarkdown(content);
+  expect(html).toContain('<code>npm start</code> <span');
+  expect(html).toContain('title="No &quot;start&quot; script"');
+  expect(html).toContain('<br>Other line');
+});
@@ -0,0 +1,38 @@
+import { Github, Gitlab, GitBranch } from 'lucide-react';
+
+const providerNames = {
+  github: 'GitHub',
+  gitlab: 'GitLab',
+  bitbucket: 'Bitbucket',
+  gitea: 'Gitea'
+};
+
+// Older documents predate provider metadata and are always GitHub
+export const getRepositoryProvider = (document) =>
+  document.metadata?.provider || (document.githubUrl?.includes('github.com') ? 'github' : null);
+
+export const getProviderIcon = (provider) => {
+  if (provider === 'github') return Github;
+  if (provider === 'gitlab') return Gitlab;
+  return GitBranch;
+};
+
+export const RepositoryIcon = ({ document, className = 'h-4 w-4' }) => {
+  const Icon = getProviderIcon(getRepositoryProvider(document));
+  return <Icon className={className} />;
+};
+
+export const getProviderName = (provider) => providerNames[provider] || 'repository host';
+
+// "owner/repo" for hosted repositories, the raw URL or path otherwise
+export const getRepositoryLabel = (document) => {
+  const { repoOwner, repoName } = document.metadata || {};
+  if (repoOwner && repoName && repoOwner !== 'local') return `${repoOwner}/${repoName}`;
+  return document.githubUrl || repoName || 'Uploaded project';
+};
+
+// Link back to the repository on its host, when there is one
+export const getRepositoryLink = (document) => {
+  const url = document.metadata?.url || document.githubUrl;
+  return getRepositoryProvider(document) && /^https?:\/\//.test(url || '') ? url : null;
+};
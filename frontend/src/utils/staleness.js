@@ -0,0 +1,30 @@
+import { AlertTriangle } from 'lucide-react';
+
+export const isDocumentStale = (document) => Boolean(document.staleness?.isStale);
+
+// "3 commits, 12 files changed since generation"
+export const getStalenessSummary = (staleness) => {
+  if (!staleness?.isStale) return null;
+
+  const parts = [];
+  if (staleness.commitsBehind != null) {
+    parts.push(`${staleness.commitsBehind} commit${staleness.commitsBehind === 1 ? '' : 's'}`);
+  }
+  parts.push(`${staleness.filesChanged || 0} file${staleness.filesChanged === 1 ? '' : 's'} changed`);
+
+  return `${parts.join(', ')} since generation`;
+};
+
+export const StaleBadge = ({ document, className = '' }) => {
+  if (!isDocumentStale(document)) return null;
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800 ${className}`}
+      title={getStalenessSummary(document.staleness)}
+    >
+      <AlertTriangle className="h-3 w-3 mr-1" />
+      stale
+    </span>
+  );
+};
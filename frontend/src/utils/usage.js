@@ -0,0 +1,16 @@
+// "$0.0042" - fractions of a cent keep enough digits to tell runs apart
+export const formatCost = (cost) => {
+  if (cost == null) return '—';
+  if (cost === 0) return '$0.00';
+  return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+};
+
+export const formatTokens = (tokens) => (tokens || 0).toLocaleString();
+
+// "$0.12 · 4,096 tokens", flagging models without a known price
+export const getCostSummary = (cost) => {
+  if (!cost) return null;
+
+  const summary = `${formatCost(cost.cost)} · ${formatTokens(cost.totalTokens)} tokens`;
+  return cost.unpricedModels?.length > 0 ? `${summary} (no price for ${cost.unpricedModels.join(', ')})` : summary;
+};
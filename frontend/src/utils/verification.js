@@ -0,0 +1,37 @@
+import { inlineWarning } from './markdown';
+
+export const verificationKindLabels = {
+  script: 'Scripts',
+  path: 'Files',
+  envVar: 'Environment variables',
+  route: 'Routes'
+};
+
+// "4 of 37 claims could not be confirmed"
+export const getVerificationSummary = (verification) => {
+  if (!verification) return null;
+  if (verification.checked === 0) return 'No checkable claims found';
+  if (verification.flagged === 0) return `All ${verification.checked} claims match the repository`;
+  return `${verification.flagged} of ${verification.checked} claim${verification.checked === 1 ? '' : 's'} could not be confirmed`;
+};
+
+// Appends a warning marker to every line a verification issue points at, so rendered Markdown shows it in
+// place. Lines are matched by text, which also works for a single section of the document.
+export const annotateVerification = (content = '', issues = []) => {
+  if (!content || issues.length === 0) return content;
+
+  const byLine = new Map();
+  for (const issue of issues) {
+    byLine.set(issue.text, [...(byLine.get(issue.text) || []), issue.message]);
+  }
+
+  return content
+    .split('\n')
+    .map(line => {
+      const messages = byLine.get(line);
+      if (!messages) return line;
+      // Emphasis and code markers would be picked up by renderMarkdown inside the warning
+      return `${line} ${inlineWarning(messages.join('; ').replace(/[*`]/g, ''))}`;
+    })
+    .join('\n');
+};